@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// cli.js - command-line entry point (see modules/cli.js for commands and exit codes)
+require('dotenv').config();
+const { run } = require('./modules/cli');
+const { flushCaches } = require('./utils/cache');
+
+run(process.argv.slice(2)).then(exitCode => {
+  flushCaches();
+  // Open WebSocket providers would otherwise keep the process alive
+  process.exit(exitCode);
+});
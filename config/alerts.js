@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Alert rules and delivery sinks.
+ *
+ * Rules are looked up like fee routing, from most to least specific:
+ *   'WETH:ethereum->base'  token + route
+ *   'WETH'                 token
+ *   'ethereum->base'       route
+ *   'default'
+ * Fields from every matching entry are merged, more specific ones winning:
+ *   minNetSpreadBps  Fire when the net spread reaches this many bps
+ *   minNetProfitUsd  Fire when the net profit reaches this many USD
+ *   hysteresisBps    Re-arm only after the spread falls this far below the threshold
+ *   hysteresisUsd    Re-arm only after the profit falls this far below the threshold
+ *   cooldownMs       Never fire the same route twice within this window
+ *   enabled          false silences the matching routes
+ *
+ * ALERT_RULES holds a JSON object with the same shape (its entries replace the
+ * defaults key by key). ALERT_SINKS holds a JSON array of sinks:
+ *   { "type": "webhook", "url": "...", "headers": {} }
+ *   { "type": "slack", "url": "https://hooks.slack.com/..." }
+ *   { "type": "file", "path": "alerts.ndjson" }
+ *   { "type": "stdout" }
+ * ALERT_STATE_FILE keeps hysteresis and cooldown state between runs.
+ */
+require('dotenv').config();
+
+const defaultRules = {
+  default: {
+    minNetSpreadBps: 50,
+    hysteresisBps: 10,
+    hysteresisUsd: 0,
+    cooldownMs: 15 * 60 * 1000,
+    enabled: true,
+  },
+};
+
+const defaultSinks = [{ type: 'stdout' }];
+
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`Invalid ${name} JSON: ${error.message}`);
+  }
+}
+
+function getAlertRules() {
+  return { ...defaultRules, ...parseJsonEnv('ALERT_RULES', {}) };
+}
+
+function getAlertSinks() {
+  const sinks = parseJsonEnv('ALERT_SINKS', defaultSinks);
+  if (!Array.isArray(sinks)) throw new Error('ALERT_SINKS must be a JSON array');
+  return sinks;
+}
+
+function getAlertStateFile() {
+  return process.env.ALERT_STATE_FILE || undefined;
+}
+
+module.exports = { getAlertRules, getAlertSinks, getAlertStateFile };
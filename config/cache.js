@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Cache TTLs per remote data source.
+ *
+ * TTLs can be overridden with CACHE_TTL_<SOURCE>_MS (e.g. CACHE_TTL_PRICES_MS).
+ * Setting CACHE_DIR persists the sources marked `persist` to
+ * <CACHE_DIR>/<source>.json so a restart starts warm.
+ */
+require('dotenv').config();
+
+const MINUTE = 60 * 1000;
+
+const defaults = {
+  tokenLists: { ttlMs: 6 * 60 * MINUTE, persist: true },  // OpenOcean and Superchain token lists
+  prices: { ttlMs: MINUTE, persist: true },               // Alchemy USD prices
+  subgraphPools: { ttlMs: 10 * MINUTE, persist: true },   // Pools above the liquidity threshold
+  hop: { ttlMs: MINUTE, persist: false },                 // Hop send data (holds SDK BigNumbers)
+  gas: { ttlMs: 15 * 1000, persist: false },              // Fee data, L1 data fees and native prices
+};
+
+function envKey(source) {
+  return `CACHE_TTL_${source.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_MS`;
+}
+
+/**
+ * @param {string} source - e.g. 'prices'
+ * @return {Object} { ttlMs, persist }; unknown sources get a one-minute memory-only cache.
+ */
+function getCacheSettings(source) {
+  const settings = defaults[source] || { ttlMs: MINUTE, persist: false };
+  const override = process.env[envKey(source)];
+  return { ...settings, ttlMs: override ? Number(override) : settings.ttlMs };
+}
+
+/**
+ * @return {string|undefined} Directory for persisted caches, or undefined for memory only.
+ */
+function getCacheDir() {
+  return process.env.CACHE_DIR || undefined;
+}
+
+module.exports = { getCacheSettings, getCacheDir };
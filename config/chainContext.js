@@ -1,5 +1,10 @@
 /**
  * @fileoverview Manages chain configurations for multi-chain data pulling.
+ *
+ * Every per-chain setting lives here: RPC endpoints, the Alchemy prices
+ * endpoint, aggregator ids and base URLs (Li.Fi, 1inch, CoinGecko), the
+ * chain's name in Hop and whether it is an OP Stack L2. The rest of the
+ * pipeline iterates over getActiveChains() instead of naming chains itself.
  */
 require('dotenv').config();
 
@@ -7,16 +12,81 @@ const chainConfigs = {
   ethereum: {
     chainId: 1,
     rpcUrl: process.env.ETHEREUM_RPC_URL,
+    wsUrl: process.env.WS_ETHEREUM_RPC_URL,
     lifiChainId: 1, // Li.Fi's chain id for Ethereum
+    oneInchApi: 'https://api.1inch.dev/swap/v6.0/1', // 1inch Swap API base URL (chain id in the path)
+    coingeckoPlatform: 'ethereum', // CoinGecko asset platform id
+    nativeSymbol: 'ETH',
+    alchemyPricesUrl: 'https://api.g.alchemy.com/prices/v1/tokens/by-symbol',
+    hopChain: 'ethereum',
+    opStack: false,
   },
   base: {
     chainId: 8453,
     rpcUrl: process.env.BASE_RPC_URL,
+    wsUrl: process.env.WS_BASE_RPC_URL,
     lifiChainId: 8453, // Li.Fi's chain id for Base (verify with Li.Fi docs)
+    oneInchApi: 'https://api.1inch.dev/swap/v6.0/8453',
+    coingeckoPlatform: 'base',
+    nativeSymbol: 'ETH',
+    alchemyPricesUrl: 'https://base-mainnet.g.alchemy.com/prices/v1/tokens/by-symbol',
+    hopChain: 'base',
+    opStack: true,
+  },
+  optimism: {
+    chainId: 10,
+    rpcUrl: process.env.OPTIMISM_RPC_URL,
+    wsUrl: process.env.WS_OPTIMISM_RPC_URL,
+    lifiChainId: 10,
+    oneInchApi: 'https://api.1inch.dev/swap/v6.0/10',
+    coingeckoPlatform: 'optimistic-ethereum',
+    nativeSymbol: 'ETH',
+    alchemyPricesUrl: 'https://opt-mainnet.g.alchemy.com/prices/v1/tokens/by-symbol',
+    hopChain: 'optimism',
+    opStack: true,
+  },
+  arbitrum: {
+    chainId: 42161,
+    rpcUrl: process.env.ARBITRUM_RPC_URL,
+    wsUrl: process.env.WS_ARBITRUM_RPC_URL,
+    lifiChainId: 42161,
+    oneInchApi: 'https://api.1inch.dev/swap/v6.0/42161',
+    coingeckoPlatform: 'arbitrum-one',
+    nativeSymbol: 'ETH',
+    alchemyPricesUrl: 'https://arb-mainnet.g.alchemy.com/prices/v1/tokens/by-symbol',
+    hopChain: 'arbitrum',
+    opStack: false,
+  },
+  polygon: {
+    chainId: 137,
+    rpcUrl: process.env.POLYGON_RPC_URL,
+    wsUrl: process.env.WS_POLYGON_RPC_URL,
+    lifiChainId: 137,
+    oneInchApi: 'https://api.1inch.dev/swap/v6.0/137',
+    coingeckoPlatform: 'polygon-pos',
+    nativeSymbol: 'POL',
+    alchemyPricesUrl: 'https://polygon-mainnet.g.alchemy.com/prices/v1/tokens/by-symbol',
+    hopChain: 'polygon',
+    opStack: false,
+  },
+  linea: {
+    chainId: 59144,
+    rpcUrl: process.env.LINEA_RPC_URL,
+    wsUrl: process.env.WS_LINEA_RPC_URL,
+    lifiChainId: 59144,
+    oneInchApi: 'https://api.1inch.dev/swap/v6.0/59144',
+    coingeckoPlatform: 'linea',
+    nativeSymbol: 'ETH',
+    alchemyPricesUrl: 'https://linea-mainnet.g.alchemy.com/prices/v1/tokens/by-symbol',
+    hopChain: 'linea',
+    opStack: false,
   },
   // Future extensions: solana, unichain, etc.
 };
 
+// Ethereum is the L1 every configured L2 settles to.
+const L1_CHAIN = 'ethereum';
+
 function getChainConfig(chainName) {
   const config = chainConfigs[chainName];
   if (!config) {
@@ -25,4 +95,40 @@ function getChainConfig(chainName) {
   return config;
 }
 
-module.exports = { getChainConfig };
+/**
+ * @return {string[]} Every configured chain name.
+ */
+function getChainNames() {
+  return Object.keys(chainConfigs);
+}
+
+/**
+ * Chains the pipeline runs on, from the comma-separated CHAINS env var
+ * (default "ethereum,base").
+ * @return {string[]} Active chain names.
+ */
+function getActiveChains() {
+  const chains = (process.env.CHAINS || 'ethereum,base')
+    .split(',')
+    .map(chain => chain.trim().toLowerCase())
+    .filter(Boolean);
+  chains.forEach(getChainConfig);
+  return chains;
+}
+
+/**
+ * Looks up our internal chain name for an EVM chain id.
+ * @param {number|string} chainId - e.g. 1 or 8453
+ * @return {string|undefined} The chain name, or undefined if not configured.
+ */
+function getChainNameById(chainId) {
+  return Object.keys(chainConfigs).find(name => chainConfigs[name].chainId === Number(chainId));
+}
+
+module.exports = {
+  L1_CHAIN,
+  getChainConfig,
+  getChainNames,
+  getActiveChains,
+  getChainNameById,
+};
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Hub tokens for composite routes (swap -> bridge -> swap).
+ *
+ * A token Hop cannot bridge is swapped into a hub on the source chain, the
+ * hub is bridged, and swapped back on the destination. Hub addresses come
+ * from the curated token links; bridgeSymbol is the hub's name in Hop.
+ * COMPOSITE_HUBS (e.g. "USDC") limits which hubs are tried, in order.
+ */
+require('dotenv').config();
+const { curatedTokenLinks } = require('./tokenLinks');
+
+const defaultHubs = [
+  { symbol: 'USDC', bridgeSymbol: 'USDC', decimals: 6 },
+  { symbol: 'WETH', bridgeSymbol: 'ETH', decimals: 18 },
+];
+
+/**
+ * @return {Array<Object>} [{ symbol, bridgeSymbol, decimals, addresses: { [chain]: address } }]
+ */
+function getCompositeHubs() {
+  const selected = process.env.COMPOSITE_HUBS
+    ? process.env.COMPOSITE_HUBS.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+    : defaultHubs.map(hub => hub.symbol);
+
+  return selected.map(symbol => {
+    const hub = defaultHubs.find(h => h.symbol.toUpperCase() === symbol);
+    if (!hub) throw new Error(`Unknown composite hub "${symbol}" (expected ${defaultHubs.map(h => h.symbol).join(', ')})`);
+    const link = curatedTokenLinks.find(l => l.symbol === hub.symbol);
+    return { ...hub, addresses: link ? link.addresses : {} };
+  });
+}
+
+module.exports = { getCompositeHubs };
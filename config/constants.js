@@ -16,6 +16,42 @@ const UNISWAP_V3_POOL_ABI = [
   'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
   'function liquidity() external view returns (uint128)',
   'function fee() external view returns (uint24)',
+  'function observe(uint32[] secondsAgos) external view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+  'function observations(uint256 index) external view returns (uint32 blockTimestamp, int56 tickCumulative, uint160 secondsPerLiquidityCumulativeX128, bool initialized)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+];
+
+// OP Stack OptimismMintableERC20 getters pointing at the L1 token.
+// remoteToken() is current; l1Token() is the legacy name kept for older tokens.
+const OP_MINTABLE_ERC20_ABI = [
+  'function remoteToken() external view returns (address)',
+  'function l1Token() external view returns (address)',
+];
+
+// Multicall3 is deployed at the same address on every chain we support.
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
+];
+
+// Minimal ERC-20 metadata ABI
+const ERC20_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+  'function name() external view returns (string)',
+];
+
+// OP Stack GasPriceOracle predeploy: the L1 data fee an L2 transaction pays on top of L2 gas.
+const OP_GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
+const OP_GAS_PRICE_ORACLE_ABI = [
+  'function getL1Fee(bytes _data) external view returns (uint256)',
+];
+
+// Chainlink price feed (AggregatorV3Interface) reads.
+const CHAINLINK_AGGREGATOR_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
 ];
 
 // JSBI constants for full-precision tick math & liquidity calculations
@@ -26,14 +62,31 @@ const RESOLUTION = JSBI.BigInt(96);
 const MIN_SQRT_RATIO = JSBI.BigInt('4295128739');
 const MAX_SQRT_RATIO = JSBI.BigInt('1461446703485210103287273052203988822378723970342');
 
+// Integer bounds used to emulate Solidity overflow checks
+const MAX_UINT160 = JSBI.subtract(JSBI.exponentiate(JSBI.BigInt(2), JSBI.BigInt(160)), JSBI.BigInt(1));
+const MAX_UINT256 = JSBI.BigInt('0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff');
+
+// Fees are expressed in hundredths of a bip, i.e. 1e-6
+const MAX_FEE_PIPS = JSBI.BigInt(1000000);
+
 module.exports = {
   Q96,
   Q192,
   MIN_TICK,
   MAX_TICK,
   UNISWAP_V3_POOL_ABI,
+  OP_MINTABLE_ERC20_ABI,
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  ERC20_ABI,
+  OP_GAS_PRICE_ORACLE_ADDRESS,
+  OP_GAS_PRICE_ORACLE_ABI,
+  CHAINLINK_AGGREGATOR_ABI,
   JSBI_Q96,
   RESOLUTION,
   MIN_SQRT_RATIO,
   MAX_SQRT_RATIO,
+  MAX_UINT160,
+  MAX_UINT256,
+  MAX_FEE_PIPS,
 };
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Routing configuration for the fee provider registry.
+ *
+ * Entries are looked up from most to least specific:
+ *   'USDC:ethereum->base'  token + route
+ *   'USDC'                 token
+ *   'ethereum->base'       route
+ *   'default'
+ *
+ * `providers` lists which providers to ask, in order of preference (the most
+ * specific entry that sets it wins). `weights` multiply a provider's USD fee
+ * when ranking quotes, so a weight above 1 penalises that provider; weights
+ * from every matching entry are merged, more specific ones taking precedence.
+ *
+ * FEE_PROVIDER_ROUTING may hold a JSON object with the same shape; its
+ * entries replace the defaults below key by key.
+ */
+require('dotenv').config();
+
+const defaultRouting = {
+  default: {
+    providers: ['hop', 'lifi', 'composite'],
+    weights: {},
+  },
+};
+
+function getFeeProviderRouting() {
+  if (!process.env.FEE_PROVIDER_ROUTING) {
+    return defaultRouting;
+  }
+  try {
+    return { ...defaultRouting, ...JSON.parse(process.env.FEE_PROVIDER_ROUTING) };
+  } catch (error) {
+    throw new Error(`Invalid FEE_PROVIDER_ROUTING JSON: ${error.message}`);
+  }
+}
+
+module.exports = { getFeeProviderRouting };
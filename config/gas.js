@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Gas limits per action type, and which actions each leg of a
+ * cross-chain route performs.
+ *
+ * Limits are typical gas used, not the padded limit a wallet would send.
+ * calldataBytes is the size of the signed transaction, used for the L1 data
+ * fee on OP Stack chains. GAS_LIMITS may hold a JSON object keyed by
+ * 'default' or a chain name, e.g. {"base": {"swap": {"gasLimit": 200000}}};
+ * its entries are merged over the defaults below.
+ */
+require('dotenv').config();
+
+const defaultGasLimits = {
+  default: {
+    approve: { gasLimit: 46000, calldataBytes: 180 },
+    swap: { gasLimit: 180000, calldataBytes: 420 },       // Uniswap V3 exactInputSingle through the router
+    bridgeSend: { gasLimit: 150000, calldataBytes: 360 }, // Hop L1 sendToL2
+    bridgeClaim: { gasLimit: 0, calldataBytes: 0 },       // Bonders deliver on the destination
+  },
+  // From an L2, sending swaps through the Hop AMM first
+  base: { bridgeSend: { gasLimit: 250000, calldataBytes: 420 } },
+  optimism: { bridgeSend: { gasLimit: 250000, calldataBytes: 420 } },
+  arbitrum: { bridgeSend: { gasLimit: 250000, calldataBytes: 420 } },
+  polygon: { bridgeSend: { gasLimit: 250000, calldataBytes: 420 } },
+  linea: { bridgeSend: { gasLimit: 250000, calldataBytes: 420 } },
+};
+
+// Buy and bridge on the source chain, receive and sell on the destination
+const ROUTE_ACTIONS = {
+  source: ['approve', 'swap', 'bridgeSend'],
+  destination: ['bridgeClaim', 'swap'],
+};
+
+function readOverrides() {
+  if (!process.env.GAS_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.GAS_LIMITS);
+  } catch (error) {
+    throw new Error(`Invalid GAS_LIMITS JSON: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} chain - Chain name.
+ * @return {Object} { [action]: { gasLimit, calldataBytes } } for the chain.
+ */
+function getGasLimits(chain) {
+  const overrides = readOverrides();
+  const limits = {};
+  [defaultGasLimits.default, defaultGasLimits[chain], overrides.default, overrides[chain]].forEach(entry => {
+    Object.entries(entry || {}).forEach(([action, settings]) => {
+      limits[action] = { ...limits[action], ...settings };
+    });
+  });
+  return limits;
+}
+
+module.exports = { getGasLimits, ROUTE_ACTIONS };
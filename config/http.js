@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Retry, rate limit and concurrency settings for outbound HTTP
+ * (see utils/httpClient.js).
+ *
+ * HTTP_RETRIES (default 3) retries network errors, 429 and 5xx answers with
+ * exponential backoff from HTTP_BASE_DELAY_MS up to HTTP_MAX_DELAY_MS, with
+ * full jitter. A Retry-After longer than HTTP_MAX_RETRY_AFTER_MS fails the
+ * request instead of waiting. HTTP_TIMEOUT_MS is the per-attempt timeout and
+ * HTTP_MAX_CONCURRENCY caps requests in flight across every host.
+ *
+ * HTTP_RATE_LIMITS (JSON, merged over the defaults below) maps a host to
+ * requests per second, or { requestsPerSecond, burst }. Hosts without an
+ * entry are not rate limited.
+ */
+require('dotenv').config();
+
+// Free or public tier limits of the APIs we call
+const defaultRateLimits = {
+  'api.g.alchemy.com': 5,
+  'api.coingecko.com': 0.5,
+  'pro-api.coingecko.com': 8,
+  'open-api.openocean.finance': 2,
+  'api.1inch.dev': 1,
+  'li.quest': 2,
+  'gateway.thegraph.com': 10,
+};
+
+function parseRateLimits() {
+  if (!process.env.HTTP_RATE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.HTTP_RATE_LIMITS);
+  } catch (error) {
+    throw new Error(`Invalid HTTP_RATE_LIMITS JSON: ${error.message}`);
+  }
+}
+
+/**
+ * @return {Object} { retries, baseDelayMs, maxDelayMs, maxRetryAfterMs, timeoutMs, maxConcurrency,
+ *   rateLimits: { [host]: { requestsPerSecond, burst } } }
+ */
+function getHttpSettings() {
+  const rateLimits = {};
+  Object.entries({ ...defaultRateLimits, ...parseRateLimits() }).forEach(([host, limit]) => {
+    const requestsPerSecond = typeof limit === 'number' ? limit : Number(limit.requestsPerSecond);
+    if (!(requestsPerSecond > 0)) throw new Error(`Invalid rate limit for ${host}: ${JSON.stringify(limit)}`);
+    const burst = typeof limit === 'object' && limit.burst ? Number(limit.burst) : Math.max(1, Math.ceil(requestsPerSecond));
+    rateLimits[host.toLowerCase()] = { requestsPerSecond, burst };
+  });
+
+  return {
+    retries: Number(process.env.HTTP_RETRIES ?? 3),
+    baseDelayMs: Number(process.env.HTTP_BASE_DELAY_MS || 500),
+    maxDelayMs: Number(process.env.HTTP_MAX_DELAY_MS || 10000),
+    maxRetryAfterMs: Number(process.env.HTTP_MAX_RETRY_AFTER_MS || 60000),
+    timeoutMs: Number(process.env.HTTP_TIMEOUT_MS || 30000),
+    maxConcurrency: Number(process.env.HTTP_MAX_CONCURRENCY || 8),
+    rateLimits,
+  };
+}
+
+module.exports = { getHttpSettings };
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Price sources and how their USD prices are combined.
+ *
+ * PRICE_SOURCES lists the sources to ask (comma-separated, default all of
+ * them). PRICE_CONSENSUS is 'median' (default) or 'weighted', the latter
+ * using PRICE_SOURCE_WEIGHTS (JSON, merged over the defaults below). A source
+ * more than PRICE_MAX_DEVIATION_BPS away from the median of every source is
+ * rejected as an outlier, and a price needs PRICE_MIN_SOURCES agreeing
+ * sources to count.
+ *
+ * Validation rules: answers older than PRICE_MAX_AGE_MS (a number, or JSON
+ * { default, [sourceId]: ms } merged over the defaults below) are stale,
+ * prices whose confidence is under PRICE_MIN_CONFIDENCE (0 to 1) are
+ * rejected, and so is a chain's price more than
+ * PRICE_MAX_CROSS_CHAIN_DEVIATION_BPS from the token's median across chains
+ * (0 disables the check).
+ *
+ * Chainlink feeds are USD aggregators per chain (see data.chain.link);
+ * PRICE_FEEDS (JSON, { [chain]: { [symbol]: address } }) adds or replaces
+ * them. Wrapped tokens read their underlying asset's feed.
+ */
+require('dotenv').config();
+
+const PRICE_SOURCE_IDS = ['alchemy', 'coingecko', 'chainlink', 'uniswap-v3'];
+
+const defaultWeights = {
+  chainlink: 2,
+  alchemy: 1,
+  coingecko: 1,
+  'uniswap-v3': 1,
+};
+
+const defaultFeeds = {
+  ethereum: {
+    ETH: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+    USDC: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6',
+    USDT: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D',
+    DAI: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9',
+    LINK: '0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c',
+  },
+  base: {
+    ETH: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+    USDC: '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B',
+  },
+  optimism: {
+    ETH: '0x13e3Ee699D1909E989722E753853AE30b17e08c5',
+    USDC: '0x16a9FA2FDa030272Ce99B29CF780dFA30361E0f3',
+  },
+  arbitrum: {
+    ETH: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612',
+    USDC: '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3',
+  },
+  polygon: {
+    ETH: '0xF9680D99D6C9589e2a93a78A04A279e509205945',
+    POL: '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0',
+    USDC: '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7',
+  },
+};
+
+const defaultMaxAgeMs = {
+  default: 60 * 60 * 1000,
+  // Most USD feeds have a 24 hour heartbeat; allow an hour of slack
+  chainlink: 25 * 60 * 60 * 1000,
+};
+
+// Symbols priced with another asset's feed
+const FEED_ALIASES = {
+  WETH: 'ETH',
+  WPOL: 'POL',
+  'USDC.E': 'USDC',
+  USDBC: 'USDC',
+};
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`Invalid ${name} JSON: ${error.message}`);
+  }
+}
+
+function parseMaxAge() {
+  const raw = process.env.PRICE_MAX_AGE_MS;
+  if (raw && !isNaN(raw)) return { ...defaultMaxAgeMs, default: Number(raw), chainlink: Number(raw) };
+  return { ...defaultMaxAgeMs, ...parseJsonEnv('PRICE_MAX_AGE_MS') };
+}
+
+/**
+ * @return {Object} { sources: string[], method, weights, maxDeviationBps, minSources, maxAgeMs,
+ *   minConfidence, maxCrossChainDeviationBps }
+ */
+function getPriceSourceSettings() {
+  const sources = process.env.PRICE_SOURCES
+    ? process.env.PRICE_SOURCES.split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+    : PRICE_SOURCE_IDS;
+  const unknown = sources.find(id => !PRICE_SOURCE_IDS.includes(id));
+  if (unknown) throw new Error(`Unknown price source "${unknown}" (expected ${PRICE_SOURCE_IDS.join(', ')})`);
+
+  const method = process.env.PRICE_CONSENSUS || 'median';
+  if (method !== 'median' && method !== 'weighted') {
+    throw new Error(`Invalid PRICE_CONSENSUS "${method}" (expected median or weighted)`);
+  }
+
+  return {
+    sources,
+    method,
+    weights: { ...defaultWeights, ...parseJsonEnv('PRICE_SOURCE_WEIGHTS') },
+    maxDeviationBps: Number(process.env.PRICE_MAX_DEVIATION_BPS || 200),
+    minSources: Number(process.env.PRICE_MIN_SOURCES || 1),
+    maxAgeMs: parseMaxAge(),
+    minConfidence: Number(process.env.PRICE_MIN_CONFIDENCE || 0),
+    maxCrossChainDeviationBps: Number(process.env.PRICE_MAX_CROSS_CHAIN_DEVIATION_BPS ?? 2500),
+  };
+}
+
+/**
+ * @param {string} chain - Chain name.
+ * @return {Object} { [symbol]: feed address } for the chain.
+ */
+function getChainlinkFeeds(chain) {
+  const feeds = { ...defaultFeeds[chain], ...(parseJsonEnv('PRICE_FEEDS')[chain] || {}) };
+  return Object.fromEntries(Object.entries(feeds).map(([symbol, address]) => [symbol.toUpperCase(), address]));
+}
+
+/**
+ * @param {string} symbol - Token symbol.
+ * @return {string} Symbol whose feed prices the token.
+ */
+function getFeedSymbol(symbol) {
+  const upper = symbol.toUpperCase();
+  return FEED_ALIASES[upper] || upper;
+}
+
+module.exports = { PRICE_SOURCE_IDS, getPriceSourceSettings, getChainlinkFeeds, getFeedSymbol };
@@ -1,25 +1,26 @@
 /**
  * @fileoverview Creates robust Ethers.js providers with fallback.
+ *
+ * One provider is kept per chain, so the many callers on hot paths (multicall,
+ * gas, Chainlink, TWAP reads) share its connection instead of opening a new
+ * one, and a WebSocket fallback per call, on every read. closeProviders()
+ * drops them and closes their sockets.
  */
 const { ethers } = require('ethers');
 const { getChainConfig } = require('./chainContext');
 
-function getProvider(chainName) {
-  const { rpcUrl } = getChainConfig(chainName);
+const providers = new Map();
+
+function createProvider(chainName) {
+  const { rpcUrl, wsUrl } = getChainConfig(chainName);
 
   const httpProvider = new ethers.providers.StaticJsonRpcProvider({
     url: rpcUrl,
     timeout: 30000,
   });
 
-  let wsProvider;
-  if (chainName === 'ethereum' && process.env.WS_ETHEREUM_RPC_URL) {
-    wsProvider = new ethers.providers.WebSocketProvider(process.env.WS_ETHEREUM_RPC_URL);
-  } else if (chainName === 'base' && process.env.WS_BASE_RPC_URL) {
-    wsProvider = new ethers.providers.WebSocketProvider(process.env.WS_BASE_RPC_URL);
-  }
-
-  if (wsProvider) {
+  if (wsUrl) {
+    const wsProvider = new ethers.providers.WebSocketProvider(wsUrl);
     return new ethers.providers.FallbackProvider([
       { provider: httpProvider, priority: 1 },
       { provider: wsProvider, priority: 2 },
@@ -28,4 +29,24 @@ function getProvider(chainName) {
   return httpProvider;
 }
 
-module.exports = { getProvider };
+/**
+ * @param {string} chainName - Chain name.
+ * @return {Object} The chain's shared provider, created on first use.
+ */
+function getProvider(chainName) {
+  if (!providers.has(chainName)) providers.set(chainName, createProvider(chainName));
+  return providers.get(chainName);
+}
+
+/**
+ * Closes the WebSocket connections of every shared provider and forgets them.
+ */
+async function closeProviders() {
+  const open = [...providers.values()];
+  providers.clear();
+  await Promise.all(open.flatMap(provider => (provider.providerConfigs || [{ provider }]).map(config => config.provider))
+    .filter(provider => provider instanceof ethers.providers.WebSocketProvider)
+    .map(provider => provider.destroy().catch(() => {})));
+}
+
+module.exports = { getProvider, closeProviders };
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Where run and block snapshots are stored.
+ *
+ * SNAPSHOT_DIR (default data/snapshots) holds one append-only JSONL file per
+ * UTC day. SNAPSHOTS=false turns recording off for index.js.
+ */
+require('dotenv').config();
+
+function getSnapshotDir() {
+  return process.env.SNAPSHOT_DIR || 'data/snapshots';
+}
+
+function isSnapshotRecordingEnabled() {
+  return process.env.SNAPSHOTS !== 'false';
+}
+
+module.exports = { getSnapshotDir, isSnapshotRecordingEnabled };
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Subgraph sources and paging limits per chain.
+ *
+ * Each chain reads <CHAIN>_SUBGRAPH_URL (schema from <CHAIN>_SUBGRAPH_SCHEMA,
+ * default "uniswap-v3"). More DEXes can be added with <CHAIN>_SUBGRAPHS, a
+ * JSON array of { "name", "url", "schema", "liquidityThreshold" }.
+ *
+ * Schemas filter pools on different figures, so each has its own threshold:
+ * V3-style pools on raw liquidity (the caller's LIQUIDITY_THRESHOLD),
+ * V2-style pairs on their USD reserve (UNISWAP_V2_MIN_RESERVE_USD, default
+ * 10000). A source's own liquidityThreshold overrides both.
+ */
+require('dotenv').config();
+
+const pagingDefaults = {
+  pageSize: Number(process.env.SUBGRAPH_PAGE_SIZE || 1000),
+  maxPages: Number(process.env.SUBGRAPH_MAX_PAGES || 20),
+  maxPools: Number(process.env.SUBGRAPH_MAX_POOLS || 20000),
+  retries: Number(process.env.SUBGRAPH_RETRIES || 3),
+};
+
+// Schemas not listed use the caller's threshold
+const schemaThresholds = {
+  'uniswap-v2': process.env.UNISWAP_V2_MIN_RESERVE_USD || '10000',
+};
+
+/**
+ * Pool filter for one source: its own liquidityThreshold, else its schema's.
+ *
+ * @param {Object} source - From getSubgraphSources().
+ * @param {string} liquidityThreshold - Caller's threshold, used for schemas without their own.
+ * @return {string} The threshold to query with.
+ */
+function getSourceThreshold(source, liquidityThreshold) {
+  if (source.liquidityThreshold != null) return String(source.liquidityThreshold);
+  return schemaThresholds[source.schema] || liquidityThreshold;
+}
+
+/**
+ * @param {string} chainName - e.g. 'ethereum'
+ * @return {Array<Object>} Sources as { name, url, schema }.
+ */
+function getSubgraphSources(chainName) {
+  const prefix = chainName.toUpperCase();
+  const sources = [];
+
+  const url = process.env[`${prefix}_SUBGRAPH_URL`];
+  if (url) {
+    sources.push({
+      name: 'default',
+      url,
+      schema: process.env[`${prefix}_SUBGRAPH_SCHEMA`] || 'uniswap-v3',
+    });
+  }
+
+  const extra = process.env[`${prefix}_SUBGRAPHS`];
+  if (extra) {
+    let parsed;
+    try {
+      parsed = JSON.parse(extra);
+    } catch (error) {
+      throw new Error(`Invalid ${prefix}_SUBGRAPHS JSON: ${error.message}`);
+    }
+    parsed.forEach((source, index) => {
+      if (!source.url) throw new Error(`${prefix}_SUBGRAPHS[${index}] is missing "url"`);
+      sources.push({ name: source.name || `subgraph-${index}`, schema: 'uniswap-v3', ...source });
+    });
+  }
+
+  return sources;
+}
+
+module.exports = { getSubgraphSources, getSourceThreshold, pagingDefaults };
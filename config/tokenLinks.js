@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Curated cross-chain token links.
+ *
+ * Each entry ties together the addresses of one asset on several chains.
+ * These take precedence over token lists and bridge lookups. Bridged
+ * variants (e.g. USDbC, the Base bridge's USDC) get their own entry so they are
+ * never confused with the native asset.
+ */
+
+const curatedTokenLinks = [
+  {
+    symbol: 'WETH',
+    addresses: {
+      ethereum: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+      base: '0x4200000000000000000000000000000000000006',
+    },
+  },
+  {
+    symbol: 'USDC',
+    addresses: {
+      ethereum: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+      base: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    },
+  },
+  {
+    symbol: 'USDbC',
+    addresses: {
+      ethereum: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+      base: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA',
+    },
+  },
+  {
+    symbol: 'USDT',
+    addresses: {
+      ethereum: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+      base: '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2',
+    },
+  },
+  {
+    symbol: 'DAI',
+    addresses: {
+      ethereum: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+      base: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
+    },
+  },
+  {
+    symbol: 'cbETH',
+    addresses: {
+      ethereum: '0xBe9895146f7AF43049ca1c1AE358B0541Ea49704',
+      base: '0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22',
+    },
+  },
+  {
+    symbol: 'wstETH',
+    addresses: {
+      ethereum: '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0',
+      base: '0xc1CBa3fCea344f92D9239c08C0568f6F2F0ee452',
+    },
+  },
+  {
+    symbol: 'cbBTC',
+    addresses: {
+      ethereum: '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf',
+      base: '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf',
+    },
+  },
+];
+
+module.exports = { curatedTokenLinks };
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Time-weighted average price windows.
+ *
+ * TWAP_WINDOWS lists the windows to average Uniswap V3 pool prices over, in
+ * seconds (comma-separated, default 300,1800).
+ */
+require('dotenv').config();
+
+const DEFAULT_WINDOWS = [300, 1800];
+
+/**
+ * @return {number[]} TWAP windows in seconds, shortest first.
+ */
+function getTwapWindows() {
+  if (!process.env.TWAP_WINDOWS) return DEFAULT_WINDOWS;
+  const entries = process.env.TWAP_WINDOWS.split(',').map(value => value.trim()).filter(Boolean);
+  const invalid = entries.find(entry => !Number.isInteger(Number(entry)) || Number(entry) <= 0);
+  if (invalid !== undefined) throw new Error(`Invalid TWAP_WINDOWS entry "${invalid}" (expected whole seconds)`);
+  return [...new Set(entries.map(Number))].sort((a, b) => a - b);
+}
+
+module.exports = { getTwapWindows };
@@ -1,101 +1,187 @@
 // index.js (final robust version)
 require('dotenv').config();
 const { discoverAllTokensSorted } = require('./modules/tokenDiscovery');
-const { fetchTokenPrices } = require('./utils/priceUtils');
-const { calculateHopSwapFees } = require('./utils/hopFees');
-const { calculateOpenOceanSwapFees } = require('./utils/openoceanFees');
+const { fetchPriceConsensus } = require('./utils/priceUtils');
+const { formatFeeQuote } = require('./utils/feeQuote');
+const { tokenId } = require('./utils/tokenId');
+const { buildRouteMatrix, toOpportunityInputs } = require('./modules/routeMatrix');
+const { findOpportunities, routeKey } = require('./modules/opportunities');
+const { getActiveChains } = require('./config/chainContext');
+const { getCacheStats, flushCaches } = require('./utils/cache');
+const { createDefaultAlertEngine } = require('./modules/alerts');
+const { buildSnapshot, createSnapshotStore } = require('./modules/snapshotStore');
+const { isSnapshotRecordingEnabled } = require('./config/snapshots');
+const { getProvider, closeProviders } = require('./config/provider');
+const { getDefaultRegistry } = require('./modules/feeProviders');
+const { optimizeTradeSize, createPoolImpact, createBridgeQuoter } = require('./modules/tradeSizing');
+const { getPoolStates } = require('./modules/dex/uniswapV3');
 
-async function main() {
-  const liquidityThreshold = process.env.LIQUIDITY_THRESHOLD || "10000";
-  const { ethTokens, baseTokens, commonTokens } = await discoverAllTokensSorted(liquidityThreshold);
+// Block each chain was at when the run finished; null when the RPC is unreachable
+async function readBlockNumbers(chains) {
+  const entries = await Promise.all(chains.map(async chain => {
+    try {
+      return [chain, await getProvider(chain).getBlockNumber()];
+    } catch (error) {
+      return [chain, null];
+    }
+  }));
+  return Object.fromEntries(entries);
+}
+
+// Pool impact for one leg, or undefined (flat swap fee) when the pool can't be read
+async function readPoolImpact(token, chain, price, side) {
+  const entry = token[chain];
+  if (!entry.repPool || (entry.repPoolSchema && entry.repPoolSchema !== 'uniswap-v3')) return undefined;
+  try {
+    const { pools: [{ state }] } = await getPoolStates(chain, [entry.repPool]);
+    return state ? createPoolImpact(entry, state, price, side) : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Sizes the bridge is quoted at while sizing; sizes in between are interpolated
+const SIZING_ANCHORS_USD = [100, 1000, 10000, 100000, 1000000];
 
-  console.log("Ethereum Tokens Sorted by Liquidity:");
-  console.table(ethTokens);
+// Optimal size and break-even sizes of the routes with the widest gross spreads
+async function sizeRoutes(opportunities, commonTokens, registry, limit) {
+  const candidates = [...opportunities]
+    .filter(o => o.grossSpreadBps > 0)
+    .sort((a, b) => b.grossSpreadBps - a.grossSpreadBps)
+    .slice(0, limit);
 
-  console.log("Base Tokens Sorted by Liquidity:");
-  console.table(baseTokens);
+  const results = [];
+  for (const o of candidates) {
+    const token = commonTokens.find(t => tokenId(t) === o.tokenId);
+    if (!token) continue;
+    const model = {
+      quoteBridge: createBridgeQuoter(registry, token, o.buyChain, o.sellChain, o.buyPrice, { anchorsUsd: SIZING_ANCHORS_USD }),
+      buyImpact: await readPoolImpact(token, o.buyChain, o.buyPrice, 'buy'),
+      sellImpact: await readPoolImpact(token, o.sellChain, o.sellPrice, 'sell'),
+    };
+    results.push(await optimizeTradeSize(o, model, { points: 12, refineSteps: 8, concurrency: 2 }));
+  }
+  return results;
+}
+
+async function runPipeline() {
+  const liquidityThreshold = process.env.LIQUIDITY_THRESHOLD || "10000";
+  const chains = getActiveChains();
+  const { tokensByChain, commonTokens } = await discoverAllTokensSorted(liquidityThreshold, { chains });
+
+  chains.forEach(chain => {
+    console.log(`${chain} Tokens Sorted by Liquidity:`);
+    console.table(tokensByChain[chain]);
+  });
 
   console.log("Common Tokens:");
   console.table(commonTokens.map(token => ({
     symbol: token.symbol,
-    ethereum: token.ethereum,
-    base: token.base
+    chains: token.chains.join(', '),
+    matchedBy: token.matchedBy,
+    confidence: token.confidence,
   })));
 
-  const symbols = commonTokens.map(token => token.symbol);
-  const tokenPrices = await fetchTokenPrices(symbols);
+  const { prices: tokenPrices } = await fetchPriceConsensus(commonTokens, { chains });
 
   if (!tokenPrices || Object.keys(tokenPrices).length === 0) {
-    console.error("Failed to retrieve token prices from Alchemy.");
+    console.error("Failed to retrieve token prices.");
     return;
   }
 
-  const commonTokensDetailed = await Promise.all(commonTokens.map(async (token) => {
-    const ethPrice = tokenPrices[token.symbol]?.ethereum;
-    const basePrice = tokenPrices[token.symbol]?.base;
+  console.log("Price Consensus:");
+  console.table(commonTokens.flatMap(token => Object.entries(tokenPrices[tokenId(token)] || {}).map(([chain, record]) => ({
+    symbol: token.symbol,
+    chain,
+    price: record.value !== null ? record.value : '-',
+    status: record.status,
+    confidence: record.confidence.toFixed(2),
+    ageSeconds: record.ageMs !== null ? Math.round(record.ageMs / 1000) : '-',
+    agreed: record.agreed.join(', '),
+    rejected: record.rejected.map(id => `${id} (${record.rejections[id]})`).join(', '),
+    error: record.error || '',
+  }))));
 
-    if (!ethPrice || !basePrice) {
-      console.warn(`Prices missing for token: ${token.symbol}`);
-      return null;
-    }
+  // Every configured provider is asked for every route, at the trade size; the registry ranks the quotes.
+  const notionalUsd = Number(process.env.NOTIONAL_USD || 1000);
+  const registry = getDefaultRegistry();
+  const routeMatrix = await buildRouteMatrix(commonTokens, tokenPrices, { registry, usdAmount: notionalUsd });
 
-    // Attempt fee calculation via Hop.
-    let feesEthToBase = await calculateHopSwapFees(
-      token.symbol,
-      'ethereum',
-      'base',
-      1,
-      ethPrice,
-      token.ethereum.decimals
-    );
-    let feesBaseToEth = await calculateHopSwapFees(
-      token.symbol,
-      'base',
-      'ethereum',
-      1,
-      basePrice,
-      token.base.decimals
-    );
-
-    // If Hop fee data is unavailable, fallback to OpenOcean using token addresses.
-    if (feesEthToBase === "Route not supported" || feesEthToBase === "Not supported") {
-      console.log(`Fallback: Calculating OpenOcean fees for ${token.symbol} from ethereum to base`);
-      feesEthToBase = await calculateOpenOceanSwapFees(
-        token.symbol,
-        'ethereum',
-        'base',
-        1,
-        ethPrice,
-        token.ethereum.decimals,
-        token.ethereum.tokenAddress,  // Ethereum token address
-        token.base.tokenAddress       // Base token address
-      );
-    }
-    if (feesBaseToEth === "Route not supported" || feesBaseToEth === "Not supported") {
-      console.log(`Fallback: Calculating OpenOcean fees for ${token.symbol} from base to ethereum`);
-      feesBaseToEth = await calculateOpenOceanSwapFees(
+  console.log("Route Matrix (best fee per route):");
+  console.table(routeMatrix.routes.map(route => ({
+    symbol: route.symbol,
+    route: routeKey(route.sourceChain, route.destinationChain),
+    sourcePrice: route.sourcePrice,
+    destinationPrice: route.destinationPrice,
+    fee: formatFeeQuote(route.best, { showProvider: true }),
+    gasUsd: route.best.gasUsd !== null ? route.best.gasUsd.toFixed(4) : '-',
+  })));
+
+  console.log("Fee Quotes by Provider:");
+  console.table(routeMatrix.routes.flatMap(route => route.quotes.map(quote => ({
+    symbol: route.symbol,
+    route: routeKey(quote.sourceChain, quote.destinationChain),
+    provider: quote.provider,
+    status: quote.status,
+    fee: formatFeeQuote(quote),
+  }))));
+
+  const opportunities = findOpportunities(toOpportunityInputs(routeMatrix), { notionalUsd });
+
+  console.log(`Cross-chain Opportunities ($${notionalUsd} notional, best first):`);
+  console.table(opportunities.map(o => ({
+    symbol: o.symbol,
+    route: routeKey(o.buyChain, o.sellChain),
+    grossSpreadBps: o.grossSpreadBps.toFixed(2),
+    bridgeFeeUsd: o.bridgeFeeUsd.toFixed(4),
+    swapFeeUsd: o.swapFeeUsd.toFixed(4),
+    gasUsd: o.gasUsd.toFixed(4),
+    netProfitUsd: o.netProfitUsd.toFixed(4),
+  })));
+
+  const sized = await sizeRoutes(opportunities, commonTokens, registry, Number(process.env.SIZING_ROUTES || 2));
+  console.log("Trade Sizing (widest gross spreads):");
+  console.table(sized.map(s => ({
+    symbol: s.symbol,
+    route: routeKey(s.buyChain, s.sellChain),
+    optimalUsd: s.optimal ? s.optimal.notionalUsd.toFixed(0) : 'none',
+    maxProfitUsd: s.optimal ? s.optimal.netProfitUsd.toFixed(4) : '-',
+    breakEvenUsd: s.breakEven.lowerUsd !== null ? s.breakEven.lowerUsd.toFixed(0) : '-',
+    maxProfitableUsd: s.breakEven.upperUsd !== null ? s.breakEven.upperUsd.toFixed(0) : '-',
+  })));
+
+  const { alerts } = await createDefaultAlertEngine().evaluate(opportunities);
+  console.log(`Alerts fired: ${alerts.length}`);
+
+  if (isSnapshotRecordingEnabled()) {
+    const store = createSnapshotStore();
+    await store.append(buildSnapshot({
+      blockNumbers: await readBlockNumbers(chains),
+      pricesBySource: Object.fromEntries(commonTokens.map(token => [
         token.symbol,
-        'base',
-        'ethereum',
-        1,
-        basePrice,
-        token.base.decimals,
-        token.base.tokenAddress,      // Base token address
-        token.ethereum.tokenAddress   // Ethereum token address
-      );
-    }
+        Object.fromEntries(Object.entries(tokenPrices[tokenId(token)] || {}).map(([chain, record]) => [
+          chain,
+          Object.fromEntries(Object.entries(record.sources).map(([source, answer]) => [source, answer.value])),
+        ])),
+      ])),
+      routes: routeMatrix.routes,
+      opportunities,
+    }));
+    console.log(`Snapshot saved to ${store.dir}`);
+  }
 
-    return {
-      symbol: token.symbol,
-      ethPrice,
-      basePrice,
-      feesEthToBase,
-      feesBaseToEth,
-    };
-  }));
+  console.log("Cache stats:");
+  console.table(getCacheStats());
+}
 
-  console.log("Detailed Common Tokens with Prices and Fees:");
-  console.table(commonTokensDetailed.filter(Boolean));
+// Caches are flushed and providers closed even when a step throws or there are no prices
+async function main() {
+  try {
+    await runPipeline();
+  } finally {
+    flushCaches();
+    await closeProviders();
+  }
 }
 
 main().catch(error => console.error("Error running main script:", error));
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Threshold alert rules over findOpportunities() output.
+ *
+ * Each route (symbol + buy chain -> sell chain) is a small state machine:
+ * it fires when the net spread or net profit reaches the rule's threshold,
+ * then stays quiet until the value drops below threshold minus hysteresis
+ * (re-arming it), and never fires twice within the cooldown. A route missing
+ * from a check (failed quote, missing price) is re-armed too, so it can fire
+ * again when it comes back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { routeKey } = require('../opportunities');
+
+const RULE_FIELDS = ['minNetSpreadBps', 'minNetProfitUsd', 'hysteresisBps', 'hysteresisUsd', 'cooldownMs', 'enabled'];
+
+/**
+ * Merges the rule entries that apply to a token and route.
+ *
+ * @param {Object} rules - Rules keyed like config/alerts.js.
+ * @param {string} symbol - Token symbol.
+ * @param {string} buyChain - Chain bought on.
+ * @param {string} sellChain - Chain sold on.
+ * @return {Object} Effective rule.
+ */
+function resolveRule(rules, symbol, buyChain, sellChain) {
+  const route = routeKey(buyChain, sellChain);
+  const keys = ['default', route, symbol.toUpperCase(), `${symbol.toUpperCase()}:${route}`];
+
+  const rule = { hysteresisBps: 0, hysteresisUsd: 0, cooldownMs: 0, enabled: true };
+  keys.forEach(key => {
+    const entry = rules[key];
+    if (!entry) return;
+    RULE_FIELDS.forEach(field => {
+      if (entry[field] !== undefined) rule[field] = entry[field];
+    });
+  });
+  return rule;
+}
+
+function isTriggered(rule, opportunity) {
+  return (rule.minNetSpreadBps != null && opportunity.netSpreadBps >= rule.minNetSpreadBps)
+    || (rule.minNetProfitUsd != null && opportunity.netProfitUsd >= rule.minNetProfitUsd);
+}
+
+function isCleared(rule, opportunity) {
+  const spreadCleared = rule.minNetSpreadBps == null
+    || opportunity.netSpreadBps < rule.minNetSpreadBps - rule.hysteresisBps;
+  const profitCleared = rule.minNetProfitUsd == null
+    || opportunity.netProfitUsd < rule.minNetProfitUsd - rule.hysteresisUsd;
+  return spreadCleared && profitCleared;
+}
+
+function formatMessage(opportunity) {
+  const route = routeKey(opportunity.buyChain, opportunity.sellChain);
+  return `${opportunity.symbol} ${route}: net spread ${opportunity.netSpreadBps.toFixed(1)} bps, `
+    + `net profit $${opportunity.netProfitUsd.toFixed(2)} on $${opportunity.notionalUsd}`;
+}
+
+/**
+ * Creates an alert engine.
+ *
+ * @param {Object} options
+ * @param {Object} options.rules - Rules keyed like config/alerts.js.
+ * @param {Array<Object>} [options.sinks=[]] - Sinks from createSink() ({ type, send(alert) }).
+ * @param {string} [options.stateFile] - JSON file that keeps route state between runs.
+ * @param {Function} [options.now=Date.now] - Clock, for tests.
+ * @return {Object} Engine API.
+ */
+function createAlertEngine({ rules, sinks = [], stateFile, now = Date.now }) {
+  // routeId -> { active, lastFiredAt }
+  let state = {};
+  if (stateFile && fs.existsSync(stateFile)) {
+    try {
+      state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+      console.warn(`Ignoring unreadable alert state ${stateFile}: ${error.message}`);
+    }
+  }
+
+  function saveState() {
+    if (!stateFile) return;
+    fs.mkdirSync(path.dirname(path.resolve(stateFile)), { recursive: true });
+    fs.writeFileSync(stateFile, JSON.stringify(state));
+  }
+
+  /**
+   * Updates route state and returns the alerts that fire, without delivering them.
+   *
+   * @param {Array<Object>} opportunities - From findOpportunities().
+   * @return {Array<Object>} Alerts: { id, symbol, route, buyChain, sellChain, netSpreadBps,
+   *   netProfitUsd, grossSpreadBps, notionalUsd, rule, triggeredAt, message }
+   */
+  function check(opportunities) {
+    const alerts = [];
+    const seen = new Set();
+    opportunities.forEach(opportunity => {
+      const route = routeKey(opportunity.buyChain, opportunity.sellChain);
+      const id = `${opportunity.symbol}:${route}`;
+      seen.add(id);
+      const rule = resolveRule(rules, opportunity.symbol, opportunity.buyChain, opportunity.sellChain);
+      const routeState = state[id] || { active: false, lastFiredAt: null };
+      state[id] = routeState;
+      if (!rule.enabled) return;
+
+      if (routeState.active) {
+        if (isCleared(rule, opportunity)) routeState.active = false;
+        return;
+      }
+      if (!isTriggered(rule, opportunity)) return;
+
+      // Only a fired alert arms the route, so one that triggers during the cooldown fires once it ends
+      const coolingDown = routeState.lastFiredAt !== null && now() - routeState.lastFiredAt < rule.cooldownMs;
+      if (coolingDown) return;
+
+      routeState.active = true;
+      routeState.lastFiredAt = now();
+      alerts.push({
+        id,
+        symbol: opportunity.symbol,
+        route,
+        buyChain: opportunity.buyChain,
+        sellChain: opportunity.sellChain,
+        netSpreadBps: opportunity.netSpreadBps,
+        netProfitUsd: opportunity.netProfitUsd,
+        grossSpreadBps: opportunity.grossSpreadBps,
+        notionalUsd: opportunity.notionalUsd,
+        rule,
+        triggeredAt: new Date(routeState.lastFiredAt).toISOString(),
+        message: formatMessage(opportunity),
+      });
+    });
+    Object.keys(state).forEach(id => {
+      if (!seen.has(id)) state[id].active = false;
+    });
+    saveState();
+    return alerts;
+  }
+
+  /**
+   * Checks the opportunities and delivers every alert to every sink.
+   * A failing sink never stops delivery to the others.
+   *
+   * @param {Array<Object>} opportunities - From findOpportunities().
+   * @return {Promise<Object>} { alerts, deliveries: [{ alertId, sink, ok, error }] }
+   */
+  async function evaluate(opportunities) {
+    const alerts = check(opportunities);
+    const deliveries = [];
+    await Promise.all(alerts.flatMap(alert => sinks.map(async sink => {
+      try {
+        await sink.send(alert);
+        deliveries.push({ alertId: alert.id, sink: sink.type, ok: true, error: null });
+      } catch (error) {
+        console.error(`Alert delivery to ${sink.type} failed: ${error.message}`);
+        deliveries.push({ alertId: alert.id, sink: sink.type, ok: false, error: error.message });
+      }
+    })));
+    return { alerts, deliveries };
+  }
+
+  return {
+    check,
+    evaluate,
+    resolveRule: (symbol, buyChain, sellChain) => resolveRule(rules, symbol, buyChain, sellChain),
+    getState: () => JSON.parse(JSON.stringify(state)),
+  };
+}
+
+module.exports = { createAlertEngine, resolveRule };
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Alert engine wired to config/alerts.js.
+ */
+
+const { createAlertEngine, resolveRule } = require('./engine');
+const { createSink } = require('./sinks');
+const { getAlertRules, getAlertSinks, getAlertStateFile } = require('../../config/alerts');
+
+/**
+ * @return {Object} Alert engine using the configured rules, sinks and state file.
+ */
+function createDefaultAlertEngine() {
+  return createAlertEngine({
+    rules: getAlertRules(),
+    sinks: getAlertSinks().map(createSink),
+    stateFile: getAlertStateFile(),
+  });
+}
+
+module.exports = {
+  createAlertEngine,
+  createDefaultAlertEngine,
+  createSink,
+  resolveRule,
+};
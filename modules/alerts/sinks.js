@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Alert delivery sinks: generic webhook, Slack webhook, file and stdout.
+ *
+ * Every sink is { type, send(alert) => Promise }.
+ */
+
+const fs = require('fs');
+const { getHttpClient } = require('../../utils/httpClient');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * POSTs the alert as JSON.
+ *
+ * @param {Object} options - { url, headers = {}, timeoutMs = 10000,
+ *   http (defaults to the shared client, utils/httpClient.js) }
+ * @return {Object} Sink.
+ */
+function createWebhookSink({ url, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, http = getHttpClient() }) {
+  if (!url) throw new Error('Webhook sink needs a "url"');
+  return {
+    type: 'webhook',
+    send: alert => http.post(url, alert, { headers, timeout: timeoutMs }),
+  };
+}
+
+/**
+ * POSTs the alert to a Slack-compatible incoming webhook ({ text, blocks }).
+ *
+ * @param {Object} options - { url, timeoutMs = 10000, http (defaults to the shared client) }
+ * @return {Object} Sink.
+ */
+function createSlackSink({ url, timeoutMs = DEFAULT_TIMEOUT_MS, http = getHttpClient() }) {
+  if (!url) throw new Error('Slack sink needs a "url"');
+  return {
+    type: 'slack',
+    send: alert => http.post(url, {
+      text: `:rotating_light: ${alert.message}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${alert.symbol}* ${alert.route}\n${alert.message}` } },
+      ],
+    }, { timeout: timeoutMs }),
+  };
+}
+
+/**
+ * Appends the alert as one JSON line.
+ *
+ * @param {Object} options - { path }
+ * @return {Object} Sink.
+ */
+function createFileSink({ path }) {
+  if (!path) throw new Error('File sink needs a "path"');
+  return {
+    type: 'file',
+    send: alert => fs.promises.appendFile(path, `${JSON.stringify(alert)}\n`),
+  };
+}
+
+/**
+ * Writes the alert message to a stream.
+ *
+ * @param {Object} [options] - { stream = process.stdout }
+ * @return {Object} Sink.
+ */
+function createStdoutSink({ stream = process.stdout } = {}) {
+  return {
+    type: 'stdout',
+    send: async alert => {
+      stream.write(`[ALERT ${alert.triggeredAt}] ${alert.message}\n`);
+    },
+  };
+}
+
+const sinkFactories = {
+  webhook: createWebhookSink,
+  slack: createSlackSink,
+  file: createFileSink,
+  stdout: createStdoutSink,
+};
+
+/**
+ * Builds a sink from a config entry (see config/alerts.js).
+ *
+ * @param {Object} config - { type, ...options }
+ * @return {Object} Sink.
+ */
+function createSink(config) {
+  const factory = sinkFactories[config.type];
+  if (!factory) {
+    throw new Error(`Unknown alert sink "${config.type}" (expected ${Object.keys(sinkFactories).join(', ')})`);
+  }
+  return factory(config);
+}
+
+module.exports = {
+  createWebhookSink,
+  createSlackSink,
+  createFileSink,
+  createStdoutSink,
+  createSink,
+};
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview JSON HTTP API over discovery, prices, fees and opportunities.
+ *
+ * Routes:
+ *   GET /tokens?chain=              Discovered tokens on one chain (or the common tokens)
+ *   GET /prices?symbols=&chains=    USD price records per symbol and chain
+ *   GET /fees/:token?from=&to=&usdAmount=
+ *                                   Ranked fee quotes for one route; :token is a symbol, or the
+ *                                   token's address on "from" when several tokens share the symbol
+ *   GET /opportunities?notionalUsd= Cross-chain opportunities, best first
+ *
+ * Every upstream (discovery, prices, fee registry) can be injected, so the
+ * server runs against stubs in tests. Errors always come back as
+ * { error: { code, message } }.
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { discoverAllTokensSorted } = require('./tokenDiscovery');
+const { buildRouteMatrix, toOpportunityInputs } = require('./routeMatrix');
+const { findOpportunities } = require('./opportunities');
+const { getDefaultRegistry } = require('./feeProviders');
+const { fetchTokenPrices } = require('../utils/priceUtils');
+const { priceValue } = require('../utils/priceRecord');
+const { tokenId } = require('../utils/tokenId');
+const { createCache } = require('../utils/cache');
+const { getActiveChains } = require('../config/chainContext');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_CACHE_TTL_MS = {
+  discovery: 10 * MINUTE,
+  tokens: 10 * MINUTE,
+  prices: MINUTE,
+  fees: MINUTE,
+  opportunities: MINUTE,
+};
+
+const MAX_SYMBOLS = 50;
+const SYMBOL_PATTERN = /^[A-Za-z0-9.$_+-]{1,32}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} code - Machine-readable error code.
+   * @param {string} message - Human-readable message.
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function invalidParameter(message) {
+  return new HttpError(400, 'INVALID_PARAMETER', message);
+}
+
+function parseChain(value, name, chains) {
+  if (!value) throw invalidParameter(`"${name}" is required`);
+  const chain = value.trim().toLowerCase();
+  if (!chains.includes(chain)) {
+    throw invalidParameter(`"${name}" must be one of ${chains.join(', ')} (got "${value}")`);
+  }
+  return chain;
+}
+
+function decodePathSegment(value, name) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw invalidParameter(`Invalid "${name}" encoding`);
+  }
+}
+
+function parseSymbols(value) {
+  if (!value) throw invalidParameter('"symbols" is required');
+  const symbols = [...new Set(value.split(',').map(symbol => symbol.trim()).filter(Boolean))];
+  if (symbols.length === 0) throw invalidParameter('"symbols" is required');
+  if (symbols.length > MAX_SYMBOLS) throw invalidParameter(`At most ${MAX_SYMBOLS} symbols per request`);
+  const invalid = symbols.find(symbol => !SYMBOL_PATTERN.test(symbol));
+  if (invalid) throw invalidParameter(`Invalid symbol "${invalid}"`);
+  return symbols;
+}
+
+function parsePositiveNumber(value, name, fallback) {
+  if (value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!isFinite(number) || number <= 0) throw invalidParameter(`"${name}" must be a positive number (got "${value}")`);
+  return number;
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('content-type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the API server (not yet listening).
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.chains] - Chains served (defaults to getActiveChains()).
+ * @param {string} [options.liquidityThreshold] - Discovery threshold (defaults to LIQUIDITY_THRESHOLD or "10000").
+ * @param {Function} [options.discoverTokens] - (threshold, chains) => Promise<{ tokensByChain, commonTokens }>
+ * @param {Function} [options.fetchPrices] - (symbols or common tokens, chains) =>
+ *   Promise<{ [tokenId]: { [chain]: PriceRecord } }> (see utils/tokenId.js)
+ * @param {Object} [options.registry] - Fee provider registry (defaults to getDefaultRegistry()).
+ * @param {Object} [options.cacheTtlMs] - Per-route TTL overrides, keyed like DEFAULT_CACHE_TTL_MS.
+ * @return {http.Server} The server.
+ */
+function createApiServer(options = {}) {
+  const {
+    chains = getActiveChains(),
+    liquidityThreshold = process.env.LIQUIDITY_THRESHOLD || '10000',
+    discoverTokens = (threshold, activeChains) => discoverAllTokensSorted(threshold, { chains: activeChains }),
+    fetchPrices = (symbols, activeChains) => fetchTokenPrices(symbols, { chains: activeChains }),
+  } = options;
+  let { registry } = options;
+  const getRegistry = () => registry || (registry = getDefaultRegistry());
+
+  const ttls = { ...DEFAULT_CACHE_TTL_MS, ...options.cacheTtlMs };
+  const caches = {};
+  Object.entries(ttls).forEach(([name, ttlMs]) => {
+    caches[name] = createCache({ name: `api:${name}`, ttlMs });
+  });
+
+  function discover() {
+    return caches.discovery.wrap('all', () => discoverTokens(liquidityThreshold, chains));
+  }
+
+  // By address on the chain, else by symbol; a symbol several tokens share (bridged and native USDC) is a conflict
+  async function findCommonToken(symbolOrAddress, chain) {
+    const { commonTokens } = await discover();
+    let matches;
+    if (ADDRESS_PATTERN.test(symbolOrAddress)) {
+      const address = symbolOrAddress.toLowerCase();
+      matches = commonTokens.filter(t => t[chain] && t[chain].tokenAddress.toLowerCase() === address);
+    } else {
+      matches = commonTokens.filter(t => t.symbol === symbolOrAddress);
+      if (matches.length === 0) matches = commonTokens.filter(t => t.symbol.toLowerCase() === symbolOrAddress.toLowerCase());
+    }
+    if (matches.length === 0) throw new HttpError(404, 'NOT_FOUND', `No common token "${symbolOrAddress}" on ${chains.join(', ')}`);
+    if (matches.length > 1) {
+      throw new HttpError(409, 'AMBIGUOUS_TOKEN', `${matches.length} common tokens are "${symbolOrAddress}"; use the token's address on ${chain}`);
+    }
+    return matches[0];
+  }
+
+  const routes = [
+    {
+      pattern: /^\/tokens$/,
+      handle: async query => {
+        const chainParam = query.get('chain');
+        if (!chainParam) {
+          return caches.tokens.wrap('common', async () => ({ chains, tokens: (await discover()).commonTokens }));
+        }
+        const chain = parseChain(chainParam, 'chain', chains);
+        return caches.tokens.wrap(chain, async () => ({ chain, tokens: (await discover()).tokensByChain[chain] || [] }));
+      },
+    },
+    {
+      pattern: /^\/prices$/,
+      handle: async query => {
+        const symbols = parseSymbols(query.get('symbols'));
+        const priceChains = query.get('chains')
+          ? query.get('chains').split(',').map(chain => parseChain(chain, 'chains', chains))
+          : chains;
+        const key = `${symbols.join(',')}|${priceChains.join(',')}`;
+        return caches.prices.wrap(key, async () => ({ chains: priceChains, prices: await fetchPrices(symbols, priceChains) }));
+      },
+    },
+    {
+      pattern: /^\/fees\/([^/]+)$/,
+      handle: async (query, [rawToken]) => {
+        const rawSymbol = decodePathSegment(rawToken, 'token');
+        const [symbol] = ADDRESS_PATTERN.test(rawSymbol) ? [rawSymbol] : parseSymbols(rawSymbol);
+        const sourceChain = parseChain(query.get('from'), 'from', chains);
+        const destinationChain = parseChain(query.get('to'), 'to', chains);
+        if (sourceChain === destinationChain) throw invalidParameter('"from" and "to" must be different chains');
+        const usdAmount = parsePositiveNumber(query.get('usdAmount'), 'usdAmount', 1);
+
+        const key = `${symbol}|${sourceChain}->${destinationChain}|${usdAmount}`;
+        return caches.fees.wrap(key, async () => {
+          const token = await findCommonToken(symbol, sourceChain);
+          [sourceChain, destinationChain].forEach(chain => {
+            if (!token[chain]) throw new HttpError(404, 'NOT_FOUND', `${token.symbol} was not found on ${chain}`);
+          });
+
+          const prices = (await fetchPrices([token], [sourceChain]))[tokenId(token)] || {};
+          const tokenPriceUSD = priceValue(prices[sourceChain]);
+          const { best, quotes } = await getRegistry().quoteAll({
+            token,
+            sourceChain,
+            destinationChain,
+            usdAmount,
+            tokenPriceUSD,
+            decimals: Number(token[sourceChain].decimals),
+          });
+          return { symbol: token.symbol, tokenId: tokenId(token), sourceChain, destinationChain, usdAmount, tokenPriceUSD, best, quotes };
+        });
+      },
+    },
+    {
+      pattern: /^\/opportunities$/,
+      handle: async query => {
+        const notionalUsd = parsePositiveNumber(query.get('notionalUsd'), 'notionalUsd', 1000);
+        return caches.opportunities.wrap(String(notionalUsd), async () => {
+          const { commonTokens } = await discover();
+          const prices = await fetchPrices(commonTokens, chains);
+          const routeMatrix = await buildRouteMatrix(commonTokens, prices, { registry: getRegistry(), usdAmount: notionalUsd });
+          return { notionalUsd, opportunities: findOpportunities(toOpportunityInputs(routeMatrix), { notionalUsd }) };
+        });
+      },
+    },
+  ];
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = routes.find(r => r.pattern.test(url.pathname));
+      if (!route) throw new HttpError(404, 'NOT_FOUND', `No route for ${url.pathname}`);
+      if (req.method !== 'GET') throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not supported`);
+
+      const params = url.pathname.match(route.pattern).slice(1);
+      sendJson(res, 200, await route.handle(url.searchParams, params));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: { code: error.code, message: error.message } });
+        return;
+      }
+      console.error(`API error for ${req.url}:`, error.message);
+      sendJson(res, 502, { error: { code: 'UPSTREAM_ERROR', message: error.message } });
+    }
+  });
+}
+
+module.exports = { createApiServer, HttpError };
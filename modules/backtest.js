@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Replays recorded snapshots through the opportunity logic.
+ *
+ * At every snapshot, routes whose net spread clears the entry thresholds
+ * raise a signal. A signalled trade buys executionDelayMs later, bridges for
+ * the route's latency and sells on arrival, at the prices recorded at those
+ * times, so the PnL reflects how the spread moved while we were in flight.
+ *
+ * Prices and fees come from a priceSource and a feeSource. The defaults read
+ * the recorded snapshots only, so a replay never touches the network; any
+ * object with the same methods can stand in for them.
+ */
+
+const { findOpportunities, evaluateRoute, routeKey } = require('./opportunities');
+const { FeeStatus, isQuoteUsable } = require('../utils/feeQuote');
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Index of the last point at or before time, or -1
+function lastIndexAtOrBefore(points, time) {
+  let low = 0;
+  let high = points.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (points[mid].time <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+function addPoint(timelines, key, time, value) {
+  if (!timelines.has(key)) timelines.set(key, []);
+  timelines.get(key).push({ time, value });
+}
+
+/**
+ * Price source over recorded snapshots: the latest price at or before a time.
+ * When a snapshot holds several sources for a price, their median is used.
+ *
+ * @param {Array<Object>} snapshots - From the snapshot store.
+ * @return {Object} { getPrice(symbol, chain, time) => number|null }
+ */
+function createRecordedPriceSource(snapshots) {
+  const timelines = new Map();
+  snapshots.forEach(snapshot => {
+    const time = toTime(snapshot.takenAt);
+    Object.entries(snapshot.prices || {}).forEach(([symbol, byChain]) => {
+      Object.entries(byChain).forEach(([chain, bySource]) => {
+        const values = Object.values(bySource).filter(value => typeof value === 'number' && isFinite(value) && value > 0);
+        if (values.length) addPoint(timelines, `${symbol}:${chain}`, time, median(values));
+      });
+    });
+  });
+  timelines.forEach(points => points.sort((a, b) => a.time - b.time));
+
+  return {
+    getPrice(symbol, chain, time) {
+      const points = timelines.get(`${symbol}:${chain}`) || [];
+      const index = lastIndexAtOrBefore(points, toTime(time));
+      return index >= 0 ? points[index].value : null;
+    },
+  };
+}
+
+/**
+ * Fee source over recorded snapshots: the best usable quote recorded for a
+ * route at or before a time (real quotes before estimates, then lowest bps).
+ *
+ * @param {Array<Object>} snapshots - From the snapshot store.
+ * @return {Object} { getFeeQuote(symbol, sourceChain, destinationChain, time) => quote|null }
+ */
+function createRecordedFeeSource(snapshots) {
+  const timelines = new Map();
+  snapshots.forEach(snapshot => {
+    const time = toTime(snapshot.takenAt);
+    const bestByRoute = new Map();
+    (snapshot.fees || []).filter(isQuoteUsable).forEach(quote => {
+      const key = `${quote.symbol}:${quote.route}`;
+      const best = bestByRoute.get(key);
+      const better = !best
+        || (quote.status === FeeStatus.SUCCESS && best.status !== FeeStatus.SUCCESS)
+        || (quote.status === best.status && quote.feeBps < best.feeBps);
+      if (better) bestByRoute.set(key, quote);
+    });
+    bestByRoute.forEach((quote, key) => addPoint(timelines, key, time, quote));
+  });
+  timelines.forEach(points => points.sort((a, b) => a.time - b.time));
+
+  return {
+    getFeeQuote(symbol, sourceChain, destinationChain, time) {
+      const points = timelines.get(`${symbol}:${routeKey(sourceChain, destinationChain)}`) || [];
+      const index = lastIndexAtOrBefore(points, toTime(time));
+      return index >= 0 ? points[index].value : null;
+    },
+  };
+}
+
+function perRoute(value, route, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === 'number') return value;
+  return value[route] !== undefined ? value[route] : (value.default !== undefined ? value.default : fallback);
+}
+
+function summarize(trades) {
+  const wins = trades.filter(trade => trade.netProfitUsd > 0).length;
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdownUsd = 0;
+  trades.forEach(trade => {
+    equity += trade.netProfitUsd;
+    peak = Math.max(peak, equity);
+    maxDrawdownUsd = Math.max(maxDrawdownUsd, peak - equity);
+  });
+
+  return {
+    trades: trades.length,
+    wins,
+    losses: trades.length - wins,
+    hitRate: trades.length ? wins / trades.length : null,
+    pnlUsd: equity,
+    averagePnlUsd: trades.length ? equity / trades.length : null,
+    bestTradeUsd: trades.length ? Math.max(...trades.map(trade => trade.netProfitUsd)) : null,
+    worstTradeUsd: trades.length ? Math.min(...trades.map(trade => trade.netProfitUsd)) : null,
+    maxDrawdownUsd,
+  };
+}
+
+/**
+ * Runs a backtest.
+ *
+ * @param {Array<Object>} snapshots - Snapshots in any order (see snapshotStore.js).
+ * @param {Object} [options]
+ * @param {number} [options.notionalUsd=1000] - Size of every trade.
+ * @param {number} [options.minNetSpreadBps=0] - Enter when the expected net spread reaches this.
+ * @param {number} [options.minNetProfitUsd=0] - ...and the expected net profit reaches this.
+ * @param {number} [options.executionDelayMs=0] - Signal to buy.
+ * @param {number|Object} [options.bridgeLatencyMs=0] - Buy to sell, or { ['from->to']: ms, default: ms }.
+ * @param {number|Object} [options.swapFeeBps] - Passed to the opportunity logic.
+ * @param {number|Object} [options.gasUsd] - Passed to the opportunity logic.
+ * @param {Object} [options.priceSource] - { getPrice(symbol, chain, time) } (defaults to the recorded prices).
+ * @param {Object} [options.feeSource] - { getFeeQuote(symbol, from, to, time) } (defaults to the recorded fees).
+ * @return {Object} { summary, byToken, trades, equityCurve }
+ */
+function runBacktest(snapshots, options = {}) {
+  const {
+    notionalUsd = 1000,
+    minNetSpreadBps = 0,
+    minNetProfitUsd = 0,
+    executionDelayMs = 0,
+    bridgeLatencyMs = 0,
+    swapFeeBps,
+    gasUsd,
+    priceSource = createRecordedPriceSource(snapshots),
+    feeSource = createRecordedFeeSource(snapshots),
+  } = options;
+  const costs = { notionalUsd, swapFeeBps, gasUsd };
+
+  const ordered = [...snapshots].sort((a, b) => toTime(a.takenAt) - toTime(b.takenAt));
+  const lastTime = ordered.length ? toTime(ordered[ordered.length - 1].takenAt) : 0;
+  const busyUntil = new Map(); // 'symbol:from->to' -> time the open trade settles
+  const trades = [];
+  let signals = 0;
+  let unsettled = 0;
+
+  ordered.forEach(snapshot => {
+    const time = toTime(snapshot.takenAt);
+    const inputs = Object.keys(snapshot.prices || {}).map(symbol => {
+      const chains = Object.keys(snapshot.prices[symbol]);
+      const prices = {};
+      chains.forEach(chain => {
+        const price = priceSource.getPrice(symbol, chain, time);
+        if (price !== null) prices[chain] = price;
+      });
+      const bridgeFees = {};
+      chains.forEach(from => chains.forEach(to => {
+        if (from === to) return;
+        const quote = feeSource.getFeeQuote(symbol, from, to, time);
+        if (quote) bridgeFees[routeKey(from, to)] = quote;
+      }));
+      return { symbol, prices, bridgeFees };
+    });
+
+    findOpportunities(inputs, { ...costs, includeUnprofitable: false })
+      .filter(o => o.netSpreadBps >= minNetSpreadBps && o.netProfitUsd >= minNetProfitUsd)
+      .forEach(signal => {
+        const route = routeKey(signal.buyChain, signal.sellChain);
+        const key = `${signal.symbol}:${route}`;
+        if (busyUntil.has(key) && busyUntil.get(key) > time) return;
+        signals += 1;
+
+        const buyAt = time + executionDelayMs;
+        const sellAt = buyAt + perRoute(bridgeLatencyMs, route, 0);
+        // The route is committed until the trade would settle, whether or not it can be priced
+        busyUntil.set(key, sellAt);
+        if (sellAt > lastTime) {
+          unsettled += 1;
+          return;
+        }
+
+        const buyPrice = priceSource.getPrice(signal.symbol, signal.buyChain, buyAt);
+        const sellPrice = priceSource.getPrice(signal.symbol, signal.sellChain, sellAt);
+        const bridgeFee = feeSource.getFeeQuote(signal.symbol, signal.buyChain, signal.sellChain, buyAt);
+        const realized = evaluateRoute(
+          { symbol: signal.symbol, prices: { [signal.buyChain]: buyPrice, [signal.sellChain]: sellPrice }, bridgeFees: { [route]: bridgeFee } },
+          signal.buyChain,
+          signal.sellChain,
+          costs
+        );
+        if (!realized) {
+          unsettled += 1;
+          return;
+        }
+
+        trades.push({
+          symbol: signal.symbol,
+          route,
+          signalAt: new Date(time).toISOString(),
+          buyAt: new Date(buyAt).toISOString(),
+          sellAt: new Date(sellAt).toISOString(),
+          expectedNetProfitUsd: signal.netProfitUsd,
+          buyPrice,
+          sellPrice,
+          bridgeFeeUsd: realized.bridgeFeeUsd,
+          swapFeeUsd: realized.swapFeeUsd,
+          gasUsd: realized.gasUsd,
+          netProfitUsd: realized.netProfitUsd,
+        });
+      });
+  });
+
+  // PnL is booked when a trade settles
+  const settled = [...trades].sort((a, b) => toTime(a.sellAt) - toTime(b.sellAt));
+  let equity = 0;
+  const equityCurve = settled.map(trade => {
+    equity += trade.netProfitUsd;
+    return { time: trade.sellAt, equityUsd: equity };
+  });
+
+  const byToken = {};
+  [...new Set(settled.map(trade => trade.symbol))].forEach(symbol => {
+    byToken[symbol] = summarize(settled.filter(trade => trade.symbol === symbol));
+  });
+
+  return {
+    summary: { snapshots: ordered.length, signals, unsettled, ...summarize(settled) },
+    byToken,
+    trades: settled,
+    equityCurve,
+  };
+}
+
+module.exports = { runBacktest, createRecordedPriceSource, createRecordedFeeSource };
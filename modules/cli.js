@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Command-line interface: discover, prices, fees, scan, watch,
+ * backtest and check-endpoints, with table/JSON/NDJSON/CSV output.
+ *
+ * Data goes to stdout; the pipeline modules log diagnostics with
+ * console.warn/console.error, which go to stderr, so JSON/CSV output can be piped. run() returns one of
+ * EXIT_CODES instead of exiting, which keeps it testable.
+ */
+
+const { parseArgs } = require('util');
+const { discoverAllTokensSorted } = require('./tokenDiscovery');
+const { buildRouteMatrix, toOpportunityInputs } = require('./routeMatrix');
+const { findOpportunities, routeKey } = require('./opportunities');
+const { getDefaultRegistry } = require('./feeProviders');
+const { checkEndpoints } = require('./endpointCheck');
+const { createPriceWatcher } = require('./watcher');
+const { buildSnapshot, createSnapshotStore } = require('./snapshotStore');
+const { runBacktest } = require('./backtest');
+const { fetchTokenPrices } = require('../utils/priceUtils');
+const { tokenId } = require('../utils/tokenId');
+const { isQuoteUsable } = require('../utils/feeQuote');
+const { priceValue } = require('../utils/priceRecord');
+const { OUTPUT_FORMATS, writeRows } = require('../utils/output');
+const { getActiveChains, getChainNames } = require('../config/chainContext');
+
+const EXIT_CODES = Object.freeze({
+  OK: 0,
+  ERROR: 1,             // Unexpected failure
+  USAGE: 2,             // Bad command or flags
+  PARTIAL: 3,           // Ran, but some data was unavailable (missing prices, failed quotes or endpoints)
+  NO_OPPORTUNITIES: 4,  // scan found nothing profitable, or backtest took no trade
+});
+
+const COMMANDS = ['discover', 'prices', 'fees', 'scan', 'watch', 'backtest', 'check-endpoints'];
+
+const HELP = `Usage: price-agg <command> [options]
+
+Commands:
+  discover          Tokens found on two or more chains
+  prices            USD price of each token on each chain
+  fees              Best bridge fee quote for every route
+  scan              Cross-chain opportunities after fees and gas
+  watch             Stream price, spread and opportunity events as NDJSON until interrupted
+  backtest          Replay recorded snapshots and report PnL per token (see SNAPSHOT_DIR)
+  check-endpoints   Probe the RPC and WebSocket endpoint of every chain
+
+Options:
+  --chains <a,b>      Chains to use (default: CHAINS or ethereum,base)
+  --tokens <A,B>      Only these symbols (prices: required unless discovering)
+  --threshold <n>     V3 pool liquidity threshold for discovery (default: LIQUIDITY_THRESHOLD or 10000)
+  --notional <usd>    Trade size for fees and scan (default: NOTIONAL_USD or 1000)
+  --timeout <ms>      Endpoint check timeout (default: 15000)
+  --format <f>        ${OUTPUT_FORMATS.join(' | ')} (default: table)
+  --record            watch: store a snapshot per block that moved a price (see SNAPSHOT_DIR)
+  --from <time>       backtest: first snapshot time (ISO date or time)
+  --to <time>         backtest: last snapshot time
+  --min-spread <bps>  backtest: net spread needed to enter a trade (default: 0)
+  --delay <ms>        backtest: delay from signal to buy (default: 0)
+  --latency <ms>      backtest: bridge time from buy to sell (default: 0)
+  -h, --help          Show this help
+
+Exit codes:
+  0 ok, 1 error, 2 usage, 3 partial data, 4 scan found no profitable opportunity or backtest took no trade
+`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function parsePositive(value, name) {
+  const number = Number(value);
+  if (!isFinite(number) || number <= 0) throw new UsageError(`--${name} must be a positive number (got "${value}")`);
+  return number;
+}
+
+function parseNonNegative(value, name) {
+  const number = Number(value);
+  if (!isFinite(number) || number < 0) throw new UsageError(`--${name} must be zero or more (got "${value}")`);
+  return number;
+}
+
+function parseTime(value, name) {
+  if (value === undefined) return undefined;
+  if (isNaN(new Date(value).getTime())) throw new UsageError(`--${name} must be a date or time (got "${value}")`);
+  return value;
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        chains: { type: 'string' },
+        tokens: { type: 'string' },
+        threshold: { type: 'string' },
+        notional: { type: 'string' },
+        timeout: { type: 'string' },
+        format: { type: 'string', default: 'table' },
+        record: { type: 'boolean', default: false },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'min-spread': { type: 'string', default: '0' },
+        delay: { type: 'string', default: '0' },
+        latency: { type: 'string', default: '0' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...extra] = positionals;
+  if (values.help || !command) return { help: true };
+  if (!COMMANDS.includes(command)) throw new UsageError(`Unknown command "${command}"`);
+  if (extra.length) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  const chains = (parseList(values.chains) || getActiveChains()).map(chain => chain.toLowerCase());
+  const unknown = chains.find(chain => !getChainNames().includes(chain));
+  if (unknown) throw new UsageError(`Unknown chain "${unknown}" (expected ${getChainNames().join(', ')})`);
+
+  return {
+    command,
+    chains,
+    tokens: parseList(values.tokens),
+    threshold: values.threshold !== undefined
+      ? String(parsePositive(values.threshold, 'threshold'))
+      : process.env.LIQUIDITY_THRESHOLD || '10000',
+    notionalUsd: parsePositive(values.notional !== undefined ? values.notional : process.env.NOTIONAL_USD || 1000, 'notional'),
+    timeoutMs: values.timeout !== undefined ? parsePositive(values.timeout, 'timeout') : undefined,
+    format: values.format,
+    record: values.record,
+    from: parseTime(values.from, 'from'),
+    to: parseTime(values.to, 'to'),
+    minNetSpreadBps: parseNonNegative(values['min-spread'], 'min-spread'),
+    executionDelayMs: parseNonNegative(values.delay, 'delay'),
+    bridgeLatencyMs: parseNonNegative(values.latency, 'latency'),
+  };
+}
+
+function matchesTokens(symbol, tokens) {
+  return !tokens || tokens.some(token => token.toLowerCase() === symbol.toLowerCase());
+}
+
+// Shared by fees, scan and watch: discovery -> prices -> route matrix
+async function buildMatrix(args, services) {
+  const { commonTokens } = await services.discover(args.threshold, args.chains);
+  const tokens = commonTokens.filter(token => matchesTokens(token.symbol, args.tokens));
+  const prices = tokens.length ? await services.fetchPrices(tokens, args.chains) : {};
+  const routeMatrix = await buildRouteMatrix(tokens, prices, { registry: services.getRegistry(), usdAmount: args.notionalUsd });
+  return { tokens, routeMatrix };
+}
+
+const handlers = {
+  async discover(args, services) {
+    const { commonTokens } = await services.discover(args.threshold, args.chains);
+    const rows = commonTokens
+      .filter(token => matchesTokens(token.symbol, args.tokens))
+      .map(token => ({
+        symbol: token.symbol,
+        chains: token.chains.join(','),
+        matchedBy: token.matchedBy,
+        confidence: token.confidence,
+        ...Object.fromEntries(token.chains.map(chain => [chain, token[chain].tokenAddress])),
+      }));
+    return { rows, exitCode: EXIT_CODES.OK };
+  },
+
+  async prices(args, services) {
+    let tokens = args.tokens;
+    if (!tokens) {
+      ({ commonTokens: tokens } = await services.discover(args.threshold, args.chains));
+    }
+    const prices = tokens.length ? await services.fetchPrices(tokens, args.chains) : {};
+
+    let missing = false;
+    const rows = tokens.map(token => {
+      const row = { symbol: typeof token === 'string' ? token : token.symbol };
+      args.chains.forEach(chain => {
+        row[chain] = priceValue((prices[tokenId(token)] || {})[chain]);
+        if (row[chain] === null) missing = true;
+      });
+      return row;
+    });
+    return { rows, exitCode: missing ? EXIT_CODES.PARTIAL : EXIT_CODES.OK };
+  },
+
+  async fees(args, services) {
+    const { routeMatrix: { routes } } = await buildMatrix(args, services);
+    const rows = routes.map(route => ({
+      symbol: route.symbol,
+      route: routeKey(route.sourceChain, route.destinationChain),
+      provider: route.best.provider,
+      status: route.best.status,
+      feeBps: route.best.feeBps,
+      feeUsd: route.best.feeUsd,
+      gasUsd: route.best.gasUsd,
+      error: route.best.error,
+    }));
+    const incomplete = routes.some(route => !isQuoteUsable(route.best));
+    return { rows, exitCode: incomplete ? EXIT_CODES.PARTIAL : EXIT_CODES.OK };
+  },
+
+  async scan(args, services) {
+    const { routeMatrix } = await buildMatrix(args, services);
+    const opportunities = findOpportunities(toOpportunityInputs(routeMatrix), { notionalUsd: args.notionalUsd });
+    const rows = opportunities.map(o => ({
+      symbol: o.symbol,
+      route: routeKey(o.buyChain, o.sellChain),
+      buyPrice: o.buyPrice,
+      sellPrice: o.sellPrice,
+      grossSpreadBps: o.grossSpreadBps,
+      bridgeFeeUsd: o.bridgeFeeUsd,
+      swapFeeUsd: o.swapFeeUsd,
+      gasUsd: o.gasUsd,
+      netProfitUsd: o.netProfitUsd,
+      profitable: o.profitable,
+    }));
+    const found = opportunities.some(o => o.profitable);
+    return { rows, exitCode: found ? EXIT_CODES.OK : EXIT_CODES.NO_OPPORTUNITIES };
+  },
+
+  async watch(args, services, stdout) {
+    const { tokens, routeMatrix } = await buildMatrix(args, services);
+    const inputs = toOpportunityInputs(routeMatrix);
+    const bridgeFees = Object.fromEntries(inputs.map(input => [input.tokenId, input.bridgeFees]));
+
+    const watcher = services.createWatcher({
+      commonTokens: tokens,
+      prices: Object.fromEntries(inputs.map(input => [input.tokenId, input.prices])),
+      bridgeFees,
+      notionalUsd: args.notionalUsd,
+    });
+    ['priceUpdate', 'spreadChanged', 'opportunity', 'connected', 'disconnected'].forEach(event => {
+      watcher.on(event, data => stdout.write(`${JSON.stringify({ event, at: new Date().toISOString(), ...data })}\n`));
+    });
+    watcher.on('error', error => console.error(`watch: ${error.message}`));
+
+    if (args.record) {
+      // One snapshot per block tick that moved a price
+      const store = services.getSnapshotStore();
+      const blockNumbers = {};
+      let dirty = false;
+      watcher.on('priceUpdate', () => { dirty = true; });
+      watcher.on('block', ({ chain, blockNumber }) => {
+        blockNumbers[chain] = blockNumber;
+        if (!dirty) return;
+        dirty = false;
+        const prices = watcher.getPrices();
+        const watched = tokens.filter(token => prices[tokenId(token)]);
+        const opportunities = findOpportunities(
+          watched.map(token => ({ tokenId: tokenId(token), symbol: token.symbol, prices: prices[tokenId(token)], bridgeFees: bridgeFees[tokenId(token)] || {} })),
+          { notionalUsd: args.notionalUsd }
+        );
+        // Snapshots are keyed by symbol
+        const snapshotPrices = Object.fromEntries(watched.map(token => [token.symbol, prices[tokenId(token)]]));
+        store.append(buildSnapshot({ source: 'block', blockNumbers: { ...blockNumbers }, prices: snapshotPrices, priceSource: 'uniswap-v3', opportunities }))
+          .catch(error => console.error(`watch: failed to record snapshot: ${error.message}`));
+      });
+    }
+
+    await watcher.start();
+    await services.untilInterrupted();
+    watcher.stop();
+    return { rows: null, exitCode: EXIT_CODES.OK };
+  },
+
+  async backtest(args, services) {
+    const snapshots = (await services.getSnapshotStore().query({ from: args.from, to: args.to }))
+      .map(snapshot => {
+        // Keep only the requested chains and tokens
+        const prices = {};
+        Object.entries(snapshot.prices).forEach(([symbol, byChain]) => {
+          if (!matchesTokens(symbol, args.tokens)) return;
+          prices[symbol] = Object.fromEntries(Object.entries(byChain).filter(([chain]) => args.chains.includes(chain)));
+        });
+        return { ...snapshot, prices };
+      });
+
+    const { summary, byToken } = runBacktest(snapshots, {
+      notionalUsd: args.notionalUsd,
+      minNetSpreadBps: args.minNetSpreadBps,
+      executionDelayMs: args.executionDelayMs,
+      bridgeLatencyMs: args.bridgeLatencyMs,
+    });
+    const toRow = (symbol, stats) => ({
+      symbol,
+      trades: stats.trades,
+      hitRate: stats.hitRate,
+      pnlUsd: stats.pnlUsd,
+      averagePnlUsd: stats.averagePnlUsd,
+      maxDrawdownUsd: stats.maxDrawdownUsd,
+    });
+    const rows = [...Object.entries(byToken).map(([symbol, stats]) => toRow(symbol, stats)), toRow('TOTAL', summary)];
+    return { rows, exitCode: summary.trades ? EXIT_CODES.OK : EXIT_CODES.NO_OPPORTUNITIES };
+  },
+
+  async 'check-endpoints'(args, services) {
+    const options = args.timeoutMs ? { timeoutMs: args.timeoutMs } : {};
+    const rows = await services.checkEndpoints(args.chains, options);
+    const failed = rows.some(row => row.ok === false);
+    return { rows, exitCode: failed ? EXIT_CODES.PARTIAL : EXIT_CODES.OK };
+  },
+};
+
+/**
+ * Runs one CLI invocation.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @param {Object} [options]
+ * @param {stream.Writable} [options.stdout=process.stdout] - Data output.
+ * @param {stream.Writable} [options.stderr=process.stderr] - Errors and help for usage errors.
+ * @param {Object} [options.services] - Upstream overrides:
+ *   { discover, fetchPrices, registry, checkEndpoints, createWatcher, untilInterrupted, snapshotStore }.
+ * @return {Promise<number>} One of EXIT_CODES.
+ */
+async function run(argv, options = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, services: overrides = {} } = options;
+
+  let args;
+  try {
+    args = parseCommandLine(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${HELP}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (args.help) {
+    stdout.write(HELP);
+    return EXIT_CODES.OK;
+  }
+
+  let registry = overrides.registry;
+  const services = {
+    discover: overrides.discover || ((threshold, chains) => discoverAllTokensSorted(threshold, { chains })),
+    fetchPrices: overrides.fetchPrices || ((tokens, chains) => fetchTokenPrices(tokens, { chains })),
+    checkEndpoints: overrides.checkEndpoints || checkEndpoints,
+    getRegistry: () => registry || (registry = getDefaultRegistry()),
+    createWatcher: overrides.createWatcher || createPriceWatcher,
+    getSnapshotStore: () => overrides.snapshotStore || createSnapshotStore(),
+    untilInterrupted: overrides.untilInterrupted
+      || (() => new Promise(resolve => ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, resolve)))),
+  };
+
+  try {
+    const { rows, exitCode } = await handlers[args.command](args, services, stdout);
+    if (rows) writeRows(rows, args.format, stdout);
+    return exitCode;
+  } catch (error) {
+    stderr.write(`${args.command} failed: ${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = { run, EXIT_CODES };
@@ -1,56 +1,184 @@
 /**
- * @fileoverview Cross-chain bridging or swap estimation using 1inch aggregator.
+ * @fileoverview 1inch aggregator adapter (Swap API v6).
+ *
+ * 1inch swaps within one chain, so a cross-chain route uses it on either side
+ * of a bridge (see modules/routeComposer.js) rather than for the bridge
+ * itself. Each chain's base URL is oneInchApi in config/chainContext.js and
+ * requests are authorised with ONEINCH_API_KEY.
+ *
+ * Quotes are normalized to the shape quoteOpenOceanSwap() returns:
+ *   { provider, chain, tokenIn, tokenOut, amountIn, amountOut, estimatedGas }
+ * with amounts in minimal units, so compareSwapQuotes() can rank the two
+ * aggregators on the same trade.
  */
 
-const axios = require('axios');
+const { ethers } = require('ethers');
 const { getChainConfig } = require('../../config/chainContext');
+const { getHttpClient } = require('../../utils/httpClient');
+
+const PROVIDER = '1inch';
+
+/**
+ * @param {string} chain - Chain name.
+ * @param {Object} options - { baseUrl, apiKey } overriding the chain config and ONEINCH_API_KEY, and http
+ *   overriding the shared client.
+ * @return {Object} { baseUrl, headers, http }
+ */
+function getApiSettings(chain, options) {
+  const baseUrl = options.baseUrl || getChainConfig(chain).oneInchApi;
+  if (!baseUrl) {
+    throw new Error(`1inch not configured for chain "${chain}"`);
+  }
+  const apiKey = options.apiKey || process.env.ONEINCH_API_KEY;
+  if (!apiKey) {
+    throw new Error('ONEINCH_API_KEY is not set');
+  }
+  return {
+    baseUrl: baseUrl.replace(/\/$/, ''),
+    headers: { Authorization: `Bearer ${apiKey}`, accept: 'application/json' },
+    http: options.http || getHttpClient(),
+  };
+}
 
 /**
- * Estimate a cross-chain "bridge" by checking 1inch aggregator on the destination chain.
- * In reality, 1inch might require you to do a swap on source chain + bridging service + swap on destination chain.
- * This is a simplified approach that queries 1inch's swap quote on the destination chain.
+ * GET a Swap API endpoint. 400/404 answers (no liquidity, unknown token)
+ * throw with code 'UNSUPPORTED_ROUTE', like OpenOcean's non-200 codes.
+ */
+async function request(chain, endpoint, params, options) {
+  const { baseUrl, headers, http } = getApiSettings(chain, options);
+  try {
+    const response = await http.get(`${baseUrl}/${endpoint}`, { params, headers });
+    return response.data;
+  } catch (error) {
+    if (!error.response) throw error;
+    const { status, data = {} } = error.response;
+    const failure = new Error(`1inch ${endpoint} returned ${status}: ${data.description || data.error || error.message}`);
+    if (status === 400 || status === 404) failure.code = 'UNSUPPORTED_ROUTE';
+    throw failure;
+  }
+}
+
+function normalize(chain, fromTokenAddress, toTokenAddress, amount, data) {
+  const estimatedGas = data.gas ?? (data.tx ? data.tx.gas : undefined);
+  return {
+    provider: PROVIDER,
+    chain,
+    tokenIn: fromTokenAddress,
+    tokenOut: toTokenAddress,
+    amountIn: ethers.BigNumber.from(amount).toString(),
+    amountOut: ethers.BigNumber.from(data.dstAmount).toString(),
+    estimatedGas: estimatedGas != null ? Number(estimatedGas) : null,
+  };
+}
+
+/**
+ * Quotes a same-chain swap.
+ *
+ * @param {string} chain - Chain name, e.g. 'base'.
+ * @param {string} fromTokenAddress - Token sold.
+ * @param {string} toTokenAddress - Token bought.
+ * @param {string} amount - Amount sold, in minimal units.
+ * @param {Object} [options] - { baseUrl, apiKey, http }
+ * @return {Promise<Object>} Normalized swap quote.
+ */
+async function get1inchQuote(chain, fromTokenAddress, toTokenAddress, amount, options = {}) {
+  const data = await request(chain, 'quote', {
+    src: fromTokenAddress,
+    dst: toTokenAddress,
+    amount: ethers.BigNumber.from(amount).toString(),
+    includeGas: true,
+  }, options);
+  return normalize(chain, fromTokenAddress, toTokenAddress, amount, data);
+}
+
+/**
+ * Builds swap calldata. The balance and allowance checks are disabled, so
+ * the sender does not need to hold the tokens yet.
  *
- * @param {string} sourceChain 'ethereum' or 'base'
- * @param {string} destChain 'ethereum' or 'base'
- * @param {string} fromTokenAddress The token address on source chain
- * @param {string} toTokenAddress The token address on destination chain
- * @param {string} amount The amount in minimal units (scaled by decimals)
- * @return {Promise<Object>} { estimatedGas, toTokenAmount, ... } from 1inch
+ * @param {string} chain - Chain name, e.g. 'base'.
+ * @param {string} fromTokenAddress - Token sold.
+ * @param {string} toTokenAddress - Token bought.
+ * @param {string} amount - Amount sold, in minimal units.
+ * @param {Object} options
+ * @param {string} options.fromAddress - Address that will send the transaction.
+ * @param {number} [options.slippage=1] - Slippage percentage.
+ * @param {string} [options.baseUrl] - Overrides the chain's oneInchApi.
+ * @param {string} [options.apiKey] - Overrides ONEINCH_API_KEY.
+ * @param {Object} [options.http] - HTTP client (defaults to the shared one, utils/httpClient.js).
+ * @return {Promise<Object>} Normalized swap quote plus tx: { from, to, data, value, gas, gasPrice }.
  */
-async function get1inchBridgeQuote(sourceChain, destChain, fromTokenAddress, toTokenAddress, amount) {
-  // In practice, bridging from chain A to chain B may involve:
-  // 1) Swapping token on source chain into a canonical bridging token
-  // 2) Using a bridging protocol to move funds
-  // 3) Swapping into the final token on the destination chain
-  // 1inch might only handle steps 1 & 3. The bridging step may be external or partial.
-
-  const destConfig = getChainConfig(destChain);
-  if (!destConfig.oneInchApi) {
-    throw new Error(`1inch not configured for chain "${destChain}"`);
+async function get1inchSwap(chain, fromTokenAddress, toTokenAddress, amount, options = {}) {
+  const { fromAddress, slippage = 1 } = options;
+  if (!fromAddress) {
+    throw new Error('1inch swap needs a fromAddress');
   }
+  const data = await request(chain, 'swap', {
+    src: fromTokenAddress,
+    dst: toTokenAddress,
+    amount: ethers.BigNumber.from(amount).toString(),
+    from: fromAddress,
+    slippage,
+    disableEstimate: true,
+    includeGas: true,
+  }, options);
+  return { ...normalize(chain, fromTokenAddress, toTokenAddress, amount, data), tx: data.tx };
+}
+
+// Required lazily: OpenOcean pulls in the gas estimator and its RPC providers
+function defaultQuoters() {
+  const { quoteOpenOceanSwap } = require('../../utils/openoceanFees');
+  return {
+    [PROVIDER]: (chain, tokenIn, tokenOut, amountIn) => get1inchQuote(chain, tokenIn, tokenOut, amountIn),
+    openocean: (chain, tokenIn, tokenOut, amountIn, decimalsIn) => quoteOpenOceanSwap(chain, tokenIn, tokenOut, amountIn, decimalsIn),
+  };
+}
 
-  // Example endpoint: GET /v5.0/<chainId>/quote
-  // But for an actual "bridge," you might need a custom bridging aggregator or multiple calls.
-  // We'll do a simplified approach that queries the "quote" endpoint on the destination chain’s aggregator.
-  const url = `${destConfig.oneInchApi}/quote`;
+/**
+ * Quotes one swap on every aggregator and ranks them by output.
+ *
+ * @param {string} chain - Chain name.
+ * @param {string} tokenIn - Token sold.
+ * @param {string} tokenOut - Token bought.
+ * @param {string} amountIn - Amount sold, in minimal units.
+ * @param {number} decimalsIn - Decimals of the token sold (OpenOcean takes human-readable amounts).
+ * @param {Object} [options]
+ * @param {Object} [options.quoters] - { [provider]: async (chain, tokenIn, tokenOut, amountIn, decimalsIn) => quote }
+ *   (defaults to 1inch and OpenOcean).
+ * @return {Promise<Object>} { best, quotes, failures }: quotes are best first, each with shortfallBps
+ *   (how much less it returns than the best); failures are { provider, error }.
+ */
+async function compareSwapQuotes(chain, tokenIn, tokenOut, amountIn, decimalsIn, options = {}) {
+  const quoters = options.quoters || defaultQuoters();
+  const results = await Promise.all(Object.entries(quoters).map(async ([provider, quote]) => {
+    try {
+      return { provider, quote: await quote(chain, tokenIn, tokenOut, amountIn, decimalsIn) };
+    } catch (error) {
+      return { provider, error: error.message };
+    }
+  }));
 
-  try {
-    const response = await axios.get(url, {
-      params: {
-        fromTokenAddress,
-        toTokenAddress,
-        amount,
-      },
-      timeout: 30000,
+  const quotes = results
+    .filter(result => result.quote)
+    .map(result => result.quote)
+    .sort((a, b) => {
+      const diff = ethers.BigNumber.from(b.amountOut).sub(a.amountOut);
+      return diff.isZero() ? 0 : (diff.isNegative() ? -1 : 1);
     });
-
-    return response.data; 
-  } catch (error) {
-    console.error('Error fetching 1inch bridge quote:', error);
-    throw error;
+  const failures = results.filter(result => result.error).map(({ provider, error }) => ({ provider, error }));
+  if (quotes.length === 0) {
+    return { best: null, quotes: [], failures };
   }
+
+  const bestOut = ethers.BigNumber.from(quotes[0].amountOut);
+  const ranked = quotes.map(quote => ({
+    ...quote,
+    shortfallBps: bestOut.isZero() ? 0 : bestOut.sub(quote.amountOut).mul(10000).div(bestOut).toNumber(),
+  }));
+  return { best: ranked[0], quotes: ranked, failures };
 }
 
 module.exports = {
-  get1inchBridgeQuote,
+  get1inchQuote,
+  get1inchSwap,
+  compareSwapQuotes,
 };
@@ -4,15 +4,60 @@
  * We retrieve send data (fee breakdown) using Hop's getSendData.
  * For L1→L2 transfers (e.g., Ethereum → Base), bonder fees and destination tx fees are typically zero.
  *
- * We define our own ChainConstants to avoid reliance on the SDK’s Chain export.
+ * Hop chain names come from the hopChain field in config/chainContext.js,
+ * so we avoid relying on the SDK’s Chain export.
  */
 
-const { Hop } = require('@hop-protocol/sdk');
+const { getChainNames, getChainConfig } = require('../../config/chainContext');
+const { getCache } = require('../../utils/cache');
 
-const ChainConstants = {
-  Ethereum: "ethereum",
-  Base: "base",
-};
+// Building a Hop instance loads the SDK's chain and token metadata; share one per network.
+const hopInstances = new Map();
+
+/**
+ * Returns the shared Hop SDK instance for a network.
+ *
+ * @param {string} [network="mainnet"] - The network for Hop
+ * @return {Hop} The SDK instance.
+ */
+function getHopInstance(network = 'mainnet') {
+  if (!hopInstances.has(network)) {
+    // Loaded on first use: the SDK is heavy, and only Hop quotes need it
+    const { Hop } = require('@hop-protocol/sdk');
+    hopInstances.set(network, new Hop(network));
+  }
+  return hopInstances.get(network);
+}
+
+/**
+ * Fetches send data for a Hop bridge, cached briefly under the hop cache
+ * source so repeated quotes for the same route and amount share one call.
+ * The amount stays in the key: the bridge AMM's slippage makes fees grow
+ * faster than the amount, so one quote cannot stand in for another size.
+ *
+ * @param {Object} bridge - HopBridge from hop.bridge(tokenSymbol)
+ * @param {string} tokenSymbol - e.g. "USDC" (part of the cache key)
+ * @param {string} amount - Amount in minimal units (as a string)
+ * @param {string} srcChain - Hop source chain name
+ * @param {string} dstChain - Hop destination chain name
+ * @param {string} [network="mainnet"] - The network for Hop
+ * @return {Promise<Object>} The send data object
+ */
+function getCachedSendData(bridge, tokenSymbol, amount, srcChain, dstChain, network = 'mainnet') {
+  const key = `${network}:${tokenSymbol}:${srcChain}->${dstChain}:${amount}`;
+  return getCache('hop').wrap(key, () => bridge.getSendData(amount, srcChain, dstChain));
+}
+
+/**
+ * Maps an internal chain name to Hop's chain name.
+ *
+ * @param {string} chainName - Internal chain name, e.g. "arbitrum"
+ * @return {string|undefined} Hop chain name, or undefined if Hop does not serve the chain.
+ */
+function getHopChain(chainName) {
+  const name = chainName.toLowerCase();
+  return getChainNames().includes(name) ? getChainConfig(name).hopChain : undefined;
+}
 
 // Supported tokens for Hop bridging (whitelist based on supported assets; adjust as needed)
 const supportedHopTokens = new Set(["WETH", "USDC", "ETH"]);
@@ -34,27 +79,18 @@ async function getHopSendData(tokenSymbol, amount, sourceChain, destChain, netwo
       throw new Error(`Token "${tokenSymbol}" is not supported by Hop's SDK on the current chain.`);
     }
     
-    let srcChain, dstChain;
-    if (sourceChain.toLowerCase() === 'ethereum') {
-      srcChain = ChainConstants.Ethereum;
-    } else if (sourceChain.toLowerCase() === 'base') {
-      srcChain = ChainConstants.Base;
-    } else {
+    const srcChain = getHopChain(sourceChain);
+    if (!srcChain) {
       throw new Error(`Unsupported source chain: ${sourceChain}`);
     }
-    if (destChain.toLowerCase() === 'ethereum') {
-      dstChain = ChainConstants.Ethereum;
-    } else if (destChain.toLowerCase() === 'base') {
-      dstChain = ChainConstants.Base;
-    } else {
+    const dstChain = getHopChain(destChain);
+    if (!dstChain) {
       throw new Error(`Unsupported destination chain: ${destChain}`);
     }
     
-    const hop = new Hop(network);
-    console.debug(`Fetching Hop send data for token ${tokenSymbol}, amount ${amount}, from ${srcChain} to ${dstChain}`);
+    const hop = getHopInstance(network);
     const bridge = hop.bridge(tokenSymbol);
-    const sendData = await bridge.getSendData(amount, srcChain, dstChain);
-    console.debug(`Received Hop send data: ${JSON.stringify(sendData)}`);
+    const sendData = await getCachedSendData(bridge, tokenSymbol, amount, srcChain, dstChain, network);
     return sendData;
   } catch (error) {
     console.error(`Error in getHopSendData: ${error.message}`);
@@ -62,4 +98,4 @@ async function getHopSendData(tokenSymbol, amount, sourceChain, destChain, netwo
   }
 }
 
-module.exports = { getHopSendData };
+module.exports = { getHopSendData, getHopChain, getHopInstance, getCachedSendData };
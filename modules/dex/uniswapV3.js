@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Reads on-chain state from Uniswap V3 pools.
+ *
+ * Prices come straight from the pools we would trade against (the repPool
+ * returned by tokenDiscovery) rather than from an aggregated USD feed. Reads
+ * go through Multicall3 so a whole chain's pools are read at one block.
+ */
+
+const { UNISWAP_V3_POOL_ABI } = require('../../config/constants');
+const { computePoolPrice, toBN } = require('../../utils/bigNumberUtils');
+const { multicall } = require('../multicall');
+
+function formatSlot0(slot0) {
+  return {
+    sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+    tick: slot0.tick,
+    observationIndex: slot0.observationIndex,
+    observationCardinality: slot0.observationCardinality,
+    observationCardinalityNext: slot0.observationCardinalityNext,
+    feeProtocol: slot0.feeProtocol,
+    unlocked: slot0.unlocked,
+  };
+}
+
+const POOL_STATE_CALLS = ['slot0', 'liquidity', 'fee'];
+
+/**
+ * Fetches slot0, liquidity and the fee tier of many pools in one multicall,
+ * all read at the same block.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {string[]} poolAddresses - Uniswap V3 pool addresses
+ * @param {Object} [options] - Passed to multicall() (blockTag, chunkSize, provider).
+ * @return {Promise<Object>} { blockNumber, pools: [{ pool, state, error }] } in input order.
+ *   state is null (and error set) when any read failed for that pool.
+ */
+async function getPoolStates(chainName, poolAddresses, options = {}) {
+  const calls = poolAddresses.flatMap(target =>
+    POOL_STATE_CALLS.map(functionName => ({ target, abi: UNISWAP_V3_POOL_ABI, functionName }))
+  );
+  const { blockNumber, results } = await multicall(chainName, calls, options);
+
+  const pools = poolAddresses.map((pool, index) => {
+    const [slot0, liquidity, fee] = results.slice(index * POOL_STATE_CALLS.length, (index + 1) * POOL_STATE_CALLS.length);
+    const failed = [slot0, liquidity, fee].find(result => !result.success);
+    if (failed) return { pool, state: null, error: failed.error };
+
+    return {
+      pool,
+      state: {
+        ...formatSlot0(slot0.value),
+        liquidity: liquidity.value.toString(),
+        fee: fee.value,
+      },
+      error: null,
+    };
+  });
+
+  return { blockNumber, pools };
+}
+
+/**
+ * Fetches slot0, liquidity and the fee tier of a pool.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {string} poolAddress - Uniswap V3 pool address
+ * @return {Promise<Object>} { sqrtPriceX96, tick, observationIndex, ..., liquidity, fee (hundredths of a bip) }
+ */
+async function getPoolState(chainName, poolAddress) {
+  const { pools: [{ state, error }] } = await getPoolStates(chainName, [poolAddress]);
+  if (!state) throw new Error(`Failed to read pool ${poolAddress} on ${chainName}: ${error}`);
+  return state;
+}
+
+/**
+ * Fetches slot0 and the in-range liquidity of a pool.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {string} poolAddress - Uniswap V3 pool address
+ * @return {Promise<Object>} { sqrtPriceX96, tick, observationIndex, ..., liquidity }
+ */
+async function getSlot0(chainName, poolAddress) {
+  const { fee, ...slot0 } = await getPoolState(chainName, poolAddress);
+  return slot0;
+}
+
+/**
+ * Converts sqrtPriceX96 to the price of token0 in units of token1.
+ *
+ * @param {string} sqrtPriceX96 - The sqrtPriceX96 value as a string.
+ * @param {number} token0Decimals - Decimals for token0.
+ * @param {number} token1Decimals - Decimals for token1.
+ * @return {string} Price as a decimal string.
+ */
+function computePriceFromSqrt(sqrtPriceX96, token0Decimals, token1Decimals) {
+  return computePoolPrice(sqrtPriceX96.toString(), Number(token0Decimals), Number(token1Decimals));
+}
+
+function assertV3Pool(token) {
+  if (token.repPoolSchema && token.repPoolSchema !== 'uniswap-v3') {
+    throw new Error(`Representative pool ${token.repPool} for ${token.symbol} is not a Uniswap V3 pool (${token.repPoolSchema})`);
+  }
+}
+
+/**
+ * Prices a discovered token in units of its paired token from a pool sqrt price.
+ *
+ * @param {Object} token - Entry from getSortedTokens (needs isToken0, decimals, pairedToken)
+ * @param {string} sqrtPriceX96 - The pool's sqrtPriceX96
+ * @return {string} Price as a decimal string.
+ */
+function computeTokenPrice(token, sqrtPriceX96) {
+  const { pairedToken } = token;
+
+  // Pool price is always token0 in units of token1; flip it when our token is token1
+  return token.isToken0
+    ? computePriceFromSqrt(sqrtPriceX96, token.decimals, pairedToken.decimals)
+    : toBN(1).div(toBN(computePriceFromSqrt(sqrtPriceX96, pairedToken.decimals, token.decimals))).toFixed();
+}
+
+function priceFromState(token, state) {
+  const { pairedToken } = token;
+  return {
+    symbol: token.symbol,
+    pool: token.repPool,
+    price: computeTokenPrice(token, state.sqrtPriceX96),
+    quoteSymbol: pairedToken.symbol,
+    quoteAddress: pairedToken.tokenAddress,
+    fee: state.fee,
+    tick: state.tick,
+    liquidity: state.liquidity,
+  };
+}
+
+/**
+ * Prices a discovered token from its representative pool.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {Object} token - Entry from getSortedTokens (needs repPool, isToken0, decimals, pairedToken)
+ * @return {Promise<Object>} { symbol, pool, price, quoteSymbol, quoteAddress, fee, tick, liquidity }
+ */
+async function getTokenPoolPrice(chainName, token) {
+  assertV3Pool(token);
+  const state = await getPoolState(chainName, token.repPool);
+  return priceFromState(token, state);
+}
+
+/**
+ * Prices many discovered tokens from one consistent snapshot of their
+ * representative pools. Tokens whose pool is not Uniswap V3, or whose reads
+ * failed, come back with price null and an error.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {Array<Object>} tokens - Entries from getSortedTokens
+ * @param {Object} [options] - Passed to multicall() (blockTag, chunkSize, provider).
+ * @return {Promise<Object>} { blockNumber, prices: [getTokenPoolPrice() result | { symbol, pool, price: null, error }] }
+ */
+async function getTokenPoolPrices(chainName, tokens, options = {}) {
+  const v3Tokens = tokens.filter(token => !token.repPoolSchema || token.repPoolSchema === 'uniswap-v3');
+  const { blockNumber, pools } = await getPoolStates(chainName, v3Tokens.map(token => token.repPool), options);
+  const stateByToken = new Map(v3Tokens.map((token, index) => [token, pools[index]]));
+
+  const prices = tokens.map(token => {
+    const entry = stateByToken.get(token);
+    if (!entry) {
+      return { symbol: token.symbol, pool: token.repPool, price: null, error: `Not a Uniswap V3 pool (${token.repPoolSchema})` };
+    }
+    if (!entry.state) return { symbol: token.symbol, pool: token.repPool, price: null, error: entry.error };
+    return priceFromState(token, entry.state);
+  });
+
+  return { blockNumber, prices };
+}
+
+module.exports = {
+  getSlot0,
+  getPoolState,
+  getPoolStates,
+  computePriceFromSqrt,
+  computeTokenPrice,
+  getTokenPoolPrice,
+  getTokenPoolPrices,
+};
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Time-weighted average prices from Uniswap V3 pool oracles.
+ *
+ * A pool records its cumulative tick in a ring buffer of observations, and
+ * observe([window, 0]) gives the cumulative tick then and now, so the
+ * arithmetic-mean tick over the window is their difference divided by the
+ * window. That tick is turned into a price exactly like a spot sqrt price
+ * (token ordering and decimals included).
+ *
+ * The buffer only reaches back as far as its oldest observation: a pool with
+ * a small observationCardinality cannot answer long windows. Such windows
+ * come back with insufficientHistory set, along with how much history the
+ * pool has, rather than failing the whole read. Raising the pool's
+ * cardinality (increaseObservationCardinalityNext) is the fix.
+ */
+
+const { ethers } = require('ethers');
+const { UNISWAP_V3_POOL_ABI, MULTICALL3_ADDRESS, MULTICALL3_ABI } = require('../../config/constants');
+const { getTwapWindows } = require('../../config/twap');
+const { getProvider } = require('../../config/provider');
+const { getSqrtRatioAtTick } = require('../../utils/tickMath');
+const { multicall } = require('../multicall');
+const { computeTokenPrice } = require('./uniswapV3');
+
+/**
+ * Arithmetic-mean tick between two cumulative ticks, rounded towards negative
+ * infinity like OracleLibrary.consult.
+ *
+ * @param {ethers.BigNumber|string|number} tickCumulativeStart - Cumulative tick windowSeconds ago.
+ * @param {ethers.BigNumber|string|number} tickCumulativeEnd - Cumulative tick now.
+ * @param {number} windowSeconds - Seconds between the two.
+ * @return {number} The mean tick.
+ */
+function computeMeanTick(tickCumulativeStart, tickCumulativeEnd, windowSeconds) {
+  const delta = ethers.BigNumber.from(tickCumulativeEnd).sub(tickCumulativeStart);
+  let tick = delta.div(windowSeconds); // Truncates towards zero
+  if (delta.isNegative() && !delta.mod(windowSeconds).isZero()) tick = tick.sub(1);
+  return tick.toNumber();
+}
+
+// The slot after the newest observation is the oldest once the ring has wrapped; until then it is slot 0
+function oldestObservation(candidate, first) {
+  return candidate.success && candidate.value.initialized ? candidate.value : (first.success ? first.value : null);
+}
+
+/**
+ * Reads mean ticks of many pools over every window, in two multicalls pinned
+ * to one block.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {string[]} poolAddresses - Uniswap V3 pool addresses
+ * @param {Object} [options]
+ * @param {number[]} [options.windows] - Windows in seconds (defaults to config/twap.js).
+ * @param {Object} [options.provider] - Provider to use instead of getProvider(chainName).
+ * @param {number|string} [options.blockTag] - Block to read at (defaults to the latest).
+ * @return {Promise<Object>} { blockNumber, blockTimestamp, pools: [{ pool, tick, observationCardinality,
+ *   observationCardinalityNext, historySeconds, windows: [{ windowSeconds, meanTick, insufficientHistory,
+ *   error }], error }] } in input order. historySeconds is the age of the oldest observation.
+ */
+async function getPoolTwaps(chainName, poolAddresses, options = {}) {
+  const { windows = getTwapWindows(), provider = getProvider(chainName) } = options;
+  const blockTag = options.blockTag !== undefined ? options.blockTag : await provider.getBlockNumber();
+  const read = calls => multicall(chainName, calls, { provider, blockTag });
+
+  const { results: heads } = await read([
+    { target: MULTICALL3_ADDRESS, abi: MULTICALL3_ABI, functionName: 'getCurrentBlockTimestamp' },
+    ...poolAddresses.map(target => ({ target, abi: UNISWAP_V3_POOL_ABI, functionName: 'slot0' })),
+  ]);
+  const [timestampResult, ...slot0s] = heads;
+  if (!timestampResult.success) throw new Error(`Failed to read the ${chainName} block timestamp: ${timestampResult.error}`);
+  const blockTimestamp = timestampResult.value.toNumber();
+
+  // Per pool: the oldest observation candidates, then one observe() per window so one window failing keeps the rest
+  const callsPerPool = 2 + windows.length;
+  const { results } = await read(poolAddresses.flatMap((target, index) => {
+    const slot0 = slot0s[index].success ? slot0s[index].value : { observationIndex: 0, observationCardinality: 1 };
+    const next = (slot0.observationIndex + 1) % Math.max(slot0.observationCardinality, 1);
+    return [
+      { target, abi: UNISWAP_V3_POOL_ABI, functionName: 'observations', args: [next] },
+      { target, abi: UNISWAP_V3_POOL_ABI, functionName: 'observations', args: [0] },
+      ...windows.map(windowSeconds => ({ target, abi: UNISWAP_V3_POOL_ABI, functionName: 'observe', args: [[windowSeconds, 0]] })),
+    ];
+  }));
+
+  const pools = poolAddresses.map((pool, index) => {
+    const slot0 = slot0s[index];
+    if (!slot0.success) {
+      return { pool, tick: null, observationCardinality: null, observationCardinalityNext: null, historySeconds: null, windows: [], error: slot0.error };
+    }
+    const [candidate, first, ...observed] = results.slice(index * callsPerPool, (index + 1) * callsPerPool);
+    const oldest = oldestObservation(candidate, first);
+    const historySeconds = oldest ? blockTimestamp - oldest.blockTimestamp : null;
+    const { observationCardinality, observationCardinalityNext } = slot0.value;
+
+    return {
+      pool,
+      tick: slot0.value.tick,
+      observationCardinality,
+      observationCardinalityNext,
+      historySeconds,
+      windows: windows.map((windowSeconds, windowIndex) => {
+        const result = observed[windowIndex];
+        const insufficientHistory = historySeconds !== null && historySeconds < windowSeconds;
+        if (result.success && !insufficientHistory) {
+          const [start, end] = result.value.tickCumulatives;
+          return { windowSeconds, meanTick: computeMeanTick(start, end, windowSeconds), insufficientHistory: false, error: null };
+        }
+        return {
+          windowSeconds,
+          meanTick: null,
+          insufficientHistory,
+          error: insufficientHistory
+            ? `Observations cover ${historySeconds}s (cardinality ${observationCardinality}), less than the ${windowSeconds}s window`
+            : result.error,
+        };
+      }),
+      error: null,
+    };
+  });
+
+  return { blockNumber: blockTag, blockTimestamp, pools };
+}
+
+/**
+ * TWAP prices of discovered tokens from their representative pools, in units
+ * of the paired token.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {Array<Object>} tokens - Entries from getSortedTokens (need repPool, isToken0, decimals, pairedToken)
+ * @param {Object} [options] - Same as getPoolTwaps().
+ * @return {Promise<Object>} { blockNumber, blockTimestamp, prices: [{ symbol, pool, quoteSymbol,
+ *   observationCardinality, observationCardinalityNext, historySeconds, twaps: [{ windowSeconds, meanTick,
+ *   price, insufficientHistory, error }], error }] } in input order; price is a decimal string or null.
+ */
+async function getTokenTwapPrices(chainName, tokens, options = {}) {
+  const v3Tokens = tokens.filter(token => !token.repPoolSchema || token.repPoolSchema === 'uniswap-v3');
+  const { blockNumber, blockTimestamp, pools } = await getPoolTwaps(chainName, v3Tokens.map(token => token.repPool), options);
+  const twapByToken = new Map(v3Tokens.map((token, index) => [token, pools[index]]));
+
+  const prices = tokens.map(token => {
+    const base = { symbol: token.symbol, pool: token.repPool, quoteSymbol: token.pairedToken ? token.pairedToken.symbol : null };
+    const twap = twapByToken.get(token);
+    if (!twap) {
+      return { ...base, observationCardinality: null, observationCardinalityNext: null, historySeconds: null, twaps: [], error: `Not a Uniswap V3 pool (${token.repPoolSchema})` };
+    }
+    const { pool, tick, windows, ...history } = twap;
+    return {
+      ...base,
+      ...history,
+      twaps: windows.map(({ windowSeconds, meanTick, insufficientHistory, error }) => ({
+        windowSeconds,
+        meanTick,
+        price: meanTick === null ? null : computeTokenPrice(token, getSqrtRatioAtTick(meanTick).toString()),
+        insufficientHistory,
+        error,
+      })),
+    };
+  });
+
+  return { blockNumber, blockTimestamp, prices };
+}
+
+module.exports = { computeMeanTick, getPoolTwaps, getTokenTwapPrices };
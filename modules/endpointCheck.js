@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Connectivity checks for the configured RPC and WebSocket endpoints.
+ */
+
+const { ethers } = require('ethers');
+const { getChainConfig } = require('../config/chainContext');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Asks an HTTP RPC endpoint for the current block.
+ *
+ * @param {string} url - RPC URL.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=15000] - Give up after this long.
+ * @return {Promise<Object>} { ok, blockNumber, latencyMs, error }
+ */
+async function checkRpc(url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  try {
+    const provider = new ethers.providers.StaticJsonRpcProvider({ url, timeout: timeoutMs });
+    const blockNumber = await withTimeout(provider.getBlockNumber(), timeoutMs, 'RPC');
+    return { ok: true, blockNumber, latencyMs: Date.now() - startedAt, error: null };
+  } catch (error) {
+    return { ok: false, blockNumber: null, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+/**
+ * Connects to a WebSocket endpoint and waits for one new block.
+ *
+ * @param {string} url - WebSocket URL.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=15000] - Give up after this long (blocks can take ~12s on Ethereum).
+ * @return {Promise<Object>} { ok, blockNumber, latencyMs, error }
+ */
+async function checkWebSocket(url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  let provider;
+  try {
+    provider = new ethers.providers.WebSocketProvider(url);
+    const blockNumber = await withTimeout(new Promise((resolve, reject) => {
+      provider.websocket.onerror = error => reject(new Error(error.message || 'WebSocket error'));
+      provider.once('block', resolve);
+    }), timeoutMs, 'WebSocket');
+    return { ok: true, blockNumber, latencyMs: Date.now() - startedAt, error: null };
+  } catch (error) {
+    return { ok: false, blockNumber: null, latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    if (provider) provider.destroy().catch(() => {});
+  }
+}
+
+/**
+ * Checks the RPC and WebSocket endpoints of every chain. Chains without a
+ * WebSocket URL report that endpoint as skipped (ok: null).
+ *
+ * @param {string[]} chains - Chain names.
+ * @param {Object} [options] - { timeoutMs }
+ * @return {Promise<Array<Object>>} [{ chain, type, ok, blockNumber, latencyMs, error }]
+ */
+async function checkEndpoints(chains, options = {}) {
+  const checks = chains.flatMap(chain => {
+    const { rpcUrl, wsUrl } = getChainConfig(chain);
+    return [
+      { chain, type: 'rpc', url: rpcUrl, check: checkRpc },
+      { chain, type: 'ws', url: wsUrl, check: checkWebSocket },
+    ];
+  });
+
+  return Promise.all(checks.map(async ({ chain, type, url, check }) => {
+    if (!url) {
+      const error = 'not configured';
+      return type === 'rpc'
+        ? { chain, type, ok: false, blockNumber: null, latencyMs: null, error }
+        : { chain, type, ok: null, blockNumber: null, latencyMs: null, error };
+    }
+    return { chain, type, ...(await check(url, options)) };
+  }));
+}
+
+module.exports = { checkRpc, checkWebSocket, checkEndpoints };
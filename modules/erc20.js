@@ -0,0 +1,33 @@
+/**
+ * @fileoverview ERC-20 metadata reads, batched through Multicall3.
+ */
+
+const { ERC20_ABI } = require('../config/constants');
+const { multicall } = require('./multicall');
+
+const METADATA_CALLS = ['symbol', 'name', 'decimals'];
+
+/**
+ * Reads symbol, name and decimals for many tokens at one block.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {string[]} tokenAddresses - ERC-20 addresses
+ * @param {Object} [options] - Passed to multicall() (blockTag, chunkSize, provider).
+ * @return {Promise<Array<Object>>} [{ tokenAddress, symbol, name, decimals }] in input order;
+ *   fields a token does not implement (or implements as bytes32) are null.
+ */
+async function getTokenMetadata(chainName, tokenAddresses, options = {}) {
+  const calls = tokenAddresses.flatMap(target =>
+    METADATA_CALLS.map(functionName => ({ target, abi: ERC20_ABI, functionName }))
+  );
+  const { results } = await multicall(chainName, calls, options);
+
+  return tokenAddresses.map((tokenAddress, index) => {
+    const [symbol, name, decimals] = results
+      .slice(index * METADATA_CALLS.length, (index + 1) * METADATA_CALLS.length)
+      .map(result => (result.success ? result.value : null));
+    return { tokenAddress, symbol, name, decimals };
+  });
+}
+
+module.exports = { getTokenMetadata };
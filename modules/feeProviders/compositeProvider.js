@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Composite swap -> bridge -> swap routes as a fee provider.
+ *
+ * The best path from modules/routeComposer.js becomes a FeeQuote whose
+ * output is converted to source-chain decimals; its legs are attached as
+ * quote.legs.
+ */
+
+const { ethers } = require('ethers');
+const { createRouteComposer } = require('../routeComposer');
+const { FeeStatus, createFeeQuote, failedFeeQuote } = require('../../utils/feeQuote');
+const { priceValue } = require('../../utils/priceRecord');
+
+/**
+ * @param {Object} [composer] - From createRouteComposer() (defaults to one with the built-in quoters).
+ * @return {Object} Fee provider with id 'composite'.
+ */
+function createCompositeProvider(composer = createRouteComposer()) {
+  return {
+    id: 'composite',
+
+    supportsRoute({ token, sourceChain, destinationChain }) {
+      return Boolean(token[sourceChain]?.tokenAddress)
+        && Boolean(token[destinationChain]?.tokenAddress)
+        && composer.listHubs(sourceChain, destinationChain).length > 0;
+    },
+
+    async quote({ token, sourceChain, destinationChain, usdAmount, tokenPriceUSD: price, decimals }) {
+      const context = { provider: 'composite', tokenSymbol: token.symbol, sourceChain, destinationChain };
+      const tokenPriceUSD = priceValue(price);
+      if (tokenPriceUSD === null) {
+        return failedFeeQuote(FeeStatus.INVALID_PRICE, context, `No valid USD price for ${token.symbol}`);
+      }
+
+      const tokenAmount = (usdAmount / tokenPriceUSD).toFixed(Math.min(decimals, 8));
+      const inputAmount = ethers.utils.parseUnits(tokenAmount, decimals);
+      const { best, paths } = await composer.composeRoutes({
+        token,
+        sourceChain,
+        destinationChain,
+        amountIn: inputAmount.toString(),
+        prices: { [token.symbol]: { [sourceChain]: tokenPriceUSD } },
+      });
+      if (!best) {
+        const reason = paths.length ? paths.map(path => `${path.hub}: ${path.error}`).join('; ') : 'No hub token on both chains';
+        return failedFeeQuote(FeeStatus.UNSUPPORTED_ROUTE, context, reason);
+      }
+
+      // Express the output in source decimals so it compares with the input
+      const destinationDecimals = Number(token[destinationChain].decimals);
+      const scale = ethers.BigNumber.from(10).pow(Math.abs(decimals - destinationDecimals));
+      const outputAmount = decimals >= destinationDecimals
+        ? ethers.BigNumber.from(best.amountOut).mul(scale)
+        : ethers.BigNumber.from(best.amountOut).div(scale);
+      const feeAmount = outputAmount.gt(inputAmount) ? ethers.BigNumber.from(0) : inputAmount.sub(outputAmount);
+
+      return {
+        ...createFeeQuote({
+          ...context,
+          status: FeeStatus.SUCCESS,
+          decimals,
+          inputAmount: inputAmount.toString(),
+          outputAmount: outputAmount.toString(),
+          feeAmount: feeAmount.toString(),
+          feeBps: feeAmount.mul(10000).div(inputAmount).toNumber(),
+          feeUsd: Number(ethers.utils.formatUnits(feeAmount, decimals)) * tokenPriceUSD,
+        }),
+        legs: best.legs,
+      };
+    },
+  };
+}
+
+module.exports = { createCompositeProvider };
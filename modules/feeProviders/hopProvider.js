@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Hop Protocol as a fee provider.
+ */
+
+const { calculateHopSwapFees } = require('../../utils/hopFees');
+const { getHopChain } = require('../crossChain/hopBridge');
+
+const hopProvider = {
+  id: 'hop',
+
+  supportsRoute({ sourceChain, destinationChain }) {
+    return Boolean(getHopChain(sourceChain)) && Boolean(getHopChain(destinationChain));
+  },
+
+  quote({ token, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals }) {
+    return calculateHopSwapFees(token.symbol, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals);
+  },
+};
+
+module.exports = { hopProvider };
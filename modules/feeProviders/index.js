@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Default fee provider registry (Hop, Li.Fi, composite routes) wired to config,
+ * with gas estimated on the configured RPC endpoints.
+ *
+ * New bridges only need a provider object registered here and, optionally,
+ * an entry in config/feeProviders.js.
+ */
+
+const { createProviderRegistry } = require('./registry');
+const { getFeeProviderRouting } = require('../../config/feeProviders');
+const { getDefaultGasEstimator } = require('../gas');
+
+let defaultRegistry;
+
+/**
+ * @return {Object} Lazily created registry with the built-in providers.
+ */
+function getDefaultRegistry() {
+  if (!defaultRegistry) {
+    // Required here so modules that only take a registry do not load the Hop SDK.
+    const { hopProvider } = require('./hopProvider');
+    const { lifiProvider } = require('./lifiProvider');
+    const { createCompositeProvider } = require('./compositeProvider');
+    defaultRegistry = createProviderRegistry({
+      providers: [hopProvider, lifiProvider, createCompositeProvider()],
+      routing: getFeeProviderRouting(),
+      estimateGas: (sourceChain, destinationChain) => getDefaultGasEstimator().estimateRoute(sourceChain, destinationChain),
+    });
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  createProviderRegistry,
+  getDefaultRegistry,
+};
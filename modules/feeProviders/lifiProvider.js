@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Li.Fi as a fee provider.
+ *
+ * Li.Fi quotes the whole cross-chain transfer (bridges and any swaps), so its
+ * quotes are real and carry Li.Fi's own gas cost.
+ */
+
+const { calculateLifiFees, isChainSupported } = require('../../utils/lifiFees');
+
+const lifiProvider = {
+  id: 'lifi',
+
+  supportsRoute({ token, sourceChain, destinationChain }) {
+    return isChainSupported(sourceChain)
+      && isChainSupported(destinationChain)
+      && Boolean(token[sourceChain]?.tokenAddress)
+      && Boolean(token[destinationChain]?.tokenAddress);
+  },
+
+  quote({ token, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals }) {
+    return calculateLifiFees(
+      token.symbol,
+      sourceChain,
+      destinationChain,
+      usdAmount,
+      tokenPriceUSD,
+      decimals,
+      token[sourceChain].tokenAddress,
+      token[destinationChain].tokenAddress
+    );
+  },
+};
+
+module.exports = { lifiProvider };
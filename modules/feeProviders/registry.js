@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Registry of bridge/aggregator fee providers.
+ *
+ * A provider is a plain object:
+ *   {
+ *     id: 'hop',
+ *     supportsRoute({ token, sourceChain, destinationChain }) -> boolean,
+ *     quote({ token, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals }) -> Promise<FeeQuote>,
+ *   }
+ *
+ * quoteAll asks every configured provider that supports the route in
+ * parallel and returns the best quote together with all alternatives. With
+ * an estimateGas function, usable quotes also carry the route's gas in USD,
+ * unless the provider already reported its own.
+ */
+
+const { FeeStatus, failedFeeQuote, isQuoteUsable } = require('../../utils/feeQuote');
+const { routeKey } = require('../opportunities');
+
+// Real bridge quotes rank ahead of proxy estimates regardless of fee.
+const STATUS_RANK = {
+  [FeeStatus.SUCCESS]: 0,
+  [FeeStatus.ESTIMATED]: 1,
+};
+
+/**
+ * Creates a provider registry.
+ *
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.providers=[]] - Providers to register.
+ * @param {Object} [options.routing={}] - Routing config (see config/feeProviders.js).
+ * @param {Function} [options.estimateGas] - async (sourceChain, destinationChain) => { gasUsd }
+ *   (see modules/gas.js); without it quotes keep the gasUsd their provider set (usually null).
+ * @return {Object} Registry API.
+ */
+function createProviderRegistry({ providers = [], routing = {}, estimateGas } = {}) {
+  const providersById = new Map();
+
+  function register(provider) {
+    if (!provider || !provider.id || typeof provider.quote !== 'function') {
+      throw new Error('A fee provider needs an id and a quote() function');
+    }
+    providersById.set(provider.id, provider);
+    return provider;
+  }
+
+  function getProvider(id) {
+    return providersById.get(id);
+  }
+
+  function listProviders() {
+    return [...providersById.values()];
+  }
+
+  /**
+   * Resolves the provider order and weights for a token and route.
+   *
+   * @param {string} symbol - Token symbol.
+   * @param {string} sourceChain - Source chain.
+   * @param {string} destinationChain - Destination chain.
+   * @return {Object} { providers: string[], weights: Object }
+   */
+  function resolveRouting(symbol, sourceChain, destinationChain) {
+    const route = routeKey(sourceChain, destinationChain);
+    const keys = ['default', route, symbol.toUpperCase(), `${symbol.toUpperCase()}:${route}`];
+
+    let order = [...providersById.keys()];
+    let weights = {};
+    keys.forEach(key => {
+      const entry = routing[key];
+      if (!entry) return;
+      if (Array.isArray(entry.providers)) order = entry.providers;
+      if (entry.weights) weights = { ...weights, ...entry.weights };
+    });
+
+    return {
+      providers: order.filter(id => providersById.has(id)),
+      weights,
+    };
+  }
+
+  /**
+   * Queries every eligible provider in parallel.
+   *
+   * @param {Object} request - { token, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals }
+   * @return {Promise<Object>} { best: FeeQuote, quotes: FeeQuote[] } with quotes ranked best first
+   *   and failed quotes last. best is a failed quote when no provider could quote the route.
+   */
+  async function quoteAll(request) {
+    const { token, sourceChain, destinationChain } = request;
+    const context = { provider: null, tokenSymbol: token.symbol, sourceChain, destinationChain };
+    const { providers: order, weights } = resolveRouting(token.symbol, sourceChain, destinationChain);
+
+    const eligible = order
+      .map(id => providersById.get(id))
+      .filter(provider => !provider.supportsRoute || provider.supportsRoute(request));
+
+    if (eligible.length === 0) {
+      return {
+        best: failedFeeQuote(FeeStatus.UNSUPPORTED_ROUTE, context, `No fee provider supports ${token.symbol} ${routeKey(sourceChain, destinationChain)}`),
+        quotes: [],
+      };
+    }
+
+    const gas = estimateGas
+      ? estimateGas(sourceChain, destinationChain).catch(error => {
+        console.warn(`Gas estimate for ${routeKey(sourceChain, destinationChain)} failed: ${error.message}`);
+        return null;
+      })
+      : null;
+    const quotes = await Promise.all(eligible.map(async provider => {
+      try {
+        return await provider.quote(request);
+      } catch (error) {
+        return failedFeeQuote(FeeStatus.ERROR, { ...context, provider: provider.id }, error.message);
+      }
+    }));
+    const gasUsd = gas ? ((await gas) || {}).gasUsd : undefined;
+    if (typeof gasUsd === 'number') {
+      quotes.forEach((quote, i) => {
+        if (isQuoteUsable(quote) && quote.gasUsd === null) quotes[i] = { ...quote, gasUsd };
+      });
+    }
+
+    const score = quote => quote.feeUsd * (weights[quote.provider] !== undefined ? weights[quote.provider] : 1);
+    const usable = quotes
+      .filter(isQuoteUsable)
+      .sort((a, b) =>
+        (STATUS_RANK[a.status] - STATUS_RANK[b.status])
+        || (score(a) - score(b))
+        || (order.indexOf(a.provider) - order.indexOf(b.provider)));
+    const failed = quotes.filter(quote => !isQuoteUsable(quote));
+
+    const best = usable[0] || failedFeeQuote(
+      failed.length ? failed[failed.length - 1].status : FeeStatus.ERROR,
+      context,
+      failed.map(quote => `${quote.provider}: ${quote.error}`).join('; ')
+    );
+
+    return { best, quotes: [...usable, ...failed] };
+  }
+
+  providers.forEach(register);
+
+  return {
+    register,
+    getProvider,
+    listProviders,
+    resolveRouting,
+    quoteAll,
+  };
+}
+
+module.exports = { createProviderRegistry };
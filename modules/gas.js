@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Gas cost of each leg of a route, in USD.
+ *
+ * Execution gas is priced with EIP-1559 fees: the latest block's base fee plus
+ * the node's suggested priority fee. OP Stack chains also charge an L1 data
+ * fee for posting the transaction to Ethereum, which the GasPriceOracle
+ * predeploy computes from the transaction bytes. The native token's USD price
+ * converts the wei total to USD. Which actions a leg performs, and their gas
+ * limits, come from config/gas.js.
+ */
+
+const { ethers } = require('ethers');
+const { getProvider } = require('../config/provider');
+const { getChainConfig } = require('../config/chainContext');
+const { getGasLimits, ROUTE_ACTIONS } = require('../config/gas');
+const { OP_GAS_PRICE_ORACLE_ADDRESS, OP_GAS_PRICE_ORACLE_ABI } = require('../config/constants');
+const { getCache } = require('../utils/cache');
+const { fetchPriceConsensus } = require('../utils/priceUtils');
+const { priceValue } = require('../utils/priceRecord');
+
+const oracleInterface = new ethers.utils.Interface(OP_GAS_PRICE_ORACLE_ABI);
+
+// Used when the node does not support eth_maxPriorityFeePerGas
+const FALLBACK_PRIORITY_FEE = ethers.utils.parseUnits('0.01', 'gwei');
+
+// Stand-in transaction bytes for the L1 data fee. Hashes do not compress, so
+// this prices like real calldata under the Fjord FastLZ estimate.
+function sampleTransaction(bytes) {
+  let data = '0x';
+  for (let i = 0; data.length < bytes * 2 + 2; i += 1) {
+    data += ethers.utils.keccak256(ethers.utils.hexZeroPad(ethers.utils.hexlify(i), 32)).slice(2);
+  }
+  return data.slice(0, bytes * 2 + 2);
+}
+
+function formatGwei(wei) {
+  return Number(ethers.utils.formatUnits(wei, 'gwei'));
+}
+
+// fetchPriceConsensus rather than fetchTokenPrices, which replaces priceUtils' common token list
+async function defaultNativePrice(chain) {
+  const { nativeSymbol } = getChainConfig(chain);
+  const { prices } = await fetchPriceConsensus([nativeSymbol], { chains: [chain] });
+  return priceValue((prices[nativeSymbol] || {})[chain]);
+}
+
+/**
+ * Creates a gas estimator.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.getProvider] - chain => ethers provider (defaults to config/provider.js).
+ * @param {Function} [options.getNativePriceUsd] - async chain => USD price of the chain's native token.
+ * @param {Object} [options.cache] - Cache from utils/cache.js (defaults to the shared 'gas' cache).
+ * @return {Object} { getFeeData, getL1Fee, getGasPriceGwei, estimateActions, estimateRoute }
+ */
+function createGasEstimator(options = {}) {
+  const {
+    getProvider: providerFor = getProvider,
+    getNativePriceUsd = defaultNativePrice,
+    cache = getCache('gas'),
+  } = options;
+
+  /**
+   * @param {string} chain - Chain name.
+   * @return {Promise<Object>} { baseFeePerGas, maxPriorityFeePerGas, gasPrice } as BigNumbers (wei);
+   *   gasPrice is what a transaction pays per gas now (base + priority).
+   */
+  function getFeeData(chain) {
+    return cache.wrap(`fees:${chain}`, async () => {
+      const provider = providerFor(chain);
+      const block = await provider.getBlock('latest');
+      if (!block.baseFeePerGas) {
+        // Pre-London style chain: the legacy gas price is all there is
+        const gasPrice = await provider.getGasPrice();
+        return { baseFeePerGas: gasPrice, maxPriorityFeePerGas: ethers.BigNumber.from(0), gasPrice };
+      }
+
+      let maxPriorityFeePerGas = FALLBACK_PRIORITY_FEE;
+      try {
+        maxPriorityFeePerGas = typeof provider.send === 'function'
+          ? ethers.BigNumber.from(await provider.send('eth_maxPriorityFeePerGas', []))
+          : (await provider.getFeeData()).maxPriorityFeePerGas || FALLBACK_PRIORITY_FEE;
+      } catch (error) {
+        // Keep the fallback
+      }
+      return {
+        baseFeePerGas: block.baseFeePerGas,
+        maxPriorityFeePerGas,
+        gasPrice: block.baseFeePerGas.add(maxPriorityFeePerGas),
+      };
+    });
+  }
+
+  /**
+   * L1 data fee of a transaction of the given size; zero off the OP Stack.
+   *
+   * @param {string} chain - Chain name.
+   * @param {number} calldataBytes - Signed transaction size.
+   * @return {Promise<BigNumber>} Fee in wei.
+   */
+  function getL1Fee(chain, calldataBytes) {
+    if (!getChainConfig(chain).opStack || !calldataBytes) return Promise.resolve(ethers.BigNumber.from(0));
+    return cache.wrap(`l1Fee:${chain}:${calldataBytes}`, async () => {
+      const data = oracleInterface.encodeFunctionData('getL1Fee', [sampleTransaction(calldataBytes)]);
+      const result = await providerFor(chain).call({ to: OP_GAS_PRICE_ORACLE_ADDRESS, data });
+      return oracleInterface.decodeFunctionResult('getL1Fee', result)[0];
+    });
+  }
+
+  /**
+   * @param {string} chain - Chain name.
+   * @return {Promise<number>} Current gas price in gwei (for APIs that take one).
+   */
+  async function getGasPriceGwei(chain) {
+    return formatGwei((await getFeeData(chain)).gasPrice);
+  }
+
+  /**
+   * Cost of performing actions on one chain.
+   *
+   * @param {string} chain - Chain name.
+   * @param {string[]} actions - Action types from config/gas.js.
+   * @return {Promise<Object>} { chain, actions, gasLimit, baseFeeGwei, priorityFeeGwei, executionFeeWei,
+   *   l1FeeWei, totalFeeWei, nativeSymbol, nativePriceUsd, gasUsd }
+   */
+  async function estimateActions(chain, actions) {
+    const limits = getGasLimits(chain);
+    const unknown = actions.find(action => !limits[action]);
+    if (unknown) throw new Error(`No gas limit configured for "${unknown}" on ${chain}`);
+
+    const used = actions.map(action => limits[action]).filter(limit => limit.gasLimit > 0);
+    const gasLimit = used.reduce((sum, limit) => sum + limit.gasLimit, 0);
+    const { nativeSymbol } = getChainConfig(chain);
+    if (gasLimit === 0) {
+      return {
+        chain, actions, gasLimit, baseFeeGwei: null, priorityFeeGwei: null, executionFeeWei: '0',
+        l1FeeWei: '0', totalFeeWei: '0', nativeSymbol, nativePriceUsd: null, gasUsd: 0,
+      };
+    }
+
+    const [feeData, l1Fees, nativePriceUsd] = await Promise.all([
+      getFeeData(chain),
+      Promise.all(used.map(limit => getL1Fee(chain, limit.calldataBytes))),
+      getNativePriceUsd(chain),
+    ]);
+    if (typeof nativePriceUsd !== 'number' || !isFinite(nativePriceUsd) || nativePriceUsd <= 0) {
+      throw new Error(`No USD price for ${nativeSymbol} on ${chain}`);
+    }
+
+    const executionFeeWei = feeData.gasPrice.mul(gasLimit);
+    const l1FeeWei = l1Fees.reduce((sum, fee) => sum.add(fee), ethers.BigNumber.from(0));
+    const totalFeeWei = executionFeeWei.add(l1FeeWei);
+    return {
+      chain,
+      actions,
+      gasLimit,
+      baseFeeGwei: formatGwei(feeData.baseFeePerGas),
+      priorityFeeGwei: formatGwei(feeData.maxPriorityFeePerGas),
+      executionFeeWei: executionFeeWei.toString(),
+      l1FeeWei: l1FeeWei.toString(),
+      totalFeeWei: totalFeeWei.toString(),
+      nativeSymbol,
+      nativePriceUsd,
+      gasUsd: Number(ethers.utils.formatEther(totalFeeWei)) * nativePriceUsd,
+    };
+  }
+
+  /**
+   * Gas for a whole route: buy and send on the source, receive and sell on the destination.
+   *
+   * @param {string} sourceChain - Chain to bridge from.
+   * @param {string} destinationChain - Chain to bridge to.
+   * @return {Promise<Object>} { sourceChain, destinationChain, source, destination, gasUsd }
+   */
+  async function estimateRoute(sourceChain, destinationChain) {
+    const [source, destination] = await Promise.all([
+      estimateActions(sourceChain, ROUTE_ACTIONS.source),
+      estimateActions(destinationChain, ROUTE_ACTIONS.destination),
+    ]);
+    return { sourceChain, destinationChain, source, destination, gasUsd: source.gasUsd + destination.gasUsd };
+  }
+
+  return { getFeeData, getL1Fee, getGasPriceGwei, estimateActions, estimateRoute };
+}
+
+let defaultEstimator;
+
+/**
+ * @return {Object} Shared estimator on the configured RPC endpoints.
+ */
+function getDefaultGasEstimator() {
+  if (!defaultEstimator) defaultEstimator = createGasEstimator();
+  return defaultEstimator;
+}
+
+module.exports = { createGasEstimator, getDefaultGasEstimator };
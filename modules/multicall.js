@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Batched on-chain reads through Multicall3.
+ *
+ * Calls are packed into aggregate3 batches (chunked to keep each eth_call a
+ * reasonable size), every call may fail on its own (allowFailure), and all
+ * chunks are pinned to one block so a snapshot is internally consistent.
+ */
+
+const { ethers } = require('ethers');
+const { getProvider } = require('../config/provider');
+const { MULTICALL3_ADDRESS, MULTICALL3_ABI } = require('../config/constants');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+const DEFAULT_CHUNK_SIZE = 200;
+const DEFAULT_CONCURRENCY = 4;
+
+function toInterface(abi) {
+  return abi instanceof ethers.utils.Interface ? abi : new ethers.utils.Interface(abi);
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Executes many contract reads in a handful of eth_calls.
+ *
+ * @param {string} chainName - e.g. 'ethereum' or 'base'
+ * @param {Array<Object>} calls - [{ target, abi, functionName, args = [], allowFailure = true }]
+ * @param {Object} [options]
+ * @param {number|string} [options.blockTag] - Block to read at; defaults to the latest block, fetched once.
+ * @param {number} [options.chunkSize=200] - Calls per aggregate3.
+ * @param {number} [options.concurrency=4] - Chunks in flight at once.
+ * @param {Object} [options.provider] - Provider to use instead of getProvider(chainName).
+ * @return {Promise<Object>} { blockNumber, results: [{ success, value, error }] } in call order.
+ *   value is the single return value, or the full ethers Result for multi-value functions.
+ */
+async function multicall(chainName, calls, options = {}) {
+  const {
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    concurrency = DEFAULT_CONCURRENCY,
+    provider = getProvider(chainName),
+  } = options;
+
+  const blockTag = options.blockTag !== undefined ? options.blockTag : await provider.getBlockNumber();
+  if (calls.length === 0) return { blockNumber: blockTag, results: [] };
+
+  const encoded = calls.map(call => {
+    const iface = toInterface(call.abi);
+    return {
+      iface,
+      functionName: call.functionName,
+      request: {
+        target: call.target,
+        allowFailure: call.allowFailure !== false,
+        callData: iface.encodeFunctionData(call.functionName, call.args || []),
+      },
+    };
+  });
+
+  const chunkResults = await mapWithConcurrency(chunk(encoded, chunkSize), concurrency, async batch => {
+    const data = multicallInterface.encodeFunctionData('aggregate3', [batch.map(item => item.request)]);
+    const raw = await provider.call({ to: MULTICALL3_ADDRESS, data }, blockTag);
+    const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+
+    return returnData.map(({ success, returnData: callResult }, index) => {
+      const { iface, functionName } = batch[index];
+      if (!success) {
+        return { success: false, value: null, error: `${functionName} reverted` };
+      }
+      try {
+        const decoded = iface.decodeFunctionResult(functionName, callResult);
+        return { success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null };
+      } catch (error) {
+        return { success: false, value: null, error: `${functionName} returned undecodable data: ${error.message}` };
+      }
+    });
+  });
+
+  return { blockNumber: blockTag, results: chunkResults.flat() };
+}
+
+module.exports = { multicall };
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Cross-chain arbitrage opportunity engine.
+ *
+ * For every token priced on two or more chains, and for every direction
+ * between those chains, we model: buy on the cheap chain, bridge, sell on the
+ * expensive chain. Bridge fees, swap fees and gas are subtracted from the
+ * gross spread to get the expected USD profit for a given notional.
+ */
+
+const { priceValue } = require('../utils/priceRecord');
+
+// Typical Uniswap V3 fee tier used when a route has no better estimate.
+const DEFAULT_SWAP_FEE_BPS = 30;
+
+// Rough per-chain gas cost (USD) of one swap plus one bridge send/claim.
+// Used when neither options.gasUsd nor the route's fee quote gives a figure.
+const DEFAULT_GAS_USD = {
+  ethereum: 10,
+  base: 0.05,
+  optimism: 0.05,
+  arbitrum: 0.1,
+  polygon: 0.02,
+  linea: 0.1,
+};
+
+function routeKey(fromChain, toChain) {
+  return `${fromChain}->${toChain}`;
+}
+
+function perChain(value, chain, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === 'number') return value;
+  return value[chain] !== undefined ? value[chain] : fallback;
+}
+
+/**
+ * Evaluates buying on fromChain and selling on toChain.
+ *
+ * @param {Object} token - { [tokenId], symbol, prices, bridgeFees }
+ * @param {string} fromChain - Chain we buy on and bridge from.
+ * @param {string} toChain - Chain we bridge to and sell on.
+ * @param {Object} options - See findOpportunities.
+ * @return {Object|null} Opportunity or null if it cannot be evaluated.
+ */
+function evaluateRoute(token, fromChain, toChain, options) {
+  const buyPrice = priceValue(token.prices[fromChain]);
+  const sellPrice = priceValue(token.prices[toChain]);
+  if (buyPrice === null || sellPrice === null) return null;
+
+  const bridgeFee = token.bridgeFees && token.bridgeFees[routeKey(fromChain, toChain)];
+  if (!bridgeFee || typeof bridgeFee.feeBps !== 'number') return null;
+
+  const { notionalUsd } = options;
+  const buySwapFeeBps = perChain(options.swapFeeBps, fromChain, DEFAULT_SWAP_FEE_BPS);
+  const sellSwapFeeBps = perChain(options.swapFeeBps, toChain, DEFAULT_SWAP_FEE_BPS);
+  const gasUsd = options.gasUsd === undefined && typeof bridgeFee.gasUsd === 'number'
+    ? bridgeFee.gasUsd
+    : perChain(options.gasUsd, fromChain, DEFAULT_GAS_USD[fromChain] || 0)
+      + perChain(options.gasUsd, toChain, DEFAULT_GAS_USD[toChain] || 0);
+
+  // Leg 1: buy on the source chain
+  const buySwapFeeUsd = notionalUsd * buySwapFeeBps / 10000;
+  const boughtQty = (notionalUsd - buySwapFeeUsd) / buyPrice;
+
+  // Leg 2: bridge
+  const bridgedQty = boughtQty * (1 - bridgeFee.feeBps / 10000);
+  const bridgeFeeUsd = (boughtQty - bridgedQty) * buyPrice;
+
+  // Leg 3: sell on the destination chain
+  const grossProceedsUsd = bridgedQty * sellPrice;
+  const sellSwapFeeUsd = grossProceedsUsd * sellSwapFeeBps / 10000;
+
+  const netProfitUsd = grossProceedsUsd - sellSwapFeeUsd - notionalUsd - gasUsd;
+
+  return {
+    tokenId: token.tokenId || token.symbol,
+    symbol: token.symbol,
+    buyChain: fromChain,
+    sellChain: toChain,
+    buyPrice,
+    sellPrice,
+    notionalUsd,
+    grossSpreadBps: (sellPrice - buyPrice) / buyPrice * 10000,
+    grossProfitUsd: notionalUsd * (sellPrice / buyPrice - 1),
+    bridgeFeeUsd,
+    swapFeeUsd: buySwapFeeUsd + sellSwapFeeUsd,
+    gasUsd,
+    netProfitUsd,
+    netSpreadBps: netProfitUsd / notionalUsd * 10000,
+    profitable: netProfitUsd > 0,
+  };
+}
+
+/**
+ * Builds a ranked list of cross-chain opportunities.
+ *
+ * @param {Array<Object>} tokens - Per-token inputs:
+ *   { [tokenId], symbol, prices: { [chain]: number }, bridgeFees: { ['from->to']: FeeQuote } }
+ *   (tokenId tells same-symbol tokens apart and defaults to the symbol)
+ *   Routes whose quote has no feeBps (failed quotes) are skipped.
+ * @param {Object} [options]
+ * @param {number} [options.notionalUsd=1000] - Trade size in USD.
+ * @param {number|Object} [options.swapFeeBps] - Swap fee in bps, or per chain.
+ * @param {number|Object} [options.gasUsd] - Gas cost in USD, or per chain (defaults to the
+ *   quote's gasUsd, then DEFAULT_GAS_USD).
+ * @param {boolean} [options.includeUnprofitable=true] - Keep routes with negative net profit.
+ * @return {Array<Object>} Opportunities sorted by net profit, best first.
+ */
+function findOpportunities(tokens, options = {}) {
+  const opts = {
+    notionalUsd: 1000,
+    includeUnprofitable: true,
+    ...options,
+  };
+
+  const opportunities = [];
+  tokens.forEach(token => {
+    const chains = Object.keys(token.prices || {});
+    chains.forEach(fromChain => {
+      chains.forEach(toChain => {
+        if (fromChain === toChain) return;
+        const opportunity = evaluateRoute(token, fromChain, toChain, opts);
+        if (opportunity && (opts.includeUnprofitable || opportunity.profitable)) {
+          opportunities.push(opportunity);
+        }
+      });
+    });
+  });
+
+  return opportunities.sort((a, b) => b.netProfitUsd - a.netProfitUsd);
+}
+
+module.exports = {
+  findOpportunities,
+  evaluateRoute,
+  routeKey,
+  perChain,
+  DEFAULT_SWAP_FEE_BPS,
+  DEFAULT_GAS_USD,
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Alchemy's by-symbol USD prices as a price source.
+ *
+ * Prices carry Alchemy's lastUpdatedAt, and are cached with it so a cached
+ * answer ages like a fresh one. Batches go out in parallel; the shared HTTP
+ * client paces them to Alchemy's rate limit.
+ */
+
+const { getChainConfig } = require('../../config/chainContext');
+const { getCache } = require('../../utils/cache');
+const { getHttpClient } = require('../../utils/httpClient');
+
+// Alchemy takes a few symbols per request
+const BATCH_SIZE = 3;
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Alchemy API key (defaults to ALCHEMY_API_KEY).
+ * @param {Object} [options.http] - HTTP client (defaults to the shared one, utils/httpClient.js).
+ * @return {Object} Price source with id 'alchemy'.
+ */
+function createAlchemySource(options = {}) {
+  const { apiKey = process.env.ALCHEMY_API_KEY, http = getHttpClient() } = options;
+
+  return {
+    id: 'alchemy',
+
+    async fetchPrices(tokens, chain) {
+      if (!apiKey) {
+        throw new Error('ALCHEMY_API_KEY is not set');
+      }
+      const url = getChainConfig(chain).alchemyPricesUrl;
+      if (!url) {
+        throw new Error(`Unsupported chain: ${chain}`);
+      }
+
+      // Start from cached prices and only ask for the rest
+      const cache = getCache('prices');
+      const prices = {};
+      tokens.forEach(({ symbol }) => {
+        const cached = cache.get(`${chain}:${symbol}`);
+        if (cached !== undefined) prices[symbol] = cached;
+      });
+      const missing = tokens.map(token => token.symbol).filter(symbol => prices[symbol] === undefined);
+
+      const batches = [];
+      for (let i = 0; i < missing.length; i += BATCH_SIZE) batches.push(missing.slice(i, i + BATCH_SIZE));
+
+      await Promise.all(batches.map(async (batchSymbols, index) => {
+        const symbolsParam = batchSymbols.map(s => `symbols=${encodeURIComponent(s)}`).join('&');
+
+        try {
+          const response = await http.get(`${url}?${symbolsParam}`, {
+            headers: {
+              'accept': 'application/json',
+              'Authorization': `Bearer ${apiKey}`
+            },
+          });
+
+          ((response.data && response.data.data) || []).forEach(token => {
+            const usdPrice = (token.prices || []).find(p => p.currency === 'usd');
+            if (token.symbol && usdPrice && usdPrice.value) {
+              const lastUpdatedAt = Date.parse(usdPrice.lastUpdatedAt);
+              prices[token.symbol] = { value: parseFloat(usdPrice.value), lastUpdatedAt: isNaN(lastUpdatedAt) ? null : lastUpdatedAt };
+              cache.set(`${chain}:${token.symbol}`, prices[token.symbol]);
+            }
+          });
+        } catch (error) {
+          console.error(`Alchemy ${chain} batch ${index + 1} failed:`, error.message);
+        }
+      }));
+
+      return prices;
+    },
+  };
+}
+
+module.exports = { createAlchemySource };
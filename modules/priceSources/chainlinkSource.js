@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Chainlink USD price feeds as a price source.
+ *
+ * Every feed on a chain is read in one multicall (decimals and
+ * latestRoundData). Answers that are not positive are dropped; the others
+ * carry the round's updatedAt, so the oracle can reject stale ones.
+ */
+
+const { ethers } = require('ethers');
+const { CHAINLINK_AGGREGATOR_ABI } = require('../../config/constants');
+const { getChainlinkFeeds, getFeedSymbol } = require('../../config/priceSources');
+const { getProvider } = require('../../config/provider');
+const { multicall } = require('../multicall');
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.getProvider] - chain => ethers provider (defaults to config/provider.js).
+ * @param {Function} [options.getFeeds] - chain => { [symbol]: feed address } (defaults to config/priceSources.js).
+ * @return {Object} Price source with id 'chainlink'.
+ */
+function createChainlinkSource(options = {}) {
+  const {
+    getProvider: providerFor = getProvider,
+    getFeeds = getChainlinkFeeds,
+  } = options;
+
+  return {
+    id: 'chainlink',
+
+    async fetchPrices(tokens, chain) {
+      const feeds = getFeeds(chain);
+      const priced = tokens
+        .map(token => ({ symbol: token.symbol, feed: feeds[getFeedSymbol(token.symbol)] }))
+        .filter(token => token.feed);
+      if (priced.length === 0) return {};
+
+      const calls = priced.flatMap(({ feed }) => [
+        { target: feed, abi: CHAINLINK_AGGREGATOR_ABI, functionName: 'decimals' },
+        { target: feed, abi: CHAINLINK_AGGREGATOR_ABI, functionName: 'latestRoundData' },
+      ]);
+      const { results } = await multicall(chain, calls, { provider: providerFor(chain) });
+
+      const prices = {};
+      priced.forEach(({ symbol }, index) => {
+        const [decimals, round] = results.slice(index * 2, index * 2 + 2);
+        if (!decimals.success || !round.success || round.value.answer.lte(0)) return;
+        prices[symbol] = {
+          value: Number(ethers.utils.formatUnits(round.value.answer, decimals.value)),
+          lastUpdatedAt: round.value.updatedAt.toNumber() * 1000,
+        };
+      });
+      return prices;
+    },
+  };
+}
+
+module.exports = { createChainlinkSource };
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview CoinGecko-style token prices by contract address as a price source.
+ *
+ * Uses /simple/token_price/{platform}, with the platform id from
+ * config/chainContext.js, asking for last_updated_at so prices carry their
+ * age. COINGECKO_API_URL points it at another server with
+ * the same API; COINGECKO_API_KEY is sent as the pro or demo key header.
+ */
+
+const { getChainConfig } = require('../../config/chainContext');
+const { getHttpClient } = require('../../utils/httpClient');
+
+const DEFAULT_API_URL = 'https://api.coingecko.com/api/v3';
+const BATCH_SIZE = 30;
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API root (defaults to COINGECKO_API_URL, then the public API).
+ * @param {string} [options.apiKey] - API key (defaults to COINGECKO_API_KEY).
+ * @param {Object} [options.http] - HTTP client (defaults to the shared one, utils/httpClient.js).
+ * @return {Object} Price source with id 'coingecko'.
+ */
+function createCoinGeckoSource(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.COINGECKO_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+  const apiKey = options.apiKey || process.env.COINGECKO_API_KEY;
+  const http = options.http || getHttpClient();
+  const headers = { accept: 'application/json' };
+  if (apiKey) headers[baseUrl.includes('pro-api.') ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key'] = apiKey;
+
+  return {
+    id: 'coingecko',
+
+    async fetchPrices(tokens, chain) {
+      const platform = getChainConfig(chain).coingeckoPlatform;
+      if (!platform) {
+        throw new Error(`No CoinGecko platform for ${chain}`);
+      }
+
+      // Only tokens with a contract address on this chain can be looked up
+      const byAddress = new Map();
+      tokens.filter(token => token.address).forEach(token => byAddress.set(token.address.toLowerCase(), token.symbol));
+      const addresses = [...byAddress.keys()];
+
+      const prices = {};
+      for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+        const response = await http.get(`${baseUrl}/simple/token_price/${platform}`, {
+          params: { contract_addresses: addresses.slice(i, i + BATCH_SIZE).join(','), vs_currencies: 'usd', include_last_updated_at: true },
+          headers,
+        });
+        Object.entries(response.data || {}).forEach(([address, quote]) => {
+          const symbol = byAddress.get(address.toLowerCase());
+          if (!symbol || !quote || typeof quote.usd !== 'number') return;
+          prices[symbol] = {
+            value: quote.usd,
+            lastUpdatedAt: typeof quote.last_updated_at === 'number' ? quote.last_updated_at * 1000 : null,
+          };
+        });
+      }
+      return prices;
+    },
+  };
+}
+
+module.exports = { createCoinGeckoSource };
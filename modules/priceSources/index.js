@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Default price oracle (Alchemy, CoinGecko, Chainlink, Uniswap V3)
+ * wired to config/priceSources.js.
+ *
+ * New sources only need a factory registered in SOURCE_FACTORIES and an id
+ * in config/priceSources.js.
+ */
+
+const { createPriceOracle, combinePrices } = require('./oracle');
+const { getPriceSourceSettings } = require('../../config/priceSources');
+
+const SOURCE_FACTORIES = {
+  alchemy: () => require('./alchemySource').createAlchemySource(),
+  coingecko: () => require('./coinGeckoSource').createCoinGeckoSource(),
+  chainlink: () => require('./chainlinkSource').createChainlinkSource(),
+  'uniswap-v3': () => require('./uniswapV3Source').createUniswapV3Source(),
+};
+
+let defaultOracle;
+
+/**
+ * @return {Object} Lazily created oracle with the configured sources.
+ */
+function getDefaultPriceOracle() {
+  if (!defaultOracle) {
+    const { sources, ...consensus } = getPriceSourceSettings();
+    defaultOracle = createPriceOracle({ ...consensus, sources: sources.map(id => SOURCE_FACTORIES[id]()) });
+  }
+  return defaultOracle;
+}
+
+module.exports = {
+  createPriceOracle,
+  combinePrices,
+  getDefaultPriceOracle,
+};
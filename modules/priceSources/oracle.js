@@ -0,0 +1,243 @@
+/**
+ * @fileoverview USD price oracle combining several price sources.
+ *
+ * A source is a plain object:
+ *   {
+ *     id: 'alchemy',
+ *     fetchPrices(tokens, chain) -> Promise<{ [symbol]: usd | { value, lastUpdatedAt } }>,
+ *   }
+ * where tokens are { symbol, address, entry } for the chain (address and the
+ * tokenDiscovery entry are undefined when only a symbol is known), and
+ * lastUpdatedAt is when the upstream last updated the price, in ms. Sources
+ * leave out tokens they cannot price.
+ *
+ * For every token and chain the oracle drops answers that are not positive
+ * or older than maxAgeMs, takes the median of the rest, rejects sources
+ * further than maxDeviationBps from it as outliers, and combines the others
+ * by median or by weight. A chain's price further than
+ * maxCrossChainDeviationBps from the token's median across chains is then
+ * rejected too, as no real spread is that wide. Every symbol and chain
+ * resolves to a PriceRecord (utils/priceRecord.js).
+ */
+
+const { PriceStatus, createPriceRecord, toSourcePrice } = require('../../utils/priceRecord');
+const { tokenId } = require('../../utils/tokenId');
+
+const DEFAULTS = {
+  method: 'median',
+  weights: {},
+  maxDeviationBps: 200,
+  minSources: 1,
+  maxAgeMs: { default: 60 * 60 * 1000, chainlink: 25 * 60 * 60 * 1000 },
+  minConfidence: 0,
+  maxCrossChainDeviationBps: 2500,
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function maxAgeFor(maxAgeMs, id) {
+  if (typeof maxAgeMs === 'number') return maxAgeMs;
+  return maxAgeMs[id] !== undefined ? maxAgeMs[id] : maxAgeMs.default;
+}
+
+/**
+ * Combines one token's prices on one chain.
+ *
+ * @param {Object} sourcePrices - { [sourceId]: usd | { value, lastUpdatedAt } }
+ * @param {Object} [options] - { method, weights, maxDeviationBps, minSources, maxAgeMs, minConfidence, fetchedAt };
+ *   maxAgeMs is a number or { default, [sourceId]: ms }, and answers without lastUpdatedAt count as fresh.
+ * @return {PriceRecord} The record; value is null (and status and error set) when the answers are unusable
+ *   or fewer than minSources agree.
+ */
+function combinePrices(sourcePrices, options = {}) {
+  const { method, weights, maxDeviationBps, minSources, maxAgeMs, minConfidence, fetchedAt = Date.now() } = { ...DEFAULTS, ...options };
+  const sources = Object.fromEntries(Object.entries(sourcePrices).map(([id, answer]) => [id, toSourcePrice(answer)]));
+  const record = createPriceRecord({ method, fetchedAt, sources });
+  const reject = (id, reason) => {
+    record.rejected.push(id);
+    record.rejections[id] = reason;
+  };
+
+  const ids = Object.keys(sources);
+  if (ids.length === 0) {
+    record.error = 'No source has a price';
+    return record;
+  }
+
+  const freshness = {};
+  const candidates = ids.filter(id => {
+    const { value, lastUpdatedAt } = sources[id];
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+      reject(id, 'zero');
+      return false;
+    }
+    const ageMs = lastUpdatedAt === null ? 0 : Math.max(0, fetchedAt - lastUpdatedAt);
+    const limit = maxAgeFor(maxAgeMs, id);
+    if (ageMs > limit) {
+      reject(id, 'stale');
+      return false;
+    }
+    freshness[id] = limit > 0 ? 1 - ageMs / limit : 1;
+    return true;
+  });
+  if (candidates.length === 0) {
+    const stale = ids.some(id => record.rejections[id] === 'stale');
+    record.status = stale ? PriceStatus.STALE : PriceStatus.ZERO;
+    record.error = stale ? 'Every source price is stale' : 'No source has a positive price';
+    return record;
+  }
+
+  const center = median(candidates.map(id => sources[id].value));
+  candidates.forEach(id => {
+    const deviationBps = Math.abs(sources[id].value - center) / center * 10000;
+    if (deviationBps <= maxDeviationBps) record.agreed.push(id);
+    else reject(id, 'outlier');
+  });
+  if (record.agreed.length === 0) {
+    record.status = PriceStatus.DIVERGENT;
+    record.error = `Sources disagree by more than ${maxDeviationBps} bps`;
+    return record;
+  }
+
+  const agreedFreshness = record.agreed.reduce((sum, id) => sum + freshness[id], 0) / record.agreed.length;
+  record.confidence = agreedFreshness * record.agreed.length / ids.length;
+  const updates = record.agreed.map(id => sources[id].lastUpdatedAt).filter(at => at !== null);
+  if (updates.length) {
+    record.lastUpdatedAt = Math.min(...updates);
+    record.ageMs = Math.max(0, fetchedAt - record.lastUpdatedAt);
+  }
+
+  if (record.agreed.length < minSources) {
+    record.status = PriceStatus.LOW_CONFIDENCE;
+    record.error = `Only ${record.agreed.length} of ${minSources} required sources agree`;
+    return record;
+  }
+  if (record.confidence < minConfidence) {
+    record.status = PriceStatus.LOW_CONFIDENCE;
+    record.error = `Confidence ${record.confidence.toFixed(2)} is below ${minConfidence}`;
+    return record;
+  }
+
+  const agreedValues = record.agreed.map(id => sources[id].value);
+  if (method === 'weighted') {
+    const weightOf = id => (weights[id] !== undefined ? weights[id] : 1);
+    const total = record.agreed.reduce((sum, id) => sum + weightOf(id), 0);
+    record.value = total > 0
+      ? record.agreed.reduce((sum, id) => sum + sources[id].value * weightOf(id), 0) / total
+      : median(agreedValues);
+  } else {
+    record.value = median(agreedValues);
+  }
+  record.status = PriceStatus.VALID;
+  record.source = record.agreed.length === 1 ? record.agreed[0] : 'consensus';
+  return record;
+}
+
+/**
+ * Rejects a token's chains whose price is implausibly far from its median across chains.
+ *
+ * @param {Object} byChain - { [chain]: PriceRecord } for one token; records are updated in place.
+ * @param {number} maxCrossChainDeviationBps - Widest believable spread from the median (0 disables).
+ */
+function rejectDivergentChains(byChain, maxCrossChainDeviationBps) {
+  const priced = Object.values(byChain).filter(record => record.status === PriceStatus.VALID);
+  if (!maxCrossChainDeviationBps || priced.length < 2) return;
+
+  const center = median(priced.map(record => record.value));
+  priced.forEach(record => {
+    const deviationBps = Math.abs(record.value - center) / center * 10000;
+    if (deviationBps <= maxCrossChainDeviationBps) return;
+    record.status = PriceStatus.DIVERGENT;
+    record.error = `${Math.round(deviationBps)} bps from the median across chains (max ${maxCrossChainDeviationBps})`;
+    record.value = null;
+  });
+}
+
+// Symbols or common tokens ({ id, symbol, [chain]: { tokenAddress, ... } }) to per-chain requests
+function tokensForChain(tokens, chain) {
+  return tokens.map(token => (typeof token === 'string'
+    ? { id: token, symbol: token, address: undefined, entry: undefined }
+    : { id: tokenId(token), symbol: token.symbol, address: token[chain] ? token[chain].tokenAddress : undefined, entry: token[chain] }));
+}
+
+// Sources answer keyed by symbol, so same-symbol tokens (bridged and native USDC) go in separate batches
+function batchBySymbol(requests) {
+  const batches = [];
+  requests.forEach(request => {
+    const batch = batches.find(candidate => candidate.every(({ symbol }) => symbol !== request.symbol));
+    if (batch) batch.push(request);
+    else batches.push([request]);
+  });
+  return batches;
+}
+
+/**
+ * Creates a price oracle.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.sources - Price sources.
+ * @param {string} [options.method='median'] - 'median' or 'weighted'.
+ * @param {Object} [options.weights={}] - { [sourceId]: weight } for 'weighted' (default 1).
+ * @param {number} [options.maxDeviationBps=200] - Largest distance from the median a source may be.
+ * @param {number} [options.minSources=1] - Agreeing sources needed for a price.
+ * @param {number|Object} [options.maxAgeMs] - Oldest answer accepted, or { default, [sourceId]: ms }
+ *   (default an hour, 25 hours for Chainlink's daily heartbeat).
+ * @param {number} [options.minConfidence=0] - Lowest PriceRecord confidence accepted.
+ * @param {number} [options.maxCrossChainDeviationBps=2500] - Widest distance from the token's median across
+ *   chains a chain's price may be (0 disables).
+ * @param {Function} [options.now] - () => milliseconds, for tests.
+ * @return {Object} { fetchPrices, listSources }
+ */
+function createPriceOracle(options) {
+  const { sources, now = Date.now, ...rules } = options;
+  const { maxCrossChainDeviationBps, ...consensus } = { ...DEFAULTS, ...rules };
+
+  /**
+   * Prices tokens on every chain with every source, in parallel.
+   *
+   * @param {Array<string|Object>} tokens - Symbols, or common tokens to also give sources their addresses and pools.
+   * @param {string[]} chains - Chains to price on.
+   * @return {Promise<Object>} { prices: { [tokenId]: { [chain]: PriceRecord } },
+   *   errors: [{ source, chain, error }] } for sources that failed outright.
+   *   Common tokens are keyed by their id, symbols by themselves (see utils/tokenId.js).
+   */
+  async function fetchPrices(tokens, chains) {
+    const errors = [];
+    const prices = {};
+    tokens.forEach(token => { prices[tokenId(token)] = {}; });
+
+    await Promise.all(chains.map(async chain => {
+      await Promise.all(batchBySymbol(tokensForChain(tokens, chain)).map(async requests => {
+        const bySource = await Promise.all(sources.map(async source => {
+          try {
+            return await source.fetchPrices(requests, chain);
+          } catch (error) {
+            errors.push({ source: source.id, chain, error: error.message });
+            return {};
+          }
+        }));
+        const fetchedAt = now();
+
+        requests.forEach(({ id, symbol }) => {
+          const sourcePrices = {};
+          sources.forEach((source, index) => {
+            if (bySource[index][symbol] !== undefined) sourcePrices[source.id] = bySource[index][symbol];
+          });
+          prices[id][chain] = combinePrices(sourcePrices, { ...consensus, fetchedAt });
+        });
+      }));
+    }));
+
+    Object.values(prices).forEach(byChain => rejectDivergentChains(byChain, maxCrossChainDeviationBps));
+
+    return { prices, errors };
+  }
+
+  return { fetchPrices, listSources: () => sources.map(source => source.id) };
+}
+
+module.exports = { createPriceOracle, combinePrices };
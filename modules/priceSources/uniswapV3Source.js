@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Uniswap V3 pool prices as a price source.
+ *
+ * A token's representative pool (from tokenDiscovery) prices it in its
+ * paired token, which is converted to USD with a reference price: stablecoins
+ * at par, anything else (usually WETH) from its Chainlink feed. Tokens
+ * without a discovered pool are skipped. Pool state is read live, so prices
+ * carry no lastUpdatedAt.
+ */
+
+const { getTokenPoolPrices } = require('../dex/uniswapV3');
+const { createChainlinkSource } = require('./chainlinkSource');
+const { priceValue, toSourcePrice } = require('../../utils/priceRecord');
+
+const STABLECOINS = new Set(['USDC', 'USDT', 'DAI', 'USDC.E', 'USDBC']);
+
+function defaultReferencePrices() {
+  const chainlink = createChainlinkSource();
+  return async (symbols, chain) => {
+    const prices = {};
+    symbols.filter(symbol => STABLECOINS.has(symbol.toUpperCase())).forEach(symbol => { prices[symbol] = 1; });
+    const others = symbols.filter(symbol => prices[symbol] === undefined);
+    return { ...prices, ...(others.length ? await chainlink.fetchPrices(others.map(symbol => ({ symbol })), chain) : {}) };
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.getTokenPoolPrices] - (chain, entries) => { prices } (defaults to modules/dex/uniswapV3.js).
+ * @param {Function} [options.getReferencePrices] - async (symbols, chain) => { [symbol]: usd | { value } } for
+ *   paired tokens.
+ * @return {Object} Price source with id 'uniswap-v3'.
+ */
+function createUniswapV3Source(options = {}) {
+  const {
+    getTokenPoolPrices: readPoolPrices = getTokenPoolPrices,
+    getReferencePrices = defaultReferencePrices(),
+  } = options;
+
+  return {
+    id: 'uniswap-v3',
+
+    async fetchPrices(tokens, chain) {
+      const pooled = tokens.filter(token => token.entry && token.entry.repPool && token.entry.pairedToken);
+      if (pooled.length === 0) return {};
+
+      const { prices: poolPrices } = await readPoolPrices(chain, pooled.map(token => token.entry));
+      const quoteSymbols = [...new Set(poolPrices.filter(p => p.price !== null).map(p => p.quoteSymbol))];
+      const references = await getReferencePrices(quoteSymbols, chain);
+
+      const prices = {};
+      poolPrices.forEach((poolPrice, index) => {
+        const reference = priceValue(toSourcePrice(references[poolPrice.quoteSymbol]).value);
+        if (poolPrice.price === null || reference === null) return;
+        const usd = Number(poolPrice.price) * reference;
+        if (isFinite(usd) && usd > 0) prices[pooled[index].symbol] = usd;
+      });
+      return prices;
+    },
+  };
+}
+
+module.exports = { createUniswapV3Source };
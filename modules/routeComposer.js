@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Composite cross-chain routes: swap -> bridge -> swap.
+ *
+ * For a token and route, every hub token known on both chains (see
+ * config/compositeRoutes.js) gives one path:
+ *   swap token -> hub on the source chain (OpenOcean),
+ *   bridge the hub (Hop),
+ *   swap hub -> token on the destination chain (OpenOcean).
+ * Each leg is quoted with the previous leg's output, so a path's output is
+ * what would actually arrive. A swap leg is left out on a chain where the
+ * token is the hub itself.
+ *
+ * Legs are reported uniformly as { type, sourceChain, destinationChain,
+ * tokenIn, tokenOut, decimalsIn, decimalsOut, amountIn, amountOut, provider,
+ * feeUsd }; swaps have the same source and destination chain. A leg's feeUsd
+ * is the USD value in minus the USD value out, so it includes any price gap
+ * between the chains on the bridge leg.
+ */
+
+const { ethers } = require('ethers');
+const { getCompositeHubs } = require('../config/compositeRoutes');
+const { fetchPriceConsensus } = require('../utils/priceUtils');
+const { priceValue } = require('../utils/priceRecord');
+
+function sameAddress(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Required lazily so the composer loads without the Hop SDK and HTTP clients
+async function defaultQuoteSwap({ chain, tokenIn, tokenOut, amountIn }) {
+  const { quoteOpenOceanSwap } = require('../utils/openoceanFees');
+  const { amountOut } = await quoteOpenOceanSwap(chain, tokenIn.address, tokenOut.address, amountIn, tokenIn.decimals);
+  return { amountOut, provider: 'openocean' };
+}
+
+async function defaultQuoteBridge({ symbol, sourceChain, destinationChain, amountIn }) {
+  const { quoteHopTransfer } = require('../utils/hopFees');
+  const { amountOut } = await quoteHopTransfer(symbol, sourceChain, destinationChain, amountIn);
+  return { amountOut, provider: 'hop' };
+}
+
+// fetchPriceConsensus rather than fetchTokenPrices, which replaces priceUtils' common token list
+async function defaultGetPrices(symbols, chains) {
+  return (await fetchPriceConsensus(symbols, { chains })).prices;
+}
+
+/**
+ * Creates a route composer.
+ *
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.hubs] - Hub tokens (defaults to getCompositeHubs()).
+ * @param {Function} [options.quoteSwap] - async ({ chain, tokenIn, tokenOut, amountIn }) => { amountOut, provider };
+ *   tokens are { symbol, address, decimals } and amounts are minimal-unit strings.
+ * @param {Function} [options.quoteBridge] - async ({ symbol, sourceChain, destinationChain, amountIn, decimals })
+ *   => { amountOut, provider }, where symbol is the hub's bridgeSymbol.
+ * @param {Function} [options.getPrices] - async (symbols, chains) => { [symbol]: { [chain]: usd } }, for leg fees.
+ * @return {Object} { composeRoutes, listHubs }
+ */
+function createRouteComposer(options = {}) {
+  const {
+    hubs = getCompositeHubs(),
+    quoteSwap = defaultQuoteSwap,
+    quoteBridge = defaultQuoteBridge,
+    getPrices = defaultGetPrices,
+  } = options;
+
+  /**
+   * @param {string} sourceChain - Chain to bridge from.
+   * @param {string} destinationChain - Chain to bridge to.
+   * @return {Array<Object>} Hubs with an address on both chains.
+   */
+  function listHubs(sourceChain, destinationChain) {
+    return hubs.filter(hub => hub.addresses[sourceChain] && hub.addresses[destinationChain]);
+  }
+
+  function planLegs(token, sourceChain, destinationChain, hub) {
+    const asToken = chain => ({ symbol: token.symbol, address: token[chain].tokenAddress, decimals: Number(token[chain].decimals) });
+    const asHub = chain => ({ symbol: hub.symbol, address: hub.addresses[chain], decimals: hub.decimals });
+
+    const legs = [];
+    if (!sameAddress(token[sourceChain].tokenAddress, hub.addresses[sourceChain])) {
+      legs.push({ type: 'swap', sourceChain, destinationChain: sourceChain, tokenIn: asToken(sourceChain), tokenOut: asHub(sourceChain) });
+    }
+    legs.push({ type: 'bridge', sourceChain, destinationChain, tokenIn: asHub(sourceChain), tokenOut: asHub(destinationChain) });
+    if (!sameAddress(token[destinationChain].tokenAddress, hub.addresses[destinationChain])) {
+      legs.push({ type: 'swap', sourceChain: destinationChain, destinationChain, tokenIn: asHub(destinationChain), tokenOut: asToken(destinationChain) });
+    }
+    return legs;
+  }
+
+  async function quotePath(token, sourceChain, destinationChain, amountIn, hub, prices) {
+    const path = { hub: hub.symbol, legs: [], amountIn, amountOut: null, feeUsd: null, error: null };
+    let amount = amountIn;
+
+    for (const leg of planLegs(token, sourceChain, destinationChain, hub)) {
+      let result;
+      try {
+        result = leg.type === 'swap'
+          ? await quoteSwap({ chain: leg.sourceChain, tokenIn: leg.tokenIn, tokenOut: leg.tokenOut, amountIn: amount })
+          : await quoteBridge({ symbol: hub.bridgeSymbol, sourceChain, destinationChain, amountIn: amount, decimals: hub.decimals });
+      } catch (error) {
+        path.error = `${leg.type} ${leg.tokenIn.symbol}->${leg.tokenOut.symbol} on ${leg.sourceChain}: ${error.message}`;
+        return path;
+      }
+
+      const priceIn = priceValue((prices[leg.tokenIn.symbol] || {})[leg.sourceChain]);
+      const priceOut = priceValue((prices[leg.tokenOut.symbol] || {})[leg.destinationChain]);
+      const feeUsd = priceIn !== null && priceOut !== null
+        ? Number(ethers.utils.formatUnits(amount, leg.tokenIn.decimals)) * priceIn
+          - Number(ethers.utils.formatUnits(result.amountOut, leg.tokenOut.decimals)) * priceOut
+        : null;
+
+      path.legs.push({
+        type: leg.type,
+        sourceChain: leg.sourceChain,
+        destinationChain: leg.destinationChain,
+        tokenIn: leg.tokenIn.symbol,
+        tokenOut: leg.tokenOut.symbol,
+        decimalsIn: leg.tokenIn.decimals,
+        decimalsOut: leg.tokenOut.decimals,
+        amountIn: amount,
+        amountOut: result.amountOut,
+        provider: result.provider,
+        feeUsd,
+      });
+      if (ethers.BigNumber.from(result.amountOut).isZero()) {
+        path.error = `${leg.type} ${leg.tokenIn.symbol}->${leg.tokenOut.symbol} on ${leg.sourceChain} returned nothing`;
+        return path;
+      }
+      amount = result.amountOut;
+    }
+
+    path.amountOut = amount;
+    const legFees = path.legs.map(leg => leg.feeUsd);
+    path.feeUsd = legFees.every(fee => fee !== null) ? legFees.reduce((sum, fee) => sum + fee, 0) : null;
+    return path;
+  }
+
+  /**
+   * Quotes every hub path for moving a token between chains.
+   *
+   * @param {Object} request
+   * @param {Object} request.token - Common token ({ symbol, [chain]: { tokenAddress, decimals } }).
+   * @param {string} request.sourceChain - Chain to start on.
+   * @param {string} request.destinationChain - Chain to end on.
+   * @param {string} request.amountIn - Amount of the token sent, in source-chain minimal units.
+   * @param {Object} [request.prices] - Known USD prices ({ [symbol]: { [chain]: usd } }), merged over getPrices().
+   * @return {Promise<Object>} { best, paths } where paths are { hub, legs, amountIn, amountOut, feeUsd, error },
+   *   completed paths first by output (best is the first, or null), then failed ones.
+   */
+  async function composeRoutes({ token, sourceChain, destinationChain, amountIn, prices: known = {} }) {
+    const candidates = listHubs(sourceChain, destinationChain);
+    if (candidates.length === 0) return { best: null, paths: [] };
+
+    let prices = {};
+    try {
+      prices = await getPrices([token.symbol, ...candidates.map(hub => hub.symbol)], [sourceChain, destinationChain]);
+    } catch (error) {
+      console.warn(`Composite route prices unavailable: ${error.message}`); // Leg fees stay null
+    }
+    Object.entries(known).forEach(([symbol, byChain]) => {
+      prices[symbol] = { ...prices[symbol], ...byChain };
+    });
+
+    const paths = await Promise.all(candidates.map(hub => quotePath(token, sourceChain, destinationChain, amountIn, hub, prices)));
+    const completed = paths
+      .filter(path => !path.error)
+      .sort((a, b) => (ethers.BigNumber.from(b.amountOut).gt(a.amountOut) ? 1 : ethers.BigNumber.from(b.amountOut).lt(a.amountOut) ? -1 : 0));
+    const failed = paths.filter(path => path.error);
+    return { best: completed[0] || null, paths: [...completed, ...failed] };
+  }
+
+  return { composeRoutes, listHubs };
+}
+
+module.exports = { createRouteComposer };
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview N×N route matrix of prices and bridge fees.
+ *
+ * For every common token and every ordered pair of chains it was found on,
+ * the fee provider registry is asked for quotes. The matrix is the input to
+ * the opportunity engine.
+ */
+
+const { getDefaultRegistry } = require('./feeProviders');
+const { routeKey } = require('./opportunities');
+const { FeeStatus, failedFeeQuote } = require('../utils/feeQuote');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { priceValue } = require('../utils/priceRecord');
+const { tokenId } = require('../utils/tokenId');
+
+/**
+ * Builds the route matrix.
+ *
+ * @param {Array<Object>} commonTokens - From discoverAllTokensSorted ({ id, symbol, chains, [chain]: token }).
+ * @param {Object} tokenPrices - From fetchTokenPrices ({ [tokenId]: { [chain]: PriceRecord or USD number } }).
+ *   Missing and rejected prices become null and their routes INVALID_PRICE.
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Fee provider registry (defaults to getDefaultRegistry()).
+ * @param {number} [options.usdAmount=1] - Transfer size used for the quotes.
+ * @param {number} [options.concurrency=4] - Routes quoted in parallel.
+ * @return {Promise<Object>} { chains, routes, matrix } where matrix[tokenId][from][to] is a route:
+ *   { tokenId, symbol, sourceChain, destinationChain, sourcePrice, destinationPrice, best, quotes }
+ *   (tokenId from utils/tokenId.js; symbol is for display)
+ */
+async function buildRouteMatrix(commonTokens, tokenPrices, options = {}) {
+  const { registry = getDefaultRegistry(), usdAmount = 1, concurrency = 4 } = options;
+
+  const tasks = [];
+  commonTokens.forEach(token => {
+    token.chains.forEach(sourceChain => {
+      token.chains.forEach(destinationChain => {
+        if (sourceChain !== destinationChain) tasks.push({ token, sourceChain, destinationChain });
+      });
+    });
+  });
+
+  const routes = await mapWithConcurrency(tasks, concurrency, async ({ token, sourceChain, destinationChain }) => {
+    const prices = tokenPrices[tokenId(token)] || {};
+    const route = {
+      tokenId: tokenId(token),
+      symbol: token.symbol,
+      sourceChain,
+      destinationChain,
+      sourcePrice: priceValue(prices[sourceChain]),
+      destinationPrice: priceValue(prices[destinationChain]),
+      best: null,
+      quotes: [],
+    };
+
+    if (route.sourcePrice === null) {
+      const reason = prices[sourceChain] && prices[sourceChain].error;
+      route.best = failedFeeQuote(
+        FeeStatus.INVALID_PRICE,
+        { provider: null, tokenSymbol: token.symbol, sourceChain, destinationChain },
+        `No valid ${sourceChain} price for ${token.symbol}${reason ? ` (${reason})` : ''}`
+      );
+      return route;
+    }
+
+    const { best, quotes } = await registry.quoteAll({
+      token,
+      sourceChain,
+      destinationChain,
+      usdAmount,
+      tokenPriceUSD: route.sourcePrice,
+      decimals: Number(token[sourceChain].decimals),
+    });
+    return { ...route, best, quotes };
+  });
+
+  const chains = [...new Set(commonTokens.flatMap(token => token.chains))];
+  const matrix = {};
+  routes.forEach(route => {
+    matrix[route.tokenId] = matrix[route.tokenId] || {};
+    matrix[route.tokenId][route.sourceChain] = matrix[route.tokenId][route.sourceChain] || {};
+    matrix[route.tokenId][route.sourceChain][route.destinationChain] = route;
+  });
+
+  return { chains, routes, matrix };
+}
+
+/**
+ * Converts a route matrix into findOpportunities() input.
+ *
+ * @param {Object} routeMatrix - From buildRouteMatrix.
+ * @return {Array<Object>} [{ tokenId, symbol, prices, bridgeFees }]
+ */
+function toOpportunityInputs(routeMatrix) {
+  return Object.entries(routeMatrix.matrix).map(([id, bySource]) => {
+    let symbol;
+    const prices = {};
+    const bridgeFees = {};
+    Object.values(bySource).forEach(byDestination => {
+      Object.values(byDestination).forEach(route => {
+        symbol = route.symbol;
+        if (route.sourcePrice !== null) prices[route.sourceChain] = route.sourcePrice;
+        if (route.destinationPrice !== null) prices[route.destinationChain] = route.destinationPrice;
+        bridgeFees[routeKey(route.sourceChain, route.destinationChain)] = route.best;
+      });
+    });
+    return { tokenId: id, symbol, prices, bridgeFees };
+  });
+}
+
+module.exports = { buildRouteMatrix, toOpportunityInputs };
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Append-only JSONL history of prices, fee quotes and spreads.
+ *
+ * One snapshot is written per run (or per block tick when watching), into
+ * <dir>/<YYYY-MM-DD>.jsonl by UTC day, so a time-range query only opens the
+ * files for the days it covers. A snapshot looks like:
+ *   {
+ *     takenAt, source,                          // ISO time, 'run' | 'block' | ...
+ *     blockNumbers: { [chain]: number },
+ *     prices: { [symbol]: { [chain]: { [priceSource]: number } } },
+ *     fees: [{ symbol, route, provider, status, feeBps, feeUsd, gasUsd }],
+ *     spreads: [{ symbol, route, buyChain, sellChain, buyPrice, sellPrice,
+ *                 grossSpreadBps, netSpreadBps, netProfitUsd, profitable }]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { routeKey } = require('./opportunities');
+const { getSnapshotDir } = require('../config/snapshots');
+const { priceValue } = require('../utils/priceRecord');
+
+function toTime(value) {
+  if (value === undefined || value === null) return undefined;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (isNaN(time)) throw new Error(`Invalid time "${value}"`);
+  return time;
+}
+
+function dayOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Builds a snapshot from pipeline output.
+ *
+ * @param {Object} data
+ * @param {string} [data.source='run'] - What produced the snapshot.
+ * @param {Date|string|number} [data.takenAt=now] - Snapshot time.
+ * @param {Object} [data.blockNumbers={}] - { [chain]: block number }
+ * @param {Object} [data.prices={}] - { [symbol]: { [chain]: PriceRecord or price } }; only usable prices are kept.
+ * @param {string} [data.priceSource='alchemy'] - Source the prices came from.
+ * @param {Object} [data.pricesBySource] - { [symbol]: { [chain]: { [priceSource]: price } } }, e.g. every
+ *   source the price oracle asked; used instead of prices/priceSource when given.
+ * @param {Array<Object>} [data.routes=[]] - Routes from buildRouteMatrix (their quotes are stored).
+ * @param {Array<Object>} [data.opportunities=[]] - From findOpportunities (stored as spreads).
+ * @return {Object} The snapshot.
+ */
+function buildSnapshot(data) {
+  const {
+    source = 'run',
+    takenAt = new Date(),
+    blockNumbers = {},
+    prices = {},
+    priceSource = 'alchemy',
+    pricesBySource: bySource,
+    routes = [],
+    opportunities = [],
+  } = data;
+
+  const pricesBySource = {};
+  const input = bySource || Object.fromEntries(Object.entries(prices).map(([symbol, byChain]) => [
+    symbol,
+    Object.fromEntries(Object.entries(byChain || {}).map(([chain, value]) => [chain, { [priceSource]: priceValue(value) }])),
+  ]));
+  Object.entries(input).forEach(([symbol, byChain]) => {
+    Object.entries(byChain || {}).forEach(([chain, values]) => {
+      Object.entries(values || {}).forEach(([source, value]) => {
+        if (typeof value !== 'number' || !isFinite(value)) return;
+        pricesBySource[symbol] = pricesBySource[symbol] || {};
+        pricesBySource[symbol][chain] = { ...pricesBySource[symbol][chain], [source]: value };
+      });
+    });
+  });
+
+  return {
+    takenAt: new Date(toTime(takenAt)).toISOString(),
+    source,
+    blockNumbers,
+    prices: pricesBySource,
+    fees: routes.flatMap(route => route.quotes.map(quote => ({
+      symbol: route.symbol,
+      route: routeKey(route.sourceChain, route.destinationChain),
+      provider: quote.provider,
+      status: quote.status,
+      feeBps: quote.feeBps,
+      feeUsd: quote.feeUsd,
+      gasUsd: quote.gasUsd ?? null,
+    }))),
+    spreads: opportunities.map(o => ({
+      symbol: o.symbol,
+      route: routeKey(o.buyChain, o.sellChain),
+      buyChain: o.buyChain,
+      sellChain: o.sellChain,
+      buyPrice: o.buyPrice,
+      sellPrice: o.sellPrice,
+      grossSpreadBps: o.grossSpreadBps,
+      netSpreadBps: o.netSpreadBps,
+      netProfitUsd: o.netProfitUsd,
+      profitable: o.profitable,
+    })),
+  };
+}
+
+// Keeps only the parts of a snapshot about one symbol and/or route
+function narrowSnapshot(snapshot, symbol, route) {
+  const matches = item => (!symbol || item.symbol.toLowerCase() === symbol.toLowerCase()) && (!route || item.route === route);
+  const prices = {};
+  Object.entries(snapshot.prices).forEach(([priceSymbol, byChain]) => {
+    if (symbol && priceSymbol.toLowerCase() !== symbol.toLowerCase()) return;
+    if (!route) {
+      prices[priceSymbol] = byChain;
+      return;
+    }
+    const picked = {};
+    route.split('->').forEach(chain => {
+      if (byChain[chain]) picked[chain] = byChain[chain];
+    });
+    prices[priceSymbol] = picked;
+  });
+  return { ...snapshot, prices, fees: snapshot.fees.filter(matches), spreads: snapshot.spreads.filter(matches) };
+}
+
+/**
+ * Opens a snapshot store.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory (defaults to SNAPSHOT_DIR or data/snapshots).
+ * @return {Object} Store API.
+ */
+function createSnapshotStore({ dir = getSnapshotDir() } = {}) {
+  function filesFor(fromTime, endTime) {
+    if (!fs.existsSync(dir)) return [];
+    const fromDay = fromTime !== undefined ? dayOf(fromTime) : null;
+    const toDay = endTime !== undefined ? dayOf(endTime) : null;
+    return fs.readdirSync(dir)
+      .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+      .filter(name => {
+        const day = name.slice(0, 10);
+        return (!fromDay || day >= fromDay) && (!toDay || day <= toDay);
+      })
+      .sort()
+      .map(name => path.join(dir, name));
+  }
+
+  /**
+   * Appends a snapshot to its day file.
+   *
+   * @param {Object} snapshot - From buildSnapshot().
+   * @return {Promise<Object>} The snapshot.
+   */
+  async function append(snapshot) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${dayOf(toTime(snapshot.takenAt))}.jsonl`);
+    await fs.promises.appendFile(file, `${JSON.stringify(snapshot)}\n`);
+    return snapshot;
+  }
+
+  /**
+   * Reads snapshots in time order, optionally narrowed to one token and/or route.
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.symbol] - Token symbol (case-insensitive).
+   * @param {string} [filter.route] - 'from->to'.
+   * @param {Date|string|number} [filter.from] - Inclusive start time.
+   * @param {Date|string|number} [filter.to] - Inclusive end time.
+   * @param {number} [filter.limit] - Stop after this many snapshots.
+   * @return {Promise<Array<Object>>} Snapshots; prices, fees and spreads keep only matching entries.
+   */
+  async function query(filter = {}) {
+    const { symbol, route, limit = Infinity } = filter;
+    const fromTime = toTime(filter.from);
+    const endTime = toTime(filter.to);
+    const results = [];
+
+    for (const file of filesFor(fromTime, endTime)) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let snapshot;
+        try {
+          snapshot = JSON.parse(line);
+        } catch (error) {
+          continue; // A torn final line from an interrupted write
+        }
+        const time = toTime(snapshot.takenAt);
+        if ((fromTime !== undefined && time < fromTime) || (endTime !== undefined && time > endTime)) continue;
+
+        const narrowed = narrowSnapshot(snapshot, symbol, route);
+        if ((symbol || route) && narrowed.spreads.length === 0 && narrowed.fees.length === 0
+          && Object.keys(narrowed.prices).length === 0) continue;
+
+        results.push(narrowed);
+        if (results.length >= limit) {
+          lines.close();
+          return results;
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Spread of one token and route over time.
+   *
+   * @param {Object} filter - { symbol, route, from, to }
+   * @return {Promise<Array<Object>>} [{ takenAt, grossSpreadBps, netSpreadBps, netProfitUsd, profitable }]
+   */
+  async function spreadSeries(filter) {
+    const snapshots = await query(filter);
+    return snapshots.flatMap(snapshot => snapshot.spreads
+      .filter(spread => spread.route === filter.route)
+      .map(spread => ({
+        takenAt: snapshot.takenAt,
+        grossSpreadBps: spread.grossSpreadBps,
+        netSpreadBps: spread.netSpreadBps,
+        netProfitUsd: spread.netProfitUsd,
+        profitable: spread.profitable,
+      })));
+  }
+
+  /**
+   * Finds the periods a route's net spread stayed at or above a threshold.
+   * An episode runs from the first snapshot at/above it to the last one
+   * before it drops; a single snapshot gives a zero-length episode.
+   *
+   * @param {Object} filter - { symbol, route, from, to, minNetSpreadBps = 0 }
+   * @return {Promise<Array<Object>>} [{ start, end, durationMs, snapshots, maxNetSpreadBps }]
+   */
+  async function spreadEpisodes(filter) {
+    const { minNetSpreadBps = 0 } = filter;
+    const episodes = [];
+    let open = null;
+
+    (await spreadSeries(filter)).forEach(point => {
+      if (point.netSpreadBps >= minNetSpreadBps) {
+        if (!open) {
+          open = { start: point.takenAt, end: point.takenAt, snapshots: 0, maxNetSpreadBps: point.netSpreadBps };
+          episodes.push(open);
+        }
+        open.end = point.takenAt;
+        open.snapshots += 1;
+        open.maxNetSpreadBps = Math.max(open.maxNetSpreadBps, point.netSpreadBps);
+      } else {
+        open = null;
+      }
+    });
+
+    return episodes.map(episode => ({ ...episode, durationMs: toTime(episode.end) - toTime(episode.start) }));
+  }
+
+  return { dir, append, query, spreadSeries, spreadEpisodes };
+}
+
+module.exports = { buildSnapshot, createSnapshotStore };
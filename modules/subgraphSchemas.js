@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Schema adapters for DEX subgraphs.
+ *
+ * Each adapter knows how to page through one subgraph schema and turns its
+ * entities into the normalized pool shape used by tokenDiscovery:
+ *   { id, liquidity, volumeUSD, tvlUSD, feeTier, schema, token0, token1 }
+ *
+ * tvlUSD is what tokens are ranked by, as it is the one figure both schemas
+ * share. liquidity is the raw in-range liquidity of V3-style pools; V2-style
+ * pairs have no such figure, so it is null for them.
+ *
+ * The $liquidityThreshold filter is schema-specific too: raw liquidity for
+ * V3-style pools, the USD reserve for V2-style pairs.
+ */
+
+const uniswapV3 = {
+  name: 'uniswap-v3',
+  entity: 'pools',
+  query: `
+    query Pools($liquidityThreshold: String!, $pageSize: Int!, $lastId: String!) {
+      pools(
+        first: $pageSize
+        orderBy: id
+        orderDirection: asc
+        where: { liquidity_gt: $liquidityThreshold, id_gt: $lastId }
+      ) {
+        id
+        liquidity
+        volumeUSD
+        totalValueLockedUSD
+        feeTier
+        token0 { id symbol decimals name }
+        token1 { id symbol decimals name }
+      }
+    }
+  `,
+  normalize(pool) {
+    return {
+      id: pool.id,
+      liquidity: pool.liquidity,
+      volumeUSD: pool.volumeUSD,
+      tvlUSD: pool.totalValueLockedUSD !== undefined ? Number(pool.totalValueLockedUSD) : null,
+      feeTier: pool.feeTier !== undefined ? Number(pool.feeTier) : null,
+      schema: 'uniswap-v3',
+      token0: pool.token0,
+      token1: pool.token1,
+    };
+  },
+};
+
+const uniswapV2 = {
+  name: 'uniswap-v2',
+  entity: 'pairs',
+  query: `
+    query Pairs($liquidityThreshold: String!, $pageSize: Int!, $lastId: String!) {
+      pairs(
+        first: $pageSize
+        orderBy: id
+        orderDirection: asc
+        where: { reserveUSD_gt: $liquidityThreshold, id_gt: $lastId }
+      ) {
+        id
+        reserveUSD
+        volumeUSD
+        token0 { id symbol decimals name }
+        token1 { id symbol decimals name }
+      }
+    }
+  `,
+  normalize(pair) {
+    const reserveUSD = Number(pair.reserveUSD || 0);
+    return {
+      id: pair.id,
+      liquidity: null,
+      volumeUSD: pair.volumeUSD,
+      tvlUSD: reserveUSD,
+      feeTier: 3000, // Uniswap V2 and most forks charge a flat 0.3%
+      schema: 'uniswap-v2',
+      token0: pair.token0,
+      token1: pair.token1,
+    };
+  },
+};
+
+const schemas = {
+  [uniswapV3.name]: uniswapV3,
+  [uniswapV2.name]: uniswapV2,
+};
+
+/**
+ * @param {string} [name='uniswap-v3'] - Schema name ('uniswap-v3' or 'uniswap-v2').
+ * @return {Object} The schema adapter.
+ */
+function getSchemaAdapter(name = 'uniswap-v3') {
+  const adapter = schemas[name];
+  if (!adapter) {
+    throw new Error(`Unknown subgraph schema "${name}". Expected one of: ${Object.keys(schemas).join(', ')}`);
+  }
+  return adapter;
+}
+
+module.exports = { getSchemaAdapter };
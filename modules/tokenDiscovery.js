@@ -1,53 +1,106 @@
 // tokenDiscovery.js (updated)
-const axios = require('axios');
-
-const POOLS_QUERY = `
-  query Pools($liquidityThreshold: String!) {
-    pools(first: 1000, where: { liquidity_gt: $liquidityThreshold }) {
-      id
-      liquidity
-      volumeUSD
-      token0 { id symbol decimals name }
-      token1 { id symbol decimals name }
-    }
+const { buildTokenRegistry, linkBridgedTokens } = require('./tokenRegistry');
+const { getSchemaAdapter } = require('./subgraphSchemas');
+const { getSubgraphSources, getSourceThreshold, pagingDefaults } = require('../config/subgraphs');
+const { L1_CHAIN, getActiveChains, getChainConfig } = require('../config/chainContext');
+const { getCache } = require('../utils/cache');
+const { getHttpClient } = require('../utils/httpClient');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The HTTP client retries network, 429 and 5xx failures; GraphQL errors come back as 200s and are retried here
+async function postQuery(subgraphUrl, query, variables, retries) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await getHttpClient().post(subgraphUrl, { query, variables }, { retries });
+    if (!response.data.errors) return response.data.data;
+
+    const error = new Error(JSON.stringify(response.data.errors));
+    if (attempt >= retries) throw error;
+    const delay = 500 * 2 ** attempt;
+    console.warn(`Subgraph query failed (attempt ${attempt + 1}/${retries + 1}), retrying in ${delay}ms: ${error.message}`);
+    await sleep(delay);
   }
-`;
+}
 
-async function fetchPools(subgraphUrl, liquidityThreshold) {
-  const response = await axios.post(
-    subgraphUrl,
-    { query: POOLS_QUERY, variables: { liquidityThreshold } },
-    { timeout: 30000 }
-  );
-  if (response.data.errors) {
-    throw new Error(JSON.stringify(response.data.errors));
+/**
+ * Fetches every pool above the liquidity threshold, paging by id.
+ *
+ * @param {string} subgraphUrl - Subgraph endpoint.
+ * @param {string} liquidityThreshold - Minimum liquidity (schema-specific, see subgraphSchemas.js).
+ * @param {Object} [options]
+ * @param {string} [options.schema='uniswap-v3'] - Subgraph schema adapter.
+ * @param {number} [options.pageSize] - Entities per page (The Graph caps this at 1000).
+ * @param {number} [options.maxPages] - Stop after this many pages.
+ * @param {number} [options.maxPools] - Stop after this many pools.
+ * @param {number} [options.retries] - Retries per page on network or GraphQL errors.
+ * @return {Promise<Array<Object>>} Normalized pools.
+ */
+async function fetchPools(subgraphUrl, liquidityThreshold, options = {}) {
+  const { schema = 'uniswap-v3', pageSize, maxPages, maxPools, retries } = { ...pagingDefaults, ...options };
+  const adapter = getSchemaAdapter(schema);
+
+  const pools = [];
+  let lastId = '';
+  for (let page = 0; page < maxPages && pools.length < maxPools; page++) {
+    const data = await postQuery(subgraphUrl, adapter.query, { liquidityThreshold, pageSize, lastId }, retries);
+    const entities = data[adapter.entity] || [];
+    pools.push(...entities.map(adapter.normalize));
+
+    if (entities.length < pageSize) return pools.slice(0, maxPools);
+    lastId = entities[entities.length - 1].id;
   }
-  return response.data.data.pools;
+
+  console.warn(`Stopped paging ${subgraphUrl} at ${pools.length} pools (maxPages ${maxPages}, maxPools ${maxPools})`);
+  return pools.slice(0, maxPools);
 }
 
+// Raw liquidity is only comparable within one schema; use TVL when both pools have it.
+function isDeeperPool(pool, current) {
+  if (pool.tvlUSD != null && current.tvlUSD != null) {
+    return pool.tvlUSD > current.tvlUSD;
+  }
+  if (pool.liquidity != null && current.liquidity != null) {
+    return BigInt(pool.liquidity) > BigInt(current.liquidity);
+  }
+  return pool.tvlUSD != null;
+}
+
+// Ranks by USD liquidity; raw liquidity (V3-style pools only) breaks ties.
+function compareDepth(a, b) {
+  if (a.liquidityUSD !== b.liquidityUSD) return b.liquidityUSD - a.liquidityUSD;
+  if (a.liquidity === b.liquidity) return 0;
+  return b.liquidity > a.liquidity ? 1 : -1;
+}
+
+// Tokens are keyed by address: symbols are not unique (scam tokens reuse "USDC").
 function aggregateTokens(pools) {
   const tokensMap = {};
 
   pools.forEach(pool => {
     [pool.token0, pool.token1].forEach(token => {
-      const symbol = token.symbol;
-      const liquidity = BigInt(pool.liquidity);
+      const key = token.id.toLowerCase();
+      const liquidity = pool.liquidity != null ? BigInt(pool.liquidity) : 0n;
+      const liquidityUSD = pool.tvlUSD || 0;
       const volumeUSD = pool.volumeUSD ? Number(pool.volumeUSD) : 0;
 
-      if (!tokensMap[symbol]) {
-        tokensMap[symbol] = {
+      if (!tokensMap[key]) {
+        tokensMap[key] = {
           token,
           liquidity,
+          liquidityUSD,
           volumeUSD,
           pools: [pool.id],
           repPool: pool,
         };
       } else {
-        tokensMap[symbol].liquidity += liquidity;
-        tokensMap[symbol].volumeUSD += volumeUSD;
-        tokensMap[symbol].pools.push(pool.id);
-        if (liquidity > BigInt(tokensMap[symbol].repPool.liquidity)) {
-          tokensMap[symbol].repPool = pool;
+        tokensMap[key].liquidity += liquidity;
+        tokensMap[key].liquidityUSD += liquidityUSD;
+        tokensMap[key].volumeUSD += volumeUSD;
+        tokensMap[key].pools.push(pool.id);
+        if (isDeeperPool(pool, tokensMap[key].repPool)) {
+          tokensMap[key].repPool = pool;
         }
       }
     });
@@ -57,51 +110,180 @@ function aggregateTokens(pools) {
 }
 
 async function discoverTokens(chainName, liquidityThreshold) {
-  const subgraphUrl = process.env[`${chainName.toUpperCase()}_SUBGRAPH_URL`];
-  if (!subgraphUrl) throw new Error(`Missing subgraph URL for ${chainName}`);
+  const sources = getSubgraphSources(chainName);
+  if (sources.length === 0) throw new Error(`Missing subgraph URL for ${chainName}`);
 
-  const pools = await fetchPools(subgraphUrl, liquidityThreshold);
-  return aggregateTokens(pools);
+  const cache = getCache('subgraphPools');
+  const poolLists = await Promise.all(sources.map(source => {
+    const threshold = getSourceThreshold(source, liquidityThreshold);
+    return cache.wrap(`${source.schema}:${source.url}:${threshold}`, () =>
+      fetchPools(source.url, threshold, { schema: source.schema })
+    );
+  }));
+  return aggregateTokens(poolLists.flat());
 }
 
 async function getSortedTokens(chainName, liquidityThreshold) {
   const tokens = await discoverTokens(chainName, liquidityThreshold);
   return Object.values(tokens)
-    .sort((a, b) => (b.liquidity > a.liquidity ? 1 : -1))
-    .map(token => ({
-      symbol: token.token.symbol,
-      name: token.token.name,
-      liquidity: token.liquidity.toString(),
-      volumeUSD: token.volumeUSD,
-      decimals: token.token.decimals,
-      tokenAddress: token.token.id,
-      repPool: token.repPool.id,
-    }));
+    .sort(compareDepth)
+    .map(token => {
+      const isToken0 = token.repPool.token0.id === token.token.id;
+      const paired = isToken0 ? token.repPool.token1 : token.repPool.token0;
+      return {
+        symbol: token.token.symbol,
+        name: token.token.name,
+        liquidity: token.liquidity.toString(),
+        liquidityUSD: token.liquidityUSD,
+        volumeUSD: token.volumeUSD,
+        decimals: token.token.decimals,
+        tokenAddress: token.token.id,
+        repPool: token.repPool.id,
+        repPoolSchema: token.repPool.schema,
+        repPoolFeeTier: token.repPool.feeTier,
+        isToken0,
+        pairedToken: {
+          symbol: paired.symbol,
+          tokenAddress: paired.id,
+          decimals: paired.decimals,
+        },
+      };
+    });
 }
 
-async function discoverAllTokensSorted(liquidityThreshold) {
-  const [ethTokens, baseTokens] = await Promise.all([
-    getSortedTokens('ethereum', liquidityThreshold),
-    getSortedTokens('base', liquidityThreshold),
-  ]);
+function addressKey(chain, address) {
+  return `${chain}:${address.toLowerCase()}`;
+}
 
-  const ethSymbols = new Set(ethTokens.map(t => t.symbol.toLowerCase()));
-  const baseSymbols = new Set(baseTokens.map(t => t.symbol.toLowerCase()));
+// Two member sets describe the same asset when they agree on every chain they share.
+function isCompatible(members, otherMembers) {
+  return Object.keys(otherMembers).every(chain =>
+    !members[chain] || members[chain].tokenAddress.toLowerCase() === otherMembers[chain].tokenAddress.toLowerCase()
+  );
+}
 
-  const commonSymbols = [...ethSymbols].filter(sym => baseSymbols.has(sym));
+/**
+ * Groups the tokens discovered on each chain into cross-chain assets.
+ *
+ * Address links from the token registry come first (confidence "high"); links
+ * with the same symbol that agree on shared chains are merged, so a curated
+ * Ethereum/Base link and a token-list Ethereum/Optimism link for USDC become
+ * one asset. Tokens left over are optionally grouped by symbol, flagged with
+ * confidence "low".
+ *
+ * @param {Object} tokensByChain - { [chain]: sorted tokens from getSortedTokens }
+ * @param {Object} tokenRegistry - See modules/tokenRegistry.js
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSymbolMatches=true] - Fall back to symbol matching.
+ * @return {Array<Object>} Common tokens found on two or more chains:
+ *   { id, symbol, name, chains, [chain]: token, matchedBy, confidence, linkSource }
+ *   (id is 'chain:address' per chain, joined with ',': unlike the symbol, unique per asset)
+ */
+function matchCommonTokens(tokensByChain, tokenRegistry, options = {}) {
+  const { includeSymbolMatches = true } = options;
+  const chains = Object.keys(tokensByChain);
+  const byAddress = {};
+  chains.forEach(chain => {
+    byAddress[chain] = new Map(tokensByChain[chain].map(t => [t.tokenAddress.toLowerCase(), t]));
+  });
 
-  const commonTokens = commonSymbols.map(sym => {
-    const ethToken = ethTokens.find(t => t.symbol.toLowerCase() === sym);
-    const baseToken = baseTokens.find(t => t.symbol.toLowerCase() === sym);
+  const groups = [];
+  tokenRegistry.listLinks().forEach(link => {
+    const members = {};
+    Object.entries(link.addresses).forEach(([chain, address]) => {
+      const token = byAddress[chain] && byAddress[chain].get(address);
+      if (token) members[chain] = token;
+    });
+    if (Object.keys(members).length < 2) return;
+
+    const existing = groups.find(group =>
+      group.symbol.toLowerCase() === link.symbol.toLowerCase() && isCompatible(group.members, members)
+    );
+    if (existing) {
+      Object.assign(existing.members, members);
+    } else {
+      groups.push({ symbol: link.symbol, members, matchedBy: 'address', confidence: 'high', linkSource: link.source });
+    }
+  });
+
+  if (includeSymbolMatches) {
+    const claimed = new Set();
+    const usedSymbols = new Set(groups.map(group => group.symbol.toLowerCase()));
+    groups.forEach(group => Object.entries(group.members).forEach(([chain, token]) => {
+      claimed.add(addressKey(chain, token.tokenAddress));
+    }));
+
+    // Tokens are sorted by liquidity, so the first unclaimed token per symbol and chain is the deepest one.
+    const bySymbol = new Map();
+    chains.forEach(chain => {
+      tokensByChain[chain].forEach(token => {
+        const sym = token.symbol.toLowerCase();
+        if (claimed.has(addressKey(chain, token.tokenAddress)) || usedSymbols.has(sym)) return;
+        const members = bySymbol.get(sym) || {};
+        if (!members[chain]) members[chain] = token;
+        bySymbol.set(sym, members);
+      });
+    });
+
+    bySymbol.forEach(members => {
+      if (Object.keys(members).length < 2) return;
+      const [first] = Object.values(members);
+      groups.push({ symbol: first.symbol, members, matchedBy: 'symbol', confidence: 'low', linkSource: null });
+    });
+  }
+
+  return groups.map(group => {
+    const groupChains = chains.filter(chain => group.members[chain]);
     return {
-      symbol: ethToken.symbol,
-      name: ethToken.name,
-      ethereum: ethToken,
-      base: baseToken,
+      id: groupChains.map(chain => addressKey(chain, group.members[chain].tokenAddress)).join(','),
+      symbol: group.symbol,
+      name: group.members[groupChains[0]].name,
+      chains: groupChains,
+      ...group.members,
+      matchedBy: group.matchedBy,
+      confidence: group.confidence,
+      linkSource: group.linkSource,
     };
   });
+}
+
+/**
+ * Discovers tokens on every active chain and groups them across chains.
+ *
+ * @param {string} liquidityThreshold - Minimum pool liquidity.
+ * @param {Object} [options]
+ * @param {string[]} [options.chains] - Chains to discover on (defaults to getActiveChains()).
+ * @param {Object} [options.tokenRegistry] - Prebuilt registry; built from config and the token list otherwise.
+ * @param {boolean} [options.resolveBridgeLinks=true] - Ask unlinked OP Stack tokens for their L1 token on-chain.
+ * @param {boolean} [options.includeSymbolMatches=true] - Fall back to low-confidence symbol matching.
+ * @return {Promise<Object>} { tokensByChain, commonTokens }
+ */
+async function discoverAllTokensSorted(liquidityThreshold, options = {}) {
+  const { chains = getActiveChains(), resolveBridgeLinks = true, includeSymbolMatches = true } = options;
+
+  const [sortedLists, tokenRegistry] = await Promise.all([
+    Promise.all(chains.map(chain => getSortedTokens(chain, liquidityThreshold))),
+    options.tokenRegistry || buildTokenRegistry(),
+  ]);
+  const tokensByChain = {};
+  chains.forEach((chain, index) => {
+    tokensByChain[chain] = sortedLists[index];
+  });
+
+  if (resolveBridgeLinks && chains.includes(L1_CHAIN)) {
+    const l2Chains = chains.filter(chain => getChainConfig(chain).opStack);
+    for (const chain of l2Chains) {
+      try {
+        await linkBridgedTokens(tokenRegistry, L1_CHAIN, chain, tokensByChain[chain]);
+      } catch (error) {
+        console.warn(`Standard Bridge lookups failed on ${chain}: ${error.message}`);
+      }
+    }
+  }
+
+  const commonTokens = matchCommonTokens(tokensByChain, tokenRegistry, { includeSymbolMatches });
 
-  return { ethTokens, baseTokens, commonTokens };
+  return { tokensByChain, commonTokens };
 }
 
-module.exports = { discoverAllTokensSorted };
+module.exports = { discoverAllTokensSorted, fetchPools, matchCommonTokens, aggregateTokens };
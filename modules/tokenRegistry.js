@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Cross-chain token identity registry.
+ *
+ * Links the addresses of the same asset on different chains. Links come from,
+ * in order of trust:
+ *   1. the curated list in config/tokenLinks.js
+ *   2. a Superchain-format token list (grouped by extensions.opTokenId, or
+ *      Uniswap-style extensions.bridgeInfo)
+ *   3. OP Standard Bridge getters (remoteToken() / l1Token()) on L2 tokens,
+ *      read in bulk through Multicall3
+ *
+ * Addresses are stored lowercased. One address may belong to several links
+ * (Ethereum USDC is linked to both USDC and USDbC on Base).
+ */
+
+const { ethers } = require('ethers');
+const { getChainNameById } = require('../config/chainContext');
+const { OP_MINTABLE_ERC20_ABI } = require('../config/constants');
+const { curatedTokenLinks } = require('../config/tokenLinks');
+const { multicall } = require('./multicall');
+const { getCache } = require('../utils/cache');
+const { getHttpClient } = require('../utils/httpClient');
+
+const DEFAULT_TOKEN_LIST_URL = 'https://static.optimism.io/optimism.tokenlist.json';
+
+const LinkSource = Object.freeze({
+  CURATED: 'curated',
+  TOKEN_LIST: 'token-list',
+  STANDARD_BRIDGE: 'op-standard-bridge',
+});
+
+function addressKey(chain, address) {
+  return `${chain}:${address.toLowerCase()}`;
+}
+
+/**
+ * Creates an empty token registry.
+ *
+ * @return {Object} Registry API.
+ */
+function createTokenRegistry() {
+  const links = [];
+  const byAddress = new Map();
+
+  function samePair(link, addresses) {
+    return Object.keys(addresses).every(chain => link.addresses[chain] === addresses[chain]);
+  }
+
+  /**
+   * Adds a link. Links whose addresses are all already linked together are ignored,
+   * so earlier (more trusted) sources win.
+   *
+   * @param {Object} link - { symbol, addresses: { [chain]: address }, source }
+   * @return {Object|null} The stored link, or null if it was a duplicate.
+   */
+  function addLink({ symbol, addresses, source }) {
+    const normalized = {};
+    Object.entries(addresses).forEach(([chain, address]) => {
+      if (address) normalized[chain] = address.toLowerCase();
+    });
+    if (Object.keys(normalized).length < 2) return null;
+
+    const [firstChain] = Object.keys(normalized);
+    const existing = byAddress.get(addressKey(firstChain, normalized[firstChain])) || [];
+    if (existing.some(link => samePair(link, normalized))) return null;
+
+    const link = { symbol, addresses: normalized, source };
+    links.push(link);
+    Object.entries(normalized).forEach(([chain, address]) => {
+      const key = addressKey(chain, address);
+      byAddress.set(key, [...(byAddress.get(key) || []), link]);
+    });
+    return link;
+  }
+
+  function getLinks(chain, address) {
+    return byAddress.get(addressKey(chain, address)) || [];
+  }
+
+  function getLinkedAddresses(chain, address, targetChain) {
+    return getLinks(chain, address)
+      .map(link => link.addresses[targetChain])
+      .filter(Boolean);
+  }
+
+  return {
+    addLink,
+    getLinks,
+    getLinkedAddresses,
+    listLinks: () => [...links],
+  };
+}
+
+/**
+ * Converts a Superchain/Uniswap-format token list into links.
+ *
+ * @param {Object} tokenList - { tokens: [{ chainId, address, symbol, extensions }] }
+ * @return {Array<Object>} Links as { symbol, addresses, source }.
+ */
+function linksFromTokenList(tokenList) {
+  const groups = new Map();
+  const links = [];
+
+  (tokenList.tokens || []).forEach(token => {
+    const chain = getChainNameById(token.chainId);
+    const extensions = token.extensions || {};
+
+    // Superchain list: one entry per chain, grouped by opTokenId
+    if (chain && extensions.opTokenId) {
+      const group = groups.get(extensions.opTokenId) || { symbol: token.symbol, addresses: {} };
+      group.addresses[chain] = token.address;
+      groups.set(extensions.opTokenId, group);
+    }
+
+    // Uniswap-style list: the L1 entry points at its bridged addresses
+    if (chain && extensions.bridgeInfo) {
+      const addresses = { [chain]: token.address };
+      Object.entries(extensions.bridgeInfo).forEach(([remoteChainId, info]) => {
+        const remoteChain = getChainNameById(remoteChainId);
+        if (remoteChain && info && info.tokenAddress) addresses[remoteChain] = info.tokenAddress;
+      });
+      links.push({ symbol: token.symbol, addresses, source: LinkSource.TOKEN_LIST });
+    }
+  });
+
+  groups.forEach(group => links.push({ ...group, source: LinkSource.TOKEN_LIST }));
+  return links.filter(link => Object.keys(link.addresses).length >= 2);
+}
+
+/**
+ * Downloads a token list (cached under the tokenLists source).
+ *
+ * @param {string} [url] - Defaults to SUPERCHAIN_TOKEN_LIST_URL or the Optimism list.
+ * @return {Promise<Object>} The token list JSON.
+ */
+function fetchTokenList(url = process.env.SUPERCHAIN_TOKEN_LIST_URL || DEFAULT_TOKEN_LIST_URL) {
+  return getCache('tokenLists').wrap(`token-list:${url}`, async () => {
+    const response = await getHttpClient().get(url);
+    return response.data;
+  });
+}
+
+/**
+ * Reads the L1 tokens OP Stack bridged tokens were minted for, in one multicall.
+ * Each token is asked for remoteToken() and the legacy l1Token().
+ *
+ * @param {string} chainName - L2 chain, e.g. 'base'
+ * @param {string[]} tokenAddresses - L2 token addresses
+ * @param {Object} [options] - Passed to multicall() (blockTag, chunkSize, provider).
+ * @return {Promise<Array<string|null>>} L1 token address per input, or null if the token
+ *   is not a Standard Bridge token.
+ */
+async function getRemoteTokens(chainName, tokenAddresses, options = {}) {
+  const getters = ['remoteToken', 'l1Token'];
+  const calls = tokenAddresses.flatMap(target =>
+    getters.map(functionName => ({ target, abi: OP_MINTABLE_ERC20_ABI, functionName }))
+  );
+  const { results } = await multicall(chainName, calls, options);
+
+  return tokenAddresses.map((address, index) => {
+    const found = results
+      .slice(index * getters.length, (index + 1) * getters.length)
+      .find(result => result.success && result.value !== ethers.constants.AddressZero);
+    return found ? found.value : null;
+  });
+}
+
+/**
+ * Reads the L1 token an OP Stack bridged token was minted for.
+ *
+ * @param {string} chainName - L2 chain, e.g. 'base'
+ * @param {string} tokenAddress - L2 token address
+ * @return {Promise<string|null>} L1 token address, or null if the token is not a Standard Bridge token.
+ */
+async function getRemoteToken(chainName, tokenAddress) {
+  const [remote] = await getRemoteTokens(chainName, [tokenAddress]);
+  return remote;
+}
+
+/**
+ * Adds Standard Bridge links for L2 tokens the registry does not know yet.
+ *
+ * @param {Object} registry - Token registry.
+ * @param {string} l1Chain - e.g. 'ethereum'
+ * @param {string} l2Chain - e.g. 'base'
+ * @param {Array<Object>} l2Tokens - Discovered L2 tokens ({ symbol, tokenAddress }).
+ * @param {Object} [options]
+ * @param {Function} [options.readRemoteTokens=getRemoteTokens] - (chain, addresses) => Promise<Array<string|null>>
+ * @return {Promise<number>} Number of links added.
+ */
+async function linkBridgedTokens(registry, l1Chain, l2Chain, l2Tokens, options = {}) {
+  const { readRemoteTokens = getRemoteTokens } = options;
+  const candidates = l2Tokens.filter(token => registry.getLinkedAddresses(l2Chain, token.tokenAddress, l1Chain).length === 0);
+  if (candidates.length === 0) return 0;
+
+  const remotes = await readRemoteTokens(l2Chain, candidates.map(token => token.tokenAddress));
+
+  let added = 0;
+  candidates.forEach((token, index) => {
+    if (!remotes[index]) return;
+    const link = registry.addLink({
+      symbol: token.symbol,
+      addresses: { [l1Chain]: remotes[index], [l2Chain]: token.tokenAddress },
+      source: LinkSource.STANDARD_BRIDGE,
+    });
+    if (link) added += 1;
+  });
+  return added;
+}
+
+/**
+ * Builds a registry from the curated links and, optionally, a token list.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.loadTokenList=true] - Download the Superchain token list.
+ * @param {Object} [options.tokenList] - Use this token list instead of downloading one.
+ * @return {Promise<Object>} Token registry.
+ */
+async function buildTokenRegistry(options = {}) {
+  const { loadTokenList = true, tokenList } = options;
+  const registry = createTokenRegistry();
+
+  curatedTokenLinks.forEach(link => registry.addLink({ ...link, source: LinkSource.CURATED }));
+
+  if (tokenList || loadTokenList) {
+    try {
+      const list = tokenList || await fetchTokenList();
+      linksFromTokenList(list).forEach(link => registry.addLink(link));
+    } catch (error) {
+      console.warn(`Token list unavailable, using curated links only: ${error.message}`);
+    }
+  }
+
+  return registry;
+}
+
+module.exports = {
+  LinkSource,
+  createTokenRegistry,
+  linksFromTokenList,
+  fetchTokenList,
+  getRemoteTokens,
+  getRemoteToken,
+  linkBridgedTokens,
+  buildTokenRegistry,
+};
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Trade size optimization for one cross-chain route.
+ *
+ * Fixed costs (gas, fixed bridge fees) make small trades lose money, and
+ * price impact in the pools (and the bridge AMM) makes large ones lose it
+ * again, so profit against size is a hump. We sweep a geometric grid of
+ * notional sizes, refine the best one with a golden-section search, and find
+ * the sizes where profit crosses zero on either side of it.
+ *
+ * A size is evaluated like evaluateRoute(), with three additions:
+ *   - buyImpact / sellImpact: usd => fraction lost to pool price impact;
+ *   - quoteBridge: usd => FeeQuote at that size (fixed fees and AMM slippage
+ *     show up in its feeUsd), or a static bridgeFee { feeBps, fixedFeeUsd };
+ *   - bridgeImpact: usd => extra fraction lost in the bridge AMM.
+ * A leg with a pool impact pays no swapFeeBps, since the simulated swap
+ * already charges the pool fee.
+ */
+
+const { simulateExactInput, computePriceImpact } = require('../utils/uniswapUtils');
+const { isQuoteUsable } = require('../utils/feeQuote');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { perChain, DEFAULT_SWAP_FEE_BPS, DEFAULT_GAS_USD } = require('./opportunities');
+const { toBN } = require('../utils/bigNumberUtils');
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Builds a price impact function from a Uniswap V3 pool snapshot. Without
+ * initialized ticks the in-range liquidity is assumed to hold for the whole
+ * trade, which understates impact on large sizes.
+ *
+ * @param {Object} token - Entry from getSortedTokens (needs isToken0, decimals, pairedToken).
+ * @param {Object} poolState - From getPoolStates ({ sqrtPriceX96, tick, liquidity, fee, [ticks] }).
+ * @param {number} tokenPriceUsd - USD price of the token on this chain.
+ * @param {string} side - 'buy' (pay the paired token for the token) or 'sell'.
+ * @return {Function} usd => price impact as a fraction (0.01 = 1%), fees included.
+ */
+function createPoolImpact(token, poolState, tokenPriceUsd, side) {
+  const pool = { ...poolState, ticks: poolState.ticks || [] };
+  // Selling token0 moves the price down (zeroForOne)
+  const zeroForOne = side === 'sell' ? token.isToken0 : !token.isToken0;
+  // Paired-token raw units per raw unit of the token at the current price
+  const spot = toBN(pool.sqrtPriceX96).pow(2).div(toBN(2).pow(192)); // token1 per token0
+  const pairedPerToken = token.isToken0 ? spot : toBN(1).div(spot);
+
+  return usd => {
+    const tokenRaw = toBN(usd).div(tokenPriceUsd).times(toBN(10).pow(Number(token.decimals)));
+    const amountIn = side === 'sell' ? tokenRaw : tokenRaw.times(pairedPerToken);
+    const raw = amountIn.integerValue().toFixed();
+    if (raw === '0') return 0;
+
+    const { amountIn: spent, amountOut } = simulateExactInput(pool, zeroForOne, raw);
+    return Number(computePriceImpact(pool.sqrtPriceX96, spent, amountOut, zeroForOne));
+  };
+}
+
+/**
+ * Fee at a size from quotes taken at a few anchor sizes: linear between the
+ * two anchors around it, the smallest anchor's fee below them (fixed fees
+ * dominate small sizes) and the largest anchor's rate above them.
+ *
+ * @param {Array<Object>} anchors - [{ usd, quote }], smallest size first.
+ * @param {number} usdAmount - Size to price.
+ * @return {FeeQuote} The closest anchor's quote with feeUsd and feeBps at usdAmount, or the first
+ *   anchor's quote when none is usable.
+ */
+function interpolateQuote(anchors, usdAmount) {
+  const usable = anchors.filter(({ quote }) => isQuoteUsable(quote) && typeof quote.feeUsd === 'number');
+  if (usable.length === 0) return anchors[0].quote;
+
+  const first = usable[0];
+  const last = usable[usable.length - 1];
+  let feeUsd;
+  let closest;
+  if (usdAmount <= first.usd) {
+    [feeUsd, closest] = [first.quote.feeUsd, first];
+  } else if (usdAmount >= last.usd) {
+    [feeUsd, closest] = [last.quote.feeUsd * usdAmount / last.usd, last];
+  } else {
+    const upper = usable.findIndex(({ usd }) => usd >= usdAmount);
+    const [low, high] = [usable[upper - 1], usable[upper]];
+    const t = (usdAmount - low.usd) / (high.usd - low.usd);
+    feeUsd = low.quote.feeUsd + t * (high.quote.feeUsd - low.quote.feeUsd);
+    closest = t < 0.5 ? low : high;
+  }
+  return { ...closest.quote, feeUsd, feeBps: feeUsd / usdAmount * 10000 };
+}
+
+/**
+ * Quotes a route through a fee provider registry at any size.
+ *
+ * Each quote asks every provider on the route, so with anchorsUsd the
+ * registry is only asked at those sizes (once each, on first use) and other
+ * sizes are interpolated between them (see interpolateQuote).
+ *
+ * @param {Object} registry - From createProviderRegistry().
+ * @param {Object} token - Common token ({ symbol, [chain]: { decimals } }).
+ * @param {string} sourceChain - Chain to bridge from.
+ * @param {string} destinationChain - Chain to bridge to.
+ * @param {number} tokenPriceUSD - Source-chain USD price.
+ * @param {Object} [options]
+ * @param {number[]} [options.anchorsUsd] - Sizes to quote; every size is quoted without them.
+ * @return {Function} async usd => best FeeQuote
+ */
+function createBridgeQuoter(registry, token, sourceChain, destinationChain, tokenPriceUSD, options = {}) {
+  async function quoteAt(usdAmount) {
+    const { best } = await registry.quoteAll({
+      token,
+      sourceChain,
+      destinationChain,
+      usdAmount,
+      tokenPriceUSD,
+      decimals: Number(token[sourceChain].decimals),
+    });
+    return best;
+  }
+  if (!options.anchorsUsd) return quoteAt;
+
+  const sizes = [...options.anchorsUsd].sort((a, b) => a - b);
+  let anchors = null;
+  return async usdAmount => {
+    anchors = anchors || Promise.all(sizes.map(async usd => ({ usd, quote: await quoteAt(usd) })));
+    return interpolateQuote(await anchors, usdAmount);
+  };
+}
+
+/**
+ * Profit of a route at one notional size.
+ *
+ * @param {Object} route - { symbol, buyChain, sellChain, buyPrice, sellPrice }
+ * @param {number} notionalUsd - Trade size in USD.
+ * @param {Object} [model] - Cost model (see the file overview).
+ * @param {number|Object} [model.swapFeeBps] - Swap fee in bps, or per chain.
+ * @param {number|Object} [model.gasUsd] - Gas cost in USD, or per chain (defaults to the
+ *   bridge quote's gasUsd, then DEFAULT_GAS_USD).
+ * @param {Object} [model.bridgeFee] - Static bridge fee { feeBps = 0, fixedFeeUsd = 0 }.
+ * @param {Function} [model.quoteBridge] - async usd => FeeQuote (takes precedence over bridgeFee).
+ * @param {Function} [model.buyImpact] - usd => fraction lost buying.
+ * @param {Function} [model.bridgeImpact] - usd => fraction lost in the bridge AMM.
+ * @param {Function} [model.sellImpact] - usd => fraction lost selling.
+ * @return {Promise<Object>} { notionalUsd, swapFeeUsd, bridgeFeeUsd, priceImpactUsd, gasUsd,
+ *   netProfitUsd, netSpreadBps, error } (netProfitUsd is null when the bridge quote failed)
+ */
+async function evaluateSize(route, notionalUsd, model = {}) {
+  const { buyChain, sellChain, buyPrice, sellPrice } = route;
+  const point = {
+    notionalUsd,
+    swapFeeUsd: null,
+    bridgeFeeUsd: null,
+    priceImpactUsd: null,
+    gasUsd: perChain(model.gasUsd, buyChain, DEFAULT_GAS_USD[buyChain] || 0)
+      + perChain(model.gasUsd, sellChain, DEFAULT_GAS_USD[sellChain] || 0),
+    netProfitUsd: null,
+    netSpreadBps: null,
+    error: null,
+  };
+
+  let bridgeFraction;
+  let fixedFeeUsd = 0;
+  if (model.quoteBridge) {
+    const quote = await model.quoteBridge(notionalUsd);
+    if (!isQuoteUsable(quote)) {
+      point.error = (quote && quote.error) || 'No usable bridge quote';
+      return point;
+    }
+    bridgeFraction = typeof quote.feeUsd === 'number' ? quote.feeUsd / notionalUsd : quote.feeBps / 10000;
+    if (model.gasUsd === undefined && typeof quote.gasUsd === 'number') point.gasUsd = quote.gasUsd;
+  } else {
+    const { feeBps = 0, fixedFeeUsd: fixed = 0 } = model.bridgeFee || {};
+    bridgeFraction = feeBps / 10000;
+    fixedFeeUsd = fixed;
+  }
+
+  // Leg 1: buy on the source chain
+  const buySwapFeeUsd = model.buyImpact ? 0 : notionalUsd * perChain(model.swapFeeBps, buyChain, DEFAULT_SWAP_FEE_BPS) / 10000;
+  const spotQty = (notionalUsd - buySwapFeeUsd) / buyPrice;
+  const buyImpact = model.buyImpact ? model.buyImpact(notionalUsd) : 0;
+  const boughtQty = spotQty * (1 - buyImpact);
+
+  // Leg 2: bridge
+  const bridgeImpact = model.bridgeImpact ? model.bridgeImpact(notionalUsd) : 0;
+  const afterFeeQty = Math.max(0, boughtQty * (1 - bridgeFraction) - fixedFeeUsd / buyPrice);
+  const bridgedQty = afterFeeQty * (1 - bridgeImpact);
+
+  // Leg 3: sell on the destination chain
+  const spotProceedsUsd = bridgedQty * sellPrice;
+  const sellImpact = model.sellImpact && spotProceedsUsd > 0 ? model.sellImpact(spotProceedsUsd) : 0;
+  const grossProceedsUsd = spotProceedsUsd * (1 - sellImpact);
+  const sellSwapFeeUsd = model.sellImpact ? 0 : grossProceedsUsd * perChain(model.swapFeeBps, sellChain, DEFAULT_SWAP_FEE_BPS) / 10000;
+
+  point.swapFeeUsd = buySwapFeeUsd + sellSwapFeeUsd;
+  point.bridgeFeeUsd = (boughtQty - afterFeeQty) * buyPrice;
+  point.priceImpactUsd = (spotQty - boughtQty) * buyPrice + (afterFeeQty - bridgedQty) * buyPrice + spotProceedsUsd - grossProceedsUsd;
+  point.netProfitUsd = grossProceedsUsd - sellSwapFeeUsd - notionalUsd - point.gasUsd;
+  point.netSpreadBps = point.netProfitUsd / notionalUsd * 10000;
+  return point;
+}
+
+/**
+ * Finds the profit-maximizing size of a route and where it breaks even.
+ *
+ * @param {Object} route - { symbol, buyChain, sellChain, buyPrice, sellPrice }
+ * @param {Object} [model] - Cost model (see evaluateSize).
+ * @param {Object} [options]
+ * @param {number} [options.minUsd=10] - Smallest size swept.
+ * @param {number} [options.maxUsd=1000000] - Largest size swept.
+ * @param {number} [options.points=25] - Grid points, spaced geometrically.
+ * @param {number} [options.refineSteps=12] - Search steps for the optimum and each break-even (0 disables).
+ * @param {number} [options.concurrency=4] - Sizes evaluated in parallel during the sweep.
+ * @return {Promise<Object>} { symbol, buyChain, sellChain, optimal, breakEven: { lowerUsd, upperUsd }, curve }
+ *   optimal is the best evaluateSize() point, or null when no size is profitable. A break-even is
+ *   null when profit does not cross zero on that side within the swept range. curve holds every
+ *   evaluated point, smallest size first.
+ */
+async function optimizeTradeSize(route, model = {}, options = {}) {
+  const { minUsd = 10, maxUsd = 1000000, points = 25, refineSteps = 12, concurrency = 4 } = options;
+  if (!(minUsd > 0) || !(maxUsd > minUsd) || !(points >= 2)) {
+    throw new Error('optimizeTradeSize needs 0 < minUsd < maxUsd and at least 2 points');
+  }
+
+  const evaluated = new Map(); // notionalUsd -> point
+  async function profitAt(usd) {
+    if (!evaluated.has(usd)) evaluated.set(usd, await evaluateSize(route, usd, model));
+    const { netProfitUsd } = evaluated.get(usd);
+    return netProfitUsd === null ? -Infinity : netProfitUsd;
+  }
+
+  const ratio = (maxUsd / minUsd) ** (1 / (points - 1));
+  const grid = Array.from({ length: points }, (_, i) => (i === points - 1 ? maxUsd : minUsd * ratio ** i));
+  const profits = await mapWithConcurrency(grid, concurrency, profitAt);
+
+  let bestIndex = 0;
+  profits.forEach((profit, i) => {
+    if (profit > profits[bestIndex]) bestIndex = i;
+  });
+
+  // Golden-section search between the best grid point's neighbours
+  let low = grid[Math.max(0, bestIndex - 1)];
+  let high = grid[Math.min(points - 1, bestIndex + 1)];
+  for (let step = 0; step < refineSteps; step += 1) {
+    const left = high - GOLDEN_RATIO * (high - low);
+    const right = low + GOLDEN_RATIO * (high - low);
+    if (await profitAt(left) >= await profitAt(right)) high = right;
+    else low = left;
+  }
+
+  const curve = [...evaluated.values()].sort((a, b) => a.notionalUsd - b.notionalUsd);
+  const optimal = curve.reduce((best, point) => (
+    point.netProfitUsd !== null && (!best || point.netProfitUsd > best.netProfitUsd) ? point : best
+  ), null);
+  const result = {
+    symbol: route.symbol,
+    buyChain: route.buyChain,
+    sellChain: route.sellChain,
+    optimal: optimal && optimal.netProfitUsd > 0 ? optimal : null,
+    breakEven: { lowerUsd: null, upperUsd: null },
+    curve,
+  };
+  if (!result.optimal) return result;
+
+  // Bisect between the last losing grid point and the optimum (and past it)
+  async function crossing(losing, winning) {
+    let [lose, win] = [losing, winning];
+    for (let step = 0; step < refineSteps; step += 1) {
+      const mid = (lose + win) / 2;
+      if (await profitAt(mid) > 0) win = mid;
+      else lose = mid;
+    }
+    return (lose + win) / 2;
+  }
+  const lowerLosing = grid.filter((usd, i) => usd < optimal.notionalUsd && profits[i] <= 0).pop();
+  const upperLosing = grid.find((usd, i) => usd > optimal.notionalUsd && profits[i] <= 0);
+  if (lowerLosing !== undefined) result.breakEven.lowerUsd = await crossing(lowerLosing, optimal.notionalUsd);
+  if (upperLosing !== undefined) result.breakEven.upperUsd = await crossing(upperLosing, optimal.notionalUsd);
+  result.curve = [...evaluated.values()].sort((a, b) => a.notionalUsd - b.notionalUsd);
+
+  return result;
+}
+
+module.exports = { optimizeTradeSize, evaluateSize, createPoolImpact, createBridgeQuoter, interpolateQuote };
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Long-running, block-driven price watcher over WebSocket providers.
+ *
+ * Each chain gets a WebSocketProvider subscribed to new blocks and to the
+ * Swap events of every watched representative pool. A Swap log carries the
+ * post-swap sqrtPriceX96, so prices refresh without extra RPC calls. Pool
+ * prices are in the paired token, so they are anchored to a USD seed price:
+ *    usdPrice = seedUsd * poolPrice / poolPriceAtSeed
+ *
+ * Events:
+ *   'priceUpdate'   { tokenId, symbol, chain, price, previousPrice, poolPrice, pool, blockNumber, source }
+ *   'spreadChanged' { tokenId, symbol, buyChain, sellChain, spreadBps, previousSpreadBps }
+ *   'opportunity'   A profitable evaluateRoute() result
+ *   'connected' / 'disconnected' { chain, error }, 'block' { chain, blockNumber }, 'error'
+ *
+ * Sockets that close, error or go quiet for staleBlockMs are rebuilt with
+ * exponential backoff, and the chain's pools are re-read through multicall so
+ * swaps missed while disconnected are not lost.
+ */
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const { getChainConfig } = require('../config/chainContext');
+const { UNISWAP_V3_POOL_ABI } = require('../config/constants');
+const { getPoolStates, computeTokenPrice } = require('./dex/uniswapV3');
+const { evaluateRoute } = require('./opportunities');
+const { priceValue } = require('../utils/priceRecord');
+const { tokenId } = require('../utils/tokenId');
+
+const poolInterface = new ethers.utils.Interface(UNISWAP_V3_POOL_ABI);
+const SWAP_TOPIC = poolInterface.getEventTopic('Swap');
+
+function defaultCreateProvider(chainName) {
+  const { wsUrl } = getChainConfig(chainName);
+  if (!wsUrl) throw new Error(`No WebSocket URL configured for ${chainName}`);
+  return new ethers.providers.WebSocketProvider(wsUrl);
+}
+
+/**
+ * Creates a watcher. Nothing connects until start().
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.commonTokens - From discoverAllTokensSorted (per-chain entries need repPool).
+ * @param {Object} options.prices - USD seed prices, { [tokenId]: { [chain]: PriceRecord or number } } (see utils/tokenId.js).
+ * @param {Object} [options.bridgeFees] - { [tokenId]: { ['from->to']: FeeQuote } } (see toOpportunityInputs).
+ * @param {number} [options.notionalUsd=1000] - Trade size for opportunity checks.
+ * @param {number|Object} [options.swapFeeBps] - Passed to evaluateRoute.
+ * @param {number|Object} [options.gasUsd] - Passed to evaluateRoute.
+ * @param {number} [options.minSpreadChangeBps=1] - Smallest spread move that emits spreadChanged.
+ * @param {number} [options.resyncEveryBlocks=50] - Re-read every pool this often (0 disables).
+ * @param {number} [options.reconnectDelayMs=1000] - First reconnect delay; doubles per failed attempt.
+ * @param {number} [options.maxReconnectDelayMs=30000] - Reconnect delay cap.
+ * @param {number} [options.staleBlockMs=60000] - Reconnect when no block arrives for this long.
+ * @param {Function} [options.createProvider] - chain => provider (defaults to a WebSocketProvider on wsUrl).
+ * @param {Function} [options.readPoolStates=getPoolStates] - (chain, pools) => Promise<{ pools }>
+ * @return {EventEmitter} Watcher with start(), stop() and getPrices().
+ */
+function createPriceWatcher(options) {
+  const {
+    commonTokens,
+    prices,
+    bridgeFees = {},
+    notionalUsd = 1000,
+    swapFeeBps,
+    gasUsd,
+    minSpreadChangeBps = 1,
+    resyncEveryBlocks = 50,
+    reconnectDelayMs = 1000,
+    maxReconnectDelayMs = 30000,
+    staleBlockMs = 60000,
+    createProvider = defaultCreateProvider,
+    readPoolStates = getPoolStates,
+  } = options;
+
+  const watcher = new EventEmitter();
+  const current = {};        // tokenId -> chain -> USD price
+  const spreads = new Map(); // 'tokenId:from->to' -> bps
+  const poolsByChain = {};   // chain -> pool address -> [entry]
+  const connections = {};    // chain -> { provider, attempts, reconnectTimer, staleTimer, lastBlockAt }
+  let stopped = true;
+
+  commonTokens.forEach(token => {
+    token.chains.forEach(chain => {
+      const entry = token[chain];
+      const seedUsd = priceValue((prices[tokenId(token)] || {})[chain]);
+      if (!entry || !entry.repPool || seedUsd === null) return;
+      if (entry.repPoolSchema && entry.repPoolSchema !== 'uniswap-v3') return;
+
+      const pool = entry.repPool.toLowerCase();
+      poolsByChain[chain] = poolsByChain[chain] || {};
+      poolsByChain[chain][pool] = poolsByChain[chain][pool] || [];
+      poolsByChain[chain][pool].push({ id: tokenId(token), symbol: token.symbol, chain, token: entry, seedUsd, basePoolPrice: null });
+    });
+  });
+
+  function report(error) {
+    if (watcher.listenerCount('error') > 0) watcher.emit('error', error);
+    else console.warn(`Price watcher: ${error.message}`);
+  }
+
+  function updateSpreads(id, symbol) {
+    const tokenPrices = current[id] || {};
+    const chains = Object.keys(tokenPrices);
+
+    chains.forEach(buyChain => {
+      chains.forEach(sellChain => {
+        if (buyChain === sellChain) return;
+        const spreadBps = (tokenPrices[sellChain] - tokenPrices[buyChain]) / tokenPrices[buyChain] * 10000;
+        const key = `${id}:${buyChain}->${sellChain}`;
+        const previousSpreadBps = spreads.get(key);
+        if (previousSpreadBps !== undefined && Math.abs(spreadBps - previousSpreadBps) < minSpreadChangeBps) return;
+
+        spreads.set(key, spreadBps);
+        watcher.emit('spreadChanged', { tokenId: id, symbol, buyChain, sellChain, spreadBps, previousSpreadBps: previousSpreadBps ?? null });
+
+        const opportunity = evaluateRoute(
+          { tokenId: id, symbol, prices: tokenPrices, bridgeFees: bridgeFees[id] || {} },
+          buyChain,
+          sellChain,
+          { notionalUsd, swapFeeBps, gasUsd }
+        );
+        if (opportunity && opportunity.profitable) watcher.emit('opportunity', opportunity);
+      });
+    });
+  }
+
+  function applyPoolPrice(chain, pool, sqrtPriceX96, blockNumber, source) {
+    (poolsByChain[chain][pool] || []).forEach(entry => {
+      const poolPrice = priceValue(Number(computeTokenPrice(entry.token, sqrtPriceX96)));
+      if (poolPrice === null) return;
+      if (entry.basePoolPrice === null) entry.basePoolPrice = poolPrice;
+
+      const price = entry.seedUsd * poolPrice / entry.basePoolPrice;
+      current[entry.id] = current[entry.id] || {};
+      const previousPrice = current[entry.id][chain] ?? null;
+      if (previousPrice === price) return;
+
+      current[entry.id][chain] = price;
+      watcher.emit('priceUpdate', { tokenId: entry.id, symbol: entry.symbol, chain, price, previousPrice, poolPrice, pool, blockNumber, source });
+      updateSpreads(entry.id, entry.symbol);
+    });
+  }
+
+  async function syncChain(chain) {
+    const pools = Object.keys(poolsByChain[chain]);
+    try {
+      const { blockNumber, pools: states } = await readPoolStates(chain, pools);
+      if (stopped) return;
+      states.forEach(({ pool, state, error }) => {
+        if (state) applyPoolPrice(chain, pool.toLowerCase(), state.sqrtPriceX96, blockNumber, 'sync');
+        else report(new Error(`Failed to read pool ${pool} on ${chain}: ${error}`));
+      });
+    } catch (error) {
+      report(new Error(`Failed to sync ${chain} pools: ${error.message}`));
+    }
+  }
+
+  function onSwap(chain, log) {
+    try {
+      const { args } = poolInterface.parseLog(log);
+      applyPoolPrice(chain, log.address.toLowerCase(), args.sqrtPriceX96.toString(), log.blockNumber, 'swap');
+    } catch (error) {
+      report(new Error(`Unreadable Swap log on ${chain}: ${error.message}`));
+    }
+  }
+
+  function teardown(connection) {
+    clearInterval(connection.staleTimer);
+    const { provider } = connection;
+    connection.provider = null;
+    if (!provider) return;
+    provider.removeAllListeners();
+    if (provider.websocket) {
+      provider.websocket.onclose = null;
+      provider.websocket.onerror = null;
+    }
+    Promise.resolve()
+      .then(() => provider.destroy())
+      .catch(() => {}); // The socket may already be gone
+  }
+
+  function handleDisconnect(chain, error) {
+    const connection = connections[chain];
+    if (stopped || connection.reconnectTimer) return;
+
+    teardown(connection);
+    watcher.emit('disconnected', { chain, error: error.message });
+
+    const delay = Math.min(maxReconnectDelayMs, reconnectDelayMs * 2 ** connection.attempts);
+    connection.attempts += 1;
+    connection.reconnectTimer = setTimeout(() => {
+      connection.reconnectTimer = null;
+      if (connect(chain)) syncChain(chain);
+    }, delay);
+  }
+
+  function connect(chain) {
+    const connection = connections[chain];
+    try {
+      const provider = createProvider(chain);
+      connection.provider = provider;
+      connection.lastBlockAt = Date.now();
+
+      provider.on('block', blockNumber => {
+        connection.lastBlockAt = Date.now();
+        connection.attempts = 0;
+        watcher.emit('block', { chain, blockNumber });
+        if (resyncEveryBlocks > 0 && blockNumber % resyncEveryBlocks === 0) syncChain(chain);
+      });
+      Object.keys(poolsByChain[chain]).forEach(pool => {
+        provider.on({ address: pool, topics: [SWAP_TOPIC] }, log => onSwap(chain, log));
+      });
+
+      if (provider.websocket) {
+        provider.websocket.onclose = () => handleDisconnect(chain, new Error('WebSocket closed'));
+        provider.websocket.onerror = error => handleDisconnect(chain, new Error(error.message || 'WebSocket error'));
+      }
+      connection.staleTimer = setInterval(() => {
+        if (Date.now() - connection.lastBlockAt > staleBlockMs) {
+          handleDisconnect(chain, new Error(`No block for ${staleBlockMs}ms`));
+        }
+      }, Math.max(1000, staleBlockMs / 4));
+      connection.staleTimer.unref();
+
+      watcher.emit('connected', { chain });
+      return true;
+    } catch (error) {
+      handleDisconnect(chain, error);
+      return false;
+    }
+  }
+
+  /**
+   * Connects to every chain with watched pools and seeds prices from one
+   * multicall snapshot per chain.
+   */
+  watcher.start = async () => {
+    stopped = false;
+    const chains = Object.keys(poolsByChain);
+    chains.forEach(chain => {
+      connections[chain] = { provider: null, attempts: 0, reconnectTimer: null, staleTimer: null, lastBlockAt: 0 };
+      connect(chain);
+    });
+    await Promise.all(chains.map(syncChain));
+  };
+
+  /**
+   * Closes every socket and cancels pending reconnects.
+   */
+  watcher.stop = () => {
+    stopped = true;
+    Object.values(connections).forEach(connection => {
+      clearTimeout(connection.reconnectTimer);
+      connection.reconnectTimer = null;
+      teardown(connection);
+    });
+  };
+
+  /**
+   * @return {Object} Current USD prices, { [tokenId]: { [chain]: price } }.
+   */
+  watcher.getPrices = () => JSON.parse(JSON.stringify(current));
+
+  return watcher;
+}
+
+module.exports = { createPriceWatcher, SWAP_TOPIC };
@@ -0,0 +1,9 @@
+// server.js - HTTP API entry point (see modules/apiServer.js for routes)
+require('dotenv').config();
+const { createApiServer } = require('./modules/apiServer');
+
+const port = Number(process.env.PORT || 3000);
+
+createApiServer().listen(port, () => {
+  console.log(`Price aggregation API listening on http://localhost:${port}`);
+});
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Tests for alert rules, hysteresis, cooldown and delivery sinks.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { expect } = require('chai');
+const { createAlertEngine, createSink, resolveRule } = require('../modules/alerts');
+const { createHttpClient } = require('../utils/httpClient');
+
+function opportunity(symbol, buyChain, sellChain, netSpreadBps, notionalUsd = 1000) {
+  return {
+    symbol,
+    buyChain,
+    sellChain,
+    notionalUsd,
+    grossSpreadBps: netSpreadBps + 60,
+    netSpreadBps,
+    netProfitUsd: netSpreadBps * notionalUsd / 10000,
+    profitable: netSpreadBps > 0,
+  };
+}
+
+// Local receiver that records every POSTed JSON body and can fail on demand.
+function startReceiver({ status = 200 } = {}) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      bodies.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = status;
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, bodies, url: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+const rules = {
+  default: { minNetSpreadBps: 50, hysteresisBps: 10, cooldownMs: 60000 },
+  WETH: { minNetProfitUsd: 20 },
+  'USDC:ethereum->base': { minNetSpreadBps: 5 },
+  'base->ethereum': { enabled: false },
+};
+
+describe('Alert rules', function () {
+  it('resolveRule() should merge entries from least to most specific', () => {
+    expect(resolveRule(rules, 'usdc', 'ethereum', 'base')).to.include({ minNetSpreadBps: 5, hysteresisBps: 10, enabled: true });
+    expect(resolveRule(rules, 'WETH', 'ethereum', 'base')).to.include({ minNetSpreadBps: 50, minNetProfitUsd: 20 });
+    expect(resolveRule(rules, 'WETH', 'base', 'ethereum').enabled).to.equal(false);
+  });
+
+  it('check() should fire once, re-arm after hysteresis and respect the cooldown', () => {
+    let clock = 0;
+    const engine = createAlertEngine({ rules, now: () => clock });
+    const fire = bps => engine.check([opportunity('DAI', 'ethereum', 'base', bps)]).length;
+
+    expect(fire(40)).to.equal(0);
+    expect(fire(55)).to.equal(1);
+    expect(fire(60)).to.equal(0);  // still active
+    expect(fire(45)).to.equal(0);  // inside the hysteresis band, stays active
+    expect(fire(55)).to.equal(0);
+    expect(fire(35)).to.equal(0);  // cleared
+    expect(fire(55)).to.equal(0);  // re-armed but cooling down
+    clock = 60000;
+    expect(fire(55)).to.equal(1);  // still triggered once the cooldown ends
+    expect(fire(55)).to.equal(0);
+  });
+
+  it('check() should re-arm a route that drops out of a run', () => {
+    let clock = 0;
+    const engine = createAlertEngine({ rules, now: () => clock });
+    const dai = [opportunity('DAI', 'ethereum', 'base', 55)];
+
+    expect(engine.check(dai)).to.have.length(1);
+    expect(engine.check([])).to.have.length(0);  // route not evaluated, e.g. its quote failed
+    expect(engine.getState()['DAI:ethereum->base'].active).to.equal(false);
+    clock = 60000;
+    expect(engine.check(dai)).to.have.length(1);  // back above threshold after the cooldown
+  });
+
+  it('check() should fire on USD profit and skip disabled routes', () => {
+    const engine = createAlertEngine({ rules });
+    const alerts = engine.check([
+      opportunity('WETH', 'ethereum', 'base', 30, 10000),   // $30 profit, below the 50 bps rule
+      opportunity('WETH', 'base', 'ethereum', 500, 10000),  // disabled route
+    ]);
+    expect(alerts.map(a => a.id)).to.deep.equal(['WETH:ethereum->base']);
+    expect(alerts[0].message).to.equal('WETH ethereum->base: net spread 30.0 bps, net profit $30.00 on $10000');
+  });
+
+  it('should keep state between runs through the state file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+    const stateFile = path.join(dir, 'state.json');
+    try {
+      expect(createAlertEngine({ rules, stateFile }).check([opportunity('DAI', 'ethereum', 'base', 80)])).to.have.length(1);
+      expect(createAlertEngine({ rules, stateFile }).check([opportunity('DAI', 'ethereum', 'base', 80)])).to.have.length(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Alert sinks', function () {
+  this.timeout(10000);
+  let receiver;
+
+  afterEach(done => {
+    if (receiver) receiver.server.close(done);
+    else done();
+    receiver = null;
+  });
+
+  it('evaluate() should deliver to webhook, Slack and file sinks', async () => {
+    receiver = await startReceiver();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+    const filePath = path.join(dir, 'alerts.ndjson');
+    try {
+      const engine = createAlertEngine({
+        rules,
+        sinks: [
+          createSink({ type: 'webhook', url: `${receiver.url}/hook`, headers: { 'x-token': 'secret' } }),
+          createSink({ type: 'slack', url: `${receiver.url}/slack` }),
+          createSink({ type: 'file', path: filePath }),
+        ],
+      });
+
+      const { alerts, deliveries } = await engine.evaluate([opportunity('DAI', 'ethereum', 'base', 75)]);
+
+      expect(alerts).to.have.length(1);
+      expect(deliveries.every(d => d.ok)).to.equal(true);
+      const hook = receiver.bodies.find(b => b.url === '/hook');
+      expect(hook.headers['x-token']).to.equal('secret');
+      expect(hook.body).to.include({ id: 'DAI:ethereum->base', netSpreadBps: 75 });
+      expect(receiver.bodies.find(b => b.url === '/slack').body.text).to.include('DAI ethereum->base');
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).symbol).to.equal('DAI');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('evaluate() should report a failing sink without blocking the others', async () => {
+    receiver = await startReceiver({ status: 500 });
+    const lines = [];
+    const engine = createAlertEngine({
+      rules,
+      sinks: [
+        createSink({ type: 'webhook', url: receiver.url, http: createHttpClient({ retries: 0 }) }),
+        createSink({ type: 'stdout', stream: { write: line => lines.push(line) } }),
+      ],
+    });
+
+    const originalError = console.error;
+    console.error = () => {};
+    let result;
+    try {
+      result = await engine.evaluate([opportunity('DAI', 'ethereum', 'base', 75)]);
+    } finally {
+      console.error = originalError;
+    }
+
+    expect(result.deliveries.find(d => d.sink === 'webhook').ok).to.equal(false);
+    expect(result.deliveries.find(d => d.sink === 'stdout').ok).to.equal(true);
+    expect(lines[0]).to.match(/^\[ALERT .+\] DAI ethereum->base: net spread 75.0 bps/);
+  });
+
+  it('createSink() should reject unknown types and missing URLs', () => {
+    expect(() => createSink({ type: 'pager' })).to.throw(/Unknown alert sink/);
+    expect(() => createSink({ type: 'webhook' })).to.throw(/needs a "url"/);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Tests for the HTTP API with stubbed upstreams.
+ */
+
+const http = require('http');
+const { expect } = require('chai');
+const { createApiServer } = require('../modules/apiServer');
+const { createProviderRegistry } = require('../modules/feeProviders');
+const { FeeStatus, createFeeQuote } = require('../utils/feeQuote');
+const { tokenId } = require('../utils/tokenId');
+
+const USDC = {
+  id: 'ethereum:0xa0,base:0xb0',
+  symbol: 'USDC',
+  chains: ['ethereum', 'base'],
+  ethereum: { symbol: 'USDC', tokenAddress: '0xa0', decimals: '6' },
+  base: { symbol: 'USDC', tokenAddress: '0xb0', decimals: '6' },
+};
+
+// Bridged USDC, another common token with the same symbol
+const USDBC = {
+  id: 'ethereum:0xa0,base:0xbc',
+  symbol: 'USDC',
+  chains: ['ethereum', 'base'],
+  ethereum: USDC.ethereum,
+  base: { symbol: 'USDC', tokenAddress: '0x00000000000000000000000000000000000000bc', decimals: '6' },
+};
+
+const PRICES = {
+  USDC: { ethereum: 1.0, base: 1.02 },
+  [USDC.id]: { ethereum: 1.0, base: 1.02 },
+  [USDBC.id]: { ethereum: 1.0, base: 0.97 },
+};
+
+function get(server, path) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${server.address().port}${path}`, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+describe('API Server', function () {
+  let server;
+  let calls;
+
+  let commonTokens;
+
+  beforeEach(done => {
+    calls = { discover: 0, prices: 0, quotedUsd: [] };
+    commonTokens = [USDC];
+    const registry = createProviderRegistry({
+      providers: [{
+        id: 'stub',
+        quote: async ({ token, sourceChain, destinationChain, usdAmount }) => {
+          calls.quotedUsd.push(usdAmount);
+          return createFeeQuote({
+            status: FeeStatus.SUCCESS,
+            provider: 'stub',
+            tokenSymbol: token.symbol,
+            sourceChain,
+            destinationChain,
+            feeBps: 5,
+            feeUsd: usdAmount * 0.0005,
+          });
+        },
+      }],
+      routing: { default: { providers: ['stub'], weights: {} } },
+    });
+
+    server = createApiServer({
+      chains: ['ethereum', 'base'],
+      registry,
+      discoverTokens: async () => {
+        calls.discover += 1;
+        return { tokensByChain: { ethereum: [USDC.ethereum], base: [USDC.base] }, commonTokens };
+      },
+      fetchPrices: async (tokens, chains) => {
+        calls.prices += 1;
+        if (tokens.includes('FAIL')) throw new Error('Alchemy unavailable');
+        return Object.fromEntries(tokens.map(t => [tokenId(t), Object.fromEntries(chains.map(c => [c, PRICES[tokenId(t)][c]]))]));
+      },
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(done => server.close(done));
+
+  it('GET /tokens should return one chain and cache discovery', async () => {
+    const base = await get(server, '/tokens?chain=base');
+    const common = await get(server, '/tokens');
+    expect(base.status).to.equal(200);
+    expect(base.body).to.deep.equal({ chain: 'base', tokens: [USDC.base] });
+    expect(common.body.tokens[0].symbol).to.equal('USDC');
+    expect(calls.discover).to.equal(1);
+  });
+
+  it('GET /prices should validate symbols and cache per query', async () => {
+    const first = await get(server, '/prices?symbols=USDC&chains=base');
+    await get(server, '/prices?symbols=USDC&chains=base');
+    expect(first.body).to.deep.equal({ chains: ['base'], prices: { USDC: { base: 1.02 } } });
+    expect(calls.prices).to.equal(1);
+
+    const invalid = await get(server, '/prices?symbols=US%20DC');
+    expect(invalid.status).to.equal(400);
+    expect(invalid.body.error.code).to.equal('INVALID_PARAMETER');
+  });
+
+  it('GET /fees/:symbol should return ranked quotes', async () => {
+    const { status, body } = await get(server, '/fees/usdc?from=ethereum&to=base&usdAmount=100');
+    expect(status).to.equal(200);
+    expect(body).to.include({ symbol: 'USDC', sourceChain: 'ethereum', destinationChain: 'base', usdAmount: 100, tokenPriceUSD: 1 });
+    expect(body.best).to.include({ provider: 'stub', feeBps: 5, feeUsd: 0.05 });
+  });
+
+  it('GET /fees/:symbol should reject bad chains and unknown tokens', async () => {
+    expect((await get(server, '/fees/USDC?from=ethereum&to=ethereum')).status).to.equal(400);
+    expect((await get(server, '/fees/%E0%A4%A?from=ethereum&to=base')).status).to.equal(400);
+    expect((await get(server, '/fees/USDC?from=solana&to=base')).body.error.message).to.match(/"from" must be one of/);
+    expect((await get(server, '/fees/USDC?from=ethereum&to=base&usdAmount=-1')).status).to.equal(400);
+    const missing = await get(server, '/fees/PEPE?from=ethereum&to=base');
+    expect(missing.status).to.equal(404);
+    expect(missing.body.error.code).to.equal('NOT_FOUND');
+  });
+
+  it('GET /opportunities should price every route', async () => {
+    const { status, body } = await get(server, '/opportunities?notionalUsd=10000');
+    expect(status).to.equal(200);
+    expect(body.notionalUsd).to.equal(10000);
+    expect(body.opportunities.map(o => `${o.buyChain}->${o.sellChain}`)).to.include('ethereum->base');
+    expect(calls.quotedUsd).to.deep.equal([10000, 10000]); // fees are quoted at the requested notional
+  });
+
+  it('should keep same-symbol tokens apart and look them up by address', async () => {
+    commonTokens = [USDC, USDBC];
+    const { body } = await get(server, '/opportunities?notionalUsd=1000');
+    const toBase = body.opportunities.filter(o => o.buyChain === 'ethereum');
+    expect(toBase.map(o => [o.tokenId, o.sellPrice])).to.have.deep.members([[USDC.id, 1.02], [USDBC.id, 0.97]]);
+
+    const ambiguous = await get(server, '/fees/USDC?from=ethereum&to=base');
+    expect(ambiguous.status).to.equal(409);
+    expect(ambiguous.body.error.code).to.equal('AMBIGUOUS_TOKEN');
+
+    const bridged = await get(server, `/fees/${USDBC.base.tokenAddress}?from=base&to=ethereum`);
+    expect(bridged.status).to.equal(200);
+    expect(bridged.body).to.include({ symbol: 'USDC', tokenId: USDBC.id, tokenPriceUSD: 0.97 });
+  });
+
+  it('should report upstream failures and unknown routes with the error body', async () => {
+    const upstream = await get(server, '/prices?symbols=FAIL');
+    expect(upstream.status).to.equal(502);
+    expect(upstream.body).to.deep.equal({ error: { code: 'UPSTREAM_ERROR', message: 'Alchemy unavailable' } });
+    expect((await get(server, '/nope')).status).to.equal(404);
+  });
+});
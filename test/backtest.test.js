@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for replaying recorded snapshots through the opportunity logic.
+ */
+
+const { expect } = require('chai');
+const { runBacktest, createRecordedPriceSource, createRecordedFeeSource } = require('../modules/backtest');
+
+const MINUTE = 60000;
+const START = Date.parse('2024-05-01T00:00:00Z');
+
+function snapshotAt(minute, base, optimism) {
+  const fee = route => [
+    { symbol: 'USDC', route, provider: 'hop', status: 'success', feeBps: 10, feeUsd: 1 },
+    { symbol: 'USDC', route, provider: 'openocean', status: 'estimated', feeBps: 2, feeUsd: 0.2 },
+  ];
+  return {
+    takenAt: new Date(START + minute * MINUTE).toISOString(),
+    source: 'run',
+    blockNumbers: {},
+    prices: { USDC: { base: { alchemy: base }, optimism: { alchemy: optimism } } },
+    fees: [...fee('base->optimism'), ...fee('optimism->base')],
+    spreads: [],
+  };
+}
+
+// A 200 bps gap that closes before the bridge lands, then a 200 bps gap that holds
+const SERIES = [
+  snapshotAt(0, 1.00, 1.02),
+  snapshotAt(1, 1.00, 1.00),
+  snapshotAt(2, 1.00, 0.99),
+  snapshotAt(3, 1.00, 0.98),
+  snapshotAt(4, 1.00, 1.00),
+];
+const COSTS = { notionalUsd: 1000, swapFeeBps: 0, gasUsd: 0 };
+
+describe('Backtest', function () {
+  it('recorded sources should return the latest value at or before a time', () => {
+    const prices = createRecordedPriceSource(SERIES);
+    expect(prices.getPrice('USDC', 'optimism', START + 2.5 * MINUTE)).to.equal(0.99);
+    expect(prices.getPrice('USDC', 'optimism', START - 1)).to.equal(null);
+
+    const fees = createRecordedFeeSource(SERIES);
+    const quote = fees.getFeeQuote('USDC', 'base', 'optimism', START);
+    expect(quote).to.include({ provider: 'hop', feeBps: 10 });
+    expect(fees.getFeeQuote('USDC', 'base', 'ethereum', START)).to.equal(null);
+  });
+
+  it('should fill at the prices after the execution delay and bridge latency', () => {
+    const { summary, byToken, trades, equityCurve } = runBacktest([...SERIES].reverse(), {
+      ...COSTS,
+      minNetSpreadBps: 50,
+      executionDelayMs: MINUTE,
+      bridgeLatencyMs: { 'base->optimism': MINUTE, default: MINUTE },
+    });
+
+    expect(trades.map(trade => [trade.route, trade.buyAt, trade.sellAt])).to.deep.equal([
+      ['base->optimism', '2024-05-01T00:01:00.000Z', '2024-05-01T00:02:00.000Z'],
+      ['optimism->base', '2024-05-01T00:03:00.000Z', '2024-05-01T00:04:00.000Z'],
+    ]);
+    expect(trades[0].expectedNetProfitUsd).to.be.closeTo(18.98, 0.01);
+    expect(trades[0].netProfitUsd).to.be.closeTo(-10.99, 0.01);
+    expect(trades[1].netProfitUsd).to.be.closeTo(19.39, 0.01);
+
+    // The signal at minute 3 is skipped: the same route is still in flight
+    expect(summary).to.include({ snapshots: 5, signals: 2, unsettled: 0, trades: 2, wins: 1, losses: 1, hitRate: 0.5 });
+    expect(summary.pnlUsd).to.be.closeTo(8.40, 0.01);
+    expect(summary.maxDrawdownUsd).to.be.closeTo(10.99, 0.01);
+    expect(byToken.USDC.trades).to.equal(2);
+    expect(equityCurve.map(point => point.time)).to.deep.equal(trades.map(trade => trade.sellAt));
+  });
+
+  it('should count signals that cannot settle within the recorded data', () => {
+    const { summary } = runBacktest(SERIES, { ...COSTS, minNetSpreadBps: 50, bridgeLatencyMs: 10 * MINUTE });
+    // The minute 3 signal is skipped: optimism->base is still committed to the minute 2 signal
+    expect(summary).to.include({ signals: 2, trades: 0, unsettled: 2, hitRate: null, pnlUsd: 0 });
+  });
+
+  it('should hold a route whose fill cannot be priced until it would have settled', () => {
+    const { summary } = runBacktest(SERIES.slice(0, 3), {
+      ...COSTS,
+      executionDelayMs: MINUTE / 2,
+      bridgeLatencyMs: MINUTE,
+      // Prices only at the snapshot times, so no fill between them can be priced
+      priceSource: { getPrice: (symbol, chain, time) => ((time - START) % MINUTE ? null : (chain === 'base' ? 1 : 1.1)) },
+      feeSource: { getFeeQuote: () => ({ status: 'success', feeBps: 0 }) },
+    });
+    expect(summary).to.include({ signals: 2, trades: 0, unsettled: 2 });
+  });
+
+  it('should use injected price and fee sources instead of the recorded ones', () => {
+    const { trades } = runBacktest(SERIES.slice(0, 2), {
+      ...COSTS,
+      bridgeLatencyMs: MINUTE,
+      priceSource: { getPrice: (symbol, chain) => (chain === 'base' ? 1 : 1.1) },
+      feeSource: { getFeeQuote: () => ({ status: 'success', feeBps: 0 }) },
+    });
+    expect(trades).to.have.length(1);
+    expect(trades[0].netProfitUsd).to.be.closeTo(100, 1e-9);
+  });
+});
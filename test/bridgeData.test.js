@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tests for the 1inch adapter and the aggregator comparison.
+ */
+
+const http = require('http');
+const { expect } = require('chai');
+const { get1inchQuote, get1inchSwap, compareSwapQuotes } = require('../modules/crossChain/bridgeData');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const WETH = '0x4200000000000000000000000000000000000006';
+const SENDER = '0x000000000000000000000000000000000000dEaD';
+
+/**
+ * Local stand-in for the 1inch Swap API on one chain.
+ */
+function startOneInch() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+    const reply = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (url.searchParams.get('dst') !== WETH) {
+      return reply(400, { error: 'Bad Request', description: 'insufficient liquidity', statusCode: 400 });
+    }
+    if (url.pathname.endsWith('/quote')) return reply(200, { dstAmount: '399850000000000000', gas: 182000 });
+    return reply(200, {
+      dstAmount: '399850000000000000',
+      tx: { from: SENDER, to: '0x111111125421cA6dc452d289314280a0f8842A65', data: '0x07ed2379', value: '0', gas: 0, gasPrice: '12000000' },
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/swap/v6.0/8453` });
+  }));
+}
+
+describe('1inch Adapter', function () {
+  let api;
+  let options;
+
+  before(async () => {
+    api = await startOneInch();
+    options = { baseUrl: api.baseUrl, apiKey: 'secret' };
+  });
+  after(done => api.server.close(done));
+  beforeEach(() => { api.requests.length = 0; });
+
+  it('get1inchQuote() should authorise with the API key and normalize the result', async () => {
+    const quote = await get1inchQuote('base', USDC, WETH, '1000000000', options);
+
+    expect(api.requests[0].path).to.equal('/swap/v6.0/8453/quote');
+    expect(api.requests[0].query).to.include({ src: USDC, dst: WETH, amount: '1000000000', includeGas: 'true' });
+    expect(api.requests[0].headers.authorization).to.equal('Bearer secret');
+    expect(quote).to.deep.equal({
+      provider: '1inch', chain: 'base', tokenIn: USDC, tokenOut: WETH, amountIn: '1000000000', amountOut: '399850000000000000', estimatedGas: 182000,
+    });
+  });
+
+  it('get1inchSwap() should return calldata for the sender', async () => {
+    const swap = await get1inchSwap('base', USDC, WETH, '1000000000', { ...options, fromAddress: SENDER, slippage: 0.5 });
+
+    expect(api.requests[0].path).to.equal('/swap/v6.0/8453/swap');
+    expect(api.requests[0].query).to.include({ from: SENDER, slippage: '0.5', disableEstimate: 'true' });
+    expect(swap).to.include({ provider: '1inch', amountOut: '399850000000000000', estimatedGas: 0 });
+    expect(swap.tx).to.include({ to: '0x111111125421cA6dc452d289314280a0f8842A65', data: '0x07ed2379' });
+
+    let error;
+    try { await get1inchSwap('base', USDC, WETH, '1', options); } catch (e) { error = e; }
+    expect(error.message).to.match(/needs a fromAddress/);
+  });
+
+  it('should fail clearly without liquidity, an API key or a configured chain', async () => {
+    const attempts = [
+      get1inchQuote('base', USDC, '0xdead', '1000000000', options),
+      get1inchQuote('base', USDC, WETH, '1', { baseUrl: api.baseUrl, apiKey: '' }),
+      get1inchQuote('solana', USDC, WETH, '1', { apiKey: 'secret' }),
+    ].map(promise => promise.then(() => null, error => error));
+    const [noLiquidity, noKey, noChain] = await Promise.all(attempts);
+
+    expect(noLiquidity).to.include({ code: 'UNSUPPORTED_ROUTE', message: '1inch quote returned 400: insufficient liquidity' });
+    if (!process.env.ONEINCH_API_KEY) expect(noKey.message).to.equal('ONEINCH_API_KEY is not set');
+    expect(noChain.message).to.match(/Chain config not found/);
+  });
+
+  it('compareSwapQuotes() should rank aggregators by output and keep failures', async () => {
+    const quoters = {
+      '1inch': (chain, tokenIn, tokenOut, amountIn) => get1inchQuote(chain, tokenIn, tokenOut, amountIn, options),
+      openocean: async (chain, tokenIn, tokenOut, amountIn, decimalsIn) => {
+        expect(decimalsIn).to.equal(6);
+        return { provider: 'openocean', chain, tokenIn, tokenOut, amountIn, amountOut: '399450000000000000', estimatedGas: 190000 };
+      },
+      broken: async () => { throw new Error('timeout'); },
+    };
+    const { best, quotes, failures } = await compareSwapQuotes('base', USDC, WETH, '1000000000', 6, { quoters });
+
+    expect(best.provider).to.equal('1inch');
+    expect(quotes.map(quote => [quote.provider, quote.shortfallBps])).to.deep.equal([['1inch', 0], ['openocean', 10]]);
+    expect(failures).to.deep.equal([{ provider: 'broken', error: 'timeout' }]);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for the shared TTL cache.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { createCache } = require('../utils/cache');
+
+describe('Cache', function () {
+  it('get() should expire entries after their TTL and count hits and misses', () => {
+    let clock = 1000;
+    const cache = createCache({ name: 'test', ttlMs: 50, now: () => clock });
+    cache.set('a', 1);
+    expect(cache.get('a')).to.equal(1);
+    clock += 50;
+    expect(cache.get('a')).to.equal(undefined);
+    expect(cache.stats()).to.deep.equal({ name: 'test', hits: 1, misses: 1, deduped: 0, size: 0 });
+  });
+
+  it('wrap() should share one in-flight load and not cache failures', async () => {
+    const cache = createCache({ name: 'test', ttlMs: 1000 });
+    let loads = 0;
+    const loader = async () => {
+      loads += 1;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return 'value';
+    };
+
+    const values = await Promise.all([cache.wrap('k', loader), cache.wrap('k', loader), cache.wrap('k', loader)]);
+    expect(values).to.deep.equal(['value', 'value', 'value']);
+    expect(await cache.wrap('k', loader)).to.equal('value');
+    expect(loads).to.equal(1);
+    expect(cache.stats()).to.include({ hits: 1, deduped: 2 });
+
+    let error;
+    try {
+      await cache.wrap('bad', async () => { throw new Error('upstream down'); });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('upstream down');
+    expect(await cache.wrap('bad', async () => 'recovered')).to.equal('recovered');
+  });
+
+  it('flush() should persist fresh entries for the next process', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    const filePath = path.join(dir, 'prices.json');
+    try {
+      const first = createCache({ name: 'prices', ttlMs: 60000, filePath });
+      first.set('base:USDC', 1.0001);
+      first.set('base:OLD', 2, -1);
+      first.flush();
+
+      const second = createCache({ name: 'prices', ttlMs: 60000, filePath });
+      expect(second.get('base:USDC')).to.equal(1.0001);
+      expect(second.get('base:OLD')).to.equal(undefined);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Tests for the command-line interface and output formats.
+ */
+
+const { Writable } = require('stream');
+const { expect } = require('chai');
+const { run, EXIT_CODES } = require('../modules/cli');
+const { toCsv } = require('../utils/output');
+const { createProviderRegistry } = require('../modules/feeProviders');
+const { FeeStatus, createFeeQuote } = require('../utils/feeQuote');
+const { PriceStatus, createPriceRecord } = require('../utils/priceRecord');
+
+function capture() {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      stream.text += chunk;
+      callback();
+    },
+  });
+  stream.text = '';
+  return stream;
+}
+
+const USDC = {
+  symbol: 'USDC',
+  chains: ['ethereum', 'base'],
+  matchedBy: 'address',
+  confidence: 'high',
+  ethereum: { symbol: 'USDC', tokenAddress: '0xa0', decimals: '6' },
+  base: { symbol: 'USDC', tokenAddress: '0xb0', decimals: '6' },
+};
+
+function stubServices(prices = { USDC: { ethereum: 1, base: 1.05 } }) {
+  return {
+    discover: async () => ({ tokensByChain: {}, commonTokens: [USDC] }),
+    fetchPrices: async () => prices,
+    registry: createProviderRegistry({
+      providers: [{
+        id: 'stub',
+        quote: async ({ token, sourceChain, destinationChain, usdAmount }) => createFeeQuote({
+          status: FeeStatus.SUCCESS, provider: 'stub', tokenSymbol: token.symbol, sourceChain, destinationChain, feeBps: 5, feeUsd: usdAmount * 0.0005,
+        }),
+      }],
+      routing: { default: { providers: ['stub'], weights: {} } },
+    }),
+    checkEndpoints: async chains => chains.map(chain => ({ chain, type: 'rpc', ok: chain !== 'base', error: null })),
+  };
+}
+
+async function cli(argv, services = stubServices()) {
+  const stdout = capture();
+  const stderr = capture();
+  const exitCode = await run(argv, { stdout, stderr, services });
+  return { exitCode, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('CLI', function () {
+  it('should reject unknown commands, chains and formats with the usage exit code', async () => {
+    expect((await cli(['bogus'])).exitCode).to.equal(EXIT_CODES.USAGE);
+    expect((await cli(['discover', '--chains', 'solana'])).stderr).to.match(/Unknown chain "solana"/);
+    expect((await cli(['scan', '--notional', 'abc'])).exitCode).to.equal(EXIT_CODES.USAGE);
+    expect((await cli(['discover', '--format', 'xml'])).exitCode).to.equal(EXIT_CODES.USAGE);
+    expect((await cli(['--help'])).exitCode).to.equal(EXIT_CODES.OK);
+  });
+
+  it('discover should print common tokens as NDJSON', async () => {
+    const { exitCode, stdout } = await cli(['discover', '--chains', 'ethereum,base', '--format', 'ndjson']);
+    expect(exitCode).to.equal(EXIT_CODES.OK);
+    expect(stdout.trim().split('\n').map(line => JSON.parse(line))).to.deep.equal([
+      { symbol: 'USDC', chains: 'ethereum,base', matchedBy: 'address', confidence: 'high', ethereum: '0xa0', base: '0xb0' },
+    ]);
+  });
+
+  it('prices should exit with PARTIAL when a price is missing', async () => {
+    const { exitCode, stdout } = await cli(
+      ['prices', '--chains', 'ethereum,base', '--tokens', 'USDC', '--format', 'json'],
+      stubServices({ USDC: { ethereum: createPriceRecord({ status: PriceStatus.VALID, value: 1 }), base: createPriceRecord({ status: PriceStatus.ZERO }) } })
+    );
+    expect(exitCode).to.equal(EXIT_CODES.PARTIAL);
+    expect(JSON.parse(stdout)).to.deep.equal([{ symbol: 'USDC', ethereum: 1, base: null }]);
+  });
+
+  it('scan should report opportunities and exit 4 when none is profitable', async () => {
+    const found = await cli(['scan', '--chains', 'ethereum,base', '--notional', '100000', '--format', 'json']);
+    expect(found.exitCode).to.equal(EXIT_CODES.OK);
+    expect(JSON.parse(found.stdout)[0]).to.include({ symbol: 'USDC', route: 'ethereum->base', profitable: true });
+
+    const flat = await cli(['scan', '--chains', 'ethereum,base', '--format', 'json'], stubServices({ USDC: { ethereum: 1, base: 1 } }));
+    expect(flat.exitCode).to.equal(EXIT_CODES.NO_OPPORTUNITIES);
+  });
+
+  it('fees should print CSV rows per route', async () => {
+    const { exitCode, stdout } = await cli(['fees', '--chains', 'ethereum,base', '--notional', '100', '--format', 'csv']);
+    expect(exitCode).to.equal(EXIT_CODES.OK);
+    expect(stdout.split('\n')[0]).to.equal('symbol,route,provider,status,feeBps,feeUsd,gasUsd,error');
+    expect(stdout).to.include('USDC,ethereum->base,stub,success,5,0.05,');
+  });
+
+  it('watch should stream watcher events as NDJSON until interrupted', async () => {
+    const EventEmitter = require('events');
+    let watcherOptions;
+    const services = {
+      ...stubServices(),
+      createWatcher: options => {
+        watcherOptions = options;
+        const watcher = new EventEmitter();
+        watcher.start = async () => watcher.emit('priceUpdate', { symbol: 'USDC', chain: 'base', price: 1.01 });
+        watcher.stop = () => {};
+        return watcher;
+      },
+      untilInterrupted: async () => {},
+    };
+    const { exitCode, stdout } = await cli(['watch', '--chains', 'ethereum,base'], services);
+    expect(exitCode).to.equal(EXIT_CODES.OK);
+    expect(watcherOptions.prices).to.deep.equal({ USDC: { ethereum: 1, base: 1.05 } });
+    expect(JSON.parse(stdout)).to.include({ event: 'priceUpdate', symbol: 'USDC', price: 1.01 });
+  });
+
+  it('watch --record should store a snapshot per block that moved a price', async () => {
+    const EventEmitter = require('events');
+    const appended = [];
+    const services = {
+      ...stubServices(),
+      createWatcher: () => {
+        const watcher = new EventEmitter();
+        watcher.getPrices = () => ({ USDC: { ethereum: 1, base: 1.05 } });
+        watcher.start = async () => {
+          watcher.emit('block', { chain: 'base', blockNumber: 10 });
+          watcher.emit('priceUpdate', { symbol: 'USDC', chain: 'base', price: 1.05 });
+          watcher.emit('block', { chain: 'base', blockNumber: 11 });
+        };
+        watcher.stop = () => {};
+        return watcher;
+      },
+      untilInterrupted: async () => {},
+      snapshotStore: { append: async snapshot => appended.push(snapshot) },
+    };
+    await cli(['watch', '--chains', 'ethereum,base', '--record'], services);
+    expect(appended).to.have.length(1);
+    expect(appended[0]).to.include({ source: 'block' });
+    expect(appended[0].blockNumbers).to.deep.equal({ base: 11 });
+    expect(appended[0].prices.USDC.base).to.deep.equal({ 'uniswap-v3': 1.05 });
+    expect(appended[0].spreads.map(s => s.route)).to.have.members(['ethereum->base', 'base->ethereum']);
+  });
+
+  it('backtest should report per-token and total PnL from the snapshot store', async () => {
+    const snapshot = (takenAt, base) => ({
+      takenAt,
+      prices: { USDC: { ethereum: { alchemy: 1 }, base: { alchemy: base } } },
+      fees: [{ symbol: 'USDC', route: 'ethereum->base', provider: 'stub', status: 'success', feeBps: 5, feeUsd: 0.5 }],
+      spreads: [],
+    });
+    let filter;
+    const services = {
+      ...stubServices(),
+      snapshotStore: {
+        query: async f => {
+          filter = f;
+          return [snapshot('2024-05-01T00:00:00Z', 1.05), snapshot('2024-05-01T00:01:00Z', 1.04)];
+        },
+      },
+    };
+    const { exitCode, stdout } = await cli(
+      ['backtest', '--chains', 'ethereum,base', '--from', '2024-05-01', '--latency', '60000', '--format', 'json'],
+      services
+    );
+    expect(exitCode).to.equal(EXIT_CODES.OK);
+    expect(filter).to.deep.equal({ from: '2024-05-01', to: undefined });
+    const rows = JSON.parse(stdout);
+    expect(rows.map(row => row.symbol)).to.deep.equal(['USDC', 'TOTAL']);
+    expect(rows[1]).to.include({ trades: 1, hitRate: 1 });
+    expect((await cli(['backtest', '--delay', '-1'], services)).exitCode).to.equal(EXIT_CODES.USAGE);
+  });
+
+  it('check-endpoints should exit with PARTIAL when an endpoint fails', async () => {
+    const { exitCode } = await cli(['check-endpoints', '--chains', 'ethereum,base', '--format', 'json']);
+    expect(exitCode).to.equal(EXIT_CODES.PARTIAL);
+  });
+
+  it('toCsv() should quote cells and serialize nested values', () => {
+    expect(toCsv([{ a: 'x,y', b: { c: 1 } }, { a: 'say "hi"' }])).to.equal('a,b\n"x,y","{""c"":1}"\n"say ""hi""",\n');
+  });
+});
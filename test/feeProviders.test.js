@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Tests for the fee provider registry.
+ */
+
+const { expect } = require('chai');
+const { createProviderRegistry } = require('../modules/feeProviders/registry');
+const { getDefaultRegistry } = require('../modules/feeProviders');
+const { FeeStatus, createFeeQuote, failedFeeQuote } = require('../utils/feeQuote');
+
+function fakeProvider(id, result, { supports = true, status = FeeStatus.SUCCESS, calls } = {}) {
+  return {
+    id,
+    supportsRoute: () => supports,
+    quote: async ({ token, sourceChain, destinationChain }) => {
+      if (calls) calls.push(id);
+      const context = { provider: id, tokenSymbol: token.symbol, sourceChain, destinationChain };
+      if (result instanceof Error) throw result;
+      if (typeof result === 'string') return failedFeeQuote(result, context, `${id} failed`);
+      return createFeeQuote({ ...context, status, feeBps: result * 100, feeUsd: result });
+    },
+  };
+}
+
+describe('Fee Provider Registry', function () {
+  const request = {
+    token: { symbol: 'USDC' },
+    sourceChain: 'ethereum',
+    destinationChain: 'base',
+    usdAmount: 1,
+    tokenPriceUSD: 1,
+    decimals: 6,
+  };
+
+  it('quoteAll() should query every provider and return the cheapest first', async () => {
+    const calls = [];
+    const registry = createProviderRegistry({
+      providers: [fakeProvider('a', 0.5, { calls }), fakeProvider('b', 0.2, { calls }), fakeProvider('c', FeeStatus.UNSUPPORTED_ROUTE, { calls })],
+    });
+    const { best, quotes } = await registry.quoteAll(request);
+    expect(calls).to.have.members(['a', 'b', 'c']);
+    expect(best.provider).to.equal('b');
+    expect(quotes.map(q => q.provider)).to.deep.equal(['b', 'a', 'c']);
+  });
+
+  it('quoteAll() should rank real quotes ahead of estimates and skip unsupported routes', async () => {
+    const registry = createProviderRegistry({
+      providers: [
+        fakeProvider('bridge', 0.5),
+        fakeProvider('swap', 0.1, { status: FeeStatus.ESTIMATED }),
+        fakeProvider('other', 0.01, { supports: false }),
+      ],
+    });
+    const { best, quotes } = await registry.quoteAll(request);
+    expect(best.provider).to.equal('bridge');
+    expect(quotes.map(q => q.provider)).to.deep.equal(['bridge', 'swap']);
+  });
+
+  it('quoteAll() should honour per-token provider lists and route weights', async () => {
+    const registry = createProviderRegistry({
+      providers: [fakeProvider('a', 0.3), fakeProvider('b', 0.2), fakeProvider('c', 0.1)],
+      routing: {
+        default: { providers: ['a', 'b', 'c'] },
+        'ethereum->base': { weights: { b: 1 } },
+        USDC: { providers: ['a', 'b'], weights: { b: 2 } },
+      },
+    });
+    expect(registry.resolveRouting('usdc', 'ethereum', 'base')).to.deep.equal({ providers: ['a', 'b'], weights: { b: 2 } });
+    const { best, quotes } = await registry.quoteAll(request);
+    expect(best.provider).to.equal('a'); // b's 0.2 is weighted to 0.4
+    expect(quotes.map(q => q.provider)).to.deep.equal(['a', 'b']);
+  });
+
+  it('quoteAll() should turn thrown errors into failed quotes', async () => {
+    const registry = createProviderRegistry({
+      providers: [fakeProvider('a', new Error('boom')), fakeProvider('b', FeeStatus.UNSUPPORTED_TOKEN)],
+    });
+    const { best, quotes } = await registry.quoteAll(request);
+    expect(best.status).to.not.equal(FeeStatus.SUCCESS);
+    expect(best.error).to.contain('a: boom');
+    expect(quotes).to.have.length(2);
+  });
+
+  it('register() should reject providers without a quote function', () => {
+    const registry = createProviderRegistry();
+    expect(() => registry.register({ id: 'x' })).to.throw();
+  });
+
+  it('the default registry should only route cross-chain quotes to bridges', () => {
+    const registry = getDefaultRegistry();
+    // OpenOcean only quotes same-chain swaps; it prices swap legs inside composite routes
+    expect(registry.listProviders().map(provider => provider.id)).to.deep.equal(['hop', 'lifi', 'composite']);
+    expect(registry.resolveRouting('USDC', 'ethereum', 'base').providers).to.not.include('openocean');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Tests for the shared FeeQuote shape.
+ */
+
+const { expect } = require('chai');
+const { FeeStatus, createFeeQuote, failedFeeQuote, isQuoteUsable, formatFeeQuote } = require('../utils/feeQuote');
+
+describe('FeeQuote', function () {
+  const context = { provider: 'hop', tokenSymbol: 'USDC', sourceChain: 'ethereum', destinationChain: 'base' };
+
+  it('createFeeQuote() should fill every field', () => {
+    const quote = createFeeQuote({ ...context, status: FeeStatus.SUCCESS, feeBps: 12, feeUsd: 0.0012 });
+    expect(quote).to.have.all.keys(
+      'status', 'provider', 'tokenSymbol', 'sourceChain', 'destinationChain', 'decimals',
+      'inputAmount', 'outputAmount', 'feeAmount', 'feeBps', 'feeUsd', 'gasUsd', 'error'
+    );
+    expect(quote.inputAmount).to.equal(null);
+    expect(isQuoteUsable(quote)).to.equal(true);
+  });
+
+  it('failedFeeQuote() should carry the reason and not be usable', () => {
+    const quote = failedFeeQuote(FeeStatus.UNSUPPORTED_ROUTE, context, 'no liquidity');
+    expect(quote.status).to.equal('unsupported_route');
+    expect(quote.error).to.equal('no liquidity');
+    expect(quote.feeBps).to.equal(null);
+    expect(isQuoteUsable(quote)).to.equal(false);
+  });
+
+  it('formatFeeQuote() should render each status', () => {
+    const ok = createFeeQuote({ ...context, status: FeeStatus.SUCCESS, feeBps: 99, feeUsd: 0.01 });
+    expect(formatFeeQuote(ok)).to.equal('99 bps ($0.0100)');
+    expect(formatFeeQuote(ok, { showProvider: true })).to.equal('99 bps ($0.0100) (via hop)');
+    expect(formatFeeQuote(failedFeeQuote(FeeStatus.UNSUPPORTED_TOKEN, context, ''))).to.equal('Not supported');
+    expect(formatFeeQuote(failedFeeQuote(FeeStatus.UNSUPPORTED_ROUTE, context, ''))).to.equal('Route not supported');
+    expect(formatFeeQuote(failedFeeQuote(FeeStatus.ERROR, context, ''))).to.equal('Error calculating fees');
+    expect(formatFeeQuote(null)).to.equal('Not available');
+  });
+});
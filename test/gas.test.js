@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Tests for gas estimation and gas in fee quotes and opportunities.
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { createGasEstimator } = require('../modules/gas');
+const { createProviderRegistry } = require('../modules/feeProviders');
+const { evaluateRoute } = require('../modules/opportunities');
+const { createCache } = require('../utils/cache');
+const { FeeStatus, createFeeQuote } = require('../utils/feeQuote');
+const { OP_GAS_PRICE_ORACLE_ADDRESS, OP_GAS_PRICE_ORACLE_ABI } = require('../config/constants');
+
+const gwei = value => ethers.utils.parseUnits(String(value), 'gwei');
+const oracleInterface = new ethers.utils.Interface(OP_GAS_PRICE_ORACLE_ABI);
+
+/**
+ * Fake provider with a fixed base fee, priority fee and L1 data fee.
+ */
+function fakeProvider({ baseFee, priorityFee, l1Fee = 0 }) {
+  const l1Requests = [];
+  return {
+    l1Requests,
+    getBlock: async () => ({ baseFeePerGas: gwei(baseFee) }),
+    send: async method => {
+      expect(method).to.equal('eth_maxPriorityFeePerGas');
+      return gwei(priorityFee).toHexString();
+    },
+    call: async tx => {
+      expect(tx.to).to.equal(OP_GAS_PRICE_ORACLE_ADDRESS);
+      const [data] = oracleInterface.decodeFunctionData('getL1Fee', tx.data);
+      l1Requests.push(ethers.utils.hexDataLength(data));
+      return oracleInterface.encodeFunctionResult('getL1Fee', [l1Fee]);
+    },
+  };
+}
+
+describe('Gas Estimation', function () {
+  const providers = {
+    ethereum: fakeProvider({ baseFee: 20, priorityFee: 1 }),
+    base: fakeProvider({ baseFee: 0.01, priorityFee: 0.001, l1Fee: ethers.utils.parseUnits('1', 'szabo') }),
+  };
+  let estimator;
+
+  beforeEach(() => {
+    estimator = createGasEstimator({
+      getProvider: chain => providers[chain],
+      getNativePriceUsd: async () => 2000,
+      cache: createCache({ name: 'gas-test', ttlMs: 60000 }),
+    });
+  });
+
+  it('estimateActions() should price EIP-1559 gas in USD with the native token price', async () => {
+    const estimate = await estimator.estimateActions('ethereum', ['swap']);
+    expect(estimate).to.include({ gasLimit: 180000, baseFeeGwei: 20, priorityFeeGwei: 1, l1FeeWei: '0', nativeSymbol: 'ETH' });
+    // 180k gas at 21 gwei is 0.00378 ETH
+    expect(estimate.gasUsd).to.be.closeTo(7.56, 1e-9);
+    expect(await estimator.getGasPriceGwei('ethereum')).to.equal(21);
+  });
+
+  it('estimateActions() should add the OP Stack L1 data fee per transaction', async () => {
+    const estimate = await estimator.estimateActions('base', ['swap', 'bridgeSend']);
+    expect(estimate.gasLimit).to.equal(430000);
+    expect(estimate.l1FeeWei).to.equal(ethers.utils.parseUnits('2', 'szabo').toString());
+    expect(providers.base.l1Requests).to.deep.equal([420]); // Same size, one oracle call
+    // 430k gas at 0.011 gwei plus 2e-6 ETH of L1 data
+    expect(estimate.gasUsd).to.be.closeTo((430000 * 0.011e-9 + 2e-6) * 2000, 1e-9);
+  });
+
+  it('estimateRoute() should cover the source and destination legs', async () => {
+    const route = await estimator.estimateRoute('ethereum', 'base');
+    expect(route.source.actions).to.deep.equal(['approve', 'swap', 'bridgeSend']);
+    expect(route.destination.actions).to.deep.equal(['bridgeClaim', 'swap']);
+    expect(route.gasUsd).to.be.closeTo(route.source.gasUsd + route.destination.gasUsd, 1e-12);
+    expect(route.source.gasLimit).to.equal(46000 + 180000 + 150000);
+  });
+
+  it('the registry should attach gas to usable quotes without their own, and opportunities should use it', async () => {
+    const registry = createProviderRegistry({
+      providers: [
+        { id: 'ok', quote: async () => createFeeQuote({ status: FeeStatus.SUCCESS, provider: 'ok', feeBps: 5, feeUsd: 0.5 }) },
+        { id: 'bad', quote: async () => createFeeQuote({ status: FeeStatus.UNSUPPORTED_ROUTE, provider: 'bad' }) },
+        { id: 'own', quote: async () => createFeeQuote({ status: FeeStatus.SUCCESS, provider: 'own', feeBps: 9, feeUsd: 0.9, gasUsd: 7 }) },
+      ],
+      routing: { default: { providers: ['ok', 'bad', 'own'] } },
+      estimateGas: async () => ({ gasUsd: 3.25 }),
+    });
+    const { best, quotes } = await registry.quoteAll({ token: { symbol: 'USDC' }, sourceChain: 'ethereum', destinationChain: 'base' });
+    expect(best.gasUsd).to.equal(3.25);
+    expect(quotes[1].gasUsd).to.equal(7); // The provider's own figure is kept
+    expect(quotes[2].gasUsd).to.equal(null);
+
+    const token = { symbol: 'USDC', prices: { ethereum: 1, base: 1.01 }, bridgeFees: { 'ethereum->base': best } };
+    expect(evaluateRoute(token, 'ethereum', 'base', { notionalUsd: 1000 }).gasUsd).to.equal(3.25);
+    expect(evaluateRoute(token, 'ethereum', 'base', { notionalUsd: 1000, gasUsd: 1 }).gasUsd).to.equal(2);
+  });
+
+  it('a failing gas estimate should leave quotes without gas', async () => {
+    const registry = createProviderRegistry({
+      providers: [{ id: 'ok', quote: async () => createFeeQuote({ status: FeeStatus.SUCCESS, provider: 'ok', feeBps: 5, feeUsd: 0.5 }) }],
+      estimateGas: async () => { throw new Error('RPC down'); },
+    });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      const { best } = await registry.quoteAll({ token: { symbol: 'USDC' }, sourceChain: 'ethereum', destinationChain: 'base' });
+      expect(best).to.include({ status: 'success', gasUsd: null });
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Tests for Hop fee quotes, on a stand-in for the Hop SDK.
+ */
+
+const { expect } = require('chai');
+const { calculateHopSwapFees } = require('../utils/hopFees');
+const { FeeStatus } = require('../utils/feeQuote');
+
+/**
+ * Hop SDK stand-in whose bridge AMM loses amount² / 1e14 raw units, so the
+ * fee rate grows with the amount like real slippage.
+ */
+function fakeHop() {
+  const sent = [];
+  return {
+    sent,
+    bridge: () => ({
+      getSendData: async (amount, srcChain, dstChain) => {
+        sent.push({ amount, srcChain, dstChain });
+        const amountBI = BigInt(amount);
+        return { totalFee: (amountBI * amountBI / 10n ** 14n).toString() };
+      },
+    }),
+  };
+}
+
+describe('Hop Fees', function () {
+  it('calculateHopSwapFees() should quote every amount so slippage shows at size', async () => {
+    const hop = fakeHop();
+    const small = await calculateHopSwapFees('HOPTEST', 'ethereum', 'base', 10000, 1, 6, { hop });
+    const large = await calculateHopSwapFees('HOPTEST', 'ethereum', 'base', 100000, 1, 6, { hop });
+
+    expect(hop.sent.map(({ amount }) => amount)).to.deep.equal(['10000000000', '100000000000']);
+    expect(small).to.include({ status: FeeStatus.SUCCESS, feeAmount: '1000000', feeBps: 1 });
+    expect(large).to.include({ status: FeeStatus.SUCCESS, feeAmount: '100000000', feeBps: 10 });
+    expect(large.feeUsd).to.be.closeTo(100, 1e-9);
+  });
+
+  it('calculateHopSwapFees() should share one SDK call for a repeated amount', async () => {
+    const hop = fakeHop();
+    await calculateHopSwapFees('HOPCACHE', 'ethereum', 'base', 5000, 1, 6, { hop });
+    await calculateHopSwapFees('HOPCACHE', 'ethereum', 'base', 5000, 1, 6, { hop });
+    expect(hop.sent).to.have.length(1);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Tests for the shared HTTP client, on a fake transport and clock.
+ */
+
+const { expect } = require('chai');
+const { createHttpClient, parseRetryAfter } = require('../utils/httpClient');
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.request = {};
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+/**
+ * Client on a fake clock: sleeping advances time instead of waiting. The
+ * transport answers from `respond(config, attempt)`.
+ */
+function fakeClient(respond, options = {}) {
+  const clock = { now: 0, sleeps: [], sent: [] };
+  let ids = 0;
+  const client = createHttpClient({
+    retries: 3,
+    baseDelayMs: 100,
+    maxDelayMs: 1000,
+    maxRetryAfterMs: 5000,
+    timeoutMs: 1000,
+    maxConcurrency: 8,
+    rateLimits: {},
+    random: () => 0.5,
+    now: () => clock.now,
+    sleep: async ms => {
+      clock.sleeps.push(ms);
+      clock.now += ms;
+    },
+    createRequestId: () => `req-${++ids}`,
+    transport: async config => {
+      clock.sent.push({ at: clock.now, url: config.url, requestId: config.headers['x-request-id'], timeout: config.timeout });
+      return respond(config, clock.sent.filter(sent => sent.url === config.url).length);
+    },
+    ...options,
+  });
+  return { client, clock };
+}
+
+describe('HTTP Client', function () {
+  let originalWarn;
+
+  // Every retry is logged; keep the test output clean
+  before(() => {
+    originalWarn = console.warn;
+    console.warn = () => {};
+  });
+
+  after(() => {
+    console.warn = originalWarn;
+  });
+
+  it('should retry 5xx answers with jittered exponential backoff under one request id', async () => {
+    const { client, clock } = fakeClient((config, attempt) => {
+      if (attempt < 3) throw httpError(503);
+      return { status: 200, data: { ok: true } };
+    });
+    const response = await client.get('https://api.example.com/prices', { params: { symbols: 'ETH' } });
+    expect(response.data).to.deep.equal({ ok: true });
+    expect(clock.sleeps).to.deep.equal([50, 100]); // half of 100ms, then half of 200ms
+    expect(clock.sent.map(sent => sent.requestId)).to.deep.equal(['req-1', 'req-1', 'req-1']);
+    expect(clock.sent[0].timeout).to.equal(1000);
+  });
+
+  it('should fail at once on other 4xx answers and after the last retry', async () => {
+    const { client, clock } = fakeClient(() => { throw httpError(404); });
+    const error = await client.get('https://api.example.com/missing').catch(caught => caught);
+    expect(error.response.status).to.equal(404);
+    expect(error).to.include({ requestId: 'req-1', attempts: 1 });
+
+    const down = fakeClient(() => { throw httpError(500); }, { retries: 1 });
+    const lastError = await down.client.get('https://api.example.com/down').catch(caught => caught);
+    expect(lastError).to.include({ attempts: 2 });
+    expect(clock.sleeps).to.deep.equal([]);
+    expect(down.clock.sleeps).to.deep.equal([50]); // one backoff before the only retry
+  });
+
+  it('should wait out Retry-After on 429 and hold back other requests to the host', async () => {
+    const { client, clock } = fakeClient((config, attempt) => {
+      if (config.url.endsWith('/a') && attempt === 1) throw httpError(429, { 'retry-after': '2' });
+      return { status: 200, data: config.url };
+    });
+    await client.get('https://api.example.com/a');
+    await client.get('https://api.example.com/b');
+    await client.get('https://other.example.com/c');
+    expect(clock.sent.map(sent => [sent.url.slice(8), sent.at])).to.deep.equal([
+      ['api.example.com/a', 0],
+      ['api.example.com/a', 2000],
+      ['api.example.com/b', 2000],
+      ['other.example.com/c', 2000],
+    ]);
+
+    const tooLong = fakeClient(() => { throw httpError(429, { 'retry-after': '60' }); });
+    const error = await tooLong.client.get('https://api.example.com/a').catch(caught => caught);
+    expect(error).to.include({ attempts: 1 });
+  });
+
+  it('should pace each host with its token bucket', async () => {
+    const { client, clock } = fakeClient(() => ({ status: 200, data: {} }), {
+      rateLimits: { 'api.example.com': { requestsPerSecond: 2, burst: 2 } },
+    });
+    for (const n of [1, 2, 3, 4]) await client.get(`https://api.example.com/${n}`);
+    await client.get('https://unlimited.example.com/');
+    expect(clock.sent.map(sent => sent.at)).to.deep.equal([0, 0, 500, 1000, 1000]);
+  });
+
+  it('should cap requests in flight across hosts', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const { client } = fakeClient(async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { status: 200, data: {} };
+    }, { maxConcurrency: 2 });
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(host => client.get(`https://${host}.example.com/`)));
+    expect(peak).to.equal(2);
+  });
+
+  it('parseRetryAfter() should read seconds and HTTP dates', () => {
+    const now = Date.parse('2024-05-01T00:00:00Z');
+    expect(parseRetryAfter('3', now)).to.equal(3000);
+    expect(parseRetryAfter('Wed, 01 May 2024 00:00:10 GMT', now)).to.equal(10000);
+    expect(parseRetryAfter(undefined, now)).to.equal(null);
+    expect(parseRetryAfter('soon', now)).to.equal(null);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Tests for Li.Fi quotes and routes, served from recorded responses.
+ */
+
+const http = require('http');
+const path = require('path');
+const { expect } = require('chai');
+const { calculateLifiFees, calculateLifiRoutes } = require('../utils/lifiFees');
+const { lifiProvider } = require('../modules/feeProviders/lifiProvider');
+const { PriceStatus, createPriceRecord } = require('../utils/priceRecord');
+const { createHttpClient } = require('../utils/httpClient');
+
+const fixture = name => require(path.join(__dirname, 'fixtures', 'lifi', `${name}.json`));
+
+const USDC = { ethereum: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', base: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' };
+const USDT = { ethereum: '0xdAC17F958D2ee523a2206206994597C13D831ec7', base: '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2' };
+const ARB = { ethereum: '0xB50721BCf8d664c30412Cfbc6cf7a15145234ad1', base: '0x1DEBd73E752bEaF79865Fd6446b0c970EaE7732f' };
+const BROKEN = '0x00000000000000000000000000000000000b0rke';
+
+/**
+ * Local stand-in for li.quest that replays the fixtures by source token.
+ */
+function startLifi() {
+  const requests = [];
+  const quotes = {
+    [USDC.ethereum]: fixture('quote-usdc-ethereum-base'),
+    [USDT.ethereum]: fixture('quote-usdt-ethereum-base'),
+    [ARB.ethereum]: fixture('quote-arb-ethereum-base'),
+  };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const reply = (status, body) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      if (url.searchParams.get('fromToken') === BROKEN) return reply(500, { message: 'Internal error' });
+      if (url.pathname === '/v1/quote' && quotes[url.searchParams.get('fromToken')]) return reply(200, quotes[url.searchParams.get('fromToken')]);
+      if (url.pathname === '/v1/advanced/routes') return reply(200, fixture('routes-usdc-ethereum-base'));
+      return reply(404, fixture('error-no-quote'));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+  }));
+}
+
+describe('Li.Fi Fees', function () {
+  let lifi;
+
+  before(async () => { lifi = await startLifi(); });
+  after(done => lifi.server.close(done));
+  beforeEach(() => { lifi.requests.length = 0; });
+
+  it('calculateLifiFees() should request a quote with the configured Li.Fi chain ids', async () => {
+    const quote = await calculateLifiFees('USDC', 'ethereum', 'base', 1000, 1, 6, USDC.ethereum, USDC.base, { baseUrl: lifi.baseUrl, apiKey: 'key' });
+
+    expect(lifi.requests[0].query).to.include({ fromChain: '1', toChain: '8453', fromToken: USDC.ethereum, toToken: USDC.base, fromAmount: '1000000000', slippage: '0.005' });
+    expect(lifi.requests[0].headers['x-lifi-api-key']).to.equal('key');
+    expect(quote).to.include({
+      status: 'success', provider: 'lifi', inputAmount: '1000000000', outputAmount: '999522000', outputAmountMin: '994524390', feeAmount: '478000', feeBps: 4, durationSeconds: 52,
+    });
+    expect(quote.feeUsd).to.be.closeTo(0.478, 1e-9);
+    expect(quote.gasUsd).to.be.closeTo(5.4, 1e-9);
+    expect(quote.tools).to.deep.equal(['across']);
+    expect(quote.feeCosts).to.deep.equal([
+      { name: 'LIFI Fixed Fee', amountUsd: 0.25, included: true },
+      { name: 'Relayer fee', amountUsd: 0.23, included: true },
+    ]);
+  });
+
+  it('calculateLifiFees() should list every tool and add fees charged on top of the transfer', async () => {
+    const quote = await calculateLifiFees('ARB', 'ethereum', 'base', 500, 0.5, 18, ARB.ethereum, ARB.base, { baseUrl: lifi.baseUrl });
+
+    expect(quote.tools).to.deep.equal(['1inch', 'stargateV2', 'sushiswap']);
+    expect(quote).to.include({ feeBps: 166, durationSeconds: 180 }); // 15 ARB lost plus $0.80 = 1.6 ARB on top
+    expect(quote.feeUsd).to.be.closeTo(15 * 0.5 + 0.8, 1e-9); // LayerZero fee is paid in ETH on top
+    expect(quote.gasUsd).to.be.closeTo(12.6, 1e-9);
+  });
+
+  it('calculateLifiFees() should count fees charged on top in feeAmount and feeBps', async () => {
+    const quote = await calculateLifiFees('USDT', 'ethereum', 'base', 1000, 1, 6, USDT.ethereum, USDT.base, { baseUrl: lifi.baseUrl });
+
+    // 1 USDT lost in the transfer plus the $0.50 LayerZero fee paid in ETH
+    expect(quote).to.include({ outputAmount: '999000000', feeAmount: '1500000', feeBps: 15 });
+    expect(quote.feeUsd).to.be.closeTo(1.5, 1e-9);
+  });
+
+  it('calculateLifiFees() should map failures to failed quotes', async () => {
+    const noRoute = await calculateLifiFees('USDC', 'ethereum', 'base', 1000, 1, 6, '0xunknown', USDC.base, { baseUrl: lifi.baseUrl });
+    expect(noRoute).to.include({ status: 'unsupported_route', error: 'Li.Fi: No available quotes for the requested transfer' });
+
+    const noRetries = createHttpClient({ retries: 0 });
+    const broken = await calculateLifiFees('USDC', 'ethereum', 'base', 1000, 1, 6, BROKEN, USDC.base, { baseUrl: lifi.baseUrl, http: noRetries });
+    expect(broken).to.include({ status: 'error', error: 'Li.Fi: Internal error' });
+
+    expect((await calculateLifiFees('USDC', 'ethereum', 'solana', 1000, 1, 6, USDC.ethereum, USDC.base, { baseUrl: lifi.baseUrl })).status).to.equal('unsupported_chain');
+    expect((await calculateLifiFees('USDC', 'ethereum', 'base', 1000, createPriceRecord({ status: PriceStatus.STALE }), 6, USDC.ethereum, USDC.base, { baseUrl: lifi.baseUrl })).status).to.equal('invalid_price');
+    expect(lifi.requests).to.have.length(2);
+  });
+
+  it('calculateLifiRoutes() should return every route as a quote, summing costs across steps', async () => {
+    const quotes = await calculateLifiRoutes('USDC', 'ethereum', 'base', 1000, 1, 6, USDC.ethereum, USDC.base, { baseUrl: lifi.baseUrl, slippage: 0.01 });
+
+    expect(lifi.requests[0]).to.include({ method: 'POST', path: '/v1/advanced/routes' });
+    expect(lifi.requests[0].body).to.include({ fromChainId: 1, toChainId: 8453, fromAmount: '1000000000' });
+    expect(lifi.requests[0].body.options).to.deep.equal({ slippage: 0.01, order: 'CHEAPEST' });
+
+    expect(quotes.map(quote => quote.feeBps)).to.deep.equal([4, 17]);
+    expect(quotes[1].tools).to.deep.equal(['stargateV2', 'uniswap']);
+    expect(quotes[1]).to.include({ outputAmount: '998800000', outputAmountMin: '993806000', durationSeconds: 57 });
+    expect(quotes[1].feeUsd).to.be.closeTo(1.2 + 0.5, 1e-9);
+    expect(quotes[1].gasUsd).to.be.closeTo(9.1, 1e-9);
+  });
+
+  it('the provider should need Li.Fi chain ids and token addresses on both chains', () => {
+    const token = { symbol: 'USDC', ethereum: { tokenAddress: USDC.ethereum }, base: { tokenAddress: USDC.base } };
+    expect(lifiProvider.supportsRoute({ token, sourceChain: 'ethereum', destinationChain: 'base' })).to.equal(true);
+    expect(lifiProvider.supportsRoute({ token, sourceChain: 'ethereum', destinationChain: 'optimism' })).to.equal(false);
+    expect(lifiProvider.supportsRoute({ token: { ...token, solana: { tokenAddress: 'x' } }, sourceChain: 'ethereum', destinationChain: 'solana' })).to.equal(false);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Tests for Multicall3 batching and the readers built on it.
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { multicall } = require('../modules/multicall');
+const { getPoolStates } = require('../modules/dex/uniswapV3');
+const { getTokenMetadata } = require('../modules/erc20');
+const { getRemoteTokens } = require('../modules/tokenRegistry');
+const {
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  UNISWAP_V3_POOL_ABI,
+  ERC20_ABI,
+  OP_MINTABLE_ERC20_ABI,
+} = require('../config/constants');
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+const interfaces = [UNISWAP_V3_POOL_ABI, ERC20_ABI, OP_MINTABLE_ERC20_ABI].map(abi => new ethers.utils.Interface(abi));
+
+/**
+ * Fake provider that answers aggregate3 from a table of
+ * { [address]: { [functionName]: returnValues } }. Missing entries revert.
+ */
+function fakeProvider(contracts, blockNumber = 123) {
+  const requests = [];
+  return {
+    requests,
+    getBlockNumber: async () => blockNumber,
+    call: async (tx, blockTag) => {
+      expect(tx.to).to.equal(MULTICALL3_ADDRESS);
+      const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+      requests.push({ blockTag, size: calls.length });
+
+      const returnData = calls.map(({ target, allowFailure, callData }) => {
+        const selector = callData.slice(0, 10);
+        const iface = interfaces.find(i => Object.values(i.functions).some(f => i.getSighash(f) === selector));
+        const fragment = iface && Object.values(iface.functions).find(f => iface.getSighash(f) === selector);
+        const values = fragment && (contracts[target.toLowerCase()] || {})[fragment.name];
+        if (values === undefined) {
+          if (!allowFailure) throw new Error('Multicall3: call failed');
+          return [false, '0x'];
+        }
+        return [true, iface.encodeFunctionResult(fragment, values)];
+      });
+      return multicallInterface.encodeFunctionResult('aggregate3', [returnData]);
+    },
+  };
+}
+
+const TOKEN_A = '0x00000000000000000000000000000000000000a1';
+const TOKEN_B = '0x00000000000000000000000000000000000000b2';
+const POOL = '0x0000000000000000000000000000000000000f01';
+
+describe('multicall()', function () {
+  it('should chunk calls and pin every chunk to the same block', async () => {
+    const provider = fakeProvider({ [TOKEN_A]: { decimals: [6] } }, 456);
+    const calls = Array.from({ length: 5 }, () => ({ target: TOKEN_A, abi: ERC20_ABI, functionName: 'decimals' }));
+
+    const { blockNumber, results } = await multicall('ethereum', calls, { provider, chunkSize: 2 });
+
+    expect(blockNumber).to.equal(456);
+    expect(provider.requests.map(r => r.size)).to.deep.equal([2, 2, 1]);
+    expect(provider.requests.every(r => r.blockTag === 456)).to.equal(true);
+    expect(results.map(r => r.value)).to.deep.equal([6, 6, 6, 6, 6]);
+  });
+
+  it('should report failed calls without failing the batch', async () => {
+    const provider = fakeProvider({ [TOKEN_A]: { symbol: ['AAA'] } });
+    const { results } = await multicall('ethereum', [
+      { target: TOKEN_A, abi: ERC20_ABI, functionName: 'symbol' },
+      { target: TOKEN_B, abi: ERC20_ABI, functionName: 'symbol' },
+    ], { provider, blockTag: 99 });
+
+    expect(provider.requests[0].blockTag).to.equal(99);
+    expect(results[0]).to.deep.equal({ success: true, value: 'AAA', error: null });
+    expect(results[1].success).to.equal(false);
+    expect(results[1].error).to.match(/symbol reverted/);
+  });
+
+  it('should reject when a call with allowFailure false reverts', async () => {
+    const provider = fakeProvider({});
+    const calls = [{ target: TOKEN_B, abi: ERC20_ABI, functionName: 'symbol', allowFailure: false }];
+    let error;
+    try {
+      await multicall('ethereum', calls, { provider });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+  });
+});
+
+describe('multicall readers', function () {
+  it('getPoolStates() should assemble slot0, liquidity and fee per pool', async () => {
+    const provider = fakeProvider({
+      [POOL]: {
+        slot0: ['79228162514264337593543950336', -5, 1, 2, 3, 0, true],
+        liquidity: ['1000000'],
+        fee: [500],
+      },
+    }, 777);
+
+    const { blockNumber, pools } = await getPoolStates('ethereum', [POOL, TOKEN_A], { provider });
+
+    expect(blockNumber).to.equal(777);
+    expect(provider.requests).to.have.length(1);
+    expect(pools[0].state).to.include({ sqrtPriceX96: '79228162514264337593543950336', tick: -5, liquidity: '1000000', fee: 500 });
+    expect(pools[1].state).to.equal(null);
+    expect(pools[1].error).to.match(/slot0 reverted/);
+  });
+
+  it('getTokenMetadata() should leave unimplemented fields null', async () => {
+    const provider = fakeProvider({ [TOKEN_A]: { symbol: ['AAA'], decimals: [18] } });
+    const [metadata] = await getTokenMetadata('base', [TOKEN_A], { provider });
+    expect(metadata).to.deep.equal({ tokenAddress: TOKEN_A, symbol: 'AAA', name: null, decimals: 18 });
+  });
+
+  it('getRemoteTokens() should fall back from remoteToken() to l1Token()', async () => {
+    const provider = fakeProvider({
+      [TOKEN_A]: { remoteToken: [ethers.utils.getAddress(TOKEN_B)] },
+      [TOKEN_B]: { remoteToken: [ethers.constants.AddressZero], l1Token: [ethers.utils.getAddress(TOKEN_A)] },
+    });
+    const remotes = await getRemoteTokens('base', [TOKEN_A, TOKEN_B, POOL], { provider });
+    expect(remotes).to.deep.equal([ethers.utils.getAddress(TOKEN_B), ethers.utils.getAddress(TOKEN_A), null]);
+  });
+});
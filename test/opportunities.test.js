@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Tests for the cross-chain opportunity engine.
+ */
+
+const { expect } = require('chai');
+const { findOpportunities, routeKey } = require('../modules/opportunities');
+const { PriceStatus, createPriceRecord } = require('../utils/priceRecord');
+
+describe('Opportunity Engine', function () {
+  const tokens = [
+    {
+      symbol: 'AAA',
+      prices: { ethereum: 100, base: 102 },
+      bridgeFees: {
+        [routeKey('ethereum', 'base')]: { feeBps: 10 },
+        [routeKey('base', 'ethereum')]: { feeBps: 10 },
+      },
+    },
+    {
+      symbol: 'BBB',
+      prices: { ethereum: 1, base: 1.001 },
+      bridgeFees: {
+        [routeKey('ethereum', 'base')]: { feeBps: 5 },
+        [routeKey('base', 'ethereum')]: null,
+      },
+    },
+  ];
+  const options = { notionalUsd: 1000, swapFeeBps: 30, gasUsd: { ethereum: 5, base: 0.1 } };
+
+  it('findOpportunities() should net out swap fees, bridge fees and gas', () => {
+    const [best] = findOpportunities(tokens, options);
+    expect(best.symbol).to.equal('AAA');
+    expect(best.buyChain).to.equal('ethereum');
+    expect(best.sellChain).to.equal('base');
+    expect(best.grossSpreadBps).to.be.closeTo(200, 1e-9);
+
+    const bought = 997 / 100;
+    const bridged = bought * 0.999;
+    const proceeds = bridged * 102;
+    const expected = proceeds * 0.997 - 1000 - 5.1;
+    expect(best.netProfitUsd).to.be.closeTo(expected, 1e-9);
+    expect(best.swapFeeUsd).to.be.closeTo(3 + proceeds * 0.003, 1e-9);
+    expect(best.profitable).to.equal(true);
+  });
+
+  it('findOpportunities() should rank by net profit and skip routes without a fee', () => {
+    const result = findOpportunities(tokens, options);
+    expect(result.map(o => routeKey(o.buyChain, o.sellChain) + ':' + o.symbol)).to.deep.equal([
+      'ethereum->base:AAA',
+      'ethereum->base:BBB',
+      'base->ethereum:AAA',
+    ]);
+    for (let i = 1; i < result.length; i++) {
+      expect(result[i - 1].netProfitUsd).to.be.at.least(result[i].netProfitUsd);
+    }
+  });
+
+  it('findOpportunities() should drop unprofitable routes on request', () => {
+    const result = findOpportunities(tokens, { ...options, includeUnprofitable: false });
+    expect(result).to.have.length(1);
+    expect(result[0].symbol).to.equal('AAA');
+  });
+
+  it('findOpportunities() should ignore missing or rejected prices', () => {
+    const result = findOpportunities([
+      { symbol: 'CCC', prices: { ethereum: null, base: 1 }, bridgeFees: {} },
+      { symbol: 'DDD', prices: { ethereum: createPriceRecord({ status: PriceStatus.DIVERGENT, value: 5 }), base: 1 }, bridgeFees: {} },
+    ], options);
+    expect(result).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Tests for the multi-source price oracle and its sources.
+ */
+
+const http = require('http');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { createPriceOracle, combinePrices } = require('../modules/priceSources');
+const { createCoinGeckoSource } = require('../modules/priceSources/coinGeckoSource');
+const { createChainlinkSource } = require('../modules/priceSources/chainlinkSource');
+const { createUniswapV3Source } = require('../modules/priceSources/uniswapV3Source');
+const { fetchTokenPrices } = require('../utils/priceUtils');
+const { PriceStatus, priceValue } = require('../utils/priceRecord');
+const { MULTICALL3_ADDRESS, MULTICALL3_ABI, CHAINLINK_AGGREGATOR_ABI } = require('../config/constants');
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+const aggregatorInterface = new ethers.utils.Interface(CHAINLINK_AGGREGATOR_ABI);
+
+function fakeSource(id, prices, calls = []) {
+  return {
+    id,
+    fetchPrices: async (tokens, chain) => {
+      calls.push({ tokens, chain });
+      if (prices instanceof Error) throw prices;
+      return prices[chain] || {};
+    },
+  };
+}
+
+/**
+ * Fake provider answering Chainlink reads through aggregate3, from
+ * { [feed]: { decimals, answer, updatedAt } }.
+ */
+function fakeFeeds(feeds) {
+  return {
+    getBlockNumber: async () => 1,
+    call: async tx => {
+      expect(tx.to).to.equal(MULTICALL3_ADDRESS);
+      const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+      const returnData = calls.map(({ target, callData }) => {
+        const feed = feeds[target.toLowerCase()];
+        if (!feed) return [false, '0x'];
+        const fragment = aggregatorInterface.getFunction(callData.slice(0, 10));
+        return [true, fragment.name === 'decimals'
+          ? aggregatorInterface.encodeFunctionResult(fragment, [feed.decimals])
+          : aggregatorInterface.encodeFunctionResult(fragment, [1, feed.answer, feed.updatedAt, feed.updatedAt, 1])];
+      });
+      return multicallInterface.encodeFunctionResult('aggregate3', [returnData]);
+    },
+  };
+}
+
+describe('Price Sources', function () {
+  describe('combinePrices()', function () {
+    it('should reject sources far from the median and record who agreed', () => {
+      const result = combinePrices({ alchemy: 2000, coingecko: 2004, chainlink: 2002, 'uniswap-v3': 2150 });
+      expect(result).to.include({ status: PriceStatus.VALID, value: 2002, source: 'consensus', method: 'median', error: null });
+      expect(result.agreed).to.deep.equal(['alchemy', 'coingecko', 'chainlink']);
+      expect(result.rejections).to.deep.equal({ 'uniswap-v3': 'outlier' });
+      expect(result.confidence).to.equal(0.75);
+    });
+
+    it('should reject stale answers and score freshness into the confidence', () => {
+      const fetchedAt = 1714521600000;
+      const options = { fetchedAt, maxAgeMs: { default: 60000, chainlink: 3600000 } };
+      const result = combinePrices({
+        alchemy: { value: 1.001, lastUpdatedAt: fetchedAt - 120000 },
+        chainlink: { value: 1, lastUpdatedAt: fetchedAt - 900000 },
+      }, options);
+      expect(result).to.include({ status: PriceStatus.VALID, value: 1, source: 'chainlink', lastUpdatedAt: fetchedAt - 900000, ageMs: 900000 });
+      expect(result.rejections).to.deep.equal({ alchemy: 'stale' });
+      expect(result.confidence).to.equal(0.375); // 3/4 fresh, 1 of 2 answers agreed
+
+      expect(combinePrices({ alchemy: { value: 1, lastUpdatedAt: fetchedAt - 120000 } }, options))
+        .to.include({ status: PriceStatus.STALE, value: null, error: 'Every source price is stale' });
+      expect(combinePrices({ chainlink: { value: 1, lastUpdatedAt: fetchedAt - 900000 } }, { ...options, minConfidence: 0.8 }))
+        .to.include({ status: PriceStatus.LOW_CONFIDENCE, value: null, error: 'Confidence 0.75 is below 0.8' });
+    });
+
+    it('should weight the agreeing sources when asked', () => {
+      const result = combinePrices({ alchemy: 1.0, chainlink: 1.003, coingecko: 0.5 }, { method: 'weighted', weights: { chainlink: 2 } });
+      expect(result.rejected).to.deep.equal(['coingecko']);
+      expect(result.value).to.be.closeTo((1.0 + 2 * 1.003) / 3, 1e-12);
+    });
+
+    it('should give no price when sources disagree or too few agree', () => {
+      expect(combinePrices({ alchemy: 1, coingecko: 1.1 })).to.include({ status: PriceStatus.DIVERGENT, value: null, error: 'Sources disagree by more than 200 bps' });
+      expect(combinePrices({ alchemy: 1 }, { minSources: 2 })).to.include({ status: PriceStatus.LOW_CONFIDENCE, value: null, error: 'Only 1 of 2 required sources agree' });
+      expect(combinePrices({ alchemy: null, coingecko: 0 })).to.include({ status: PriceStatus.ZERO, value: null, error: 'No source has a positive price' });
+      expect(combinePrices({})).to.include({ status: PriceStatus.MISSING, value: null, error: 'No source has a price' });
+    });
+  });
+
+  it('the oracle should ask every source on every chain and survive a failing one', async () => {
+    const calls = [];
+    const oracle = createPriceOracle({
+      sources: [
+        fakeSource('alchemy', { ethereum: { USDC: 1, ARB: 0.5 }, base: { USDC: 1.001 } }, calls),
+        fakeSource('coingecko', new Error('rate limited')),
+        fakeSource('chainlink', { base: { USDC: 0.999 } }),
+      ],
+    });
+    const token = { symbol: 'USDC', ethereum: { tokenAddress: '0xa0', repPool: '0xp1' }, base: { tokenAddress: '0xb0' } };
+    const { prices, errors } = await oracle.fetchPrices([token, 'ARB'], ['ethereum', 'base']);
+
+    expect(calls.find(call => call.chain === 'ethereum').tokens).to.deep.equal([
+      { id: 'USDC', symbol: 'USDC', address: '0xa0', entry: token.ethereum },
+      { id: 'ARB', symbol: 'ARB', address: undefined, entry: undefined },
+    ]);
+    expect(prices.USDC.base).to.include({ status: PriceStatus.VALID, value: 1 });
+    expect(prices.USDC.base.agreed).to.deep.equal(['alchemy', 'chainlink']);
+    expect(prices.ARB.base).to.include({ status: PriceStatus.MISSING, value: null });
+    expect(errors).to.deep.equal([
+      { source: 'coingecko', chain: 'ethereum', error: 'rate limited' },
+      { source: 'coingecko', chain: 'base', error: 'rate limited' },
+    ]);
+
+    const records = await fetchTokenPrices(['USDC', 'ARB'], { chains: ['ethereum', 'base'], oracle: createPriceOracle({ sources: [fakeSource('alchemy', { base: { USDC: 1 } })] }) });
+    expect(priceValue(records.USDC.base)).to.equal(1);
+    expect(priceValue(records.USDC.ethereum)).to.equal(null);
+    expect(records.ARB.base.status).to.equal(PriceStatus.MISSING);
+  });
+
+  it('the oracle should price same-symbol tokens separately, keyed by id', async () => {
+    const calls = [];
+    const byAddress = { '0xa0': 1, '0xb0': 0.97 };
+    const oracle = createPriceOracle({
+      sources: [{
+        id: 'alchemy',
+        fetchPrices: async requests => {
+          calls.push(requests.map(({ id }) => id));
+          return Object.fromEntries(requests.map(({ symbol, address }) => [symbol, byAddress[address]]));
+        },
+      }],
+    });
+    const native = { id: 'ethereum:0xa0', symbol: 'USDC', ethereum: { tokenAddress: '0xa0' } };
+    const bridged = { id: 'ethereum:0xb0', symbol: 'USDC', ethereum: { tokenAddress: '0xb0' } };
+    const { prices } = await oracle.fetchPrices([native, bridged, 'ARB'], ['ethereum']);
+
+    expect(calls).to.deep.equal([['ethereum:0xa0', 'ARB'], ['ethereum:0xb0']]); // one symbol per source request
+    expect(priceValue(prices['ethereum:0xa0'].ethereum)).to.equal(1);
+    expect(priceValue(prices['ethereum:0xb0'].ethereum)).to.equal(0.97);
+    expect(prices).to.not.have.property('USDC');
+  });
+
+  it('the oracle should reject a chain whose price is implausibly far from the other chains', async () => {
+    const oracle = createPriceOracle({
+      sources: [fakeSource('alchemy', { ethereum: { OP: 2 }, base: { OP: 2.02 }, arbitrum: { OP: 3.5 } })],
+      maxCrossChainDeviationBps: 2500,
+    });
+    const { prices } = await oracle.fetchPrices(['OP'], ['ethereum', 'base', 'arbitrum']);
+    expect(priceValue(prices.OP.ethereum)).to.equal(2);
+    expect(priceValue(prices.OP.base)).to.equal(2.02);
+    expect(prices.OP.arbitrum).to.include({
+      status: PriceStatus.DIVERGENT,
+      value: null,
+      error: '7327 bps from the median across chains (max 2500)',
+    });
+  });
+
+  it('the CoinGecko source should look tokens up by address on the chain platform', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push(req.url);
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': { usd: 0.9998, last_updated_at: 1714521600 } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const source = createCoinGeckoSource({ baseUrl: `http://127.0.0.1:${server.address().port}/api/v3`, apiKey: 'demo' });
+      const prices = await source.fetchPrices([
+        { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' },
+        { symbol: 'NOADDR' },
+      ], 'base');
+      expect(prices).to.deep.equal({ USDC: { value: 0.9998, lastUpdatedAt: 1714521600000 } });
+      expect(requests[0]).to.match(/^\/api\/v3\/simple\/token_price\/base\?contract_addresses=0x833589fcd6edb6e08f4c7c32d4f71b54bda02913&vs_currencies=usd&include_last_updated_at=true$/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('the Chainlink source should read feeds in one multicall with their update times', async () => {
+    const updatedAt = 1714521000;
+    const feeds = { ETH: '0x00000000000000000000000000000000000000e1', USDC: '0x00000000000000000000000000000000000000c1' };
+    const source = createChainlinkSource({
+      getFeeds: () => feeds,
+      getProvider: () => fakeFeeds({
+        [feeds.ETH]: { decimals: 8, answer: 300012345678, updatedAt },
+        [feeds.USDC]: { decimals: 8, answer: 0, updatedAt },
+      }),
+    });
+    const prices = await source.fetchPrices([{ symbol: 'WETH' }, { symbol: 'USDC' }, { symbol: 'ARB' }], 'base');
+    expect(prices).to.deep.equal({ WETH: { value: 3000.12345678, lastUpdatedAt: updatedAt * 1000 } });
+  });
+
+  it('the Uniswap V3 source should convert pool prices to USD with reference prices', async () => {
+    const source = createUniswapV3Source({
+      getTokenPoolPrices: async (chain, entries) => ({
+        prices: entries.map(entry => (entry.repPool === '0xbad'
+          ? { price: null, error: 'reverted' }
+          : { price: entry.poolPrice, quoteSymbol: entry.pairedToken.symbol })),
+      }),
+      getReferencePrices: async symbols => Object.fromEntries(symbols.map(symbol => [symbol, symbol === 'WETH' ? { value: 3000, lastUpdatedAt: 1 } : 1])),
+    });
+    const prices = await source.fetchPrices([
+      { symbol: 'ARB', entry: { repPool: '0xp1', poolPrice: '0.5', pairedToken: { symbol: 'USDC' } } },
+      { symbol: 'OP', entry: { repPool: '0xp2', poolPrice: '0.0004', pairedToken: { symbol: 'WETH' } } },
+      { symbol: 'BAD', entry: { repPool: '0xbad', pairedToken: { symbol: 'USDC' } } },
+      { symbol: 'NOPOOL' },
+    ], 'base');
+    expect(prices).to.deep.equal({ ARB: 0.5, OP: 1.2 });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Tests for composite swap -> bridge -> swap routes.
+ */
+
+const { expect } = require('chai');
+const { createRouteComposer } = require('../modules/routeComposer');
+const { createCompositeProvider } = require('../modules/feeProviders/compositeProvider');
+
+const HUBS = [
+  { symbol: 'USDC', bridgeSymbol: 'USDC', decimals: 6, addresses: { ethereum: '0xusdc-eth', base: '0xusdc-base' } },
+  { symbol: 'WETH', bridgeSymbol: 'ETH', decimals: 18, addresses: { ethereum: '0xweth-eth', base: '0xweth-base' } },
+];
+
+const ARB = {
+  symbol: 'ARB',
+  ethereum: { tokenAddress: '0xarb-eth', decimals: '18' },
+  base: { tokenAddress: '0xarb-base', decimals: '18' },
+};
+
+const USDC = {
+  symbol: 'USDC',
+  ethereum: { tokenAddress: '0xUSDC-ETH', decimals: '6' },
+  base: { tokenAddress: '0xusdc-base', decimals: '6' },
+};
+
+const PRICES = { ARB: { ethereum: 2, base: 2 }, USDC: { ethereum: 1, base: 1 }, WETH: { ethereum: 2000, base: 2000 } };
+
+// Swaps at the USD price ratio minus 0.3%; bridges keep 99.9% of the amount
+function fakeSwap(calls) {
+  return async ({ chain, tokenIn, tokenOut, amountIn }) => {
+    calls.push({ chain, tokenIn: tokenIn.symbol, tokenOut: tokenOut.symbol, amountIn });
+    const valueUsd = (Number(amountIn) / 10 ** tokenIn.decimals) * PRICES[tokenIn.symbol][chain] * 0.997;
+    const amountOut = BigInt(Math.round((valueUsd / PRICES[tokenOut.symbol][chain]) * 1e6)) * 10n ** BigInt(tokenOut.decimals - 6);
+    return { amountOut: amountOut.toString(), provider: 'swapper' };
+  };
+}
+
+function fakeBridge(calls, haircut = {}) {
+  return async ({ symbol, amountIn }) => {
+    calls.push({ symbol, amountIn });
+    if (haircut[symbol] === null) throw new Error('No liquidity');
+    const keep = BigInt(10000 - (haircut[symbol] ?? 10));
+    return { amountOut: ((BigInt(amountIn) * keep) / 10000n).toString(), provider: 'bridger' };
+  };
+}
+
+describe('Route Composer', function () {
+  it('should chain each leg output into the next and report per-leg and total fees', async () => {
+    const swaps = [];
+    const bridges = [];
+    const composer = createRouteComposer({
+      hubs: HUBS,
+      quoteSwap: fakeSwap(swaps),
+      quoteBridge: fakeBridge(bridges, { ETH: 50 }),
+      getPrices: async () => PRICES,
+    });
+    const { best, paths } = await composer.composeRoutes({
+      token: ARB, sourceChain: 'ethereum', destinationChain: 'base', amountIn: '500000000000000000000',
+    });
+
+    expect(paths.map(path => path.hub)).to.deep.equal(['USDC', 'WETH']); // WETH's bridge costs more
+    expect(best.hub).to.equal('USDC');
+    expect(best.legs.map(leg => `${leg.type}:${leg.tokenIn}->${leg.tokenOut}@${leg.sourceChain}->${leg.destinationChain}`)).to.deep.equal([
+      'swap:ARB->USDC@ethereum->ethereum',
+      'bridge:USDC->USDC@ethereum->base',
+      'swap:USDC->ARB@base->base',
+    ]);
+    best.legs.slice(1).forEach((leg, i) => expect(leg.amountIn).to.equal(best.legs[i].amountOut));
+    expect(best.legs[0].amountOut).to.equal('997000000'); // $1000 less 0.3%
+    expect(bridges[0]).to.deep.equal({ symbol: 'USDC', amountIn: '997000000' });
+    expect(best.amountOut).to.equal(best.legs[2].amountOut);
+
+    expect(best.legs[0].feeUsd).to.be.closeTo(3, 1e-6);
+    expect(best.legs[1].feeUsd).to.be.closeTo(0.997, 1e-6);
+    expect(best.legs[2].feeUsd).to.be.closeTo(996.003 * 0.003, 1e-6);
+    expect(best.feeUsd).to.be.closeTo(1000 - Number(best.amountOut) / 1e18 * 2, 1e-6);
+  });
+
+  it('should skip the swap on a chain where the token is the hub', async () => {
+    const swaps = [];
+    const composer = createRouteComposer({ hubs: [HUBS[0]], quoteSwap: fakeSwap(swaps), quoteBridge: fakeBridge([]), getPrices: async () => PRICES });
+    const { best } = await composer.composeRoutes({ token: USDC, sourceChain: 'ethereum', destinationChain: 'base', amountIn: '1000000000' });
+
+    expect(swaps).to.have.length(0);
+    expect(best.legs.map(leg => leg.type)).to.deep.equal(['bridge']);
+    expect(best.amountOut).to.equal('999000000');
+  });
+
+  it('should keep failed paths last with the failing leg, and only list hubs on both chains', async () => {
+    const composer = createRouteComposer({
+      hubs: [...HUBS, { symbol: 'DAI', bridgeSymbol: 'DAI', decimals: 18, addresses: { ethereum: '0xdai' } }],
+      quoteSwap: fakeSwap([]),
+      quoteBridge: fakeBridge([], { USDC: null }),
+      getPrices: async () => { throw new Error('prices down'); },
+    });
+    expect(composer.listHubs('ethereum', 'base').map(hub => hub.symbol)).to.deep.equal(['USDC', 'WETH']);
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    let result;
+    try {
+      result = await composer.composeRoutes({
+        token: ARB, sourceChain: 'ethereum', destinationChain: 'base', amountIn: '500000000000000000000', prices: { ARB: { ethereum: 2 } },
+      });
+    } finally {
+      console.warn = originalWarn;
+    }
+    expect(result.best.hub).to.equal('WETH');
+    expect(result.best.feeUsd).to.equal(null); // No hub prices for the later legs
+    expect(result.best.legs[0].feeUsd).to.equal(null);
+    expect(result.paths[1]).to.include({ hub: 'USDC', amountOut: null, error: 'bridge USDC->USDC on ethereum: No liquidity' });
+    expect(result.paths[1].legs).to.have.length(1);
+  });
+
+  it('the composite provider should turn the best path into a FeeQuote with its legs', async () => {
+    const provider = createCompositeProvider(createRouteComposer({
+      hubs: HUBS, quoteSwap: fakeSwap([]), quoteBridge: fakeBridge([]), getPrices: async () => PRICES,
+    }));
+    const request = { token: ARB, sourceChain: 'ethereum', destinationChain: 'base', usdAmount: 1000, tokenPriceUSD: 2, decimals: 18 };
+
+    expect(provider.supportsRoute(request)).to.equal(true);
+    expect(provider.supportsRoute({ ...request, destinationChain: 'optimism' })).to.equal(false);
+
+    const quote = await provider.quote(request);
+    expect(quote).to.include({ status: 'success', provider: 'composite', tokenSymbol: 'ARB', inputAmount: '500000000000000000000' });
+    expect(quote.legs).to.have.length(3);
+    expect(quote.outputAmount).to.equal(quote.legs[2].amountOut);
+    expect(quote.feeBps).to.equal(69); // 0.3% + 0.1% + 0.3%, compounded
+    expect(quote.feeUsd).to.be.closeTo(1000 - Number(quote.outputAmount) / 1e18 * 2, 1e-6);
+
+    expect((await provider.quote({ ...request, tokenPriceUSD: null })).status).to.equal('invalid_price');
+  });
+
+  it('the composite provider should report an unsupported route when every path fails', async () => {
+    const provider = createCompositeProvider(createRouteComposer({
+      hubs: [HUBS[0]], quoteSwap: async () => { throw new Error('No pool'); }, quoteBridge: fakeBridge([]), getPrices: async () => PRICES,
+    }));
+    const quote = await provider.quote({ token: ARB, sourceChain: 'ethereum', destinationChain: 'base', usdAmount: 100, tokenPriceUSD: 2, decimals: 18 });
+    expect(quote).to.include({ status: 'unsupported_route', error: 'USDC: swap ARB->USDC on ethereum: No pool' });
+  });
+});
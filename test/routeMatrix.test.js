@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests for the N×N route matrix.
+ */
+
+const { expect } = require('chai');
+const { buildRouteMatrix, toOpportunityInputs } = require('../modules/routeMatrix');
+const { createProviderRegistry } = require('../modules/feeProviders/registry');
+const { FeeStatus, createFeeQuote } = require('../utils/feeQuote');
+const { PriceStatus, createPriceRecord } = require('../utils/priceRecord');
+
+describe('Route Matrix', function () {
+  const requests = [];
+  const registry = createProviderRegistry({
+    providers: [{
+      id: 'flat',
+      quote: async ({ token, sourceChain, destinationChain, tokenPriceUSD, decimals }) => {
+        requests.push({ route: `${token.symbol}:${sourceChain}->${destinationChain}`, tokenPriceUSD, decimals });
+        return createFeeQuote({ provider: 'flat', status: FeeStatus.SUCCESS, tokenSymbol: token.symbol, sourceChain, destinationChain, feeBps: 5, feeUsd: 0.0005 });
+      },
+    }],
+  });
+
+  const commonTokens = [
+    {
+      symbol: 'AAA',
+      chains: ['ethereum', 'base', 'arbitrum'],
+      ethereum: { decimals: '18', tokenAddress: '0xaaa1' },
+      base: { decimals: '18', tokenAddress: '0xaaa2' },
+      arbitrum: { decimals: '6', tokenAddress: '0xaaa3' },
+    },
+    { symbol: 'BBB', chains: ['ethereum', 'base'], ethereum: { decimals: '18' }, base: { decimals: '18' } },
+  ];
+  const tokenPrices = {
+    AAA: { ethereum: 10, base: 10.2, arbitrum: 9.9 },
+    BBB: {
+      ethereum: createPriceRecord({ status: PriceStatus.STALE, error: 'Every source price is stale' }),
+      base: createPriceRecord({ status: PriceStatus.VALID, value: 2, source: 'alchemy' }),
+    },
+  };
+
+  it('buildRouteMatrix() should quote every ordered chain pair per token', async () => {
+    const { chains, routes, matrix } = await buildRouteMatrix(commonTokens, tokenPrices, { registry });
+    expect(chains).to.deep.equal(['ethereum', 'base', 'arbitrum']);
+    expect(routes).to.have.length(8); // 3×2 for AAA, 2×1 for BBB
+    expect(matrix.AAA.arbitrum.base.best.feeBps).to.equal(5);
+    expect(requests.find(r => r.route === 'AAA:arbitrum->base')).to.deep.include({ tokenPriceUSD: 9.9, decimals: 6 });
+  });
+
+  it('buildRouteMatrix() should not quote routes without a source price', async () => {
+    const { matrix } = await buildRouteMatrix(commonTokens, tokenPrices, { registry });
+    expect(matrix.BBB.ethereum.base.best).to.include({
+      status: FeeStatus.INVALID_PRICE,
+      error: 'No valid ethereum price for BBB (Every source price is stale)',
+    });
+    expect(matrix.BBB.ethereum.base.quotes).to.deep.equal([]);
+    expect(matrix.BBB.base.ethereum.best.status).to.equal(FeeStatus.SUCCESS);
+  });
+
+  it('toOpportunityInputs() should collect prices and best fees per route', async () => {
+    const inputs = toOpportunityInputs(await buildRouteMatrix(commonTokens, tokenPrices, { registry }));
+    const aaa = inputs.find(i => i.symbol === 'AAA');
+    expect(aaa.prices).to.deep.equal({ ethereum: 10, base: 10.2, arbitrum: 9.9 });
+    expect(aaa.tokenId).to.equal('AAA'); // no id from discovery: keyed by symbol
+    expect(Object.keys(aaa.bridgeFees)).to.have.length(6);
+    expect(aaa.bridgeFees['arbitrum->base'].feeBps).to.equal(5);
+  });
+
+  it('buildRouteMatrix() should keep same-symbol tokens apart by id', async () => {
+    const usdc = [
+      { id: 'native', symbol: 'USDC', chains: ['ethereum', 'base'], ethereum: { decimals: '6' }, base: { decimals: '6' } },
+      { id: 'bridged', symbol: 'USDC', chains: ['ethereum', 'base'], ethereum: { decimals: '6' }, base: { decimals: '6' } },
+    ];
+    const prices = { native: { ethereum: 1, base: 1.01 }, bridged: { ethereum: 1, base: 0.98 } };
+    const routeMatrix = await buildRouteMatrix(usdc, prices, { registry });
+    expect(routeMatrix.routes).to.have.length(4);
+    expect(routeMatrix.matrix.bridged.ethereum.base).to.include({ tokenId: 'bridged', symbol: 'USDC', destinationPrice: 0.98 });
+
+    const inputs = toOpportunityInputs(routeMatrix);
+    expect(inputs.map(i => [i.tokenId, i.symbol, i.prices.base])).to.deep.equal([['native', 'USDC', 1.01], ['bridged', 'USDC', 0.98]]);
+  });
+});
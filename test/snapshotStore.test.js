@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Tests for JSONL snapshot storage and queries.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { buildSnapshot, createSnapshotStore } = require('../modules/snapshotStore');
+const { FeeStatus, createFeeQuote } = require('../utils/feeQuote');
+const { PriceStatus, createPriceRecord } = require('../utils/priceRecord');
+
+function spread(symbol, buyChain, sellChain, netSpreadBps) {
+  return {
+    symbol, buyChain, sellChain, buyPrice: 1, sellPrice: 1.01, notionalUsd: 1000,
+    grossSpreadBps: 100, netSpreadBps, netProfitUsd: netSpreadBps / 10, profitable: netSpreadBps > 0,
+  };
+}
+
+function snapshotAt(takenAt, wethBps) {
+  return buildSnapshot({
+    takenAt,
+    blockNumbers: { ethereum: 100, base: 200 },
+    prices: { WETH: { ethereum: 2000, base: 2010 }, USDC: { ethereum: 1, base: createPriceRecord({ status: PriceStatus.STALE, value: 1.2 }) } },
+    routes: [{
+      symbol: 'WETH',
+      sourceChain: 'ethereum',
+      destinationChain: 'base',
+      quotes: [createFeeQuote({ status: FeeStatus.SUCCESS, provider: 'hop', feeBps: 4, feeUsd: 0.8 })],
+    }],
+    opportunities: [spread('WETH', 'ethereum', 'base', wethBps), spread('USDC', 'base', 'ethereum', -3)],
+  });
+}
+
+describe('Snapshot Store', function () {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-test-'));
+    store = createSnapshotStore({ dir });
+    const series = [
+      ['2024-05-01T23:58:00Z', 10],
+      ['2024-05-01T23:59:00Z', 30],
+      ['2024-05-02T00:00:00Z', 40],
+      ['2024-05-02T00:01:00Z', 5],
+      ['2024-05-02T00:02:00Z', 25],
+    ];
+    for (const [takenAt, bps] of series) await store.append(snapshotAt(takenAt, bps));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('buildSnapshot() should keep prices by source and drop invalid ones', () => {
+    const snapshot = snapshotAt('2024-05-01T00:00:00Z', 10);
+    expect(snapshot.prices).to.deep.equal({ WETH: { ethereum: { alchemy: 2000 }, base: { alchemy: 2010 } }, USDC: { ethereum: { alchemy: 1 } } });
+    expect(snapshot.fees).to.deep.equal([{ symbol: 'WETH', route: 'ethereum->base', provider: 'hop', status: 'success', feeBps: 4, feeUsd: 0.8, gasUsd: null }]);
+    expect(snapshot.blockNumbers).to.deep.equal({ ethereum: 100, base: 200 });
+
+    const multi = buildSnapshot({ pricesBySource: { WETH: { base: { alchemy: 2010, chainlink: 2008, coingecko: null } } } });
+    expect(multi.prices).to.deep.equal({ WETH: { base: { alchemy: 2010, chainlink: 2008 } } });
+  });
+
+  it('append() should write one file per UTC day', () => {
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(['2024-05-01.jsonl', '2024-05-02.jsonl']);
+  });
+
+  it('query() should filter by time range, token and route', async () => {
+    const snapshots = await store.query({ symbol: 'weth', route: 'ethereum->base', from: '2024-05-01T23:59:00Z', to: '2024-05-02T00:01:00Z' });
+    expect(snapshots.map(s => s.takenAt)).to.deep.equal([
+      '2024-05-01T23:59:00.000Z',
+      '2024-05-02T00:00:00.000Z',
+      '2024-05-02T00:01:00.000Z',
+    ]);
+    expect(snapshots[0].spreads).to.have.length(1);
+    expect(Object.keys(snapshots[0].prices)).to.deep.equal(['WETH']);
+    expect(await store.query({ limit: 2 })).to.have.length(2);
+  });
+
+  it('spreadEpisodes() should measure how long a spread stayed above a threshold', async () => {
+    const episodes = await store.spreadEpisodes({ symbol: 'WETH', route: 'ethereum->base', minNetSpreadBps: 20 });
+    expect(episodes).to.deep.equal([
+      { start: '2024-05-01T23:59:00.000Z', end: '2024-05-02T00:00:00.000Z', snapshots: 2, maxNetSpreadBps: 40, durationMs: 60000 },
+      { start: '2024-05-02T00:02:00.000Z', end: '2024-05-02T00:02:00.000Z', snapshots: 1, maxNetSpreadBps: 25, durationMs: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Tests for tickMath and liquidity math against Uniswap V3 reference vectors.
+ */
+
+const { expect } = require('chai');
+const JSBI = require('jsbi');
+const { MIN_TICK, MAX_TICK, MIN_SQRT_RATIO, MAX_SQRT_RATIO } = require('../config/constants');
+const { getSqrtRatioAtTick, getTickAtSqrtRatio } = require('../utils/tickMath');
+const { getAmount0Delta, getAmount1Delta } = require('../utils/liquidity');
+const { encodeSqrtRatioX96 } = require('../utils/uniswapUtils');
+
+const E18 = JSBI.BigInt('1000000000000000000');
+
+describe('Tick Math', function () {
+  it('getSqrtRatioAtTick() should match the boundary ratios', () => {
+    expect(getSqrtRatioAtTick(MIN_TICK).toString()).to.equal(MIN_SQRT_RATIO.toString());
+    expect(getSqrtRatioAtTick(MAX_TICK).toString()).to.equal(MAX_SQRT_RATIO.toString());
+    expect(getSqrtRatioAtTick(0).toString()).to.equal('79228162514264337593543950336');
+  });
+
+  it('getSqrtRatioAtTick() should reject ticks out of range or non-integer', () => {
+    expect(() => getSqrtRatioAtTick(MIN_TICK - 1)).to.throw('TICK');
+    expect(() => getSqrtRatioAtTick(MAX_TICK + 1)).to.throw('TICK');
+    expect(() => getSqrtRatioAtTick(1.5)).to.throw('TICK');
+  });
+
+  it('getTickAtSqrtRatio() should match the boundary ticks', () => {
+    expect(getTickAtSqrtRatio(MIN_SQRT_RATIO)).to.equal(MIN_TICK);
+    expect(getTickAtSqrtRatio(JSBI.subtract(MAX_SQRT_RATIO, JSBI.BigInt(1)))).to.equal(MAX_TICK - 1);
+    expect(() => getTickAtSqrtRatio(MAX_SQRT_RATIO)).to.throw('SQRT_RATIO');
+  });
+
+  it('should round-trip every tick bit and stay close to 1.0001^tick', () => {
+    for (let bit = 0; bit < 20; bit++) {
+      for (const tick of [1 << bit, -(1 << bit), (1 << bit) + 1, -(1 << bit) - 1]) {
+        if (tick < MIN_TICK || tick > MAX_TICK) continue;
+        const ratio = getSqrtRatioAtTick(tick);
+        expect(getTickAtSqrtRatio(ratio)).to.equal(tick);
+        expect(getTickAtSqrtRatio(JSBI.subtract(ratio, JSBI.BigInt(1)))).to.equal(tick - 1);
+        if (Math.abs(tick) < 400000) {
+          const expected = Math.sqrt(Math.pow(1.0001, tick)) * 2 ** 96;
+          expect(Number(ratio.toString()) / expected).to.be.closeTo(1, 1e-9);
+        }
+      }
+    }
+  });
+});
+
+describe('Liquidity Math', function () {
+  const priceOne = encodeSqrtRatioX96(1, 1);
+  const price121 = encodeSqrtRatioX96(121, 100);
+
+  it('encodeSqrtRatioX96() should encode 1 and 1.21', () => {
+    expect(priceOne.toString()).to.equal('79228162514264337593543950336');
+    expect(price121.toString()).to.equal('87150978765690771352898345369');
+  });
+
+  it('getAmount0Delta() should return 0.0909 token0 for a price of 1 to 1.21', () => {
+    expect(getAmount0Delta(priceOne, price121, E18, true).toString()).to.equal('90909090909090910');
+    expect(getAmount0Delta(priceOne, price121, E18, false).toString()).to.equal('90909090909090909');
+    expect(getAmount0Delta(priceOne, price121, JSBI.BigInt(0), true).toString()).to.equal('0');
+  });
+
+  it('getAmount1Delta() should return 0.1 token1 for a price of 1 to 1.21', () => {
+    expect(getAmount1Delta(priceOne, price121, E18, true).toString()).to.equal('100000000000000000');
+    expect(getAmount1Delta(priceOne, price121, E18, false).toString()).to.equal('99999999999999999');
+    expect(getAmount1Delta(price121, priceOne, E18, true).toString()).to.equal('100000000000000000');
+  });
+});
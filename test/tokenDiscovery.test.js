@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Tests for subgraph paging and schema adapters in tokenDiscovery.
+ */
+
+const http = require('http');
+const { expect } = require('chai');
+const { fetchPools, aggregateTokens } = require('../modules/tokenDiscovery');
+const { getSourceThreshold } = require('../config/subgraphs');
+
+function makeToken(n) {
+  return { id: `0x${n.toString(16).padStart(40, '0')}`, symbol: `T${n}`, decimals: '18', name: `Token ${n}` };
+}
+
+function makePools(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `0x${(i + 1).toString(16).padStart(40, '0')}`,
+    liquidity: String(1000 + i),
+    reserveUSD: String(5000 + i),
+    volumeUSD: '10',
+    totalValueLockedUSD: String(5000 + i),
+    feeTier: '500',
+    token0: makeToken(1),
+    token1: makeToken(i + 2),
+  }));
+}
+
+// Minimal GraphQL stand-in: applies first/id_gt from the variables and can fail on demand.
+function startSubgraph(entities, { entity = 'pools', failures = 0 } = {}) {
+  const requests = [];
+  let remainingFailures = failures;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { query, variables } = JSON.parse(body);
+      requests.push({ query, variables });
+      res.setHeader('content-type', 'application/json');
+      if (remainingFailures > 0) {
+        remainingFailures -= 1;
+        res.end(JSON.stringify({ errors: [{ message: 'indexer timeout' }] }));
+        return;
+      }
+      const page = entities.filter(e => e.id > variables.lastId).slice(0, variables.pageSize);
+      res.end(JSON.stringify({ data: { [entity]: page } }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/` });
+  }));
+}
+
+describe('Token Discovery', function () {
+  this.timeout(10000);
+  let subgraph;
+  let originalWarn;
+
+  // Retries and paging limits warn on every run; keep the test output clean
+  before(() => {
+    originalWarn = console.warn;
+    console.warn = () => {};
+  });
+
+  after(() => {
+    console.warn = originalWarn;
+  });
+
+  afterEach(done => {
+    if (subgraph) subgraph.server.close(done);
+    else done();
+    subgraph = null;
+  });
+
+  it('fetchPools() should page with id_gt until a short page', async () => {
+    subgraph = await startSubgraph(makePools(25));
+    const pools = await fetchPools(subgraph.url, '0', { pageSize: 10, retries: 0 });
+    expect(pools).to.have.length(25);
+    expect(subgraph.requests.map(r => r.variables.lastId)).to.deep.equal([
+      '',
+      makePools(25)[9].id,
+      makePools(25)[19].id,
+    ]);
+    expect(pools[0]).to.include({ schema: 'uniswap-v3', feeTier: 500, tvlUSD: 5000 });
+  });
+
+  it('fetchPools() should stop at maxPools and maxPages', async () => {
+    subgraph = await startSubgraph(makePools(25));
+    expect(await fetchPools(subgraph.url, '0', { pageSize: 10, maxPools: 15, retries: 0 })).to.have.length(15);
+    expect(await fetchPools(subgraph.url, '0', { pageSize: 5, maxPages: 2, retries: 0 })).to.have.length(10);
+  });
+
+  it('fetchPools() should retry GraphQL errors', async () => {
+    subgraph = await startSubgraph(makePools(3), { failures: 1 });
+    const pools = await fetchPools(subgraph.url, '0', { pageSize: 10, retries: 2 });
+    expect(pools).to.have.length(3);
+    expect(subgraph.requests).to.have.length(2);
+  });
+
+  it('fetchPools() should give up after the configured retries', async () => {
+    subgraph = await startSubgraph(makePools(3), { failures: 5 });
+    let error;
+    try {
+      await fetchPools(subgraph.url, '0', { pageSize: 10, retries: 1 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.contain('indexer timeout');
+  });
+
+  it('fetchPools() should normalize Uniswap V2-style pairs', async () => {
+    subgraph = await startSubgraph(makePools(2), { entity: 'pairs' });
+    const pools = await fetchPools(subgraph.url, '0', { schema: 'uniswap-v2', retries: 0 });
+    expect(subgraph.requests[0].query).to.contain('reserveUSD_gt');
+    expect(pools[1]).to.include({ schema: 'uniswap-v2', liquidity: null, tvlUSD: 5001, feeTier: 3000 });
+  });
+
+  it('aggregateTokens() should key tokens by address', () => {
+    const pools = makePools(2);
+    pools[1].token1 = { ...makeToken(99), symbol: 'T2' }; // same symbol, different address
+    const tokens = aggregateTokens(pools);
+    expect(Object.keys(tokens)).to.have.length(3);
+    expect(tokens[makeToken(1).id].pools).to.have.length(2);
+  });
+
+  it('aggregateTokens() should sum USD liquidity across schemas and raw liquidity only for V3 pools', () => {
+    const v3 = { id: '0xv3', liquidity: '1000000000', tvlUSD: 2000, volumeUSD: '5', schema: 'uniswap-v3', token0: makeToken(1), token1: makeToken(2) };
+    const v2 = { id: '0xv2', liquidity: null, tvlUSD: 3000, volumeUSD: '5', schema: 'uniswap-v2', token0: makeToken(1), token1: makeToken(3) };
+    const tokens = aggregateTokens([v3, v2]);
+    expect(tokens[makeToken(1).id]).to.include({ liquidityUSD: 5000, liquidity: 1000000000n });
+    expect(tokens[makeToken(1).id].repPool.id).to.equal('0xv2');
+    expect(tokens[makeToken(3).id]).to.include({ liquidityUSD: 3000, liquidity: 0n });
+  });
+
+  it('getSourceThreshold() should give each schema its own threshold', () => {
+    expect(getSourceThreshold({ schema: 'uniswap-v3' }, '5000000')).to.equal('5000000');
+    expect(getSourceThreshold({ schema: 'uniswap-v2' }, '5000000')).to.equal(process.env.UNISWAP_V2_MIN_RESERVE_USD || '10000');
+    expect(getSourceThreshold({ schema: 'uniswap-v2', liquidityThreshold: 250000 }, '5000000')).to.equal('250000');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Tests for cross-chain token identity linking.
+ */
+
+const { expect } = require('chai');
+const { createTokenRegistry, linksFromTokenList, linkBridgedTokens, buildTokenRegistry, LinkSource } = require('../modules/tokenRegistry');
+const { matchCommonTokens } = require('../modules/tokenDiscovery');
+
+const ETH_USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const BASE_USDC = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+const BASE_USDBC = '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca';
+
+function token(symbol, tokenAddress) {
+  return { symbol, name: symbol, tokenAddress, decimals: '18', liquidity: '1' };
+}
+
+describe('Token Registry', function () {
+  it('addLink() should index every address and ignore duplicate pairs', () => {
+    const registry = createTokenRegistry();
+    registry.addLink({ symbol: 'USDC', addresses: { ethereum: ETH_USDC, base: BASE_USDC }, source: LinkSource.CURATED });
+    registry.addLink({ symbol: 'USDbC', addresses: { ethereum: ETH_USDC, base: BASE_USDBC }, source: LinkSource.CURATED });
+    const dup = registry.addLink({ symbol: 'USDC', addresses: { ethereum: ETH_USDC.toUpperCase().replace('0X', '0x'), base: BASE_USDC }, source: LinkSource.TOKEN_LIST });
+
+    expect(dup).to.equal(null);
+    expect(registry.getLinkedAddresses('ethereum', ETH_USDC, 'base')).to.deep.equal([BASE_USDC, BASE_USDBC]);
+    expect(registry.getLinks('base', BASE_USDBC)[0].symbol).to.equal('USDbC');
+  });
+
+  it('linksFromTokenList() should group Superchain entries by opTokenId and read bridgeInfo', () => {
+    const links = linksFromTokenList({
+      tokens: [
+        { chainId: 1, address: '0x1111111111111111111111111111111111111111', symbol: 'FOO', extensions: { opTokenId: 'FOO' } },
+        { chainId: 8453, address: '0x2222222222222222222222222222222222222222', symbol: 'FOO', extensions: { opTokenId: 'FOO' } },
+        { chainId: 10, address: '0x3333333333333333333333333333333333333333', symbol: 'FOO', extensions: { opTokenId: 'FOO' } },
+        { chainId: 999999, address: '0x7777777777777777777777777777777777777777', symbol: 'FOO', extensions: { opTokenId: 'FOO' } },
+        { chainId: 1, address: '0x4444444444444444444444444444444444444444', symbol: 'BAR', extensions: { bridgeInfo: { 8453: { tokenAddress: '0x5555555555555555555555555555555555555555' } } } },
+        { chainId: 8453, address: '0x6666666666666666666666666666666666666666', symbol: 'LONELY', extensions: { opTokenId: 'LONELY' } },
+      ],
+    });
+    expect(links.map(l => l.symbol)).to.have.members(['FOO', 'BAR']);
+    const foo = links.find(l => l.symbol === 'FOO');
+    expect(foo.addresses).to.deep.equal({
+      ethereum: '0x1111111111111111111111111111111111111111',
+      base: '0x2222222222222222222222222222222222222222',
+      optimism: '0x3333333333333333333333333333333333333333',
+    });
+  });
+
+  it('linkBridgedTokens() should link L2 tokens through remoteToken()', async () => {
+    const registry = createTokenRegistry();
+    const remotes = { '0xbbbb': '0xAAAA' };
+    const added = await linkBridgedTokens(registry, 'ethereum', 'base', [token('X', '0xbbbb'), token('Y', '0xcccc')], {
+      readRemoteTokens: async (chain, addresses) => addresses.map(address => remotes[address] || null),
+    });
+    expect(added).to.equal(1);
+    expect(registry.getLinkedAddresses('base', '0xbbbb', 'ethereum')).to.deep.equal(['0xaaaa']);
+    expect(registry.getLinks('base', '0xbbbb')[0].source).to.equal(LinkSource.STANDARD_BRIDGE);
+  });
+});
+
+describe('matchCommonTokens()', function () {
+  it('should pair by address first and flag symbol matches as low confidence', async () => {
+    const registry = await buildTokenRegistry({ loadTokenList: false });
+    const ethTokens = [token('USDC', ETH_USDC), token('PEPE', '0x0000000000000000000000000000000000000001')];
+    const baseTokens = [
+      token('USDC', '0x0000000000000000000000000000000000000bad'), // scam token with the same symbol
+      token('USDC', BASE_USDC),
+      token('USDbC', BASE_USDBC),
+      token('PEPE', '0x0000000000000000000000000000000000000002'),
+    ];
+
+    const common = matchCommonTokens({ ethereum: ethTokens, base: baseTokens }, registry);
+    const bySymbol = Object.fromEntries(common.map(t => [t.symbol, t]));
+
+    expect(Object.keys(bySymbol)).to.have.members(['USDC', 'USDbC', 'PEPE']);
+    expect(bySymbol.USDC.base.tokenAddress).to.equal(BASE_USDC);
+    expect(bySymbol.USDC.confidence).to.equal('high');
+    expect(bySymbol.USDbC.ethereum.tokenAddress).to.equal(ETH_USDC);
+    expect(bySymbol.PEPE.matchedBy).to.equal('symbol');
+    expect(bySymbol.PEPE.confidence).to.equal('low');
+  });
+
+  it('should skip symbol matches when disabled', async () => {
+    const registry = createTokenRegistry();
+    const common = matchCommonTokens({ ethereum: [token('PEPE', '0x01')], base: [token('PEPE', '0x02')] }, registry, { includeSymbolMatches: false });
+    expect(common).to.deep.equal([]);
+  });
+
+  it('should merge compatible links across more than two chains', () => {
+    const registry = createTokenRegistry();
+    registry.addLink({ symbol: 'FOO', addresses: { ethereum: '0x01', base: '0x02' }, source: LinkSource.CURATED });
+    registry.addLink({ symbol: 'FOO', addresses: { ethereum: '0x01', optimism: '0x03' }, source: LinkSource.TOKEN_LIST });
+    registry.addLink({ symbol: 'FOO.e', addresses: { ethereum: '0x01', arbitrum: '0x04' }, source: LinkSource.TOKEN_LIST });
+
+    const common = matchCommonTokens({
+      ethereum: [token('FOO', '0x01')],
+      base: [token('FOO', '0x02')],
+      optimism: [token('FOO', '0x03')],
+      arbitrum: [token('FOO.e', '0x04'), token('BAR', '0x05')],
+      polygon: [token('BAR', '0x06'), token('BAZ', '0x07')],
+    }, registry);
+
+    expect(common.map(t => [t.symbol, t.chains])).to.deep.equal([
+      ['FOO', ['ethereum', 'base', 'optimism']],
+      ['FOO.e', ['ethereum', 'arbitrum']],
+      ['BAR', ['arbitrum', 'polygon']],
+    ]);
+    expect(common[0].optimism.tokenAddress).to.equal('0x03');
+    expect(common[2].confidence).to.equal('low');
+  });
+});
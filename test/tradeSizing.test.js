@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for trade size optimization.
+ */
+
+const { expect } = require('chai');
+const { optimizeTradeSize, evaluateSize, createPoolImpact, createBridgeQuoter } = require('../modules/tradeSizing');
+const { encodeSqrtRatioX96 } = require('../utils/uniswapUtils');
+const { FeeStatus, createFeeQuote } = require('../utils/feeQuote');
+
+const ROUTE = { symbol: 'USDC', buyChain: 'base', sellChain: 'optimism', buyPrice: 1, sellPrice: 1.02 };
+
+// $10 gas, 10 bps bridge fee, and price impact that reaches 1% at $10k
+const MODEL = {
+  swapFeeBps: 0,
+  gasUsd: { base: 4, optimism: 6 },
+  bridgeFee: { feeBps: 10 },
+  buyImpact: usd => usd / 1e6,
+};
+
+describe('Trade Sizing', function () {
+  it('evaluateSize() should split the cost into swap, bridge, impact and gas', async () => {
+    const point = await evaluateSize(ROUTE, 1000, { ...MODEL, bridgeFee: { feeBps: 10, fixedFeeUsd: 2 } });
+    expect(point.gasUsd).to.equal(10);
+    expect(point.swapFeeUsd).to.equal(0);
+    expect(point.priceImpactUsd).to.be.closeTo(1, 1e-9);
+    expect(point.bridgeFeeUsd).to.be.closeTo(0.999 + 2, 1e-9);
+    expect(point.netProfitUsd).to.be.closeTo((999 * 0.999 - 2) * 1.02 - 1000 - 10, 1e-9);
+  });
+
+  it('optimizeTradeSize() should find the optimum between the two break-even sizes', async () => {
+    const { optimal, breakEven, curve } = await optimizeTradeSize(ROUTE, MODEL, { refineSteps: 30 });
+
+    // Profit ~ 0.01898 N - 1.019e-6 N^2 - 10 peaks near $9.3k and crosses zero near $543 and $18.1k
+    expect(optimal.notionalUsd).to.be.closeTo(9300, 50);
+    expect(optimal.netProfitUsd).to.be.closeTo(78.3, 0.5);
+    expect(breakEven.lowerUsd).to.be.closeTo(543, 2);
+    expect(breakEven.upperUsd).to.be.closeTo(18084, 5);
+    expect((await evaluateSize(ROUTE, breakEven.lowerUsd, MODEL)).netProfitUsd).to.be.closeTo(0, 0.01);
+
+    expect(curve.length).to.be.greaterThan(25);
+    const sizes = curve.map(point => point.notionalUsd);
+    expect(sizes).to.deep.equal([...sizes].sort((a, b) => a - b));
+    expect(sizes[0]).to.equal(10);
+    expect(sizes[sizes.length - 1]).to.equal(1000000);
+  });
+
+  it('optimizeTradeSize() should return no optimum when no size is profitable', async () => {
+    const { optimal, breakEven } = await optimizeTradeSize({ ...ROUTE, sellPrice: 1.001 }, MODEL);
+    expect(optimal).to.equal(null);
+    expect(breakEven).to.deep.equal({ lowerUsd: null, upperUsd: null });
+  });
+
+  it('should quote the bridge at every size and skip sizes it cannot quote', async () => {
+    const quoted = [];
+    const quoteBridge = async usdAmount => {
+      quoted.push(usdAmount);
+      if (usdAmount > 50000) return createFeeQuote({ status: FeeStatus.UNSUPPORTED_ROUTE, error: 'Too large' });
+      // $3 bonder fee plus 4 bps
+      return createFeeQuote({ status: FeeStatus.SUCCESS, feeBps: 0, feeUsd: 3 + usdAmount * 0.0004 });
+    };
+    const { optimal, curve } = await optimizeTradeSize(ROUTE, { ...MODEL, bridgeFee: undefined, quoteBridge }, { points: 10 });
+
+    expect(quoted).to.include(10);
+    expect(optimal.notionalUsd).to.be.below(50000);
+    const failed = curve.filter(point => point.netProfitUsd === null);
+    expect(failed.map(point => point.error)).to.deep.equal(failed.map(() => 'Too large'));
+    expect(failed.every(point => point.notionalUsd > 50000)).to.equal(true);
+  });
+
+  it('createBridgeQuoter() should quote the anchor sizes once and interpolate between them', async () => {
+    const asked = [];
+    const registry = {
+      quoteAll: async ({ usdAmount }) => {
+        asked.push(usdAmount);
+        if (usdAmount > 50000) return { best: createFeeQuote({ status: FeeStatus.UNSUPPORTED_ROUTE, error: 'Too large' }) };
+        return { best: createFeeQuote({ status: FeeStatus.SUCCESS, feeBps: 0, feeUsd: 3 + usdAmount * 0.0004 }) };
+      },
+    };
+    const token = { symbol: 'USDC', base: { decimals: '6' } };
+    const quoteBridge = createBridgeQuoter(registry, token, 'base', 'optimism', 1, { anchorsUsd: [10000, 100, 100000, 1000] });
+
+    expect((await quoteBridge(50)).feeUsd).to.be.closeTo(3.04, 1e-9);      // below the anchors
+    expect((await quoteBridge(5500)).feeUsd).to.be.closeTo(5.2, 1e-9);     // linear between $1k and $10k
+    expect((await quoteBridge(20000)).feeBps).to.be.closeTo(7, 1e-9);      // $10k rate, the largest usable anchor
+    await optimizeTradeSize(ROUTE, { ...MODEL, bridgeFee: undefined, quoteBridge }, { points: 10 });
+    expect(asked).to.deep.equal([100, 1000, 10000, 100000]);
+  });
+
+  it('createPoolImpact() should charge the pool fee on small trades and grow with size', () => {
+    const token = { isToken0: true, decimals: '18', pairedToken: { decimals: '6' } };
+    // 1 token = 2 paired tokens, with raw units scaled by the decimals
+    const state = { sqrtPriceX96: encodeSqrtRatioX96(2000000, '1000000000000000000').toString(), tick: 0, liquidity: '100000000000000000', fee: 3000 };
+
+    ['buy', 'sell'].forEach(side => {
+      const impact = createPoolImpact(token, state, 2, side);
+      expect(impact(1)).to.be.closeTo(0.003, 0.0001);
+      expect(impact(100000)).to.be.greaterThan(impact(1000));
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tests for the Uniswap V3 swap step and swap simulator.
+ */
+
+const { expect } = require('chai');
+const JSBI = require('jsbi');
+const {
+  encodeSqrtRatioX96,
+  computeSwapStep,
+  simulateExactInput,
+  simulateExactOutput,
+  computePriceImpact,
+} = require('../utils/uniswapUtils');
+
+const E18 = JSBI.BigInt('1000000000000000000');
+const TWO_E18 = JSBI.multiply(JSBI.BigInt(2), E18);
+
+function stepToStrings(step) {
+  return {
+    sqrtRatioNextX96: step.sqrtRatioNextX96.toString(),
+    amountIn: step.amountIn.toString(),
+    amountOut: step.amountOut.toString(),
+    feeAmount: step.feeAmount.toString(),
+  };
+}
+
+describe('Uniswap Swap Math', function () {
+  const priceOne = encodeSqrtRatioX96(1, 1);
+
+  it('computeSwapStep() exact input capped at the price target (one for zero)', () => {
+    const target = encodeSqrtRatioX96(101, 100);
+    const step = stepToStrings(computeSwapStep(priceOne, target, TWO_E18, E18, 600));
+    expect(step).to.deep.equal({
+      sqrtRatioNextX96: target.toString(),
+      amountIn: '9975124224178055',
+      amountOut: '9925619580021728',
+      feeAmount: '5988667735148',
+    });
+  });
+
+  it('computeSwapStep() exact output capped at the price target (one for zero)', () => {
+    const target = encodeSqrtRatioX96(101, 100);
+    const step = stepToStrings(computeSwapStep(priceOne, target, TWO_E18, JSBI.unaryMinus(E18), 600));
+    expect(step.amountIn).to.equal('9975124224178055');
+    expect(step.amountOut).to.equal('9925619580021728');
+    expect(step.feeAmount).to.equal('5988667735148');
+  });
+
+  it('computeSwapStep() exact input fully spent before the target', () => {
+    const target = encodeSqrtRatioX96(1000, 100);
+    const step = computeSwapStep(priceOne, target, TWO_E18, E18, 600);
+    expect(step.amountIn.toString()).to.equal('999400000000000000');
+    expect(step.feeAmount.toString()).to.equal('600000000000000');
+    expect(step.amountOut.toString()).to.equal('666399946655997866');
+    expect(JSBI.lessThan(step.sqrtRatioNextX96, target)).to.equal(true);
+  });
+
+  it('computeSwapStep() caps the amount out and takes dust as fee', () => {
+    const capped = computeSwapStep(
+      JSBI.BigInt('417332158212080721273783715441582'),
+      JSBI.BigInt('1452870262520218020823638996'),
+      JSBI.BigInt('159344665391607089467575320103'),
+      JSBI.BigInt(-1),
+      1
+    );
+    expect(stepToStrings(capped)).to.deep.equal({
+      sqrtRatioNextX96: '417332158212080721273783715441581',
+      amountIn: '1',
+      amountOut: '1',
+      feeAmount: '1',
+    });
+
+    const dust = computeSwapStep(
+      JSBI.BigInt('2413'),
+      JSBI.BigInt('79887613182836312'),
+      JSBI.BigInt('1985041575832132834610021537970'),
+      JSBI.BigInt(10),
+      1872
+    );
+    expect(stepToStrings(dust)).to.deep.equal({
+      sqrtRatioNextX96: '2413',
+      amountIn: '0',
+      amountOut: '0',
+      feeAmount: '10',
+    });
+  });
+});
+
+describe('Uniswap Swap Simulator', function () {
+  const liquidity = E18.toString();
+  const pool = {
+    sqrtPriceX96: encodeSqrtRatioX96(1, 1).toString(),
+    tick: 0,
+    liquidity,
+    fee: 3000,
+    ticks: [
+      { index: -887220, liquidityNet: liquidity },
+      { index: 887220, liquidityNet: `-${liquidity}` },
+    ],
+  };
+
+  it('simulateExactInput() should match constant-product output within one range', () => {
+    const amountIn = '1000000000000000'; // 0.001 of reserves
+    const result = simulateExactInput(pool, true, amountIn);
+    const inLessFee = Number(amountIn) * 0.997;
+    const expected = 1e18 - (1e18 * 1e18) / (1e18 + inLessFee);
+    expect(result.amountIn).to.equal(amountIn);
+    expect(Number(result.amountOut) / expected).to.be.closeTo(1, 1e-9);
+    expect(result.ticksCrossed).to.equal(0);
+    expect(result.tickAfter).to.be.below(0);
+  });
+
+  it('simulateExactOutput() should invert simulateExactInput()', () => {
+    const forward = simulateExactInput(pool, false, '5000000000000000');
+    const backward = simulateExactOutput(pool, false, forward.amountOut);
+    expect(backward.amountOut).to.equal(forward.amountOut);
+    const diff = JSBI.subtract(JSBI.BigInt(forward.amountIn), JSBI.BigInt(backward.amountIn));
+    expect(Math.abs(JSBI.toNumber(diff))).to.be.at.most(1);
+  });
+
+  it('simulateSwap() should cross initialized ticks and drop liquidity', () => {
+    const concentrated = {
+      ...pool,
+      liquidity: JSBI.multiply(E18, JSBI.BigInt(11)).toString(),
+      ticks: [
+        ...pool.ticks,
+        { index: -60, liquidityNet: JSBI.multiply(E18, JSBI.BigInt(10)).toString() },
+        { index: 60, liquidityNet: JSBI.multiply(E18, JSBI.BigInt(-10)).toString() },
+      ],
+    };
+    const result = simulateExactInput(concentrated, true, '100000000000000000');
+    expect(result.ticksCrossed).to.equal(1);
+    expect(result.liquidityAfter).to.equal(liquidity);
+    expect(result.tickAfter).to.be.below(-60);
+  });
+
+  it('computePriceImpact() should grow with trade size', () => {
+    const small = simulateExactInput(pool, true, '1000000000000000');
+    const large = simulateExactInput(pool, true, '100000000000000000');
+    const smallImpact = parseFloat(computePriceImpact(pool.sqrtPriceX96, small.amountIn, small.amountOut, true));
+    const largeImpact = parseFloat(computePriceImpact(pool.sqrtPriceX96, large.amountIn, large.amountOut, true));
+    expect(smallImpact).to.be.closeTo(0.004, 0.001); // mostly the 0.3% fee
+    expect(largeImpact).to.be.greaterThan(smallImpact);
+  });
+});
@@ -3,7 +3,11 @@
  */
 
 const { expect } = require('chai');
-const { getSlot0, computePriceFromSqrt } = require('../modules/dex/uniswapV3');
+const { getSlot0, computePriceFromSqrt, computeTokenPrice } = require('../modules/dex/uniswapV3');
+
+// USDC (6 decimals, token0) / WETH (18 decimals, token1) at 2500 USDC per WETH:
+// raw price 4e8 token1 units per token0 unit, so sqrtPriceX96 = 20000 * 2^96
+const USDC_WETH_SQRT_PRICE_X96 = '1584563250285286751870879006720000';
 
 describe('Uniswap V3 Module', function () {
   this.timeout(20000); // 20s to allow live RPC calls
@@ -14,7 +18,17 @@ describe('Uniswap V3 Module', function () {
     expect(parseFloat(price)).to.be.a('number');
   });
 
-  it('getSlot0() should fetch slot0 data from a real pool if env is set', async () => {
+  it('computeTokenPrice() should price token0 in its paired token', () => {
+    const usdc = { symbol: 'USDC', isToken0: true, decimals: '6', pairedToken: { symbol: 'WETH', decimals: '18' } };
+    expect(computeTokenPrice(usdc, USDC_WETH_SQRT_PRICE_X96)).to.equal('0.0004');
+  });
+
+  it('computeTokenPrice() should invert the pool price for token1', () => {
+    const weth = { symbol: 'WETH', isToken0: false, decimals: '18', pairedToken: { symbol: 'USDC', decimals: '6' } };
+    expect(computeTokenPrice(weth, USDC_WETH_SQRT_PRICE_X96)).to.equal('2500');
+  });
+
+  it('getSlot0() should fetch slot0 data from a real pool if env is set', async function () {
     if (!process.env.UNISWAP_POOL_ADDRESS) {
       this.skip(); 
     } else {
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests for Uniswap V3 TWAP reads.
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { computeMeanTick, getTokenTwapPrices } = require('../modules/dex/uniswapV3Twap');
+const { MULTICALL3_ADDRESS, MULTICALL3_ABI, UNISWAP_V3_POOL_ABI } = require('../config/constants');
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+const poolInterface = new ethers.utils.Interface(UNISWAP_V3_POOL_ABI);
+
+const NOW = 1714521600;
+const WETH_POOL = '0x0000000000000000000000000000000000000f01';
+const OP_POOL = '0x0000000000000000000000000000000000000f02';
+const BROKEN_POOL = '0x0000000000000000000000000000000000000f03';
+
+/**
+ * Fake pool oracle: a constant tick since the oldest observation, `history`
+ * seconds ago. observe() reverts ('OLD') past that, like the real pool.
+ */
+function fakePool({ tick, cardinality, observationIndex, history }) {
+  const cumulativeAt = secondsAgo => ethers.BigNumber.from(tick).mul(history - secondsAgo);
+  return {
+    slot0: () => [0, tick, observationIndex, cardinality, cardinality, 0, true],
+    observations: index => (index === (observationIndex + 1) % cardinality
+      ? [NOW - history, 0, 0, true]
+      : [0, 0, 0, false]),
+    observe: secondsAgos => (secondsAgos.some(ago => ago > history)
+      ? undefined
+      : [secondsAgos.map(cumulativeAt), secondsAgos.map(() => 0)]),
+  };
+}
+
+function fakeProvider(pools) {
+  const blockTags = [];
+  return {
+    blockTags,
+    getBlockNumber: async () => 500,
+    call: async (tx, blockTag) => {
+      expect(tx.to).to.equal(MULTICALL3_ADDRESS);
+      blockTags.push(blockTag);
+      const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+      const returnData = calls.map(({ target, callData }) => {
+        if (target === MULTICALL3_ADDRESS) {
+          return [true, multicallInterface.encodeFunctionResult('getCurrentBlockTimestamp', [NOW])];
+        }
+        const { name, args } = poolInterface.parseTransaction({ data: callData });
+        const pool = pools[target.toLowerCase()];
+        const values = pool && pool[name](...args.map(arg => (Array.isArray(arg) ? arg : Number(arg))));
+        return values === undefined ? [false, '0x'] : [true, poolInterface.encodeFunctionResult(name, values)];
+      });
+      return multicallInterface.encodeFunctionResult('aggregate3', [returnData]);
+    },
+  };
+}
+
+describe('Uniswap V3 TWAP', function () {
+  it('computeMeanTick() should round negative means towards negative infinity', () => {
+    expect(computeMeanTick(0, 1800 * 196256, 1800)).to.equal(196256);
+    expect(computeMeanTick(0, -30001, 300)).to.equal(-101);
+    expect(computeMeanTick(1000, -29000, 300)).to.equal(-100);
+  });
+
+  it('getTokenTwapPrices() should price tokens over each window with token ordering and decimals', async () => {
+    const provider = fakeProvider({
+      [WETH_POOL]: fakePool({ tick: 196256, cardinality: 50, observationIndex: 7, history: 3600 }),
+      [OP_POOL]: fakePool({ tick: -69082, cardinality: 1, observationIndex: 0, history: 600 }),
+    });
+    const usdc = { symbol: 'USDC', decimals: 6 };
+    const weth = { symbol: 'WETH', decimals: 18 };
+    const { blockNumber, blockTimestamp, prices } = await getTokenTwapPrices('base', [
+      { symbol: 'WETH', repPool: WETH_POOL, isToken0: false, decimals: 18, pairedToken: usdc },
+      { symbol: 'OP', repPool: OP_POOL, isToken0: true, decimals: 18, pairedToken: weth },
+      { symbol: 'BROKEN', repPool: BROKEN_POOL, isToken0: true, decimals: 18, pairedToken: usdc },
+      { symbol: 'AERO', repPool: '0xv2', repPoolSchema: 'uniswap-v2', decimals: 18, pairedToken: usdc },
+    ], { provider, windows: [300, 1800] });
+
+    expect(blockNumber).to.equal(500);
+    expect(blockTimestamp).to.equal(NOW);
+    expect(provider.blockTags).to.deep.equal([500, 500]);
+
+    // USDC is token0 of the WETH pool, so the pool price is flipped to USDC per WETH
+    const [wethPrice, opPrice, broken, notV3] = prices;
+    expect(wethPrice).to.include({ quoteSymbol: 'USDC', observationCardinality: 50, historySeconds: 3600, error: null });
+    expect(wethPrice.twaps.map(twap => twap.windowSeconds)).to.deep.equal([300, 1800]);
+    wethPrice.twaps.forEach(twap => {
+      expect(twap).to.include({ meanTick: 196256, insufficientHistory: false, error: null });
+      expect(Number(twap.price)).to.be.closeTo(3000, 3);
+    });
+
+    expect(opPrice).to.include({ observationCardinality: 1, historySeconds: 600 });
+    expect(opPrice.twaps[0]).to.include({ meanTick: -69082, insufficientHistory: false });
+    expect(Number(opPrice.twaps[0].price)).to.be.closeTo(0.001, 0.000001);
+    expect(opPrice.twaps[1]).to.deep.equal({
+      windowSeconds: 1800,
+      meanTick: null,
+      price: null,
+      insufficientHistory: true,
+      error: 'Observations cover 600s (cardinality 1), less than the 1800s window',
+    });
+
+    expect(broken).to.include({ error: 'slot0 reverted' });
+    expect(broken.twaps).to.deep.equal([]);
+    expect(notV3).to.include({ error: 'Not a Uniswap V3 pool (uniswap-v2)' });
+  });
+});
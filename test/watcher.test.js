@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Tests for the block-driven price watcher with fake WebSocket providers.
+ */
+
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { createPriceWatcher, SWAP_TOPIC } = require('../modules/watcher');
+const { UNISWAP_V3_POOL_ABI } = require('../config/constants');
+
+const poolInterface = new ethers.utils.Interface(UNISWAP_V3_POOL_ABI);
+const Q96 = 2n ** 96n;
+const ETH_POOL = '0x00000000000000000000000000000000000000e1';
+const BASE_POOL = '0x00000000000000000000000000000000000000b1';
+
+function tokenOn(pool) {
+  return {
+    symbol: 'WETH',
+    tokenAddress: '0x01',
+    decimals: '18',
+    repPool: pool,
+    repPoolSchema: 'uniswap-v3',
+    isToken0: true,
+    pairedToken: { symbol: 'USDC', tokenAddress: '0x02', decimals: '18' },
+  };
+}
+
+const WETH = { symbol: 'WETH', chains: ['ethereum', 'base'], ethereum: tokenOn(ETH_POOL), base: tokenOn(BASE_POOL) };
+
+// Stands in for a WebSocketProvider: records subscriptions and lets the test push blocks and logs.
+class FakeProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.websocket = {};
+    this.filters = [];
+    this.destroyed = false;
+  }
+
+  on(event, listener) {
+    if (typeof event === 'object') this.filters.push({ filter: event, listener });
+    else super.on(event, listener);
+    return this;
+  }
+
+  removeAllListeners() {
+    this.filters = [];
+    return super.removeAllListeners();
+  }
+
+  async destroy() {
+    this.destroyed = true;
+  }
+
+  swap(pool, sqrtPriceX96, blockNumber) {
+    const log = poolInterface.encodeEventLog(poolInterface.getEvent('Swap'), [
+      ethers.constants.AddressZero, ethers.constants.AddressZero, 1, -1, sqrtPriceX96.toString(), 1000, 0,
+    ]);
+    this.filters
+      .filter(({ filter }) => filter.address === pool && filter.topics[0] === SWAP_TOPIC)
+      .forEach(({ listener }) => listener({ ...log, address: pool, blockNumber }));
+  }
+}
+
+function setup(overrides = {}) {
+  const providers = [];
+  const syncs = [];
+  const watcher = createPriceWatcher({
+    commonTokens: [WETH],
+    prices: { WETH: { ethereum: 2000, base: 2000 } },
+    bridgeFees: { WETH: { 'ethereum->base': { feeBps: 5 }, 'base->ethereum': { feeBps: 5 } } },
+    notionalUsd: 10000,
+    gasUsd: 0,
+    reconnectDelayMs: 5,
+    createProvider: chain => {
+      const provider = new FakeProvider();
+      providers.push({ chain, provider });
+      return provider;
+    },
+    readPoolStates: async (chain, pools) => {
+      syncs.push(chain);
+      return { blockNumber: 1, pools: pools.map(pool => ({ pool, state: { sqrtPriceX96: Q96.toString() }, error: null })) };
+    },
+    ...overrides,
+  });
+  return { watcher, providers, syncs };
+}
+
+function record(watcher, event) {
+  const events = [];
+  watcher.on(event, data => events.push(data));
+  return events;
+}
+
+describe('Price Watcher', function () {
+  it('start() should subscribe per chain and seed prices from one snapshot', async () => {
+    const { watcher, providers } = setup();
+    await watcher.start();
+    expect(providers.map(p => p.chain)).to.deep.equal(['ethereum', 'base']);
+    expect(providers[1].provider.filters[0].filter).to.deep.equal({ address: BASE_POOL, topics: [SWAP_TOPIC] });
+    expect(watcher.getPrices()).to.deep.equal({ WETH: { ethereum: 2000, base: 2000 } });
+    watcher.stop();
+  });
+
+  it('a Swap log should update the price and emit spreadChanged and opportunity', async () => {
+    const { watcher, providers } = setup();
+    await watcher.start();
+    const updates = record(watcher, 'priceUpdate');
+    const spreads = record(watcher, 'spreadChanged');
+    const opportunities = record(watcher, 'opportunity');
+
+    // Pool price 1 -> 1.21 (sqrt price up 10%)
+    providers[1].provider.swap(BASE_POOL, Q96 * 11n / 10n, 2);
+
+    expect(updates).to.have.length(1);
+    expect(updates[0]).to.include({ symbol: 'WETH', chain: 'base', previousPrice: 2000, blockNumber: 2, source: 'swap' });
+    expect(updates[0].price).to.be.closeTo(2420, 1e-6);
+    const forward = spreads.find(s => s.buyChain === 'ethereum');
+    expect(forward.spreadBps).to.be.closeTo(2100, 1e-6);
+    expect(forward.previousSpreadBps).to.be.closeTo(0, 1e-9);
+    expect(opportunities).to.have.length(1);
+    expect(opportunities[0]).to.include({ buyChain: 'ethereum', sellChain: 'base', profitable: true });
+    watcher.stop();
+  });
+
+  it('should reconnect and resync after the socket closes', async () => {
+    const { watcher, providers, syncs } = setup();
+    await watcher.start();
+    const disconnected = record(watcher, 'disconnected');
+    const connected = new Promise(resolve => watcher.once('connected', resolve));
+
+    providers[0].provider.websocket.onclose();
+    expect(disconnected).to.deep.equal([{ chain: 'ethereum', error: 'WebSocket closed' }]);
+    expect(providers[0].provider.filters).to.have.length(0);
+
+    expect(await connected).to.deep.equal({ chain: 'ethereum' });
+    expect(providers.map(p => p.chain)).to.deep.equal(['ethereum', 'base', 'ethereum']);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(syncs.filter(chain => chain === 'ethereum')).to.have.length(2);
+    watcher.stop();
+  });
+
+  it('stop() should cancel pending reconnects', async () => {
+    const { watcher, providers } = setup();
+    await watcher.start();
+    providers[0].provider.websocket.onclose();
+    watcher.stop();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(providers).to.have.length(2);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview TTL cache shared by every module that pulls remote data.
+ *
+ * Each source (see config/cache.js) gets one cache. wrap() deduplicates
+ * in-flight loads, so concurrent callers asking for the same key share one
+ * request, and failed loads are never cached.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCacheSettings, getCacheDir } = require('../config/cache');
+
+const PERSIST_DELAY_MS = 1000;
+
+/**
+ * Creates a cache.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Used in stats.
+ * @param {number} options.ttlMs - Default time to live.
+ * @param {string} [options.filePath] - JSON file to load from and persist to.
+ * @param {Function} [options.now=Date.now] - Clock, for tests.
+ * @return {Object} Cache API.
+ */
+function createCache({ name, ttlMs, filePath, now = Date.now }) {
+  const entries = new Map();
+  const inFlight = new Map();
+  const counts = { hits: 0, misses: 0, deduped: 0 };
+  let persistTimer = null;
+
+  function isFresh(entry) {
+    return entry && entry.expiresAt > now();
+  }
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.entries(stored).forEach(([key, entry]) => {
+        if (isFresh(entry)) entries.set(key, entry);
+      });
+    } catch (error) {
+      console.warn(`Ignoring unreadable cache file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes every fresh entry to disk now. A no-op without a filePath.
+   */
+  function flush() {
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    if (!filePath) return;
+
+    const fresh = {};
+    entries.forEach((entry, key) => {
+      if (isFresh(entry)) fresh[key] = entry;
+    });
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(fresh));
+  }
+
+  // Batch writes: many sets in a burst cost one write
+  function schedulePersist() {
+    if (!filePath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      try {
+        flush();
+      } catch (error) {
+        console.warn(`Failed to persist cache ${name}: ${error.message}`);
+      }
+    }, PERSIST_DELAY_MS);
+    persistTimer.unref();
+  }
+
+  /**
+   * @param {string} key - Cache key.
+   * @return {*} The cached value, or undefined when missing or expired.
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (isFresh(entry)) {
+      counts.hits += 1;
+      return entry.value;
+    }
+    if (entry) entries.delete(key);
+    counts.misses += 1;
+    return undefined;
+  }
+
+  /**
+   * @param {string} key - Cache key.
+   * @param {*} value - Value to store (must be JSON-serializable when persisted).
+   * @param {number} [ttl=ttlMs] - Time to live for this entry.
+   */
+  function set(key, value, ttl = ttlMs) {
+    entries.set(key, { value, expiresAt: now() + ttl });
+    schedulePersist();
+  }
+
+  /**
+   * Returns the cached value for key, or loads, stores and returns it.
+   * Concurrent calls for a key that is loading share the same promise.
+   *
+   * @param {string} key - Cache key.
+   * @param {Function} loader - () => Promise<value>
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Time to live for this entry.
+   * @return {Promise<*>} The value.
+   */
+  async function wrap(key, loader, options = {}) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+
+    if (inFlight.has(key)) {
+      counts.deduped += 1;
+      return inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await loader();
+        set(key, value, options.ttlMs);
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  load();
+
+  return {
+    get,
+    set,
+    wrap,
+    flush,
+    delete: key => entries.delete(key),
+    clear: () => {
+      entries.clear();
+      schedulePersist();
+    },
+    stats: () => ({ name, ...counts, size: entries.size }),
+  };
+}
+
+const caches = new Map();
+
+/**
+ * Returns the shared cache for a data source, creating it on first use.
+ *
+ * @param {string} source - e.g. 'tokenLists', 'prices', 'subgraphPools', 'hop'
+ * @return {Object} Cache API (see createCache).
+ */
+function getCache(source) {
+  if (!caches.has(source)) {
+    const { ttlMs, persist } = getCacheSettings(source);
+    const dir = getCacheDir();
+    caches.set(source, createCache({
+      name: source,
+      ttlMs,
+      filePath: persist && dir ? path.join(dir, `${source}.json`) : undefined,
+    }));
+  }
+  return caches.get(source);
+}
+
+/**
+ * @return {Array<Object>} Hit/miss stats of every shared cache.
+ */
+function getCacheStats() {
+  return [...caches.values()].map(cache => cache.stats());
+}
+
+/**
+ * Persists every shared cache now (e.g. before exiting).
+ */
+function flushCaches() {
+  caches.forEach(cache => cache.flush());
+}
+
+module.exports = { createCache, getCache, getCacheStats, flushCaches };
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Helpers for running async work with bounded parallelism.
+ */
+
+/**
+ * Maps items through an async function, running at most `limit` at a time.
+ * Results keep the input order.
+ *
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum concurrent calls.
+ * @param {Function} fn - async (item, index) => result
+ * @return {Promise<Array>} Results in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview The FeeQuote shape shared by every fee provider.
+ *
+ * Providers always resolve to a FeeQuote (they never return strings or null),
+ * so callers branch on `status` and only the presentation layer formats.
+ */
+
+const FeeStatus = Object.freeze({
+  SUCCESS: 'success',                     // Real quote from the provider
+  ESTIMATED: 'estimated',                 // Proxy quote (e.g. same-chain swap standing in for a bridge)
+  UNSUPPORTED_TOKEN: 'unsupported_token', // Provider does not know the token
+  UNSUPPORTED_ROUTE: 'unsupported_route', // Token known, but not for this source/destination
+  UNSUPPORTED_CHAIN: 'unsupported_chain', // Provider does not serve one of the chains
+  INVALID_PRICE: 'invalid_price',         // No usable USD price to size the trade
+  ERROR: 'error',                         // Unexpected failure
+});
+
+/**
+ * @typedef {Object} FeeQuote
+ * @property {string} status - One of FeeStatus.
+ * @property {string} provider - Provider id, e.g. 'hop' or 'openocean'.
+ * @property {string} tokenSymbol - Token being moved.
+ * @property {string} sourceChain - Source chain name.
+ * @property {string} destinationChain - Destination chain name.
+ * @property {number|null} decimals - Token decimals used for the amounts.
+ * @property {string|null} inputAmount - Amount sent, in minimal units.
+ * @property {string|null} outputAmount - Amount received, in minimal units.
+ * @property {string|null} feeAmount - inputAmount - outputAmount, in minimal units.
+ * @property {number|null} feeBps - Fee in basis points of the input.
+ * @property {number|null} feeUsd - Fee in USD.
+ * @property {number|null} gasUsd - Gas for the route's transactions in USD (see modules/gas.js).
+ * @property {string|null} error - Reason when the quote is not usable.
+ * @property {Array<Object>} [legs] - Per-leg amounts and fees, on composite quotes only (see modules/routeComposer.js).
+ * @property {string[]} [tools] - Bridges and DEXes an aggregator routed through (Li.Fi).
+ * @property {string} [outputAmountMin] - Amount received at worst within slippage, in minimal units (Li.Fi).
+ * @property {number|null} [durationSeconds] - Estimated time until the funds arrive (Li.Fi).
+ * @property {Array<Object>} [feeCosts] - Itemised fees as { name, amountUsd, included } (Li.Fi).
+ */
+
+/**
+ * Builds a FeeQuote, filling every missing field with null.
+ *
+ * @param {Object} fields - Any FeeQuote fields.
+ * @return {FeeQuote} The quote.
+ */
+function createFeeQuote(fields) {
+  return {
+    status: FeeStatus.ERROR,
+    provider: null,
+    tokenSymbol: null,
+    sourceChain: null,
+    destinationChain: null,
+    decimals: null,
+    inputAmount: null,
+    outputAmount: null,
+    feeAmount: null,
+    feeBps: null,
+    feeUsd: null,
+    gasUsd: null,
+    error: null,
+    ...fields,
+  };
+}
+
+/**
+ * Builds a failed FeeQuote.
+ *
+ * @param {string} status - One of the non-success FeeStatus values.
+ * @param {Object} context - { provider, tokenSymbol, sourceChain, destinationChain }
+ * @param {string} error - Reason the quote failed.
+ * @return {FeeQuote} The quote.
+ */
+function failedFeeQuote(status, context, error) {
+  return createFeeQuote({ ...context, status, error });
+}
+
+/**
+ * @param {FeeQuote} quote - Quote to check.
+ * @return {boolean} True when the quote carries fee figures.
+ */
+function isQuoteUsable(quote) {
+  return Boolean(quote) && (quote.status === FeeStatus.SUCCESS || quote.status === FeeStatus.ESTIMATED);
+}
+
+/**
+ * Formats a FeeQuote for display, e.g. "12 bps ($0.0012)".
+ *
+ * @param {FeeQuote} quote - Quote to format.
+ * @param {Object} [options]
+ * @param {boolean} [options.showProvider=false] - Append "(via <provider>)".
+ * @return {string} Display string.
+ */
+function formatFeeQuote(quote, { showProvider = false } = {}) {
+  if (!quote) return 'Not available';
+
+  switch (quote.status) {
+    case FeeStatus.SUCCESS:
+    case FeeStatus.ESTIMATED: {
+      const text = `${quote.feeBps} bps ($${Number(quote.feeUsd).toFixed(4)})`;
+      return showProvider ? `${text} (via ${quote.provider})` : text;
+    }
+    case FeeStatus.UNSUPPORTED_TOKEN:
+      return 'Not supported';
+    case FeeStatus.UNSUPPORTED_ROUTE:
+      return 'Route not supported';
+    case FeeStatus.UNSUPPORTED_CHAIN:
+      return 'Chain not supported';
+    case FeeStatus.INVALID_PRICE:
+      return 'Price unavailable';
+    default:
+      return 'Error calculating fees';
+  }
+}
+
+module.exports = {
+  FeeStatus,
+  createFeeQuote,
+  failedFeeQuote,
+  isQuoteUsable,
+  formatFeeQuote,
+};
@@ -1,6 +1,10 @@
 // utils/hopFees.js - proper version that only uses actual fee data
-const sdk = require('@hop-protocol/sdk');
 const ethers = require('ethers');
+const { FeeStatus, createFeeQuote, failedFeeQuote } = require('./feeQuote');
+const { priceValue } = require('./priceRecord');
+const { getHopChain, getHopInstance, getCachedSendData } = require('../modules/crossChain/hopBridge');
+
+const PROVIDER = 'hop';
 
 /**
  * Calculate Hop Protocol fees for transferring tokens between chains
@@ -8,77 +12,81 @@ const ethers = require('ethers');
  * @param {string} sourceChain - Source chain (e.g., 'ethereum', 'base')
  * @param {string} destinationChain - Destination chain (e.g., 'ethereum', 'base')
  * @param {number} usdAmount - Amount to transfer in USD
- * @param {number} tokenPriceUSD - Token price in USD
+ * @param {number|PriceRecord} tokenPriceUSD - Token price in USD
  * @param {number} decimals - Token decimals
- * @returns {string|null} - Fee information or null if error
+ * @param {Object} [options]
+ * @param {Object} [options.hop] - Hop SDK instance (defaults to the shared mainnet one)
+ * @returns {Promise<FeeQuote>} - Fee quote (see utils/feeQuote.js)
  */
-async function calculateHopSwapFees(tokenSymbol, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals) {
+async function calculateHopSwapFees(tokenSymbol, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals, options = {}) {
+  const context = { provider: PROVIDER, tokenSymbol, sourceChain, destinationChain };
+
+  // Skip if no valid price
+  tokenPriceUSD = priceValue(tokenPriceUSD);
+  if (tokenPriceUSD === null) {
+    return failedFeeQuote(FeeStatus.INVALID_PRICE, context, `No valid USD price for ${tokenSymbol}`);
+  }
+
+  const hopSourceChain = getHopChain(sourceChain);
+  const hopDestinationChain = getHopChain(destinationChain);
+  if (!hopSourceChain || !hopDestinationChain) {
+    return failedFeeQuote(FeeStatus.UNSUPPORTED_CHAIN, context, `Hop does not serve ${hopSourceChain ? destinationChain : sourceChain}`);
+  }
+
+  // SDK failures are caught below and reported on the quote
   try {
-    // Skip if no valid price
-    if (!tokenPriceUSD || isNaN(tokenPriceUSD) || tokenPriceUSD === '[Object]') {
-      return null;
+    // Shared Hop SDK instance
+    const hopInstance = options.hop || getHopInstance('mainnet');
+
+    // Try to get the bridge for this specific token
+    let bridge;
+    try {
+      bridge = hopInstance.bridge(tokenSymbol);
+    } catch (error) {
+      // If we can't get a bridge for this token, it's not supported by Hop
+      return failedFeeQuote(FeeStatus.UNSUPPORTED_TOKEN, context, error.message);
     }
-    
-    // Silence console errors temporarily
-    const originalConsoleError = console.error;
-    console.error = () => {}; // Disable console.error
-    
+
+    // Calculate token amount from USD
+    const tokenAmount = usdAmount / tokenPriceUSD;
+    const formattedAmount = parseFloat(tokenAmount.toString()).toFixed(Math.min(decimals, 8));
+
+    let amountInMinimalUnits;
+    let sendData;
     try {
-      // Initialize Hop SDK
-      const hopInstance = new sdk.Hop('mainnet');
-      
-      // Try to get the bridge for this specific token
-      let bridge;
-      try {
-        bridge = hopInstance.bridge(tokenSymbol);
-      } catch (error) {
-        // Restore console.error
-        console.error = originalConsoleError;
-        
-        // If we can't get a bridge for this token, it's not supported by Hop
-        return "Not supported"; // Clear indication that this token isn't supported
-      }
-      
-      // Calculate token amount from USD
-      const tokenAmount = usdAmount / tokenPriceUSD;
-      const formattedAmount = parseFloat(tokenAmount.toString()).toFixed(Math.min(decimals, 8));
-      
-      try {
-        // Parse with appropriate decimals
-        const amountInMinimalUnits = ethers.utils.parseUnits(formattedAmount, decimals).toString();
-        
-        // Try to get actual fee data from Hop Protocol
-        const sendData = await bridge.getSendData(
-          amountInMinimalUnits,
-          sourceChain,
-          destinationChain
-        );
-        
-        // Restore console.error
-        console.error = originalConsoleError;
-        
-        // Calculate fee as percentage and USD value
-        const feeBasisPoints = calculateFeeBasisPoints(sendData.totalFee, amountInMinimalUnits);
-        const feeUsd = calculateFeeUsd(sendData.totalFee, tokenPriceUSD, decimals);
-        
-        // Return the actual fee information
-        return `${feeBasisPoints} bps ($${feeUsd.toFixed(4)})`;
-      } catch (error) {
-        // Restore console.error
-        console.error = originalConsoleError;
-        
-        // If we can't calculate actual fees, return that route is not supported
-        return "Route not supported";
-      }
+      // Parse with appropriate decimals
+      amountInMinimalUnits = ethers.utils.parseUnits(formattedAmount, decimals).toString();
+
+      // Try to get actual fee data from Hop Protocol
+      sendData = await getCachedSendData(
+        bridge,
+        tokenSymbol,
+        amountInMinimalUnits,
+        hopSourceChain,
+        hopDestinationChain
+      );
     } catch (error) {
-      // Restore console.error
-      console.error = originalConsoleError;
-      
-      // Return error info if anything goes wrong
-      return "Error calculating fees";
+      // If we can't calculate actual fees, the route is not supported
+      return failedFeeQuote(FeeStatus.UNSUPPORTED_ROUTE, context, error.message);
     }
+
+    const feeAmount = ethers.BigNumber.from(sendData.totalFee);
+    const outputAmount = sendData.estimatedReceived
+      ? ethers.BigNumber.from(sendData.estimatedReceived)
+      : ethers.BigNumber.from(amountInMinimalUnits).sub(feeAmount);
+
+    return createFeeQuote({
+      ...context,
+      status: FeeStatus.SUCCESS,
+      decimals,
+      inputAmount: amountInMinimalUnits,
+      outputAmount: outputAmount.toString(),
+      feeAmount: feeAmount.toString(),
+      feeBps: calculateFeeBasisPoints(feeAmount, amountInMinimalUnits),
+      feeUsd: calculateFeeUsd(feeAmount, tokenPriceUSD, decimals),
+    });
   } catch (error) {
-    return "Error calculating fees";
+    return failedFeeQuote(FeeStatus.ERROR, context, error.message);
   }
 }
 
@@ -118,4 +126,28 @@ function calculateFeeUsd(feeAmount, tokenPriceUSD, decimals) {
   }
 }
 
-module.exports = { calculateHopSwapFees };
+/**
+ * Quote a Hop transfer of an exact amount, for chaining into other legs.
+ * @param {string} tokenSymbol - Hop token symbol (e.g. 'USDC', 'ETH')
+ * @param {string} sourceChain - Source chain (e.g., 'ethereum')
+ * @param {string} destinationChain - Destination chain (e.g., 'base')
+ * @param {string} amountIn - Amount sent, in minimal units
+ * @returns {Promise<Object>} - { amountOut, feeAmount } in minimal units
+ */
+async function quoteHopTransfer(tokenSymbol, sourceChain, destinationChain, amountIn) {
+  const hopSourceChain = getHopChain(sourceChain);
+  const hopDestinationChain = getHopChain(destinationChain);
+  if (!hopSourceChain || !hopDestinationChain) {
+    throw new Error(`Hop does not serve ${hopSourceChain ? destinationChain : sourceChain}`);
+  }
+
+  const bridge = getHopInstance('mainnet').bridge(tokenSymbol);
+  const sendData = await getCachedSendData(bridge, tokenSymbol, amountIn, hopSourceChain, hopDestinationChain);
+  const feeAmount = ethers.BigNumber.from(sendData.totalFee);
+  const amountOut = sendData.estimatedReceived
+    ? ethers.BigNumber.from(sendData.estimatedReceived)
+    : ethers.BigNumber.from(amountIn).sub(feeAmount);
+  return { amountOut: amountOut.toString(), feeAmount: feeAmount.toString() };
+}
+
+module.exports = { calculateHopSwapFees, quoteHopTransfer };
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Shared HTTP client for every outbound API call.
+ *
+ * Wraps axios with:
+ *   - retries of network errors, 429 and 5xx, with exponential backoff and
+ *     full jitter (4xx other than 429 fail at once);
+ *   - Retry-After on those answers, which also pauses the host's bucket so
+ *     concurrent requests to it wait as well;
+ *   - a token bucket per host (config/http.js);
+ *   - a cap on requests in flight across all hosts;
+ *   - an x-request-id header per request, kept across its retries and set as
+ *     error.requestId on failures, so logs on both sides can be matched.
+ *
+ * Failures are the last axios error (with requestId and attempts added), so
+ * callers keep branching on error.response.status.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { getHttpSettings } = require('../config/http');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {string|number} value - Retry-After header: seconds or an HTTP date.
+ * @param {number} now - Current time (ms).
+ * @return {number|null} Milliseconds to wait, or null when absent or unparsable.
+ */
+function parseRetryAfter(value, now) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function isRetryable(error) {
+  if (!error.response) return Boolean(error.request) && error.code !== 'ERR_CANCELED';
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+function describe(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+}
+
+// Refills `requestsPerSecond` tokens a second up to `burst`; take() returns how long to wait (0 once a token is taken)
+function createTokenBucket(limit, now) {
+  let tokens = limit ? limit.burst : 0;
+  let updatedAt = now();
+  let pausedUntil = 0;
+
+  return {
+    take() {
+      const time = now();
+      if (time < pausedUntil) return pausedUntil - time;
+      if (!limit) return 0;
+      tokens = Math.min(limit.burst, tokens + (time - updatedAt) / 1000 * limit.requestsPerSecond);
+      updatedAt = time;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - tokens) / limit.requestsPerSecond * 1000);
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, now() + ms);
+    },
+  };
+}
+
+function createSemaphore(limit) {
+  let active = 0;
+  const waiting = [];
+  return {
+    async acquire() {
+      if (active < limit) {
+        active++;
+        return;
+      }
+      await new Promise(resolve => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) next(); // The slot passes straight to the next request
+      else active--;
+    },
+  };
+}
+
+/**
+ * Creates an HTTP client. Settings default to config/http.js.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt.
+ * @param {number} [options.baseDelayMs] - Backoff before the first retry (before jitter).
+ * @param {number} [options.maxDelayMs] - Backoff cap.
+ * @param {number} [options.maxRetryAfterMs] - Longest Retry-After honoured; longer ones fail the request.
+ * @param {number} [options.timeoutMs] - Per-attempt timeout.
+ * @param {number} [options.maxConcurrency] - Requests in flight at once, across hosts.
+ * @param {Object} [options.rateLimits] - { [host]: { requestsPerSecond, burst } }
+ * @param {Function} [options.transport=axios.request] - axios-style config => Promise<response>.
+ * @param {Function} [options.createRequestId] - () => string (defaults to a random UUID).
+ * @param {Function} [options.random=Math.random] - Jitter source, for tests.
+ * @param {Function} [options.now=Date.now] - Clock, for tests.
+ * @param {Function} [options.sleep] - ms => Promise, for tests.
+ * @return {Object} { request, get, post }
+ */
+function createHttpClient(options = {}) {
+  const {
+    retries,
+    baseDelayMs,
+    maxDelayMs,
+    maxRetryAfterMs,
+    timeoutMs,
+    maxConcurrency,
+    rateLimits,
+    transport = axios.request,
+    createRequestId = crypto.randomUUID,
+    random = Math.random,
+    now = Date.now,
+    sleep = defaultSleep,
+  } = { ...getHttpSettings(), ...options };
+
+  const slots = createSemaphore(maxConcurrency);
+  const buckets = new Map();
+
+  function bucketFor(host) {
+    if (!buckets.has(host)) buckets.set(host, createTokenBucket(rateLimits[host], now));
+    return buckets.get(host);
+  }
+
+  async function takeToken(bucket) {
+    for (let wait = bucket.take(); wait > 0; wait = bucket.take()) await sleep(wait);
+  }
+
+  /**
+   * Sends a request, retrying as configured.
+   *
+   * @param {Object} config - axios request config, plus optional retries (overrides the client's)
+   *   and requestId (defaults to a new one).
+   * @return {Promise<Object>} The axios response.
+   */
+  async function request(config) {
+    const { retries: maxRetries = retries, requestId = createRequestId(), ...axiosConfig } = config;
+    const host = new URL(axiosConfig.url).host.toLowerCase();
+    const bucket = bucketFor(host);
+    const headers = { ...axiosConfig.headers, [REQUEST_ID_HEADER]: requestId };
+
+    for (let attempt = 0; ; attempt++) {
+      await takeToken(bucket);
+      await slots.acquire();
+      let error;
+      try {
+        return await transport({ timeout: timeoutMs, ...axiosConfig, headers });
+      } catch (caught) {
+        error = caught;
+      } finally {
+        slots.release();
+      }
+
+      error.requestId = requestId;
+      error.attempts = attempt + 1;
+      if (attempt >= maxRetries || !isRetryable(error)) throw error;
+
+      const retryAfterMs = error.response ? parseRetryAfter((error.response.headers || {})['retry-after'], now()) : null;
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) throw error;
+      const delay = retryAfterMs !== null ? retryAfterMs : Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+      console.warn(`${(axiosConfig.method || 'get').toUpperCase()} ${host} [${requestId}] failed with ${describe(error)} `
+        + `(attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms`);
+      // Retry-After holds back every request to the host; the next takeToken() waits it out
+      if (retryAfterMs !== null) bucket.pause(retryAfterMs);
+      else await sleep(delay);
+    }
+  }
+
+  return {
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+  };
+}
+
+let defaultClient;
+
+/**
+ * @return {Object} Lazily created client with the configured settings, shared so limits apply process-wide.
+ */
+function getHttpClient() {
+  if (!defaultClient) defaultClient = createHttpClient();
+  return defaultClient;
+}
+
+module.exports = { createHttpClient, getHttpClient, parseRetryAfter };
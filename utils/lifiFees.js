@@ -0,0 +1,265 @@
+// utils/lifiFees.js - Cross-chain quotes and routes from the Li.Fi API
+const ethers = require('ethers');
+const { FeeStatus, createFeeQuote, failedFeeQuote } = require('./feeQuote');
+const { priceValue } = require('./priceRecord');
+const { getHttpClient } = require('./httpClient');
+const { getChainConfig } = require('../config/chainContext');
+
+const PROVIDER = 'lifi';
+const DEFAULT_API_URL = 'https://li.quest/v1';
+
+// Li.Fi needs a sender to build the transaction; quotes do not depend on it
+const DEFAULT_FROM_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+/**
+ * Resolve request settings, falling back to LIFI_API_URL, LIFI_API_KEY and LIFI_FROM_ADDRESS.
+ * @param {Object} options - { baseUrl, apiKey, fromAddress, slippage, http }
+ * @returns {Object} - { baseUrl, headers, fromAddress, slippage, http }
+ */
+function getSettings(options) {
+  const apiKey = options.apiKey || process.env.LIFI_API_KEY;
+  return {
+    baseUrl: (options.baseUrl || process.env.LIFI_API_URL || DEFAULT_API_URL).replace(/\/$/, ''),
+    headers: apiKey ? { 'x-lifi-api-key': apiKey } : {},
+    fromAddress: options.fromAddress || process.env.LIFI_FROM_ADDRESS || DEFAULT_FROM_ADDRESS,
+    slippage: options.slippage !== undefined ? options.slippage : 0.005,
+    http: options.http || getHttpClient(),
+  };
+}
+
+/**
+ * Check if Li.Fi is configured for a chain.
+ * @param {string} chain - The chain name (e.g., "ethereum", "base")
+ * @returns {boolean} - True if the chain has a lifiChainId in config/chainContext.js.
+ */
+function isChainSupported(chain) {
+  try {
+    return Boolean(getChainConfig(chain).lifiChainId);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn an API failure into a failed quote: 4xx (no route, unknown token) is
+ * an unsupported route, anything else an error.
+ */
+function failedFromError(error, context) {
+  const status = error.response ? error.response.status : null;
+  const message = (error.response && error.response.data && error.response.data.message) || error.message;
+  if (status >= 400 && status < 500 && status !== 429) {
+    return failedFeeQuote(FeeStatus.UNSUPPORTED_ROUTE, context, `Li.Fi: ${message}`);
+  }
+  return failedFeeQuote(FeeStatus.ERROR, context, `Li.Fi: ${message}`);
+}
+
+function sumUsd(costs) {
+  return costs.reduce((sum, cost) => sum + (parseFloat(cost.amountUSD) || 0), 0);
+}
+
+function toolsOf(step) {
+  return step.includedSteps && step.includedSteps.length ? step.includedSteps.map(s => s.tool) : [step.tool];
+}
+
+/**
+ * Map a Li.Fi estimate onto a FeeQuote. The fee is what the transfer loses
+ * (input minus output, in source decimals) plus fee costs Li.Fi charges on
+ * top of the transfer (included: false), converted to source-token units at
+ * tokenPriceUSD; gas is the sum of its gas costs.
+ * @param {Object} context - { provider, tokenSymbol, sourceChain, destinationChain }
+ * @param {Object} fields - { decimals, tokenPriceUSD, inputAmount, toAmount, toAmountMin, toDecimals,
+ *   tools, feeCosts, gasCosts, durationSeconds }
+ * @returns {FeeQuote}
+ */
+function toFeeQuote(context, fields) {
+  const { decimals, tokenPriceUSD, inputAmount, toDecimals, tools, feeCosts, gasCosts, durationSeconds } = fields;
+  const scale = amount => {
+    const value = ethers.BigNumber.from(amount);
+    const factor = ethers.BigNumber.from(10).pow(Math.abs(decimals - toDecimals));
+    return decimals >= toDecimals ? value.mul(factor) : value.div(factor);
+  };
+
+  const inAmountBN = ethers.BigNumber.from(inputAmount);
+  const outAmountBN = scale(fields.toAmount);
+  // A better-than-par quote counts as zero fee
+  const lostBN = inAmountBN.lt(outAmountBN) ? ethers.BigNumber.from(0) : inAmountBN.sub(outAmountBN);
+  // Fees paid on top (often in the native token) are counted in source-token units so feeBps ranks them too
+  const extraFeeUsd = sumUsd(feeCosts.filter(cost => cost.included === false));
+  const extraFeeBN = ethers.utils.parseUnits((extraFeeUsd / tokenPriceUSD).toFixed(Math.min(decimals, 8)), decimals);
+  const feeBN = lostBN.add(extraFeeBN);
+
+  return {
+    ...createFeeQuote({
+      ...context,
+      status: FeeStatus.SUCCESS,
+      decimals,
+      inputAmount: inAmountBN.toString(),
+      outputAmount: outAmountBN.toString(),
+      feeAmount: feeBN.toString(),
+      feeBps: feeBN.mul(10000).div(inAmountBN).toNumber(),
+      feeUsd: parseFloat(ethers.utils.formatUnits(lostBN, decimals)) * tokenPriceUSD + extraFeeUsd,
+      gasUsd: gasCosts.length ? sumUsd(gasCosts) : null,
+    }),
+    tools,
+    outputAmountMin: scale(fields.toAmountMin).toString(),
+    durationSeconds,
+    feeCosts: feeCosts.map(cost => ({ name: cost.name, amountUsd: parseFloat(cost.amountUSD) || 0, included: cost.included !== false })),
+  };
+}
+
+/**
+ * Validate the request and convert the USD amount into minimal units.
+ * @returns {Object} - { failed } or { context, amount, fromChainId, toChainId }
+ */
+function prepare(tokenSymbol, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals) {
+  const context = { provider: PROVIDER, tokenSymbol, sourceChain, destinationChain };
+  tokenPriceUSD = priceValue(tokenPriceUSD);
+  if (tokenPriceUSD === null) {
+    return { failed: failedFeeQuote(FeeStatus.INVALID_PRICE, context, `No valid USD price for ${tokenSymbol}`) };
+  }
+  if (!isChainSupported(sourceChain) || !isChainSupported(destinationChain)) {
+    const chain = isChainSupported(sourceChain) ? destinationChain : sourceChain;
+    return { failed: failedFeeQuote(FeeStatus.UNSUPPORTED_CHAIN, context, `Li.Fi is not configured for ${chain}`) };
+  }
+
+  const formattedAmount = parseFloat((usdAmount / tokenPriceUSD).toString()).toFixed(Math.min(decimals, 8));
+  return {
+    context,
+    amount: ethers.utils.parseUnits(formattedAmount, decimals).toString(),
+    fromChainId: getChainConfig(sourceChain).lifiChainId,
+    toChainId: getChainConfig(destinationChain).lifiChainId,
+  };
+}
+
+/**
+ * Calculate fees with the Li.Fi quote endpoint (best single route).
+ * @param {string} tokenSymbol - Symbol of the token to transfer.
+ * @param {string} sourceChain - Source chain (e.g., "ethereum").
+ * @param {string} destinationChain - Destination chain (e.g., "base").
+ * @param {number} usdAmount - Amount to transfer in USD.
+ * @param {number|PriceRecord} tokenPriceUSD - Token price in USD.
+ * @param {number} decimals - Token decimals on the source chain.
+ * @param {string} fromTokenAddress - Token contract address on the source chain.
+ * @param {string} toTokenAddress - Token contract address on the destination chain.
+ * @param {Object} [options] - { baseUrl, apiKey, fromAddress, slippage (fraction, default 0.005),
+ *   http (defaults to the shared client, utils/httpClient.js) }
+ * @returns {Promise<FeeQuote>} - Fee quote (see utils/feeQuote.js) with Li.Fi's tools, outputAmountMin,
+ *   durationSeconds and feeCosts.
+ */
+async function calculateLifiFees(
+  tokenSymbol,
+  sourceChain,
+  destinationChain,
+  usdAmount,
+  tokenPriceUSD,
+  decimals,
+  fromTokenAddress,
+  toTokenAddress,
+  options = {}
+) {
+  const prepared = prepare(tokenSymbol, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals);
+  if (prepared.failed) return prepared.failed;
+  const { context, amount, fromChainId, toChainId } = prepared;
+  const { baseUrl, headers, fromAddress, slippage, http } = getSettings(options);
+
+  let step;
+  try {
+    const response = await http.get(`${baseUrl}/quote`, {
+      params: {
+        fromChain: fromChainId,
+        toChain: toChainId,
+        fromToken: fromTokenAddress,
+        toToken: toTokenAddress,
+        fromAmount: amount,
+        fromAddress,
+        slippage,
+      },
+      headers,
+    });
+    step = response.data;
+  } catch (error) {
+    return failedFromError(error, context);
+  }
+
+  try {
+    const { estimate, action } = step;
+    return toFeeQuote(context, {
+      decimals,
+      tokenPriceUSD,
+      inputAmount: amount,
+      toAmount: estimate.toAmount,
+      toAmountMin: estimate.toAmountMin,
+      toDecimals: Number(action.toToken.decimals),
+      tools: toolsOf(step),
+      feeCosts: estimate.feeCosts || [],
+      gasCosts: estimate.gasCosts || [],
+      durationSeconds: estimate.executionDuration ?? null,
+    });
+  } catch (error) {
+    return failedFeeQuote(FeeStatus.ERROR, context, `Li.Fi: unexpected quote response (${error.message})`);
+  }
+}
+
+/**
+ * Fetch the alternative routes Li.Fi offers for a transfer, each as a FeeQuote.
+ * Arguments are those of calculateLifiFees().
+ * @returns {Promise<FeeQuote[]>} - One quote per route in Li.Fi's order (cheapest first), or a single
+ *   failed quote when there is no route.
+ */
+async function calculateLifiRoutes(
+  tokenSymbol,
+  sourceChain,
+  destinationChain,
+  usdAmount,
+  tokenPriceUSD,
+  decimals,
+  fromTokenAddress,
+  toTokenAddress,
+  options = {}
+) {
+  const prepared = prepare(tokenSymbol, sourceChain, destinationChain, usdAmount, tokenPriceUSD, decimals);
+  if (prepared.failed) return [prepared.failed];
+  const { context, amount, fromChainId, toChainId } = prepared;
+  const { baseUrl, headers, fromAddress, slippage, http } = getSettings(options);
+
+  let routes;
+  try {
+    const response = await http.post(`${baseUrl}/advanced/routes`, {
+      fromChainId,
+      toChainId,
+      fromTokenAddress,
+      toTokenAddress,
+      fromAmount: amount,
+      fromAddress,
+      options: { slippage, order: 'CHEAPEST' },
+    }, { headers });
+    routes = response.data.routes || [];
+  } catch (error) {
+    return [failedFromError(error, context)];
+  }
+  if (routes.length === 0) {
+    return [failedFeeQuote(FeeStatus.UNSUPPORTED_ROUTE, context, 'Li.Fi: no routes found')];
+  }
+
+  return routes.map(route => {
+    try {
+      const estimates = route.steps.map(step => step.estimate);
+      return toFeeQuote(context, {
+        decimals,
+        tokenPriceUSD,
+        inputAmount: amount,
+        toAmount: route.toAmount,
+        toAmountMin: route.toAmountMin,
+        toDecimals: Number(route.toToken.decimals),
+        tools: route.steps.flatMap(toolsOf),
+        feeCosts: estimates.flatMap(estimate => estimate.feeCosts || []),
+        gasCosts: estimates.flatMap(estimate => estimate.gasCosts || []),
+        durationSeconds: estimates.reduce((sum, estimate) => sum + (estimate.executionDuration || 0), 0),
+      });
+    } catch (error) {
+      return failedFeeQuote(FeeStatus.ERROR, context, `Li.Fi: unexpected route response (${error.message})`);
+    }
+  });
+}
+
+module.exports = { calculateLifiFees, calculateLifiRoutes, isChainSupported };
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Full-precision Uniswap V3 liquidity math (ports of FullMath,
+ * SqrtPriceMath and LiquidityMath).
+ *
+ * All inputs and outputs are JSBI values. Rounding follows the core contracts:
+ * amounts owed to the pool round up, amounts paid out round down.
+ */
+const JSBI = require('jsbi');
+const invariant = require('invariant');
+const { JSBI_Q96, RESOLUTION, MAX_UINT160, MAX_UINT256 } = require('../config/constants');
+
+const ZERO = JSBI.BigInt(0);
+const ONE = JSBI.BigInt(1);
+
+function multiplyIn256(x, y) {
+  return JSBI.bitwiseAnd(JSBI.multiply(x, y), MAX_UINT256);
+}
+
+function addIn256(x, y) {
+  return JSBI.bitwiseAnd(JSBI.add(x, y), MAX_UINT256);
+}
+
+/**
+ * Computes ceil(a * b / denominator).
+ *
+ * @param {JSBI} a - Multiplicand.
+ * @param {JSBI} b - Multiplier.
+ * @param {JSBI} denominator - Divisor.
+ * @return {JSBI} The rounded-up quotient.
+ */
+function mulDivRoundingUp(a, b, denominator) {
+  const product = JSBI.multiply(a, b);
+  let result = JSBI.divide(product, denominator);
+  if (JSBI.notEqual(JSBI.remainder(product, denominator), ZERO)) result = JSBI.add(result, ONE);
+  return result;
+}
+
+/**
+ * Adds a signed liquidity delta to a liquidity value.
+ *
+ * @param {JSBI} x - Current liquidity.
+ * @param {JSBI} y - Signed delta (e.g. a tick's liquidityNet).
+ * @return {JSBI} The new liquidity.
+ */
+function addDelta(x, y) {
+  const result = JSBI.add(x, y);
+  invariant(JSBI.greaterThanOrEqual(result, ZERO), 'LIQUIDITY_UNDERFLOW');
+  return result;
+}
+
+/**
+ * getAmount0Delta returns the token0 amount between two sqrt prices:
+ *    liquidity * (sqrtB - sqrtA) / (sqrtA * sqrtB)
+ *
+ * @param {JSBI} sqrtRatioAX96 - A sqrt price.
+ * @param {JSBI} sqrtRatioBX96 - Another sqrt price.
+ * @param {JSBI} liquidity - Usable liquidity.
+ * @param {boolean} roundUp - Whether to round the amount up.
+ * @return {JSBI} Amount of token0.
+ */
+function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (JSBI.greaterThan(sqrtRatioAX96, sqrtRatioBX96)) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+
+  const numerator1 = JSBI.leftShift(liquidity, RESOLUTION);
+  const numerator2 = JSBI.subtract(sqrtRatioBX96, sqrtRatioAX96);
+
+  return roundUp
+    ? mulDivRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtRatioBX96), ONE, sqrtRatioAX96)
+    : JSBI.divide(JSBI.divide(JSBI.multiply(numerator1, numerator2), sqrtRatioBX96), sqrtRatioAX96);
+}
+
+/**
+ * getAmount1Delta returns the token1 amount between two sqrt prices:
+ *    liquidity * (sqrtB - sqrtA)
+ *
+ * @param {JSBI} sqrtRatioAX96 - A sqrt price.
+ * @param {JSBI} sqrtRatioBX96 - Another sqrt price.
+ * @param {JSBI} liquidity - Usable liquidity.
+ * @param {boolean} roundUp - Whether to round the amount up.
+ * @return {JSBI} Amount of token1.
+ */
+function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (JSBI.greaterThan(sqrtRatioAX96, sqrtRatioBX96)) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+
+  const diff = JSBI.subtract(sqrtRatioBX96, sqrtRatioAX96);
+  return roundUp
+    ? mulDivRoundingUp(liquidity, diff, JSBI_Q96)
+    : JSBI.divide(JSBI.multiply(liquidity, diff), JSBI_Q96);
+}
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amount, add) {
+  if (JSBI.equal(amount, ZERO)) return sqrtPX96;
+  const numerator1 = JSBI.leftShift(liquidity, RESOLUTION);
+
+  if (add) {
+    const product = multiplyIn256(amount, sqrtPX96);
+    if (JSBI.equal(JSBI.divide(product, amount), sqrtPX96)) {
+      const denominator = addIn256(numerator1, product);
+      if (JSBI.greaterThanOrEqual(denominator, numerator1)) {
+        return mulDivRoundingUp(numerator1, sqrtPX96, denominator);
+      }
+    }
+    return mulDivRoundingUp(numerator1, ONE, JSBI.add(JSBI.divide(numerator1, sqrtPX96), amount));
+  }
+
+  const product = multiplyIn256(amount, sqrtPX96);
+  invariant(JSBI.equal(JSBI.divide(product, amount), sqrtPX96), 'PRODUCT_OVERFLOW');
+  invariant(JSBI.greaterThan(numerator1, product), 'PRICE_UNDERFLOW');
+  return mulDivRoundingUp(numerator1, sqrtPX96, JSBI.subtract(numerator1, product));
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amount, add) {
+  if (add) {
+    const quotient = JSBI.lessThanOrEqual(amount, MAX_UINT160)
+      ? JSBI.divide(JSBI.leftShift(amount, RESOLUTION), liquidity)
+      : JSBI.divide(JSBI.multiply(amount, JSBI_Q96), liquidity);
+    return JSBI.add(sqrtPX96, quotient);
+  }
+
+  const quotient = mulDivRoundingUp(amount, JSBI_Q96, liquidity);
+  invariant(JSBI.greaterThan(sqrtPX96, quotient), 'PRICE_UNDERFLOW');
+  return JSBI.subtract(sqrtPX96, quotient);
+}
+
+/**
+ * Returns the sqrt price after adding amountIn of the input token.
+ *
+ * @param {JSBI} sqrtPX96 - Starting sqrt price.
+ * @param {JSBI} liquidity - Usable liquidity.
+ * @param {JSBI} amountIn - Amount of token0 (zeroForOne) or token1 being swapped in.
+ * @param {boolean} zeroForOne - Swap direction.
+ * @return {JSBI} The next sqrt price.
+ */
+function getNextSqrtPriceFromInput(sqrtPX96, liquidity, amountIn, zeroForOne) {
+  invariant(JSBI.greaterThan(sqrtPX96, ZERO), 'SQRT_PRICE');
+  invariant(JSBI.greaterThan(liquidity, ZERO), 'LIQUIDITY');
+
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn, true)
+    : getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn, true);
+}
+
+/**
+ * Returns the sqrt price after removing amountOut of the output token.
+ *
+ * @param {JSBI} sqrtPX96 - Starting sqrt price.
+ * @param {JSBI} liquidity - Usable liquidity.
+ * @param {JSBI} amountOut - Amount of token1 (zeroForOne) or token0 being swapped out.
+ * @param {boolean} zeroForOne - Swap direction.
+ * @return {JSBI} The next sqrt price.
+ */
+function getNextSqrtPriceFromOutput(sqrtPX96, liquidity, amountOut, zeroForOne) {
+  invariant(JSBI.greaterThan(sqrtPX96, ZERO), 'SQRT_PRICE');
+  invariant(JSBI.greaterThan(liquidity, ZERO), 'LIQUIDITY');
+
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountOut, false)
+    : getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountOut, false);
+}
+
+module.exports = {
+  mulDivRoundingUp,
+  addDelta,
+  getAmount0Delta,
+  getAmount1Delta,
+  getNextSqrtPriceFromInput,
+  getNextSqrtPriceFromOutput,
+};
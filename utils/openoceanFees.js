@@ -1,6 +1,10 @@
 // utils/openoceanFees.js
-const axios = require('axios');
 const ethers = require('ethers');
+const { getCache } = require('./cache');
+const { getHttpClient } = require('./httpClient');
+const { getDefaultGasEstimator } = require('../modules/gas');
+
+const PROVIDER = 'openocean';
 
 // Mapping of common EVM chains to OpenOcean chain codes
 const chainMapping = {
@@ -25,6 +29,33 @@ function getChainParam(chain) {
   return chainMapping[chain.toLowerCase()] || chain.toLowerCase();
 }
 
+/**
+ * Check if OpenOcean serves a chain at all.
+ * @param {string} chain - The chain name (e.g., "ethereum", "base")
+ * @returns {boolean} - True if the chain has an OpenOcean chain code.
+ */
+function isChainSupported(chain) {
+  return Boolean(chain) && Object.prototype.hasOwnProperty.call(chainMapping, chain.toLowerCase());
+}
+
+/**
+ * Fetch the addresses OpenOcean knows on a chain. The list is cached (see
+ * config/cache.js), so checking many tokens costs one download per chain.
+ * @param {string} chain - The chain name (e.g., "ethereum", "base")
+ * @returns {Promise<string[]>} - Lowercased token addresses.
+ */
+function getTokenList(chain) {
+  const chainParam = getChainParam(chain);
+  return getCache('tokenLists').wrap(`openocean:${chainParam}`, async () => {
+    const url = `https://open-api.openocean.finance/v4/${chainParam}/tokenList`;
+    const response = await getHttpClient().get(url);
+    if (response.data.code !== 200 || !Array.isArray(response.data.data)) {
+      throw new Error(`OpenOcean token list returned code ${response.data.code}`);
+    }
+    return response.data.data.map(token => token.address.toLowerCase());
+  });
+}
+
 /**
  * Check if a token is supported on a given chain by OpenOcean.
  * @param {string} chain - The chain name (e.g., "ethereum", "base")
@@ -33,15 +64,8 @@ function getChainParam(chain) {
  */
 async function isTokenSupported(chain, tokenAddress) {
   try {
-    const chainParam = getChainParam(chain);
-    const url = `https://open-api.openocean.finance/v4/${chainParam}/tokenList`;
-    const response = await axios.get(url);
-    if (response.data.code === 200 && Array.isArray(response.data.data)) {
-      return response.data.data.some(token =>
-        token.address.toLowerCase() === tokenAddress.toLowerCase()
-      );
-    }
-    return false;
+    const addresses = await getTokenList(chain);
+    return addresses.includes(tokenAddress.toLowerCase());
   } catch (error) {
     console.error(`Error fetching token list for ${chain}:`, error.message);
     return false;
@@ -49,94 +73,54 @@ async function isTokenSupported(chain, tokenAddress) {
 }
 
 /**
- * Calculate fee data using the OpenOcean V4 Quote API.
- *
- * The API expects the "amount" parameter as a human‑readable string (e.g. "1.23"),
- * and returns outAmount in minimal units. We convert our human‑readable amount into
- * minimal units for fee calculation.
- *
- * @param {string} tokenSymbol - Symbol of the token to transfer.
- * @param {string} sourceChain - Source chain (e.g., "ethereum").
- * @param {string} destinationChain - Destination chain (e.g., "base").
- * @param {number} usdAmount - Amount to transfer in USD.
- * @param {number} tokenPriceUSD - Token price in USD.
- * @param {number} decimals - Token decimals.
- * @param {string} inTokenAddress - Token contract address on the source chain.
- * @param {string} outTokenAddress - Token contract address on the destination chain.
- * @param {number|string} [gasPrice=5] - Gas price in Gwei.
- * @param {number|string} [slippage=1] - Slippage percentage.
- * @returns {string} - Fee information string (e.g. "99 bps ($0.0100)") or "Route not supported".
+ * Call the OpenOcean V4 Quote API on one chain.
+ * @param {string} chain - The chain name (e.g., "ethereum", "base")
+ * @param {Object} params - { inTokenAddress, outTokenAddress, amount (human-readable), gasPrice, slippage }
+ * @returns {Promise<Object>} - The quote's data object (outAmount is in minimal units).
  */
-async function calculateOpenOceanSwapFees(
-  tokenSymbol,
-  sourceChain,
-  destinationChain,
-  usdAmount,
-  tokenPriceUSD,
-  decimals,
-  inTokenAddress,
-  outTokenAddress,
-  gasPrice = 5,
-  slippage = 1
-) {
-  try {
-    if (!tokenPriceUSD || isNaN(tokenPriceUSD) || tokenPriceUSD === '[Object]') {
-      return null;
-    }
-    
-    // Verify token support (log warning if not supported)
-    const supportedIn = await isTokenSupported(sourceChain, inTokenAddress);
-    const supportedOut = await isTokenSupported(sourceChain, outTokenAddress);
-    if (!supportedIn || !supportedOut) {
-      console.warn(
-        `Token support check warning for ${tokenSymbol} on ${sourceChain}: ` +
-        `inToken (${inTokenAddress}) supported: ${supportedIn}, outToken (${outTokenAddress}) supported: ${supportedOut}`
-      );
-      return "Route not supported";
-    }
-    
-    // Calculate the human‑readable token amount from USD.
-    const tokenAmount = usdAmount / tokenPriceUSD;
-    const precision = Math.min(decimals, 8);
-    const formattedAmount = parseFloat(tokenAmount.toString()).toFixed(precision);
-    // Convert the human‑readable amount into minimal units for fee calculation.
-    const minimalAmount = ethers.utils.parseUnits(formattedAmount, decimals).toString();
-    
-    const chainParam = getChainParam(sourceChain);
-    const url = `https://open-api.openocean.finance/v4/${chainParam}/quote`;
-    const params = {
-      inTokenAddress,
-      outTokenAddress,
-      amount: formattedAmount, // human‑readable as required by documentation
-      gasPrice: gasPrice.toString(),
-      slippage: slippage.toString()
-    };
-    
-    console.log(`OpenOcean fallback for ${tokenSymbol}: URL=${url}, Params=${JSON.stringify(params)}`);
-    
-    const response = await axios.get(url, { params });
-    console.log(`OpenOcean API response for ${tokenSymbol}: ${JSON.stringify(response.data, null, 2)}`);
-    
-    if (response.data.code === 200 && response.data.data) {
-      const data = response.data.data;
-      const inAmountBN = ethers.BigNumber.from(minimalAmount);
-      const outAmountBN = ethers.BigNumber.from(data.outAmount);
-      
-      if (inAmountBN.lt(outAmountBN)) {
-        return `0 bps ($0.0000)`;
-      }
-      
-      const feeBN = inAmountBN.sub(outAmountBN);
-      const feeBasisPoints = feeBN.mul(10000).div(inAmountBN).toNumber();
-      const feeUsd = parseFloat(ethers.utils.formatUnits(feeBN, decimals)) * tokenPriceUSD;
-      return `${feeBasisPoints} bps ($${feeUsd.toFixed(4)})`;
-    } else {
-      return "Route not supported";
-    }
-  } catch (error) {
-    console.error(`OpenOcean fee error for ${tokenSymbol}:`, error.message);
-    return "Route not supported";
+async function requestQuote(chain, params) {
+  const url = `https://open-api.openocean.finance/v4/${getChainParam(chain)}/quote`;
+  const response = await getHttpClient().get(url, { params });
+  if (response.data.code !== 200 || !response.data.data) {
+    const error = new Error(`OpenOcean returned code ${response.data.code}`);
+    error.code = 'UNSUPPORTED_ROUTE';
+    throw error;
   }
+  return response.data.data;
+}
+
+/**
+ * Quote a same-chain swap with OpenOcean, in minimal units on both sides.
+ * @param {string} chain - The chain name (e.g., "ethereum", "base")
+ * @param {string} inTokenAddress - Token sold.
+ * @param {string} outTokenAddress - Token bought.
+ * @param {string} amountIn - Amount sold, in minimal units.
+ * @param {number} decimalsIn - Decimals of the token sold.
+ * @param {Object} [options]
+ * @param {number|string} [options.gasPrice] - Gas price in Gwei (defaults to the chain's current price).
+ * @param {number|string} [options.slippage=1] - Slippage percentage.
+ * @returns {Promise<Object>} - Normalized swap quote: { provider, chain, tokenIn, tokenOut, amountIn, amountOut,
+ *   estimatedGas }, amounts in minimal units (same shape as the 1inch adapter in modules/crossChain/bridgeData.js).
+ */
+async function quoteOpenOceanSwap(chain, inTokenAddress, outTokenAddress, amountIn, decimalsIn, options = {}) {
+  const { slippage = 1 } = options;
+  const gasPrice = options.gasPrice !== undefined ? options.gasPrice : await getDefaultGasEstimator().getGasPriceGwei(chain);
+  const data = await requestQuote(chain, {
+    inTokenAddress,
+    outTokenAddress,
+    amount: ethers.utils.formatUnits(amountIn, decimalsIn),
+    gasPrice: Number(Number(gasPrice).toFixed(9)).toString(),
+    slippage: slippage.toString(),
+  });
+  return {
+    provider: PROVIDER,
+    chain,
+    tokenIn: inTokenAddress,
+    tokenOut: outTokenAddress,
+    amountIn: ethers.BigNumber.from(amountIn).toString(),
+    amountOut: ethers.BigNumber.from(data.outAmount).toString(),
+    estimatedGas: data.estimatedGas != null ? Number(data.estimatedGas) : null,
+  };
 }
 
-module.exports = { calculateOpenOceanSwapFees };
+module.exports = { quoteOpenOceanSwap, isChainSupported, isTokenSupported };
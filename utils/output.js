@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Renders rows of records as a table, JSON, NDJSON or CSV.
+ */
+
+const { Console } = require('console');
+
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+// Nested values (arrays, objects) become JSON so every cell is a scalar
+function flattenRow(row) {
+  const flat = {};
+  Object.entries(row).forEach(([key, value]) => {
+    flat[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  });
+  return flat;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Object>} rows - Records to render.
+ * @return {string} CSV with a header row covering every key of every row.
+ */
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns.map(csvCell).join(',')];
+  rows.map(flattenRow).forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes rows to a stream in the given format.
+ *
+ * @param {Array<Object>} rows - Records to render.
+ * @param {string} format - One of OUTPUT_FORMATS.
+ * @param {stream.Writable} [stream=process.stdout] - Destination.
+ */
+function writeRows(rows, format, stream = process.stdout) {
+  switch (format) {
+    case 'json':
+      stream.write(`${JSON.stringify(rows, null, 2)}\n`);
+      break;
+    case 'ndjson':
+      rows.forEach(row => stream.write(`${JSON.stringify(row)}\n`));
+      break;
+    case 'csv':
+      stream.write(toCsv(rows));
+      break;
+    case 'table':
+      new Console(stream).table(rows.map(flattenRow));
+      break;
+    default:
+      throw new Error(`Unknown output format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = { OUTPUT_FORMATS, writeRows, toCsv };
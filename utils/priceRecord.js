@@ -0,0 +1,102 @@
+/**
+ * @fileoverview The PriceRecord shape every USD price travels in.
+ *
+ * The price oracle resolves every symbol and chain to a PriceRecord, priced
+ * or not, so callers never test for sentinel values: priceValue() gives the
+ * USD number for a usable record and null for anything else.
+ */
+
+const PriceStatus = Object.freeze({
+  VALID: 'valid',                   // Usable price
+  MISSING: 'missing',               // No source priced the token
+  ZERO: 'zero',                     // Sources answered, but not with a positive price
+  STALE: 'stale',                   // Every answer was older than the source's maxAgeMs
+  DIVERGENT: 'divergent',           // Sources, or this chain and the token's other chains, disagree too much
+  LOW_CONFIDENCE: 'low_confidence', // Too few agreeing sources, or confidence below minConfidence
+});
+
+/**
+ * @typedef {Object} PriceRecord
+ * @property {string} status - One of PriceStatus.
+ * @property {number|null} value - USD price; null unless status is VALID.
+ * @property {string|null} source - Id of the one source the value came from, or 'consensus' when several agreed.
+ * @property {number|null} lastUpdatedAt - When the upstream last updated the price (ms), the oldest of the
+ *   agreeing sources; null when no source said.
+ * @property {number} fetchedAt - When the price was fetched (ms).
+ * @property {number|null} ageMs - fetchedAt - lastUpdatedAt.
+ * @property {number} confidence - 0 to 1: mean freshness of the agreeing sources times the share of
+ *   answering sources that agreed.
+ * @property {string} method - Consensus method, 'median' or 'weighted'.
+ * @property {Object} sources - { [sourceId]: { value, lastUpdatedAt } } for every source that answered.
+ * @property {string[]} agreed - Sources the value was combined from.
+ * @property {string[]} rejected - Sources left out.
+ * @property {Object} rejections - { [sourceId]: reason } for the rejected sources ('zero', 'stale' or 'outlier').
+ * @property {string|null} error - Reason when the record has no value.
+ */
+
+/**
+ * Builds a PriceRecord, defaulting every missing field to an unpriced record.
+ *
+ * @param {Object} fields - Any PriceRecord fields.
+ * @return {PriceRecord} The record.
+ */
+function createPriceRecord(fields) {
+  return {
+    status: PriceStatus.MISSING,
+    value: null,
+    source: null,
+    lastUpdatedAt: null,
+    fetchedAt: Date.now(),
+    ageMs: null,
+    confidence: 0,
+    method: 'median',
+    sources: {},
+    agreed: [],
+    rejected: [],
+    rejections: {},
+    error: null,
+    ...fields,
+  };
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+/**
+ * USD value of a price, for fee and spread calculations.
+ *
+ * @param {PriceRecord|number} price - A PriceRecord or a plain USD number.
+ * @return {number|null} The price when it is a positive number or a VALID record, otherwise null.
+ */
+function priceValue(price) {
+  if (isPositiveNumber(price)) return price;
+  if (price && typeof price === 'object' && price.status === PriceStatus.VALID && isPositiveNumber(price.value)) {
+    return price.value;
+  }
+  return null;
+}
+
+/**
+ * Normalises what a price source reported for one token.
+ *
+ * @param {number|Object} answer - A USD number, or { value, lastUpdatedAt } with lastUpdatedAt in ms.
+ * @return {Object} { value, lastUpdatedAt }; lastUpdatedAt is null when the source did not say.
+ */
+function toSourcePrice(answer) {
+  if (answer && typeof answer === 'object') {
+    const lastUpdatedAt = Number(answer.lastUpdatedAt);
+    return {
+      value: typeof answer.value === 'number' ? answer.value : null,
+      lastUpdatedAt: answer.lastUpdatedAt != null && isFinite(lastUpdatedAt) ? lastUpdatedAt : null,
+    };
+  }
+  return { value: typeof answer === 'number' ? answer : null, lastUpdatedAt: null };
+}
+
+module.exports = {
+  PriceStatus,
+  createPriceRecord,
+  priceValue,
+  toSourcePrice,
+};
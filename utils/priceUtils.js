@@ -1,122 +1,56 @@
-// utils/priceUtils.js - separated chain fetches
-const axios = require('axios');
+// utils/priceUtils.js - consensus USD prices across price sources
+const { getActiveChains } = require('../config/chainContext');
+const { getDefaultPriceOracle } = require('../modules/priceSources');
+const { priceValue } = require('./priceRecord');
+const { tokenId } = require('./tokenId');
 
 // Store for the common tokens list
 let commonTokensList = [];
 
 /**
- * Fetch prices for a specific chain
- * @param {string[]} symbols - Token symbols to fetch
- * @param {string} chain - Chain to fetch prices for ('ethereum' or 'base')
- * @param {string} apiKey - Alchemy API key
- * @returns {Object} Mapping of symbols to prices
+ * Fetches USD prices from every configured price source and combines them
+ * (see modules/priceSources/oracle.js)
+ * @param {Array<string|Object>} tokens - Token symbols, or common tokens from discovery so address and pool based sources can price them
+ * @param {Object} options - Optional configuration
+ * @param {string[]} options.chains - Chains to price on (defaults to getActiveChains())
+ * @param {Object} options.oracle - Price oracle (defaults to getDefaultPriceOracle())
+ * @returns {Object} - { prices: { [tokenId]: { [chain]: PriceRecord } }, errors } (see utils/tokenId.js)
  */
-async function fetchChainPrices(symbols, chain, apiKey) {
-  const chainUrls = {
-    ethereum: 'https://api.g.alchemy.com/prices/v1/tokens/by-symbol',
-    base: 'https://base-mainnet.g.alchemy.com/prices/v1/tokens/by-symbol'
-  };
-
-  const url = chainUrls[chain];
-  if (!url) {
-    throw new Error(`Unsupported chain: ${chain}`);
-  }
+async function fetchPriceConsensus(tokens, options = {}) {
+  const { chains = getActiveChains(), oracle = getDefaultPriceOracle() } = options;
 
-  console.log(`Fetching prices for ${chain.toUpperCase()} chain...`);
-  
-  // Result object for this chain
-  const chainPrices = {};
-  
-  // Initialize with [Object] for all symbols
-  symbols.forEach(symbol => {
-    chainPrices[symbol] = '[Object]';
+  const result = await oracle.fetchPrices(tokens, chains);
+  result.errors.forEach(({ source, chain, error }) => {
+    console.warn(`Price source ${source} failed on ${chain}: ${error}`);
   });
-  
-  // Process in batches of 3
-  const batchSize = 3;
-  for (let i = 0; i < symbols.length; i += batchSize) {
-    const batchSymbols = symbols.slice(i, i + batchSize);
-    
-    // Build query parameters
-    const symbolsParam = batchSymbols.map(s => `symbols=${encodeURIComponent(s)}`).join('&');
-    const batchUrl = `${url}?${symbolsParam}`;
-    
-    console.log(`Fetching ${chain} batch ${i/batchSize + 1}/${Math.ceil(symbols.length/batchSize)}: ${batchSymbols.join(', ')}`);
-    
-    try {
-      // Make the request
-      const response = await axios.get(batchUrl, {
-        headers: {
-          'accept': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        timeout: 30000
-      });
-      
-      // Process response data
-      if (response.data && response.data.data) {
-        response.data.data.forEach(token => {
-          if (token.symbol && token.prices && token.prices.length > 0) {
-            const usdPrice = token.prices.find(p => p.currency === 'usd');
-            if (usdPrice && usdPrice.value) {
-              // Store the price for this token
-              chainPrices[token.symbol] = parseFloat(usdPrice.value);
-              console.log(`✅ Got ${chain} price for ${token.symbol}: $${usdPrice.value}`);
-            }
-          }
-        });
-      }
-    } catch (error) {
-      console.error(`${chain} batch ${i/batchSize + 1} failed:`, error.message);
-    }
-    
-    // Small delay between batches
-    if (i + batchSize < symbols.length) {
-      await new Promise(resolve => setTimeout(resolve, 250));
-    }
-  }
-  
-  return chainPrices;
+  return result;
+}
+
+// { [chain]: PriceRecord } to { [chain]: usd }, '-' where a price was missing or rejected
+function priceValues(byChain) {
+  return Object.fromEntries(Object.entries(byChain || {}).map(([chain, record]) => {
+    const value = priceValue(record);
+    return [chain, value !== null ? value : '-'];
+  }));
 }
 
 /**
- * Fetches token prices from Alchemy API for both Ethereum and Base chains
- * @param {string[]} symbols - Array of token symbols to fetch prices for
- * @param {Object} options - Optional configuration
- * @param {string} options.apiKey - Alchemy API key
- * @returns {Object} - Object with ethPrices and basePrices
+ * Fetches consensus token prices for every active chain
+ * @param {Array<string|Object>} tokens - Token symbols or common tokens, as for fetchPriceConsensus()
+ * @param {Object} options - Same as fetchPriceConsensus()
+ * @returns {Object} - Mapping of token id to { [chain]: PriceRecord }; read values with priceValue()
  */
-async function fetchTokenPrices(symbols, options = {}) {
-  const { apiKey = process.env.ALCHEMY_API_KEY } = options;
-  
-  if (!apiKey) {
-    throw new Error('API key is required for fetching token prices');
-  }
-  
-  // Fetch prices for each chain separately to ensure they're different
-  const ethPrices = await fetchChainPrices(symbols, 'ethereum', apiKey);
-  const basePrices = await fetchChainPrices(symbols, 'base', apiKey);
-  
-  // Create the combined results object
-  const results = {};
-  symbols.forEach(symbol => {
-    results[symbol] = {
-      ethereum: ethPrices[symbol],
-      base: basePrices[symbol]
-    };
-  });
-  
+async function fetchTokenPrices(tokens, options = {}) {
+  const { prices } = await fetchPriceConsensus(tokens, options);
+
   // Create the common tokens list with separate prices
-  commonTokensList = symbols.map((symbol, index) => ({
+  commonTokensList = tokens.map((token, index) => ({
     index,
-    symbol, 
-    ethPrice: ethPrices[symbol],
-    basePrice: basePrices[symbol],
-    feesEthToBase: null,
-    feesBaseToEth: null
+    symbol: typeof token === 'string' ? token : token.symbol,
+    ...priceValues(prices[tokenId(token)])
   }));
-  
-  return results;
+
+  return prices;
 }
 
 /**
@@ -130,8 +64,7 @@ function logTokenPrices(results) {
   const tableData = Object.entries(results).map(([symbol, data], index) => ({
     '(index)': index,
     'symbol': `'${symbol}'`,
-    'ethereum': data.ethereum,
-    'base': data.base
+    ...priceValues(data)
   }));
   
   // Display the table
@@ -140,7 +73,7 @@ function logTokenPrices(results) {
   // Log missing prices
   const missingPrices = Object.entries(results)
     .filter(([_, data]) => 
-      data.ethereum === '[Object]' && data.base === '[Object]')
+      Object.values(data).every(price => priceValue(price) === null))
     .map(([symbol]) => symbol);
   
   missingPrices.forEach(symbol => {
@@ -170,6 +103,7 @@ function getCommonTokens() {
 
 module.exports = { 
   fetchTokenPrices, 
+  fetchPriceConsensus,
   logTokenPrices,
   getCommonTokens
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Full-precision Uniswap V3 tick math (port of TickMath.sol).
+ *
+ * Converts between ticks and Q64.96 square-root prices using JSBI so results
+ * match the on-chain library bit for bit.
+ */
+const JSBI = require('jsbi');
+const invariant = require('invariant');
+const {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  MAX_UINT256,
+} = require('../config/constants');
+
+const ZERO = JSBI.BigInt(0);
+const ONE = JSBI.BigInt(1);
+const TWO = JSBI.BigInt(2);
+const Q32 = JSBI.exponentiate(TWO, JSBI.BigInt(32));
+
+const POWERS_OF_2 = [128, 64, 32, 16, 8, 4, 2, 1].map(pow => [
+  pow,
+  JSBI.exponentiate(TWO, JSBI.BigInt(pow)),
+]);
+
+/**
+ * Returns the index of the most significant set bit of a positive uint256.
+ *
+ * @param {JSBI} x - Value to inspect.
+ * @return {number} Bit index (0 based).
+ */
+function mostSignificantBit(x) {
+  invariant(JSBI.greaterThan(x, ZERO), 'ZERO');
+  invariant(JSBI.lessThanOrEqual(x, MAX_UINT256), 'MAX');
+
+  let msb = 0;
+  for (const [power, min] of POWERS_OF_2) {
+    if (JSBI.greaterThanOrEqual(x, min)) {
+      x = JSBI.signedRightShift(x, JSBI.BigInt(power));
+      msb += power;
+    }
+  }
+  return msb;
+}
+
+function mulShift(val, mulBy) {
+  return JSBI.signedRightShift(JSBI.multiply(val, JSBI.BigInt(mulBy)), JSBI.BigInt(128));
+}
+
+/**
+ * getSqrtRatioAtTick computes sqrt(1.0001^tick) * 2^96.
+ *
+ * @param {number} tick - Integer tick in [MIN_TICK, MAX_TICK].
+ * @return {JSBI} The sqrt price as a Q64.96 value.
+ */
+function getSqrtRatioAtTick(tick) {
+  invariant(Number.isInteger(tick) && tick >= MIN_TICK && tick <= MAX_TICK, 'TICK');
+  const absTick = tick < 0 ? tick * -1 : tick;
+
+  let ratio = (absTick & 0x1) !== 0
+    ? JSBI.BigInt('0xfffcb933bd6fad37aa2d162d1a594001')
+    : JSBI.BigInt('0x100000000000000000000000000000000');
+  if ((absTick & 0x2) !== 0) ratio = mulShift(ratio, '0xfff97272373d413259a46990580e213a');
+  if ((absTick & 0x4) !== 0) ratio = mulShift(ratio, '0xfff2e50f5f656932ef12357cf3c7fdcc');
+  if ((absTick & 0x8) !== 0) ratio = mulShift(ratio, '0xffe5caca7e10e4e61c3624eaa0941cd0');
+  if ((absTick & 0x10) !== 0) ratio = mulShift(ratio, '0xffcb9843d60f6159c9db58835c926644');
+  if ((absTick & 0x20) !== 0) ratio = mulShift(ratio, '0xff973b41fa98c081472e6896dfb254c0');
+  if ((absTick & 0x40) !== 0) ratio = mulShift(ratio, '0xff2ea16466c96a3843ec78b326b52861');
+  if ((absTick & 0x80) !== 0) ratio = mulShift(ratio, '0xfe5dee046a99a2a811c461f1969c3053');
+  if ((absTick & 0x100) !== 0) ratio = mulShift(ratio, '0xfcbe86c7900a88aedcffc83b479aa3a4');
+  if ((absTick & 0x200) !== 0) ratio = mulShift(ratio, '0xf987a7253ac413176f2b074cf7815e54');
+  if ((absTick & 0x400) !== 0) ratio = mulShift(ratio, '0xf3392b0822b70005940c7a398e4b70f3');
+  if ((absTick & 0x800) !== 0) ratio = mulShift(ratio, '0xe7159475a2c29b7443b29c7fa6e889d9');
+  if ((absTick & 0x1000) !== 0) ratio = mulShift(ratio, '0xd097f3bdfd2022b8845ad8f792aa5825');
+  if ((absTick & 0x2000) !== 0) ratio = mulShift(ratio, '0xa9f746462d870fdf8a65dc1f90e061e5');
+  if ((absTick & 0x4000) !== 0) ratio = mulShift(ratio, '0x70d869a156d2a1b890bb3df62baf32f7');
+  if ((absTick & 0x8000) !== 0) ratio = mulShift(ratio, '0x31be135f97d08fd981231505542fcfa6');
+  if ((absTick & 0x10000) !== 0) ratio = mulShift(ratio, '0x9aa508b5b7a84e1c677de54f3e99bc9');
+  if ((absTick & 0x20000) !== 0) ratio = mulShift(ratio, '0x5d6af8dedb81196699c329225ee604');
+  if ((absTick & 0x40000) !== 0) ratio = mulShift(ratio, '0x2216e584f5fa1ea926041bedfe98');
+  if ((absTick & 0x80000) !== 0) ratio = mulShift(ratio, '0x48a170391f7dc42444e8fa2');
+
+  if (tick > 0) ratio = JSBI.divide(MAX_UINT256, ratio);
+
+  // Round up so that getTickAtSqrtRatio(getSqrtRatioAtTick(tick)) === tick
+  return JSBI.greaterThan(JSBI.remainder(ratio, Q32), ZERO)
+    ? JSBI.add(JSBI.divide(ratio, Q32), ONE)
+    : JSBI.divide(ratio, Q32);
+}
+
+/**
+ * getTickAtSqrtRatio returns the greatest tick whose sqrt ratio is <= the input.
+ *
+ * @param {JSBI} sqrtRatioX96 - Q64.96 sqrt price in [MIN_SQRT_RATIO, MAX_SQRT_RATIO).
+ * @return {number} The tick.
+ */
+function getTickAtSqrtRatio(sqrtRatioX96) {
+  invariant(
+    JSBI.greaterThanOrEqual(sqrtRatioX96, MIN_SQRT_RATIO) && JSBI.lessThan(sqrtRatioX96, MAX_SQRT_RATIO),
+    'SQRT_RATIO'
+  );
+
+  const sqrtRatioX128 = JSBI.leftShift(sqrtRatioX96, JSBI.BigInt(32));
+  const msb = mostSignificantBit(sqrtRatioX128);
+
+  let r;
+  if (msb >= 128) {
+    r = JSBI.signedRightShift(sqrtRatioX128, JSBI.BigInt(msb - 127));
+  } else {
+    r = JSBI.leftShift(sqrtRatioX128, JSBI.BigInt(127 - msb));
+  }
+
+  let log2 = JSBI.leftShift(JSBI.BigInt(msb - 128), JSBI.BigInt(64));
+  for (let i = 0; i < 14; i++) {
+    r = JSBI.signedRightShift(JSBI.multiply(r, r), JSBI.BigInt(127));
+    const f = JSBI.signedRightShift(r, JSBI.BigInt(128));
+    log2 = JSBI.bitwiseOr(log2, JSBI.leftShift(f, JSBI.BigInt(63 - i)));
+    r = JSBI.signedRightShift(r, f);
+  }
+
+  const logSqrt10001 = JSBI.multiply(log2, JSBI.BigInt('255738958999603826347141'));
+  const tickLow = JSBI.toNumber(JSBI.signedRightShift(
+    JSBI.subtract(logSqrt10001, JSBI.BigInt('3402992956809132418596140100660247210')),
+    JSBI.BigInt(128)
+  ));
+  const tickHigh = JSBI.toNumber(JSBI.signedRightShift(
+    JSBI.add(logSqrt10001, JSBI.BigInt('291339464771989622907027621153398088495')),
+    JSBI.BigInt(128)
+  ));
+
+  if (tickLow === tickHigh) return tickLow;
+  return JSBI.lessThanOrEqual(getSqrtRatioAtTick(tickHigh), sqrtRatioX96) ? tickHigh : tickLow;
+}
+
+module.exports = {
+  mostSignificantBit,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+};
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Identity of a common token across prices, routes and opportunities.
+ *
+ * Symbols are not unique: bridged and native USDC are both "USDC". Common
+ * tokens carry an id built from their address on every chain (see
+ * matchCommonTokens), and that id keys every per-token map; the symbol is
+ * only for display.
+ */
+
+/**
+ * Key of a token in per-token maps.
+ *
+ * @param {string|Object} token - A symbol, or a common token ({ id, symbol }).
+ * @return {string} The common token's id, else its symbol (plain symbols key as themselves).
+ */
+function tokenId(token) {
+  if (typeof token === 'string') return token;
+  return token.id || token.symbol;
+}
+
+module.exports = { tokenId };
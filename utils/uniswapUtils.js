@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Uniswap V3 swap simulation on top of tickMath and liquidity.
+ *
+ * simulateSwap walks a pool's initialized ticks exactly like Pool.swap does
+ * on-chain, so the resulting amounts include price impact and LP fees for the
+ * requested trade size rather than just the spot price.
+ */
+const JSBI = require('jsbi');
+const invariant = require('invariant');
+const { MIN_TICK, MAX_TICK, MIN_SQRT_RATIO, MAX_SQRT_RATIO, MAX_FEE_PIPS } = require('../config/constants');
+const { getSqrtRatioAtTick, getTickAtSqrtRatio } = require('./tickMath');
+const {
+  mulDivRoundingUp,
+  addDelta,
+  getAmount0Delta,
+  getAmount1Delta,
+  getNextSqrtPriceFromInput,
+  getNextSqrtPriceFromOutput,
+} = require('./liquidity');
+const { toBN } = require('./bigNumberUtils');
+
+const ZERO = JSBI.BigInt(0);
+const ONE = JSBI.BigInt(1);
+const TWO = JSBI.BigInt(2);
+
+function toJSBI(value) {
+  return value instanceof JSBI ? value : JSBI.BigInt(value.toString());
+}
+
+function sqrt(value) {
+  invariant(JSBI.greaterThanOrEqual(value, ZERO), 'NEGATIVE');
+  if (JSBI.lessThan(value, TWO)) return value;
+
+  let z = value;
+  let x = JSBI.add(JSBI.divide(value, TWO), ONE);
+  while (JSBI.lessThan(x, z)) {
+    z = x;
+    x = JSBI.divide(JSBI.add(JSBI.divide(value, x), x), TWO);
+  }
+  return z;
+}
+
+/**
+ * Encodes the price amount1/amount0 as a Q64.96 sqrt price.
+ *
+ * @param {string|number|JSBI} amount1 - Numerator (token1 amount).
+ * @param {string|number|JSBI} amount0 - Denominator (token0 amount).
+ * @return {JSBI} The sqrt price.
+ */
+function encodeSqrtRatioX96(amount1, amount0) {
+  const numerator = JSBI.leftShift(toJSBI(amount1), JSBI.BigInt(192));
+  return sqrt(JSBI.divide(numerator, toJSBI(amount0)));
+}
+
+/**
+ * computeSwapStep computes the result of swapping within a single tick range
+ * (port of SwapMath.computeSwapStep).
+ *
+ * A non-negative amountRemaining means exact input, a negative one exact output.
+ *
+ * @param {JSBI} sqrtRatioCurrentX96 - Current sqrt price.
+ * @param {JSBI} sqrtRatioTargetX96 - Price that cannot be exceeded by this step.
+ * @param {JSBI} liquidity - Usable liquidity.
+ * @param {JSBI} amountRemaining - Amount left to be swapped in or out.
+ * @param {number} feePips - Pool fee in hundredths of a bip.
+ * @return {Object} { sqrtRatioNextX96, amountIn, amountOut, feeAmount }
+ */
+function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const fee = JSBI.BigInt(feePips);
+  const zeroForOne = JSBI.greaterThanOrEqual(sqrtRatioCurrentX96, sqrtRatioTargetX96);
+  const exactIn = JSBI.greaterThanOrEqual(amountRemaining, ZERO);
+
+  let sqrtRatioNextX96;
+  let amountIn;
+  let amountOut;
+  let feeAmount;
+
+  if (exactIn) {
+    const amountRemainingLessFee = JSBI.divide(
+      JSBI.multiply(amountRemaining, JSBI.subtract(MAX_FEE_PIPS, fee)),
+      MAX_FEE_PIPS
+    );
+    amountIn = zeroForOne
+      ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+      : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+    sqrtRatioNextX96 = JSBI.greaterThanOrEqual(amountRemainingLessFee, amountIn)
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+  } else {
+    amountOut = zeroForOne
+      ? getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false)
+      : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+    const wanted = JSBI.unaryMinus(amountRemaining);
+    sqrtRatioNextX96 = JSBI.greaterThanOrEqual(wanted, amountOut)
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, wanted, zeroForOne);
+  }
+
+  const max = JSBI.equal(sqrtRatioTargetX96, sqrtRatioNextX96);
+
+  if (zeroForOne) {
+    amountIn = max && exactIn
+      ? amountIn
+      : getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    amountOut = max && !exactIn
+      ? amountOut
+      : getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    amountIn = max && exactIn
+      ? amountIn
+      : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    amountOut = max && !exactIn
+      ? amountOut
+      : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+
+  if (!exactIn && JSBI.greaterThan(amountOut, JSBI.unaryMinus(amountRemaining))) {
+    amountOut = JSBI.unaryMinus(amountRemaining);
+  }
+
+  if (exactIn && JSBI.notEqual(sqrtRatioNextX96, sqrtRatioTargetX96)) {
+    // Didn't reach the target, so the remainder of the input is taken as fee
+    feeAmount = JSBI.subtract(amountRemaining, amountIn);
+  } else {
+    feeAmount = mulDivRoundingUp(amountIn, fee, JSBI.subtract(MAX_FEE_PIPS, fee));
+  }
+
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * Finds the next initialized tick in the swap direction.
+ *
+ * @param {Array<Object>} ticks - Initialized ticks sorted by index.
+ * @param {number} tick - Current tick.
+ * @param {boolean} lte - Search at or below the current tick (zeroForOne).
+ * @return {Object} { tick, initialized, liquidityNet }
+ */
+function nextInitializedTick(ticks, tick, lte) {
+  if (lte) {
+    for (let i = ticks.length - 1; i >= 0; i--) {
+      if (ticks[i].index <= tick) return { tick: ticks[i].index, initialized: true, liquidityNet: ticks[i].liquidityNet };
+    }
+    return { tick: MIN_TICK, initialized: false };
+  }
+  for (let i = 0; i < ticks.length; i++) {
+    if (ticks[i].index > tick) return { tick: ticks[i].index, initialized: true, liquidityNet: ticks[i].liquidityNet };
+  }
+  return { tick: MAX_TICK, initialized: false };
+}
+
+/**
+ * simulateSwap replays Pool.swap off-chain over a snapshot of the pool state.
+ *
+ * @param {Object} pool - Pool snapshot.
+ * @param {string} pool.sqrtPriceX96 - Current sqrt price.
+ * @param {number} pool.tick - Current tick.
+ * @param {string} pool.liquidity - Current in-range liquidity.
+ * @param {number} pool.fee - Fee tier in hundredths of a bip (e.g. 3000).
+ * @param {Array<Object>} pool.ticks - Initialized ticks as { index, liquidityNet }.
+ * @param {Object} params - Swap parameters.
+ * @param {boolean} params.zeroForOne - True to sell token0 for token1.
+ * @param {string} params.amountSpecified - Positive for exact input, negative for exact output.
+ * @param {string} [params.sqrtPriceLimitX96] - Price limit; defaults to the tick bounds.
+ * @return {Object} { amountIn, amountOut, feeAmount, sqrtPriceX96After, tickAfter, liquidityAfter, ticksCrossed }
+ */
+function simulateSwap(pool, { zeroForOne, amountSpecified, sqrtPriceLimitX96 }) {
+  const amount = toJSBI(amountSpecified);
+  invariant(JSBI.notEqual(amount, ZERO), 'AMOUNT_SPECIFIED');
+
+  const sqrtPriceStart = toJSBI(pool.sqrtPriceX96);
+  const limit = sqrtPriceLimitX96 !== undefined
+    ? toJSBI(sqrtPriceLimitX96)
+    : zeroForOne
+      ? JSBI.add(MIN_SQRT_RATIO, ONE)
+      : JSBI.subtract(MAX_SQRT_RATIO, ONE);
+
+  if (zeroForOne) {
+    invariant(JSBI.greaterThan(limit, MIN_SQRT_RATIO), 'RATIO_MIN');
+    invariant(JSBI.lessThan(limit, sqrtPriceStart), 'RATIO_CURRENT');
+  } else {
+    invariant(JSBI.lessThan(limit, MAX_SQRT_RATIO), 'RATIO_MAX');
+    invariant(JSBI.greaterThan(limit, sqrtPriceStart), 'RATIO_CURRENT');
+  }
+
+  const ticks = [...(pool.ticks || [])]
+    .map(t => ({ index: Number(t.index), liquidityNet: toJSBI(t.liquidityNet) }))
+    .sort((a, b) => a.index - b.index);
+
+  const exactInput = JSBI.greaterThanOrEqual(amount, ZERO);
+  const state = {
+    amountSpecifiedRemaining: amount,
+    amountCalculated: ZERO,
+    sqrtPriceX96: sqrtPriceStart,
+    tick: Number(pool.tick),
+    liquidity: toJSBI(pool.liquidity),
+    feeAmount: ZERO,
+    ticksCrossed: 0,
+  };
+
+  while (JSBI.notEqual(state.amountSpecifiedRemaining, ZERO) && JSBI.notEqual(state.sqrtPriceX96, limit)) {
+    const sqrtPriceStartX96 = state.sqrtPriceX96;
+    const next = nextInitializedTick(ticks, state.tick, zeroForOne);
+    const tickNext = Math.min(Math.max(next.tick, MIN_TICK), MAX_TICK);
+    const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+
+    const beyondLimit = zeroForOne
+      ? JSBI.lessThan(sqrtPriceNextX96, limit)
+      : JSBI.greaterThan(sqrtPriceNextX96, limit);
+    const step = computeSwapStep(
+      state.sqrtPriceX96,
+      beyondLimit ? limit : sqrtPriceNextX96,
+      state.liquidity,
+      state.amountSpecifiedRemaining,
+      pool.fee
+    );
+    state.sqrtPriceX96 = step.sqrtRatioNextX96;
+    state.feeAmount = JSBI.add(state.feeAmount, step.feeAmount);
+
+    if (exactInput) {
+      state.amountSpecifiedRemaining = JSBI.subtract(
+        state.amountSpecifiedRemaining,
+        JSBI.add(step.amountIn, step.feeAmount)
+      );
+      state.amountCalculated = JSBI.subtract(state.amountCalculated, step.amountOut);
+    } else {
+      state.amountSpecifiedRemaining = JSBI.add(state.amountSpecifiedRemaining, step.amountOut);
+      state.amountCalculated = JSBI.add(state.amountCalculated, JSBI.add(step.amountIn, step.feeAmount));
+    }
+
+    if (JSBI.equal(state.sqrtPriceX96, sqrtPriceNextX96)) {
+      if (next.initialized) {
+        const liquidityNet = zeroForOne ? JSBI.unaryMinus(next.liquidityNet) : next.liquidityNet;
+        state.liquidity = addDelta(state.liquidity, liquidityNet);
+        state.ticksCrossed += 1;
+      }
+      state.tick = zeroForOne ? tickNext - 1 : tickNext;
+    } else if (JSBI.notEqual(state.sqrtPriceX96, sqrtPriceStartX96)) {
+      state.tick = getTickAtSqrtRatio(state.sqrtPriceX96);
+    }
+  }
+
+  const amountIn = exactInput
+    ? JSBI.subtract(amount, state.amountSpecifiedRemaining)
+    : state.amountCalculated;
+  const amountOut = exactInput
+    ? JSBI.unaryMinus(state.amountCalculated)
+    : JSBI.subtract(JSBI.unaryMinus(amount), JSBI.unaryMinus(state.amountSpecifiedRemaining));
+
+  return {
+    amountIn: amountIn.toString(),
+    amountOut: amountOut.toString(),
+    feeAmount: state.feeAmount.toString(),
+    sqrtPriceX96After: state.sqrtPriceX96.toString(),
+    tickAfter: state.tick,
+    liquidityAfter: state.liquidity.toString(),
+    ticksCrossed: state.ticksCrossed,
+  };
+}
+
+/**
+ * Simulates selling exactly amountIn of the input token.
+ *
+ * @param {Object} pool - Pool snapshot (see simulateSwap).
+ * @param {boolean} zeroForOne - True to sell token0 for token1.
+ * @param {string} amountIn - Input amount in minimal units.
+ * @return {Object} Swap result (see simulateSwap).
+ */
+function simulateExactInput(pool, zeroForOne, amountIn) {
+  return simulateSwap(pool, { zeroForOne, amountSpecified: toJSBI(amountIn) });
+}
+
+/**
+ * Simulates buying exactly amountOut of the output token.
+ *
+ * @param {Object} pool - Pool snapshot (see simulateSwap).
+ * @param {boolean} zeroForOne - True to sell token0 for token1.
+ * @param {string} amountOut - Output amount in minimal units.
+ * @return {Object} Swap result (see simulateSwap).
+ */
+function simulateExactOutput(pool, zeroForOne, amountOut) {
+  return simulateSwap(pool, { zeroForOne, amountSpecified: JSBI.unaryMinus(toJSBI(amountOut)) });
+}
+
+/**
+ * computePriceImpact compares the execution price of a swap with the spot price
+ * before the swap. LP fees are included, so the result is the total cost of
+ * trading this size relative to the mid price.
+ *
+ * @param {string} sqrtPriceX96 - Pool sqrt price before the swap.
+ * @param {string} amountIn - Amount paid in (minimal units, fees included).
+ * @param {string} amountOut - Amount received (minimal units).
+ * @param {boolean} zeroForOne - Swap direction.
+ * @return {string} Price impact as a decimal fraction (0.01 = 1%).
+ */
+function computePriceImpact(sqrtPriceX96, amountIn, amountOut, zeroForOne) {
+  const sqrtPrice = toBN(sqrtPriceX96);
+  const q192 = toBN(2).pow(192);
+  const spot = zeroForOne
+    ? sqrtPrice.times(sqrtPrice).div(q192)
+    : q192.div(sqrtPrice.times(sqrtPrice));
+  const execution = toBN(amountOut).div(toBN(amountIn));
+  return spot.minus(execution).div(spot).toFixed();
+}
+
+module.exports = {
+  encodeSqrtRatioX96,
+  computeSwapStep,
+  nextInitializedTick,
+  simulateSwap,
+  simulateExactInput,
+  simulateExactOutput,
+  computePriceImpact,
+};